@@ -0,0 +1,617 @@
+/* -----------------------------------------------------
+ User accounts
+ ----------------------------------------------------- */
+
+/**
+ * Saves scenes, EQ presets and takes to a user account on
+ * the board's server (see server/app/views.py)
+ *
+ * Every saved item has a version that goes up on each save.
+ * The client remembers the version each of its copies is based
+ * on, and the server only accepts a change to the version it
+ * holds, so a copy changed on another machine isn't silently
+ * overwritten: the change comes back as a conflict to resolve.
+ *
+ * Scene and preset changes made while the server can't be
+ * reached are queued in localStorage, and sent when it can be
+ * again. Takes are too big to queue, so need a connection.
+ *
+ * @param {String}  baseUrl     The server's URL
+ * @param {String}  storageKey  The localStorage key prefix for the sync state
+ *
+ * @constructor
+ */
+function AccountClient( baseUrl, storageKey ) {
+    this.baseUrl = baseUrl;
+    this.storageKey = storageKey;
+    this.events = new EventEmitter();
+
+    this.username = null;
+
+    // The server version each of our copies is based on, keyed
+    // by kind and name, and the changes waiting to be sent
+    this.versions = {};
+    this.pending = [];
+    this.flushing = false;
+}
+
+/**
+ * The kinds of saved items, and what they're sent as
+ */
+AccountClient.CONTENT_TYPES = {
+    scenes:     "application/json",
+    eqpresets:  "application/json",
+    takes:      "audio/wav"
+};
+
+/**
+ * Register an event listener
+ *
+ * Events are "login" (username), "logout", "pending" (count),
+ * "conflict" (conflict) and "error" (message).
+ *
+ * A conflict is sent for a queued change the server turned
+ * down, as an object with the change's op ("save" or
+ * "remove"), kind, name and data, and the server's version,
+ * null if the item has been deleted there. Pass it to
+ * overwrite() to apply the change anyway.
+ *
+ * @param {String}      eventName   The event name
+ * @param {Function}    listenerFn  The listener function
+ * @param {*}           [context]   The listener function context
+ */
+AccountClient.prototype.on = function( eventName, listenerFn, context ) {
+    this.events.on( eventName, listenerFn, context );
+};
+
+/**
+ * Returns true while logged in
+ *
+ * @returns {Boolean}
+ */
+AccountClient.prototype.isLoggedIn = function() {
+    return this.username != null;
+};
+
+/**
+ * Point the client at another server, logging out of this one
+ *
+ * @param {String}  baseUrl     The server's URL
+ */
+AccountClient.prototype.setBaseUrl = function( baseUrl ) {
+    if( baseUrl == this.baseUrl )
+        return;
+
+    this.setUser( null );
+    this.baseUrl = baseUrl;
+};
+
+/**
+ * Pick up a login kept by the server from an earlier visit
+ *
+ * @param {Function}    [callbackFn]    Called with the username, or null if not logged in
+ * @param {*}           [context]       The callback context
+ */
+AccountClient.prototype.checkLogin = function( callbackFn, context ) {
+    this.request( "GET", "/api/account", null, function( request ) {
+        this.setUser( JSON.parse( request.responseText ).username );
+
+        if( callbackFn != null )
+            callbackFn.call( context, this.username );
+    }, function() {
+        if( callbackFn != null )
+            callbackFn.call( context, null );
+    } );
+};
+
+/**
+ * Log in
+ *
+ * @param {String}      username        The username
+ * @param {String}      password        The password
+ * @param {Boolean}     remember        True to stay logged in after the browser closes
+ * @param {Function}    [callbackFn]    Called with the username once logged in
+ * @param {*}           [context]       The callback context
+ * @param {Function}    [errorFn]       Called with an error message
+ */
+AccountClient.prototype.login = function( username, password, remember, callbackFn, context, errorFn ) {
+    var body = JSON.stringify( { username: username, password: password, remember: remember } );
+
+    this.request( "POST", "/api/login", { body: body, contentType: "application/json" }, function( request ) {
+        this.setUser( JSON.parse( request.responseText ).username );
+
+        if( callbackFn != null )
+            callbackFn.call( context, this.username );
+    }, function( status, request ) {
+        if( errorFn != null )
+            errorFn.call( context, this.getErrorMessage( "Can't log in", status, request ) );
+    } );
+};
+
+/**
+ * Log out. Changes still waiting to be sent are kept for the
+ * next login.
+ *
+ * @param {Function}    [callbackFn]    Called once logged out
+ * @param {*}           [context]       The callback context
+ */
+AccountClient.prototype.logout = function( callbackFn, context ) {
+    function loggedOut() {
+        this.setUser( null );
+
+        if( callbackFn != null )
+            callbackFn.call( context );
+    }
+
+    this.request( "POST", "/api/logout", null, loggedOut, loggedOut );
+};
+
+/**
+ * List the items of a kind saved to the account
+ *
+ * @param {String}      kind            "scenes", "eqpresets" or "takes"
+ * @param {Function}    callbackFn      Called with the items, as {name, version, updated, size}
+ * @param {*}           [context]       The callback context
+ * @param {Function}    [errorFn]       Called with an error message
+ */
+AccountClient.prototype.list = function( kind, callbackFn, context, errorFn ) {
+    this.request( "GET", "/api/" + kind, null, function( request ) {
+        callbackFn.call( context, JSON.parse( request.responseText ).items );
+    }, function( status, request ) {
+        if( errorFn != null )
+            errorFn.call( context, this.getErrorMessage( "Can't list your " + kind, status, request ) );
+    } );
+};
+
+/**
+ * Load an item from the account. Its version becomes the one
+ * our copy is based on.
+ *
+ * @param {String}      kind            "scenes", "eqpresets" or "takes"
+ * @param {String}      name            The item name
+ * @param {Function}    callbackFn      Called with the item: parsed JSON, or an ArrayBuffer for takes
+ * @param {*}           [context]       The callback context
+ * @param {Function}    [errorFn]       Called with an error message
+ */
+AccountClient.prototype.load = function( kind, name, callbackFn, context, errorFn ) {
+    var isJson = AccountClient.CONTENT_TYPES[ kind ] == "application/json";
+    var options = { responseType: isJson ? "" : "arraybuffer" };
+
+    this.request( "GET", this.getItemPath( kind, name ), options, function( request ) {
+        var data = isJson ? JSON.parse( request.responseText ) : request.response;
+
+        this.setVersion( kind, name, this.getVersion( request ) );
+        callbackFn.call( context, data );
+    }, function( status, request ) {
+        if( errorFn != null )
+            errorFn.call( context, this.getErrorMessage( "Can't load '" + name + "'", status, request ) );
+    } );
+};
+
+/**
+ * Save an item to the account
+ *
+ * A scene or preset that can't be sent now is queued, and
+ * the callback is called with a null version and true.
+ *
+ * @param {String}      kind            "scenes", "eqpresets" or "takes"
+ * @param {String}      name            The item name
+ * @param {Object|Blob} data            The item: an object for scenes and presets, or a WAV Blob for takes
+ * @param {Function}    [callbackFn]    Called with the saved version, and whether it was queued instead
+ * @param {*}           [context]       The callback context
+ * @param {Function}    [errorFn]       Called with an error message, and a conflict if it was turned down
+ */
+AccountClient.prototype.save = function( kind, name, data, callbackFn, context, errorFn ) {
+    this.send( { op: "save", kind: kind, name: name, data: data }, callbackFn, context, errorFn );
+};
+
+/**
+ * Delete an item from the account
+ *
+ * A deletion that can't be sent now is queued, and the
+ * callback is called with null and true.
+ *
+ * @param {String}      kind            "scenes", "eqpresets" or "takes"
+ * @param {String}      name            The item name
+ * @param {Function}    [callbackFn]    Called with null once deleted, and whether it was queued instead
+ * @param {*}           [context]       The callback context
+ * @param {Function}    [errorFn]       Called with an error message, and a conflict if it was turned down
+ */
+AccountClient.prototype.remove = function( kind, name, callbackFn, context, errorFn ) {
+    this.send( { op: "remove", kind: kind, name: name, data: null }, callbackFn, context, errorFn );
+};
+
+/**
+ * Apply a change the server turned down, replacing the
+ * server's version of the item
+ *
+ * @param {Object}      conflict        The conflict
+ * @param {Function}    [callbackFn]    Called with the saved version, or once deleted
+ * @param {*}           [context]       The callback context
+ * @param {Function}    [errorFn]       Called with an error message, and a conflict if it changed again
+ */
+AccountClient.prototype.overwrite = function( conflict, callbackFn, context, errorFn ) {
+    this.setVersion( conflict.kind, conflict.name, conflict.version );
+    this.send( conflict, callbackFn, context, errorFn );
+};
+
+/**
+ * Send the queued changes, oldest first, stopping if the
+ * server can't be reached
+ */
+AccountClient.prototype.flush = function() {
+    if( this.flushing || !this.isLoggedIn() || this.pending.length == 0 )
+        return;
+
+    var change = this.pending[0];
+    this.flushing = true;
+
+    var me = this;
+    function sent() {
+        // It may have been replaced by a newer change meanwhile
+        var index = me.pending.indexOf( change );
+        if( index >= 0 )
+            me.pending.splice( index, 1 );
+
+        me.flushing = false;
+        me.store();
+        me.events.emit( "pending", me.pending.length );
+
+        me.flush();
+    }
+
+    this.sendNow( change, sent, function( status, request ) {
+        // Keep the change for when we can send it
+        if( status == 0 || status == 401 ) {
+            me.flushing = false;
+            return;
+        }
+
+        // Other failures won't go away by retrying, so drop
+        // the change, handing any conflict on
+        sent();
+        if( status == 412 )
+            me.events.emit( "conflict", me.getConflict( change, request ) );
+        else
+            me.events.emit( "error", me.getErrorMessage(
+                    "Can't sync '" + change.name + "'", status, request ) );
+    } );
+};
+
+/**
+ * Send a change, or queue it if the server can't be reached
+ * @private
+ *
+ * @param {{op:String, kind:String, name:String, data:*}}  change  The change
+ * @param {Function}    [callbackFn]    Called with the saved version, and true if queued instead
+ * @param {*}           [context]       The callback context
+ * @param {Function}    [errorFn]       Called with an error message, and any conflict
+ */
+AccountClient.prototype.send = function( change, callbackFn, context, errorFn ) {
+    var me = this;
+
+    function fail( message, conflict ) {
+        if( errorFn != null )
+            errorFn.call( context, message, conflict );
+    }
+
+    if( !this.isLoggedIn() ) {
+        fail( "Log in to sync '" + change.name + "'" );
+        return;
+    }
+
+    var isQueueable = AccountClient.CONTENT_TYPES[ change.kind ] == "application/json";
+
+    // Keep changes in order behind the queued ones
+    if( this.pending.length > 0 && isQueueable ) {
+        this.queue( change );
+        this.flush();
+
+        if( callbackFn != null )
+            callbackFn.call( context, null, true );
+        return;
+    }
+
+    this.sendNow( change, function( version ) {
+        if( callbackFn != null )
+            callbackFn.call( context, version, false );
+    }, function( status, request ) {
+        if( status == 0 && isQueueable ) {
+            me.queue( change );
+
+            if( callbackFn != null )
+                callbackFn.call( context, null, true );
+        } else if( status == 0 ) {
+            fail( "Can't reach the server to save '" + change.name + "'" );
+        } else if( status == 412 ) {
+            fail( "'" + change.name + "' has changed in your account since you last synced it",
+                  me.getConflict( change, request ) );
+        } else {
+            fail( me.getErrorMessage( "Can't sync '" + change.name + "'", status, request ) );
+        }
+    } );
+};
+
+/**
+ * Send a change to the server, based on our copy's version
+ * @private
+ *
+ * @param {{op:String, kind:String, name:String, data:*}}  change  The change
+ * @param {Function}    callbackFn      Called with the saved version, or null once deleted
+ * @param {Function}    errorFn         Called with the HTTP status, 0 if the server can't be reached, and the request
+ */
+AccountClient.prototype.sendNow = function( change, callbackFn, errorFn ) {
+    var kind = change.kind;
+    var name = change.name;
+    var version = this.versions[ this.getItemKey( kind, name ) ];
+
+    var headers = {};
+    if( version != null )
+        headers[ "If-Match" ] = "\"" + version + "\"";
+
+    if( change.op == "remove" ) {
+        this.request( "DELETE", this.getItemPath( kind, name ), { headers: headers }, function() {
+            this.setVersion( kind, name, null );
+            callbackFn.call( this, null );
+        }, function( status, request ) {
+            // Already gone is as good as deleted
+            if( status == 404 ) {
+                this.setVersion( kind, name, null );
+                callbackFn.call( this, null );
+            } else {
+                errorFn.call( this, status, request );
+            }
+        } );
+        return;
+    }
+
+    if( version == null )
+        headers[ "If-None-Match" ] = "*";
+
+    var contentType = AccountClient.CONTENT_TYPES[ kind ];
+    var options = {
+        body:           contentType == "application/json" ? JSON.stringify( change.data ) : change.data,
+        contentType:    contentType,
+        headers:        headers
+    };
+
+    this.request( "PUT", this.getItemPath( kind, name ), options, function( request ) {
+        var saved = JSON.parse( request.responseText ).version;
+
+        this.setVersion( kind, name, saved );
+        callbackFn.call( this, saved );
+    }, errorFn );
+};
+
+/**
+ * Queue a change, replacing any queued change to the same item
+ * @private
+ *
+ * @param {{op:String, kind:String, name:String, data:*}}  change  The change
+ */
+AccountClient.prototype.queue = function( change ) {
+    this.pending = this.pending.filter( function( queued ) {
+        return queued.kind != change.kind || queued.name != change.name;
+    } );
+    this.pending.push( { op: change.op, kind: change.kind, name: change.name, data: change.data } );
+
+    this.store();
+    this.events.emit( "pending", this.pending.length );
+};
+
+/**
+ * Build the conflict for a change the server turned down, and
+ * forget our copy's version, as it's no longer the latest
+ * @private
+ *
+ * @param {{op:String, kind:String, name:String, data:*}}  change  The change
+ * @param {XMLHttpRequest}  request     The turned down request
+ *
+ * @returns {{op:String, kind:String, name:String, data:*, version:Number}}
+ */
+AccountClient.prototype.getConflict = function( change, request ) {
+    var version = null;
+    try {
+        version = JSON.parse( request.responseText ).version;
+    } catch( e ) {
+        version = null;
+    }
+
+    this.setVersion( change.kind, change.name, null );
+
+    return {
+        op:         change.op,
+        kind:       change.kind,
+        name:       change.name,
+        data:       change.data,
+        version:    version
+    };
+};
+
+/**
+ * Switch to a user's sync state, or to none when logged out
+ * @private
+ *
+ * @param {String}  username    The username, or null
+ */
+AccountClient.prototype.setUser = function( username ) {
+    if( username == this.username )
+        return;
+
+    var wasLoggedIn = this.isLoggedIn();
+    this.username = username;
+    this.versions = {};
+    this.pending = [];
+    this.flushing = false;
+
+    if( username == null ) {
+        if( wasLoggedIn )
+            this.events.emit( "logout" );
+        return;
+    }
+
+    try {
+        var state = JSON.parse( localStorage.getItem( this.getStorageKey() ) ) || {};
+        this.versions = state.versions || {};
+        this.pending = state.pending || [];
+    } catch( e ) {
+        this.versions = {};
+        this.pending = [];
+    }
+
+    this.events.emit( "login", username );
+    this.events.emit( "pending", this.pending.length );
+    this.flush();
+};
+
+/**
+ * Returns the version our copy of an item is based on
+ * @private
+ *
+ * @param {XMLHttpRequest}  request     A response with the item's ETag
+ *
+ * @returns {Number}    The version, or null if there's no ETag
+ */
+AccountClient.prototype.getVersion = function( request ) {
+    var etag = request.getResponseHeader( "ETag" );
+    if( etag == null )
+        return null;
+
+    return parseInt( etag.replace( /^W\//, "" ).replace( /"/g, "" ), 10 );
+};
+
+/**
+ * Set the version our copy of an item is based on
+ * @private
+ *
+ * @param {String}  kind        The item kind
+ * @param {String}  name        The item name
+ * @param {Number}  version     The version, or null if we have no server copy
+ */
+AccountClient.prototype.setVersion = function( kind, name, version ) {
+    var key = this.getItemKey( kind, name );
+    if( version == null )
+        delete this.versions[ key ];
+    else
+        this.versions[ key ] = version;
+
+    this.store();
+};
+
+/**
+ * Save the sync state of the logged in user to localStorage
+ * @private
+ */
+AccountClient.prototype.store = function() {
+    if( !this.isLoggedIn() )
+        return;
+
+    localStorage.setItem( this.getStorageKey(), JSON.stringify( {
+        versions:   this.versions,
+        pending:    this.pending
+    } ) );
+};
+
+/**
+ * Returns the localStorage key of the logged in user's sync
+ * state, which is kept per server and user
+ * @private
+ *
+ * @returns {String}
+ */
+AccountClient.prototype.getStorageKey = function() {
+    return this.storageKey + "." + this.baseUrl + "." + this.username;
+};
+
+/**
+ * @private
+ */
+AccountClient.prototype.getItemKey = function( kind, name ) {
+    return kind + "/" + name;
+};
+
+/**
+ * @private
+ */
+AccountClient.prototype.getItemPath = function( kind, name ) {
+    return "/api/" + kind + "/" + encodeURIComponent( name );
+};
+
+/**
+ * Returns an error message for a failed request
+ * @private
+ *
+ * @param {String}          prefix      What failed
+ * @param {Number}          status      The HTTP status, 0 if the server can't be reached
+ * @param {XMLHttpRequest}  request     The request
+ *
+ * @returns {String}
+ */
+AccountClient.prototype.getErrorMessage = function( prefix, status, request ) {
+    if( status == 0 )
+        return prefix + ": can't reach the server at '" + this.baseUrl + "'";
+
+    var reason = request.statusText;
+    try {
+        reason = JSON.parse( request.responseText ).error || reason;
+    } catch( e ) {
+        // Not a JSON response, or not text at all
+    }
+
+    return prefix + ": " + reason;
+};
+
+/**
+ * Send a request to the server, with the login cookie
+ * @private
+ *
+ * @param {String}      method          The HTTP method
+ * @param {String}      path            The path on the server
+ * @param {Object}      [options]       The request options
+ *
+ * @param {*}           [options.body]          The request body
+ * @param {String}      [options.contentType]   The body's content type
+ * @param {Object}      [options.headers]       Other request headers
+ * @param {String}      [options.responseType]  The response type
+ *
+ * @param {Function}    callbackFn      Called with the request when it succeeds
+ * @param {Function}    errorFn         Called with the HTTP status, 0 if the server can't be reached, and the request
+ */
+AccountClient.prototype.request = function( method, path, options, callbackFn, errorFn ) {
+    options = options || {};
+
+    var me = this;
+    var request = new XMLHttpRequest();
+    request.open( method, this.baseUrl + path, true );
+    request.withCredentials = true;
+
+    if( options.responseType )
+        request.responseType = options.responseType;
+
+    if( options.contentType )
+        request.setRequestHeader( "Content-Type", options.contentType );
+
+    var headers = options.headers || {};
+    Object.keys( headers ).forEach( function( name ) {
+        request.setRequestHeader( name, headers[ name ] );
+    } );
+
+    request.onload = function() {
+        if( request.status >= 200 && request.status < 300 ) {
+            callbackFn.call( me, request );
+            return;
+        }
+
+        // The login has expired, or was ended elsewhere
+        if( request.status == 401 && path != "/api/login" )
+            me.setUser( null );
+
+        errorFn.call( me, request.status, request );
+    };
+
+    request.onerror = function() {
+        errorFn.call( me, 0, request );
+    };
+
+    request.send( options.body != null ? options.body : null );
+};
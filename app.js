@@ -1,172 +1,3 @@
-/**
- * Load an audio sample from a URL
- * @param {String}                                  url                     The audio asset url
- * @param {function(audioData:Array)}               [loadedCallbackFn]      A callback function triggered when the audio is successfully loaded
- * @param {*}                                       [callbackContext]       The callback function context
- */
-function loadAudioFromUrl( url, loadedCallbackFn, callbackContext ) {
-    var request = new XMLHttpRequest();
-    request.open("GET", url, true);
-    request.responseType = "arraybuffer";
-
-    request.onload = function() {
-        consoleout( "Loaded audio '" + url + "'" );
-
-        later( 0,
-               loadedCallbackFn,
-               callbackContext,
-               request.response );
-    };
-
-    request.onerror = function() {
-        consoleout(
-            "ERROR: Failed to load audio from " + url );
-    };
-
-    request.send();
-}
-
-/**
- * The audio layer class
- *
- * @param {AudioContext}  audioContext  The bus' parent audio context
- *
- * @constructor
- */
-function AudioLayer( audioContext ) {
-    this.audioContext = audioContext;
-
-    // Create the volume GainNode
-    this.volNode = audioContext.createGain();
-
-    // Expose the gain control
-    this.gain = this.volNode.gain;
-
-    // Calculate the frequency metrics
-    var EQ_FREQ_MARGIN = 1000;  // margin for equalizer range
-    var NODES_NUM = 5;          // number of equalizer nodes
-
-    var tempFilter = audioContext.createBiquadFilter();
-    var freqMin = 10 + EQ_FREQ_MARGIN;
-    var freqMax = Math.round(this.audioContext.sampleRate * 0.5 ) - EQ_FREQ_MARGIN;
-    var freqStep = (freqMax - freqMin) / (NODES_NUM - 1);
-
-    console.log(tempFilter);
-    console.log( 'freq min=' + freqMin);
-     console.log( 'freq max=' + freqMax);
-
-    // Create the equalizer nodes to cover the
-    // frequency spectrum evenly
-    var headNode = audioContext.destination;
-    this.eqNodes = [];
-    this.eqParms = [];
-    for( var nodeIndex = 0;
-         nodeIndex < NODES_NUM;
-         nodeIndex++ ) {
-        // Set up the filter
-        var eqNode = audioContext.createBiquadFilter();
-
-        eqNode.frequency.value =
-                Math.round( freqMin + (nodeIndex * freqStep) );
-        console.log( Math.round( freqMin + (nodeIndex * freqStep) ));
-        if( nodeIndex == 0 ) {
-            // Use a low shelf filter for the lowest filter
-            eqNode.type = "lowshelf";
-        } else if( nodeIndex == NODES_NUM - 1 ) {
-            // Use a high shelf filter for the lowest filter
-            eqNode.type = "highshelf";
-        } else {
-            eqNode.type = "peaking";
-        }
-
-        // Connect to the previous node
-        eqNode.connect( headNode );
-
-        // Keep track of the node
-        this.eqNodes.push( eqNode );
-
-        // Add the tweakable audio parameters to the
-        // equalizer parameter array
-        this.eqParms.push({
-            frequency:  eqNode.frequency,
-            Q:          eqNode.Q,
-            gain:       eqNode.gain
-        } );
-
-
-
-        // Keep track of the head node
-        headNode = eqNode;
-    }
-
-    // Connect the volume control to the last head node
-    this.volNode.connect( headNode );
-}
-
-/**
- * Returns the equalizer frequency response
- *
- * @param {Float32Array}  freqs   List of frequencies to sample
- *
- * @returns {Float32Array}   The equalizer frequency response in dB
- */
-AudioLayer.prototype.getEqResponse = function( freqs ) {
-    var magCombined = new Float32Array( freqs.length );
-
-    // Get the frequency response from all the eq nodes
-    var eqNodes = this.eqNodes;
-    var magCurr = new Float32Array( freqs.length );
-    var phaseCurr = new Float32Array( freqs.length );
-    for( var eqIndex = 0; eqIndex < eqNodes.length; eqIndex++ ) {
-        eqNodes[ eqIndex ].getFrequencyResponse(
-                freqs,
-                magCurr,
-                phaseCurr );
-
-        // Combine the node magnitudes
-        for( var freqIndex = 0; freqIndex < freqs.length; freqIndex++ ) {
-            var magDb = Math.log(magCurr[ freqIndex ]) * 20;
-            magCombined[ freqIndex ] += magDb;
-        }
-    }
-
-    return magCombined;
-};
-
-/**
- * Play an audio buffer sound
- *
- * @param {AudioBuffer} audioSrc    The source audio buffer
- * @param {Number}      startSecs   The scheduled start time
- * @param {Boolean}     [loop]      true to enable looping
- *
- * @returns {AudioBufferSourceNode}
- */
-AudioLayer.prototype.playAudioBuffer = function( audioSrc,
-                                                 startSecs,
-                                                 loop ) {
-    // Create the audio source node
-    var sourceNode = this.audioContext.createBufferSource();
-    sourceNode.buffer = audioSrc;
-
-    // Add backwards compatibility
-    if( sourceNode.stop == null )
-        sourceNode.stop = sourceNode.noteOff;
-    if( sourceNode.start == null )
-        sourceNode.start = sourceNode.noteOn;
-
-    // Turn on looping if necessary
-    if( loop )
-        sourceNode.loop = true;
-
-    // Connect the node to the volume control
-    sourceNode.connect( this.volNode );
-
-    // Start playback
-    sourceNode.start( startSecs );
-    return sourceNode;
-};
-
 /**
  * Web Audio application
  * @constructor
@@ -195,29 +26,6 @@ WebAudioApp.prototype.initWebAudio = function() {
     return true;
 };
 
-/**
- * Loads audio into an AudioBuffer
- * @private
- *
- * @param {String}                          audioSrc
- * @param {function(buffer:AudioBuffer)}    callbackFn
- * @param {*}                               [context]
- */
-WebAudioApp.prototype.loadAudio = function( audioSrc, callbackFn, context ) {
-    loadAudioFromUrl( audioSrc, function(audioData){
-        // Decode the audio data into an audio buffer
-        this.audioContext.decodeAudioData(
-            audioData,
-            function( audioBuffer ) {
-                consoleout( "Decoded audio for '"
-                        + audioSrc + "'" );
-
-                callbackFn.call( context || this, audioBuffer );
-            }
-        );
-    }, this );
-};
-
 /**
  * Application entry point
  */
@@ -227,101 +35,29 @@ WebAudioApp.prototype.start = function() {
         return;
     }
 
-    // Initialize the music tracker attributes
-    this.musicLayer = new AudioLayer( this.audioContext );
-    this.musicGroups = {};
-    this.musicStartSecs = -1;
-    this.activeMusicGroupCount = 0;
-
-    // Initialize beats as one group
-    this.initMusic(
-        "#beat1",
-        "beats",
-        "assets/dnb160.wav" );
-    this.initMusic(
-        "#beat2",
-        "beats",
-        "assets/looperman-l-0082073-0016550-mrrobot-mrrobot-dnbazzz-g-02-160.wav" );
-    this.initMusic(
-        "#beat3",
-        "beats",
-        "assets/looperman-l-1048767-0076807-buffalonugaluss-dnb-breaks.wav");
-    this.initMusic(
-        "#beat4",
-        "beats",
-        "assets/looperman-l-0063133-0011583-rogueai-amen-break-sliced-160.wav");
+    // Create the sampler engine. The page is one client of it,
+    // following its events to keep the controls in step.
+    this.engine = new SamplerEngine( this.audioContext );
+    this.musicLayer = this.engine.musicLayer;
+    this.initEngineEvents();
 
-    // Initialize the instruments as one group
-    this.initMusic(
-        "#guitar",
-        "instruments",
-        "assets/looperman-l-1295091-0077015-gdenza-12-bar-a-blues.wav" );
-    this.initMusic(
-        "#piano",
-        "instruments",
-        "assets/looperman-l-0450777-0077228-boysurgeon-piano.wav" );
-    this.initMusic(
-        "#bass",
-        "instruments",
-        "assets/looperman-l-0379853-0063872-alen9r-ops-cats-banger-bass.wav" );
-    this.initMusic(
-        "#orchestra",
-        "instruments",
-        "assets/looperman-l-0139050-0047375-dusthill-who-dat-orchestral.wav" );
+    // Share the engine's events for the page's own announcements
+    this.events = this.engine.events;
 
-    // Initialize the synths as individual groups
-    this.initMusic(
-        "#woozySynth",
-        "synths",
-        "assets/looperman-l-1033898-0077790-gabriel766-you-wont-remember.wav" );
-    this.initMusic(
-        "#raveSynth",
-        "synths",
-        "assets/looperman-l-1177594-0075459-robosocks-rave-synth.wav" );
-    this.initMusic(
-        "#shredSynth",
-        "synths",
-        "assets/looperman-l-0671112-0067273-danke-shred.wav" );
-    this.initMusic(
-        "#electro",
-        "synths",
-        "assets/looperman-l-0148594-0015226-ecksjoe-dnb-techno-groove-loop.wav" );
+    // Initialize the project tempo
+    this.initTempo( "#bpm", "#bpm_value", "#timesig", "#taptempo" );
+    this.initTransport( "#transport", "#beatflash", "#metronome", "#metrovol", "#countin", "#keepclock" );
 
-    //initialize the sfx
-    this.initMusic(
-        "#drop1",
-        "drop1",
-        "assets/looperman-l-0562523-0047663-digitalskyy-bombs-away-mayday-malone.wav" );
-    this.initMusic(
-        "#applause",
-        "applause",
-        "assets/applause.mp3" );
-    this.initMusic(
-        "#airhorn",
-        "airhorn",
-        "assets/airHorn.mp3" ); 
-    this.initMusic(
-        "#wub",
-        "wub",
-        "assets/looperman-l-0691016-0058556-lfbofficial-heavy-bass-shot-160-bpm.wav" );
+    // Initialize the sample kits, keeping their decoded audio
+    // with the imported samples
+    this.initSampleImport();
+    this.engine.audioCache = this.sampleStore;
+    this.initKits( "#kitselect", "kits/kits.json" );
 
-    //initialize the banter
-    this.initMusic(
-        "#jesus",
-        "jesus",
-        "assets/jesusChrist.mp3" );
-    this.initMusic(
-        "#dread",
-        "dread",
-        "assets/dreadControl.mp3" );
-    this.initMusic(
-        "#tellDj",
-        "tellDj",
-        "assets/tellDJ.mp3" );
-    this.initMusic(
-        "#sizzla",
-        "sizzla",
-        "assets/sizzla.mp3" );
+    // Initialize the recorder and the offline bounce
+    this.takes = {};
+    this.initRecorder( "#record", "#takes" );
+    this.initBounce( "#bouncebars", "#bounce", "#takes" );
 
     // Initialize the volume slider
     this.initSlider(
@@ -330,67 +66,261 @@ WebAudioApp.prototype.start = function() {
             0.01,
             "music volume" );
 
+    // Initialize the effects rack
+    this.initEffects( "#fxrack" );
+
+    // Initialize the master dynamics
+    this.initMaster( "#master", "#grmeter", "#cliplamp" );
+
+    // Initialize the ducking under the one-shots
+    this.initDucking( "#duckon", "#ducking", "#duckmeter" );
+
+    // Initialize the performance effect pads
+    this.initPerformanceFx( "#perftarget", "#perfdivision", "#perfpads" );
+
+    // Initialize the pattern recorder and arrangement timeline
+    this.initArrangement( "#arrrecord", "#arrplay", "#arrexport", "#arrimport",
+                          "#arrtimeline", "#arrlanes" );
+
+    // Initialize the MIDI controller support
+    this.initMidi( "#midilearn", "#midistatus", "#midiexport", "#midiimport", "#midiclear" );
+
     // Initialize the equalizer sliders
+    var eqNodes = this.musicLayer.eqNodes;
     var eqParms = this.musicLayer.eqParms;
     for( var nodeIndex = 0; nodeIndex < eqParms.length; nodeIndex++ ) {
         var parms = eqParms[ nodeIndex ];
-        var freqValue = String( parms.frequency.value );
+        var bandLabel = "EQ band " + (nodeIndex + 1);
         this.initSlider(
             "#eq_gain_" + nodeIndex,
             parms.gain,
             0.01,
-            "Gain " + freqValue + " Hz",
-            {
-                orientation: "vertical"
-            } );
-        this.initSlider(
-            "#eq_q_" + nodeIndex,
-            parms.Q,
-            0.01,
-            "Q " + freqValue + " Hz",
+            bandLabel + " gain",
             {
                 orientation: "vertical",
-                min: 0.25,
-                max: 2.5
+                min: -24,
+                max: 24
             } );
 
-        // Set up the label
-        $("#eq_label_" + nodeIndex).text( freqValue + " Hz" );
+        // Shelf filters don't use Q
+        if( eqNodes[ nodeIndex ].type == "peaking" )
+            this.initSlider(
+                "#eq_q_" + nodeIndex,
+                parms.Q,
+                0.01,
+                bandLabel + " Q",
+                {
+                    orientation: "vertical",
+                    min: 0.25,
+                    max: 2.5
+                } );
     }
 
+    // Set up the band labels
+    this.updateEqLabels();
+
     // Set up equalizer graphics update on slider change
     var me = this;
     $( "[id^=eq_]" ).on( "slide", function() {
         me.updateEqGraphic();
     } );
 
+    // Initialize the equalizer editor and presets
+    this.initEqEditor( "#eqcanvas", "#eq_band_min", "#eq_band_max", "#eq_band_apply" );
+    this.initEqPresets( "#eq_presets", "#eq_preset_save", "#eq_preset_delete" );
+
     // Refresh the equalizer graphics
     this.updateEqGraphic();
+
+    // Start the spectrum analyzer and level meters
+    this.initAnalyzer( "#eqmeters" );
+
+    // Initialize the modulation sources
+    this.initModulation( "#modsources", "#modassigns", "#modaddlfo", "#modaddenv", "#modassign" );
+
+    // Initialize the loop slicer
+    this.initSlicer( "#slicesource", "#slicemode", "#slicecanvas",
+                     "#slicepads", "#slicesteps", "#sliceplay" );
+
+    // Initialize the scene snapshots
+    this.initScenes( "#scenes", "#scenesave", "#scenedelete",
+                     "#sceneexport", "#sceneimport", "#sceneshare" );
+
+    // Initialize the jam sessions
+    this.initSession( "#sessionrelay", "#sessionname", "#sessioncode",
+                      "#sessionjoin", "#sessionleave", "#sessionstatus", "#sessionplayers" );
+
+    // Initialize the account sync, and logging in to it
+    this.initAccount( "#accountserver", "#accountstatus", "#accountkind", "#accountitems",
+                      "#accountsave", "#accountload", "#accountdelete", "#takes" );
+    this.initLogin( "#login", "#loginLink", "#logoutLink" );
+
+    // Keep the board available offline
+    this.initServiceWorker( "sw.js" );
 };
 
 /**
- * Update the equalizer graphics
+ * Register the service worker that caches the page and its
+ * assets for offline use
  * @private
+ *
+ * @param {String}  scriptUrl       The service worker script URL
  */
-WebAudioApp.prototype.updateEqGraphic = function() {
-    var FREQ_MIN  = 10;             // Hz
-    var FREQ_MAX  = Math.round(
-            this.audioContext.sampleRate * 0.5 );
+WebAudioApp.prototype.initServiceWorker = function( scriptUrl ) {
+    if( navigator.serviceWorker == null )
+        return;
+
+    navigator.serviceWorker.register( scriptUrl ).then(
+        function() {
+            consoleout( "Offline cache ready" );
+        },
+        function() {
+            consoleout( "ERROR: Failed to set up the offline cache" );
+        } );
+};
+
+/**
+ * Keep the page in step with the engine
+ * @private
+ */
+WebAudioApp.prototype.initEngineEvents = function() {
+    var me = this;
+    var engine = this.engine;
+
+    engine.on( "log", consoleout );
+
+    // Move the sliders to match parameter changes
+    engine.on( "paramChange", function( elemId, value ) {
+        var jqSlider = $( elemId );
+
+        if( jqSlider.slider( "value" ) != value )
+            jqSlider.slider( "value", value )
+                .trigger( "slide", { value: value } );
+    } );
+
+    // Show the pads' loading progress and failures, and
+    // enable them as their audio arrives
+    engine.on( "padProgress", function( elemId, fraction ) {
+        $( elemId ).button( "widget" ).find( ".pad-progress" )
+            .css( "width", Math.round( fraction * 100 ) + "%" );
+    } );
+
+    engine.on( "padRetry", function( elemId, reason ) {
+        $( elemId ).button( "widget" )
+            .attr( "title", reason + ", retrying" )
+            .find( ".pad-progress" ).css( "width", 0 );
+    } );
+
+    engine.on( "padReady", function( elemId ) {
+        var jqWidget = $( elemId ).button( "option", "disabled", false )
+                .button( "widget" );
+
+        jqWidget.removeAttr( "title" ).find( ".pad-progress" ).remove();
+    } );
+
+    engine.on( "padError", function( elemId, reason ) {
+        $( elemId ).button( "widget" )
+            .addClass( "pad-failed" )
+            .attr( "title", reason )
+            .find( ".pad-progress" ).remove();
+    } );
+
+    // Light the loop toggles and count down to pending loops
+    engine.on( "loopScheduled", function( elemId, groupId, startSecs ) {
+        $( elemId ).prop( 'checked', true )
+                .button( "refresh" );
+
+        me.showLoopCountdown( elemId, startSecs );
+    } );
+
+    engine.on( "transition", function( groupId, fromElemId ) {
+        $( fromElemId ).prop( 'checked', false )
+                .button( "refresh" );
+    } );
+
+    engine.on( "loopStop", function( elemId ) {
+        $( elemId ).prop( 'checked', false )
+                .button( "refresh" );
+    } );
+
+    // Light the one-shot pads while they're playing
+    engine.on( "shot", function( elemId ) {
+        $( elemId ).addClass( "pad-playing" );
+    } );
+
+    engine.on( "shotEnd", function( elemId ) {
+        $( elemId ).removeClass( "pad-playing" );
+    } );
+};
+
+/**
+ * The equalizer graphic's frequency and gain ranges
+ */
+WebAudioApp.EQ_FREQ_MIN = 20;       // Hz
+WebAudioApp.EQ_MAG_MIN = -30;       // dB
+WebAudioApp.EQ_MAG_MAX = 30;        // dB
+
+/**
+ * Map a frequency onto the equalizer graphic's log axis
+ *
+ * @param {Number}  freq    The frequency in Hz
+ *
+ * @returns {Number}    The position from 0 (left) to 1 (right)
+ */
+WebAudioApp.prototype.eqFreqToPos = function( freq ) {
+    var freqMax = this.audioContext.sampleRate * 0.5;
+
+    return Math.log( freq / WebAudioApp.EQ_FREQ_MIN )
+        / Math.log( freqMax / WebAudioApp.EQ_FREQ_MIN );
+};
+
+/**
+ * Map a position on the equalizer graphic's log axis to a frequency
+ *
+ * @param {Number}  pos     The position from 0 (left) to 1 (right)
+ *
+ * @returns {Number}    The frequency in Hz
+ */
+WebAudioApp.prototype.eqPosToFreq = function( pos ) {
+    var freqMax = this.audioContext.sampleRate * 0.5;
+
+    return WebAudioApp.EQ_FREQ_MIN
+        * Math.pow( freqMax / WebAudioApp.EQ_FREQ_MIN, pos );
+};
+
+/**
+ * Update the equalizer band frequency labels
+ * @private
+ */
+WebAudioApp.prototype.updateEqLabels = function() {
+    var eqParms = this.musicLayer.eqParms;
+    for( var nodeIndex = 0; nodeIndex < eqParms.length; nodeIndex++ ) {
+        var freq = Math.round( eqParms[ nodeIndex ].frequency.value );
 
-    var MAG_MIN = -80;
-    var MAG_MAX = 80;
+        $( "#eq_label_" + nodeIndex ).text( freq >= 1000
+                ? (freq / 1000).toFixed( 1 ) + " kHz"
+                : freq + " Hz" );
+    }
+};
 
-    // Build the frequency response sampler list
+/**
+ * Update the equalizer graphics
+ * @private
+ */
+WebAudioApp.prototype.updateEqGraphic = function() {
+    // Build the log spaced frequency response sampler list
     if( this.eqFreqs == null ) {
-        var FREQS_NUM = 100;
-        var FREQ_STEP = (FREQ_MAX - FREQ_MIN) / (FREQS_NUM - 1);
+        var FREQS_NUM = 200;
 
         this.eqFreqs = new Float32Array( FREQS_NUM );
         for( var freqIndex = 0; freqIndex < FREQS_NUM; freqIndex++ )
             this.eqFreqs[freqIndex] =
-                Math.round( FREQ_MIN + (freqIndex * FREQ_STEP) );
+                this.eqPosToFreq( freqIndex / (FREQS_NUM - 1) );
     }
 
+    // The filter curves need recalculating
+    this.eqCurves = null;
+
     // If we have an update scheduled, don't do anything
     if( this.eqUpdateHandle != null )
         return;
@@ -398,227 +328,3391 @@ WebAudioApp.prototype.updateEqGraphic = function() {
     // Schedule the graphic update
     this.eqUpdateHandle = later( 0, function(){
         this.eqUpdateHandle = null;
+        this.drawEqGraphic();
+    }, this );
+};
 
-        var canvasCtx       = $( "#eqcanvas" )[0].getContext( "2d" );
-        var canvasWidth     = canvasCtx.canvas.width;
-        var canvasHeight    = canvasCtx.canvas.height;
+/**
+ * Draw the equalizer graphics, over the live spectrum
+ * @private
+ */
+WebAudioApp.prototype.drawEqGraphic = function() {
+    var MAG_MIN = WebAudioApp.EQ_MAG_MIN;
+    var MAG_MAX = WebAudioApp.EQ_MAG_MAX;
+
+    var GRID_FREQS  = [ 50, 100, 200, 500, 1000, 2000, 5000, 10000, 20000 ];
+    var BAND_COLORS = [ "#c08000", "#30a030", "#00a0a0", "#8040c0", "#c040a0" ];
+    var HANDLE_RADIUS = 6;
+
+    var me              = this;
+    var eqFreqs         = this.eqFreqs;
+    var musicLayer      = this.musicLayer;
+    var canvasCtx       = $( "#eqcanvas" )[0].getContext( "2d" );
+    var canvasWidth     = canvasCtx.canvas.width;
+    var canvasHeight    = canvasCtx.canvas.height;
+
+    function magToY( mag ) {
+        mag = Math.max( MAG_MIN, Math.min( MAG_MAX, mag ) );
+        return canvasHeight -
+                Math.round( (mag - MAG_MIN) * canvasHeight / (MAG_MAX - MAG_MIN) );
+    }
 
-        // Calculate the draw steps
-        var stepX = canvasWidth / (FREQ_MAX - FREQ_MIN);
-        var stepY = canvasHeight / (MAG_MAX - MAG_MIN );
+    function freqToX( freq ) {
+        return Math.round( me.eqFreqToPos( freq ) * canvasWidth );
+    }
 
-        // Clear the canvas
-        canvasCtx.fillStyle = "#f0f0f0";
-        canvasCtx.fillRect( 0, 0, canvasWidth, canvasHeight );
+    function pointToX( index ) {
+        return Math.round( index * canvasWidth / (eqFreqs.length - 1) );
+    }
 
-        // Draw the frequency response
-        var eqFreqs = this.eqFreqs;
-        var eqMag   = this.musicLayer.getEqResponse( eqFreqs );
-        var firstPt = true;
+    function drawResponse( mag, color, lineWidth ) {
         canvasCtx.beginPath();
         for( var index = 0; index < eqFreqs.length; index++ ) {
-            var x = Math.round( (eqFreqs[index] - FREQ_MIN) * stepX );
-            var y = canvasHeight -
-                        Math.round( (eqMag[index] - MAG_MIN) * stepY );
+            var x = pointToX( index );
+            var y = magToY( mag[index] );
 
-            if( firstPt ) {
-                firstPt = false;
+            if( index == 0 )
                 canvasCtx.moveTo( x, y );
-            } else {
+            else
                 canvasCtx.lineTo( x, y );
-            }
         }
 
-        canvasCtx.strokeStyle = "#ff0000";  // red line
+        canvasCtx.lineWidth = lineWidth;
+        canvasCtx.strokeStyle = color;
         canvasCtx.stroke();
+    }
+
+    // Calculate the filter curves, which only change
+    // when the equalizer is adjusted
+    if( this.eqCurves == null ) {
+        this.eqCurves = {
+            bands:      musicLayer.eqNodes.map( function( eqNode, bandIndex ) {
+                            return musicLayer.getEqBandResponse( bandIndex, eqFreqs );
+                        } ),
+            combined:   musicLayer.getEqResponse( eqFreqs )
+        };
+    }
+
+    // Clear the canvas
+    canvasCtx.fillStyle = "#f0f0f0";
+    canvasCtx.fillRect( 0, 0, canvasWidth, canvasHeight );
 
-        // Draw the neutral response line
-        var neutralY = canvasHeight -
-                Math.round( (0 - MAG_MIN) * stepY );
+    // Draw the live spectrum and its peak hold
+    if( this.spectrumLevels != null ) {
+        var SPECTRUM_MIN = WebAudioApp.SPECTRUM_MIN;
+        var SPECTRUM_MAX = WebAudioApp.SPECTRUM_MAX;
+
+        var spectrumToY = function( level ) {
+            level = Math.max( SPECTRUM_MIN, Math.min( SPECTRUM_MAX, level ) );
+            return canvasHeight - Math.round( (level - SPECTRUM_MIN)
+                    * canvasHeight / (SPECTRUM_MAX - SPECTRUM_MIN) );
+        };
+
+        canvasCtx.beginPath();
+        canvasCtx.moveTo( 0, canvasHeight );
+        for( var index = 0; index < eqFreqs.length; index++ )
+            canvasCtx.lineTo( pointToX( index ), spectrumToY( this.spectrumLevels[ index ] ) );
+        canvasCtx.lineTo( canvasWidth, canvasHeight );
+
+        canvasCtx.fillStyle = "#c8d0d8";
+        canvasCtx.fill();
 
         canvasCtx.beginPath();
-        canvasCtx.moveTo( 0, neutralY );
-        canvasCtx.lineTo( canvasWidth, neutralY );
+        for( index = 0; index < eqFreqs.length; index++ ) {
+            var holdY = spectrumToY( this.spectrumHold[ index ] );
 
-        canvasCtx.strokeStyle = "#3030ff";  // blue line
+            if( index == 0 )
+                canvasCtx.moveTo( 0, holdY );
+            else
+                canvasCtx.lineTo( pointToX( index ), holdY );
+        }
+
+        canvasCtx.lineWidth = 1;
+        canvasCtx.strokeStyle = "#98a4b0";
         canvasCtx.stroke();
-    }, this );
-};
+    }
 
-/**
- * Initialize a slider
- * @private
- *
- * @param {String}      elemId          The slider's HTML id
- * @param {AudioParam}  audioParam      The associated audio parameter
- * @param {Number}      stepSize        The slider step size
- * @param {String}      label           The slider label
- * @param {Object}      [override]      The slide overrides
- *
- * @param {String}      [override.value]            Slider value
- * @param {Number}      [override.min]              Minimum slider value
- * @param {Number}      [override.max]              Maximum slider value
- * @param {String}      [override.orientation]      Slider orientation
- */
-WebAudioApp.prototype.initSlider = function( elemId,
-                                             audioParam,
-                                             stepSize,
-                                             label,
-                                             override ) {
+    // Draw the frequency and gain grid
+    canvasCtx.beginPath();
+    GRID_FREQS.forEach( function( freq ) {
+        var x = freqToX( freq ) + 0.5;
+        canvasCtx.moveTo( x, 0 );
+        canvasCtx.lineTo( x, canvasHeight );
+    } );
+    for( var mag = MAG_MIN + 10; mag < MAG_MAX; mag += 10 ) {
+        var gridY = magToY( mag ) + 0.5;
+        canvasCtx.moveTo( 0, gridY );
+        canvasCtx.lineTo( canvasWidth, gridY );
+    }
 
-    override = override || {};
+    canvasCtx.lineWidth = 1;
+    canvasCtx.strokeStyle = "#d0d0d0";
+    canvasCtx.stroke();
 
-    // Initialize the slider
-    $( elemId ).slider({
-        orientation: override.orientation != null ? override.orientation : "horizontal",
+    canvasCtx.fillStyle = "#808080";
+    canvasCtx.font = "10px sans-serif";
+    [ 100, 1000, 10000 ].forEach( function( freq ) {
+        canvasCtx.fillText( freq >= 1000 ? (freq / 1000) + "k" : String( freq ),
+                freqToX( freq ) + 2, canvasHeight - 3 );
+    } );
 
-        min: override.min != null ? override.min : audioParam.minValue,
-        max: override.max != null ? override.max : audioParam.maxValue,
+    // Draw the neutral response line
+    var neutralY = magToY( 0 ) + 0.5;
 
-        step: stepSize,
+    canvasCtx.beginPath();
+    canvasCtx.moveTo( 0, neutralY );
+    canvasCtx.lineTo( canvasWidth, neutralY );
 
-        value: override.value != null ? override.value : audioParam.value,
+    canvasCtx.lineWidth = 1;
+    canvasCtx.strokeStyle = "#3030ff";  // blue line
+    canvasCtx.stroke();
 
-        // Add a callback function when the user
-        // moves the slider
-        slide: function( event, ui ) {
-            // Set the volume directly
-            audioParam.value = ui.value;
+    // Draw each band's contribution
+    this.eqCurves.bands.forEach( function( bandMag, bandIndex ) {
+        drawResponse( bandMag, BAND_COLORS[ bandIndex % BAND_COLORS.length ], 1 );
+    } );
 
-            consoleout( "Adjusted '"
-                    + label + "': "
-                    + ui.value );
-        }
-    });
+    // Draw the combined frequency response
+    drawResponse( this.eqCurves.combined, "#ff0000", 2 );
+
+    // Draw the band handles
+    musicLayer.eqParms.forEach( function( parms, bandIndex ) {
+        canvasCtx.beginPath();
+        canvasCtx.arc( freqToX( parms.frequency.value ), magToY( parms.gain.value ),
+                HANDLE_RADIUS, 0, Math.PI * 2 );
+
+        canvasCtx.fillStyle = BAND_COLORS[ bandIndex % BAND_COLORS.length ];
+        canvasCtx.fill();
+
+        canvasCtx.lineWidth = bandIndex == me.eqDragBand ? 3 : 1;
+        canvasCtx.strokeStyle = "#202020";
+        canvasCtx.stroke();
+    } );
 };
 
 /**
- * Initialize a music toggle
+ * The spectrum and level meter display ranges, in dBFS
+ */
+WebAudioApp.SPECTRUM_MIN = -100;
+WebAudioApp.SPECTRUM_MAX = -10;
+WebAudioApp.METER_MIN = -60;
+
+/**
+ * Start the live spectrum analyzer and level meters. Rendering
+ * is frozen while the page is hidden.
  * @private
  *
- * @param {String}  elemId          The button's HTML id
- * @param {String}  groupId         The music group id
- * @param {String}  audioSrc        The audio data's URL
- *
+ * @param {String}  metersElemId    The level meter canvas' HTML id
  */
-WebAudioApp.prototype.initMusic = function( elemId,
-                                            groupId,
-                                            audioSrc ) {
-    // Initialize the button and disable it
-    var jqButton = $( elemId ).button({ disabled: true });
-
-    // Load the audio
-    var audioBuffer;
-    this.loadAudio( audioSrc, function( audioBufferIn ) {
-        // Cache the audio buffer
-        audioBuffer = audioBufferIn;
+WebAudioApp.prototype.initAnalyzer = function( metersElemId ) {
+    var me = this;
+    var animFrame = null;
 
-        // Enable the toggle when audio is ready
-        jqButton.button( "option", "disabled", false );
-    }, this );
+    this.metersElemId = metersElemId;
+    this.analyzerSecs = -1;
 
-    // Initialize the group as necessary
-    if( this.musicGroups[ groupId ] == null )
-        this.musicGroups[ groupId ] = {};
+    // Map each sampled frequency onto a range of analyzer bins,
+    // halfway to its neighbours on the log axis
+    var eqFreqs = this.eqFreqs;
+    var binCount = this.musicLayer.analyserNode.frequencyBinCount;
+    var binHz = this.audioContext.sampleRate * 0.5 / binCount;
 
-    var musicLayer = this.musicLayer;
-    var musicGroup = this.musicGroups[ groupId ];
+    function freqToBin( freq ) {
+        return Math.max( 0, Math.min( binCount - 1, Math.round( freq / binHz ) ) );
+    }
 
-    // Register toggle click event
-    var me = this;
-    jqButton.click(function( event ) {
-        // Stopping the active loop?
-        if( !$(this).is(':checked') ) {
-            consoleout( "Stopping loop '"
-                    + musicGroup.activeSrc + "'" );
+    this.spectrumBins = [];
+    for( var index = 0; index < eqFreqs.length; index++ ) {
+        var binLow = index > 0
+                ? freqToBin( Math.sqrt( eqFreqs[ index - 1 ] * eqFreqs[ index ] ) )
+                : 0;
+        var binHigh = index < eqFreqs.length - 1
+                ? freqToBin( Math.sqrt( eqFreqs[ index ] * eqFreqs[ index + 1 ] ) )
+                : binCount - 1;
 
-            // Stop the loop
-            musicGroup.activeLoop.stop( 0 );
+        this.spectrumBins.push( [ binLow, Math.max( binLow, binHigh ) ] );
+    }
 
-            // Update the group music state
-            musicGroup.activeLoop = null;
-            musicGroup.activeSrc = null;
-            musicGroup.activeElemId = null;
+    this.spectrumLevels = new Float32Array( eqFreqs.length );
+    this.spectrumHold = new Float32Array( eqFreqs.length );
+    for( index = 0; index < eqFreqs.length; index++ )
+        this.spectrumHold[ index ] = WebAudioApp.SPECTRUM_MIN;
 
-            // Update the global music state
-            me.activeMusicGroupCount--;
+    this.meterHolds = [];
 
-            // No more active music? Reset the
-            // the next music start time
-            if( me.activeMusicGroupCount == 0 )
-                me.musicStartSecs = -1;
+    function render() {
+        animFrame = window.requestAnimationFrame( render );
 
-            return;
-        }
+        me.updateAnalyzer();
+        me.drawEqGraphic();
+        me.drawMeters();
 
-        // If we get here, we're starting a loop
-        var BUFFER_TIME = 2 / 1000; // 2 ms time buffer
+        me.events.emit( "analyzerFrame" );
+    }
 
-        // Assume the earliest transition time
-        var startSecs = me.audioContext.currentTime
-                + BUFFER_TIME;
+    function updateRendering() {
+        if( document.hidden ) {
+            if( animFrame != null )
+                window.cancelAnimationFrame( animFrame );
 
-        // If it's not the first music group activated,
-        // start playback on the next downbeat
-        if( me.activeMusicGroupCount > 0 ) {
-            var BPM               = 120;      // 120 bpm
-            var BEATS_PER_MEASURE = 4;
+            animFrame = null;
+        } else if( animFrame == null ) {
+            // Don't let the peak holds decay over the frozen time
+            me.analyzerSecs = -1;
+            render();
+        }
+    }
 
-            var BEAT_DURATION    = 60 / BPM;
-            var MEASURE_DURATION = BEAT_DURATION
-                    * BEATS_PER_MEASURE;
+    $( document ).on( "visibilitychange", updateRendering );
+    updateRendering();
+};
 
-            // Calculate the elapsed time for the active loop
-            var elapsedSecs = startSecs - me.musicStartSecs;
+/**
+ * Read the analyzer and update the spectrum and level peak holds
+ * @private
+ */
+WebAudioApp.prototype.updateAnalyzer = function() {
+    var SPECTRUM_DECAY = 20;    // dB per second
+    var METER_HOLD_SECS = 1;
+    var METER_DECAY = 20;       // dB per second
+
+    var nowSecs = window.performance.now() / 1000;
+    var elapsedSecs = this.analyzerSecs >= 0 ? nowSecs - this.analyzerSecs : 0;
+    this.analyzerSecs = nowSecs;
+
+    // Take the loudest bin for each sampled frequency
+    var spectrum = this.musicLayer.getSpectrum();
+    for( var index = 0; index < this.spectrumBins.length; index++ ) {
+        var bins = this.spectrumBins[ index ];
+        var level = -Infinity;
+        for( var binIndex = bins[0]; binIndex <= bins[1]; binIndex++ )
+            level = Math.max( level, spectrum[ binIndex ] );
+
+        this.spectrumLevels[ index ] = level;
+        this.spectrumHold[ index ] = Math.max( level,
+                this.spectrumHold[ index ] - SPECTRUM_DECAY * elapsedSecs );
+    }
 
-            if( elapsedSecs > 0 ) {
-                // Adjust the transition time to occur
-                // on the next downbeat
-                var measureSecs = elapsedSecs % MEASURE_DURATION;
+    // Hold each channel's peak, then let it fall
+    var meterHolds = this.meterHolds;
+    this.meterLevels = this.musicLayer.getLevels().map( function( levels, channelIndex ) {
+        var peakDb = 20 * Math.log( levels.peak ) / Math.LN10;
+        var hold = meterHolds[ channelIndex ];
 
-                if( measureSecs > 0 )
-                    startSecs += MEASURE_DURATION
-                            - measureSecs;
-            } else {
-                // The active loop hasn't started? Use the last
-                // transition time
-                startSecs = me.musicStartSecs;
-            }
+        if( hold == null || peakDb >= hold.level ) {
+            hold = meterHolds[ channelIndex ] = { level: peakDb, secs: nowSecs };
+        } else if( nowSecs - hold.secs > METER_HOLD_SECS ) {
+            hold.level -= METER_DECAY * elapsedSecs;
         }
 
-        // Does the group have an active loop?
-        if( musicGroup.activeLoop != null ) {
-            // Stop the last active loop at the playback time
-            musicGroup.activeLoop.stop( startSecs );
+        return {
+            peak:   peakDb,
+            rms:    20 * Math.log( levels.rms ) / Math.LN10,
+            hold:   hold.level
+        };
+    } );
+};
 
-            // Turn off the last active loop's toggle
-            $( musicGroup.activeElemId ).prop('checked', false )
-                    .button( "refresh" );
-        }
+/**
+ * Draw the peak/RMS level meters, one per channel
+ * @private
+ */
+WebAudioApp.prototype.drawMeters = function() {
+    var METER_MIN = WebAudioApp.METER_MIN;
+    var BAR_GAP = 2;
+
+    var canvasCtx       = $( this.metersElemId )[0].getContext( "2d" );
+    var canvasWidth     = canvasCtx.canvas.width;
+    var canvasHeight    = canvasCtx.canvas.height;
+    var meterLevels     = this.meterLevels;
+    var barWidth        = Math.floor( canvasWidth / meterLevels.length ) - BAR_GAP;
+
+    function levelToY( level ) {
+        level = Math.max( METER_MIN, Math.min( 0, level ) );
+        return Math.round( level * canvasHeight / METER_MIN );
+    }
+
+    canvasCtx.fillStyle = "#202020";
+    canvasCtx.fillRect( 0, 0, canvasWidth, canvasHeight );
+
+    meterLevels.forEach( function( levels, channelIndex ) {
+        var x = channelIndex * (barWidth + BAR_GAP) + BAR_GAP / 2;
+
+        // The peak level behind the brighter RMS level
+        var peakY = levelToY( levels.peak );
+        canvasCtx.fillStyle = "#2e7d32";
+        canvasCtx.fillRect( x, peakY, barWidth, canvasHeight - peakY );
+
+        var rmsY = levelToY( levels.rms );
+        canvasCtx.fillStyle = "#66d066";
+        canvasCtx.fillRect( x, rmsY, barWidth, canvasHeight - rmsY );
+
+        // The peak hold turns red when clipping
+        canvasCtx.fillStyle = levels.hold >= 0 ? "#ff3030" : "#f0d040";
+        canvasCtx.fillRect( x, levelToY( levels.hold ), barWidth, 2 );
+    } );
+};
+
+/**
+ * Initialize the interactive equalizer editor. The band handles
+ * on the graphic can be dragged to set the band frequency and
+ * gain, and the scroll wheel sets the nearest peaking band's Q.
+ * @private
+ *
+ * @param {String}  canvasId        The equalizer graphic's HTML id
+ * @param {String}  bandMinId       The lowest band frequency field's HTML id
+ * @param {String}  bandMaxId       The highest band frequency field's HTML id
+ * @param {String}  bandApplyId     The band placement button's HTML id
+ */
+WebAudioApp.prototype.initEqEditor = function( canvasId,
+                                               bandMinId,
+                                               bandMaxId,
+                                               bandApplyId ) {
+    var GRAB_DISTANCE = 12;     // px
+    var Q_WHEEL_FACTOR = 1.1;
+
+    var MAG_MIN = WebAudioApp.EQ_MAG_MIN;
+    var MAG_MAX = WebAudioApp.EQ_MAG_MAX;
+
+    var me = this;
+    var jqCanvas = $( canvasId );
+    var eqParms = this.musicLayer.eqParms;
+    var freqMax = Math.round( this.audioContext.sampleRate * 0.5 );
+
+    this.eqDragBand = -1;
+
+    // Get the event position in canvas pixels
+    function getCanvasPos( event ) {
+        var offset = jqCanvas.offset();
+        return {
+            x: event.pageX - offset.left,
+            y: event.pageY - offset.top
+        };
+    }
+
+    // Find the band handle nearest to a canvas position
+    function findBand( pos, peakingOnly ) {
+        var width = jqCanvas.width();
+        var height = jqCanvas.height();
+        var nearestBand = -1;
+        var nearestDist = Infinity;
+
+        eqParms.forEach( function( parms, bandIndex ) {
+            if( peakingOnly && me.engine.params[ "#eq_q_" + bandIndex ] == null )
+                return;
+
+            var gain = Math.max( MAG_MIN, Math.min( MAG_MAX, parms.gain.value ) );
+            var dx = me.eqFreqToPos( parms.frequency.value ) * width - pos.x;
+            var dy = (1 - (gain - MAG_MIN) / (MAG_MAX - MAG_MIN)) * height - pos.y;
+            var dist = Math.sqrt( dx * dx + dy * dy );
+
+            if( dist < nearestDist ) {
+                nearestDist = dist;
+                nearestBand = bandIndex;
+            }
+        } );
+
+        return { band: nearestBand, dist: nearestDist };
+    }
+
+    function dragBand( event ) {
+        var pos = getCanvasPos( event );
+        var freq = me.eqPosToFreq( pos.x / jqCanvas.width() );
+        var gain = MAG_MAX - (pos.y / jqCanvas.height()) * (MAG_MAX - MAG_MIN);
+
+        eqParms[ me.eqDragBand ].frequency.value =
+                Math.round( Math.max( WebAudioApp.EQ_FREQ_MIN, Math.min( freqMax, freq ) ) );
+        me.engine.setParam( "#eq_gain_" + me.eqDragBand, gain );
+
+        me.updateEqLabels();
+        me.updateEqGraphic();
+    }
+
+    jqCanvas.on( "mousedown", function( event ) {
+        var nearest = findBand( getCanvasPos( event ), false );
+        if( nearest.dist > GRAB_DISTANCE )
+            return;
+
+        event.preventDefault();
+        me.eqDragBand = nearest.band;
+        dragBand( event );
+    } );
+
+    $( document )
+        .on( "mousemove", function( event ) {
+            if( me.eqDragBand >= 0 )
+                dragBand( event );
+        } )
+        .on( "mouseup", function() {
+            if( me.eqDragBand < 0 )
+                return;
+
+            me.eqDragBand = -1;
+            me.updateEqGraphic();
+        } );
+
+    // Scroll up to narrow the band, down to widen it
+    jqCanvas.on( "wheel", function( event ) {
+        var nearest = findBand( getCanvasPos( event ), true );
+        if( nearest.band < 0 )
+            return;
+
+        event.preventDefault();
+
+        var Q = eqParms[ nearest.band ].Q.value;
+        me.engine.setParam( "#eq_q_" + nearest.band,
+                event.originalEvent.deltaY < 0 ? Q * Q_WHEEL_FACTOR : Q / Q_WHEEL_FACTOR );
+    } );
+
+    // Spread the bands over a new range
+    $( bandMinId ).val( AudioLayer.EQ_BAND_MIN );
+    $( bandMaxId ).val( AudioLayer.EQ_BAND_MAX );
+
+    $( bandApplyId ).button().click(function( event ) {
+        event.preventDefault();
+
+        var bandMin = Number( $( bandMinId ).val() );
+        var bandMax = Number( $( bandMaxId ).val() );
+        if( !(bandMin >= WebAudioApp.EQ_FREQ_MIN && bandMax <= freqMax && bandMin < bandMax) ) {
+            consoleout( "ERROR: Band range must be within "
+                    + WebAudioApp.EQ_FREQ_MIN + "-" + freqMax + " Hz" );
+            return;
+        }
+
+        me.musicLayer.placeEqBands( bandMin, bandMax );
+        me.updateEqLabels();
+        me.updateEqGraphic();
+
+        consoleout( "Placed EQ bands from " + bandMin + " to " + bandMax + " Hz" );
+    });
+};
+
+/**
+ * Returns the current equalizer settings
+ *
+ * @returns {Array.<{frequency:Number, gain:Number, Q:Number}>}
+ *      The band settings, from lowest to highest
+ */
+WebAudioApp.prototype.getEqSettings = function() {
+    return this.musicLayer.eqParms.map( function( parms ) {
+        return {
+            frequency:  Math.round( parms.frequency.value ),
+            gain:       Number( parms.gain.value.toFixed( 2 ) ),
+            Q:          Number( parms.Q.value.toFixed( 2 ) )
+        };
+    } );
+};
+
+/**
+ * Apply equalizer settings
+ *
+ * @param {Array.<{frequency:Number, gain:Number, Q:Number}>}   bands
+ *      The band settings, from lowest to highest
+ */
+WebAudioApp.prototype.applyEqSettings = function( bands ) {
+    var eqParms = this.musicLayer.eqParms;
+    var count = Math.min( bands.length, eqParms.length );
+
+    for( var bandIndex = 0; bandIndex < count; bandIndex++ ) {
+        var band = bands[ bandIndex ];
+        var parms = eqParms[ bandIndex ];
+
+        parms.frequency.value = band.frequency;
+        this.engine.setParam( "#eq_gain_" + bandIndex, band.gain );
+
+        if( this.engine.params[ "#eq_q_" + bandIndex ] != null )
+            this.engine.setParam( "#eq_q_" + bandIndex, band.Q );
+        else
+            parms.Q.value = band.Q;
+    }
+
+    this.updateEqLabels();
+    this.updateEqGraphic();
+};
+
+/**
+ * Initialize the equalizer preset controls
+ * @private
+ *
+ * @param {String}  selectElemId    The preset selector's HTML id
+ * @param {String}  saveElemId      The save button's HTML id
+ * @param {String}  deleteElemId    The delete button's HTML id
+ */
+WebAudioApp.prototype.initEqPresets = function( selectElemId,
+                                                saveElemId,
+                                                deleteElemId ) {
+    var presets = new EqPresets( "superSoundBoy.eqPresets" );
+    var jqSelect = $( selectElemId );
+    this.eqPresets = presets;
+
+    function fillPresets( selectedName ) {
+        jqSelect.empty().append( $( "<option>" ).val( "" ).text( "Presets..." ) );
+
+        presets.getNames().forEach( function( name ) {
+            jqSelect.append( $( "<option>" ).val( name ).text( name ) );
+        } );
+
+        jqSelect.val( selectedName || "" );
+    }
+
+    fillPresets();
+
+    // Refill on changes from elsewhere too, such as the account
+    var me = this;
+    this.events.on( "eqPresetsChanged", fillPresets );
+
+    jqSelect.change(function() {
+        var name = jqSelect.val();
+        var bands = presets.get( name );
+        if( bands == null )
+            return;
+
+        me.applyEqSettings( bands );
+        consoleout( "Applied EQ preset '" + name + "'" );
+    });
+
+    $( saveElemId ).button().click(function( event ) {
+        event.preventDefault();
+
+        var name = window.prompt( "EQ preset name", jqSelect.val() || "" );
+        if( name == null || $.trim( name ) == "" )
+            return;
+
+        name = $.trim( name );
+        try {
+            presets.save( name, me.getEqSettings() );
+        } catch( e ) {
+            consoleout( "ERROR: " + e.message );
+            return;
+        }
+
+        me.events.emit( "eqPresetsChanged", name );
+        consoleout( "Saved EQ preset '" + name + "'" );
+    });
+
+    $( deleteElemId ).button().click(function( event ) {
+        event.preventDefault();
+
+        var name = jqSelect.val();
+        if( name == "" )
+            return;
+
+        try {
+            presets.remove( name );
+        } catch( e ) {
+            consoleout( "ERROR: " + e.message );
+            return;
+        }
+
+        me.events.emit( "eqPresetsChanged" );
+        consoleout( "Deleted EQ preset '" + name + "'" );
+    });
+};
+
+/**
+ * Initialize the project tempo and its controls
+ * @private
+ *
+ * @param {String}  bpmElemId       The tempo slider's HTML id
+ * @param {String}  bpmLabelId      The tempo readout's HTML id
+ * @param {String}  timeSigElemId   The time signature selector's HTML id
+ * @param {String}  tapElemId       The tap tempo button's HTML id
+ */
+WebAudioApp.prototype.initTempo = function( bpmElemId,
+                                            bpmLabelId,
+                                            timeSigElemId,
+                                            tapElemId ) {
+    var engine = this.engine;
+
+    engine.on( "tempoChange", function( bpm ) {
+        $( bpmLabelId ).text( bpm + " BPM" );
+    } );
+
+    $( bpmLabelId ).text( engine.bpm.value + " BPM" );
+
+    this.initSlider(
+            bpmElemId,
+            engine.bpm,
+            1,
+            "tempo" );
+
+    // Set up the time signature selector
+    $( timeSigElemId )
+        .val( String( engine.beatsPerMeasure ) )
+        .change(function() {
+            engine.beatsPerMeasure = Number( $(this).val() );
+
+            consoleout( "Time signature set to "
+                    + engine.beatsPerMeasure + "/4" );
+        });
+
+    // Set up tap tempo, averaging the most recent taps
+    var TAPS_MAX        = 5;
+    var TAP_TIMEOUT_MS  = 2000;
+    var tapTimes = [];
+    $( tapElemId ).button().click(function( event ) {
+        event.preventDefault();
+
+        // Start over if the last tap was too long ago
+        var nowMs = Date.now();
+        if( tapTimes.length > 0
+                && nowMs - tapTimes[ tapTimes.length - 1 ] > TAP_TIMEOUT_MS )
+            tapTimes = [];
+
+        tapTimes.push( nowMs );
+        if( tapTimes.length > TAPS_MAX )
+            tapTimes.shift();
+
+        if( tapTimes.length < 2 )
+            return;
+
+        var beatMs = (tapTimes[ tapTimes.length - 1 ] - tapTimes[0])
+                / (tapTimes.length - 1);
+        var bpm = Math.round( 60000 / beatMs );
+        bpm = Math.max( SamplerEngine.MIN_BPM, Math.min( SamplerEngine.MAX_BPM, bpm ) );
+
+        engine.bpm.value = bpm;
+        $( bpmElemId ).slider( "value", bpm );
+
+        consoleout( "Tapped tempo: " + bpm + " BPM" );
+    });
+};
+
+/**
+ * Initialize the transport display, the metronome, the count-in
+ * and keeping the clock running
+ * @private
+ *
+ * @param {String}  positionElemId      The bar and beat readout's HTML id
+ * @param {String}  flashElemId         The beat flash's HTML id
+ * @param {String}  metronomeElemId     The metronome toggle's HTML id
+ * @param {String}  volumeElemId        The metronome volume slider's HTML id
+ * @param {String}  countInElemId       The count-in toggle's HTML id
+ * @param {String}  keepClockElemId     The keep clock toggle's HTML id
+ */
+WebAudioApp.prototype.initTransport = function( positionElemId,
+                                                flashElemId,
+                                                metronomeElemId,
+                                                volumeElemId,
+                                                countInElemId,
+                                                keepClockElemId ) {
+    var FLASH_BEATS = 0.25;
+
+    var me = this;
+    var engine = this.engine;
+    var metronome = engine.metronome;
+
+    $( metronomeElemId ).button().click(function() {
+        metronome.setEnabled( $(this).is(':checked') );
+        consoleout( metronome.enabled ? "Metronome on" : "Metronome off" );
+    });
+
+    this.initSlider(
+            volumeElemId,
+            metronome.gain,
+            0.01,
+            "metronome volume",
+            {
+                min: 0,
+                max: 1
+            } );
+
+    $( countInElemId ).button().click(function() {
+        metronome.countIn = $(this).is(':checked');
+        consoleout( metronome.countIn ? "Count-in on" : "Count-in off" );
+    });
+
+    engine.on( "countIn", function() {
+        consoleout( "Counting in" );
+    } );
+
+    $( keepClockElemId ).button().click(function() {
+        engine.setKeepClock( $(this).is(':checked') );
+        consoleout( engine.keepClock ? "Keeping the clock running" : "Clock stops with the music" );
+    });
+
+    // Follow the audio clock on every analyzer frame
+    var jqPosition = $( positionElemId );
+    var jqFlash = $( flashElemId );
+    var lastText = null;
+
+    this.events.on( "analyzerFrame", function() {
+        var position = engine.getBarBeat();
+        var text = "-:-";
+        var flashing = false;
+
+        if( position != null ) {
+            text = position.bar < 1
+                    ? "Count " + position.beat
+                    : position.bar + ":" + position.beat;
+            flashing = position.fraction < FLASH_BEATS;
+        }
+
+        if( text != lastText ) {
+            jqPosition.text( text );
+            lastText = text;
+        }
+
+        jqFlash.toggleClass( "beat", flashing && position.beat != 1 )
+               .toggleClass( "downbeat", flashing && position.beat == 1 );
+
+        me.updateLoopRings();
+    } );
+};
+
+/**
+ * Show each playing loop's position as a ring on its pad
+ * @private
+ */
+WebAudioApp.prototype.updateLoopRings = function() {
+    var engine = this.engine;
+    var jqRings = $( "#kit .pad-ring" );
+    var shownRings = [];
+
+    for( var groupId in engine.musicGroups ) {
+        var position = engine.getLoopPosition( groupId );
+        if( position == null )
+            continue;
+
+        var jqWidget = $( engine.musicGroups[ groupId ].activeElemId ).button( "widget" );
+        var jqRing = jqWidget.children( ".pad-ring" );
+        if( jqRing.length == 0 )
+            jqRing = $( "<span class='pad-ring'/>" ).appendTo( jqWidget );
+
+        jqRing.css( "background", "conic-gradient(#b83400 "
+                + Math.round( position * 360 ) + "deg, #ddd 0)" );
+        shownRings.push( jqRing[0] );
+    }
+
+    jqRings.not( shownRings ).remove();
+};
+
+/**
+ * Initialize the jam recorder
+ * @private
+ *
+ * @param {String}  elemId          The record toggle's HTML id
+ * @param {String}  takesElemId     The take list's HTML id
+ */
+WebAudioApp.prototype.initRecorder = function( elemId, takesElemId ) {
+    var recorder = new JamRecorder(
+            this.audioContext,
+            this.musicLayer.outNode );
+    var takeCount = 0;
+
+    var me = this;
+    $( elemId ).button().click(function() {
+        // Starting a take? Wait for the next downbeat
+        if( $(this).is(':checked') ) {
+            var startSecs = me.engine.getNextDownbeat();
+            recorder.start( startSecs );
+
+            consoleout( "Recording from "
+                    + startSecs.toFixed( 3 ) + "s" );
+            return;
+        }
+
+        // If we get here, we're finishing a take
+        var take = recorder.stop();
+        takeCount++;
+
+        consoleout( "Recorded take " + takeCount + " ("
+                + formatDuration( take.durationSecs ) + ")" );
+
+        me.addTake( takesElemId, "take" + takeCount, take );
+    });
+};
+
+/**
+ * Initialize the offline stem bounce
+ * @private
+ *
+ * @param {String}  barsElemId      The bounce length selector's HTML id
+ * @param {String}  elemId          The bounce button's HTML id
+ * @param {String}  takesElemId     The take list's HTML id
+ */
+WebAudioApp.prototype.initBounce = function( barsElemId, elemId, takesElemId ) {
+    var BARS = [ 1, 2, 4, 8, 16, 32 ];
+    var DEFAULT_BARS = 8;
+
+    var jqBars = $( barsElemId );
+    BARS.forEach( function( bars ) {
+        jqBars.append( $( "<option>" ).val( bars ).text( bars + (bars == 1 ? " bar" : " bars") ) );
+    } );
+    jqBars.val( DEFAULT_BARS );
+
+    var bounceCount = 0;
+
+    var me = this;
+    var jqButton = $( elemId ).button().click(function( event ) {
+        event.preventDefault();
+
+        var bars = Number( jqBars.val() );
+        var bpm = me.engine.bpm.value;
+        jqButton.button( "option", "disabled", true );
+
+        me.engine.bounce( bars, function( results ) {
+            bounceCount++;
+            jqButton.button( "option", "disabled", false );
+
+            // Name the files for the DAW, with the tempo and length
+            var prefix = "bounce" + bounceCount + "-" + bpm + "bpm-" + bars + "bars-";
+            results.forEach( function( result ) {
+                var audioBuffer = result.audioBuffer;
+                var channels = [];
+                for( var channel = 0; channel < audioBuffer.numberOfChannels; channel++ )
+                    channels.push( audioBuffer.getChannelData( channel ) );
+
+                me.addTake( takesElemId,
+                    prefix + result.label.toLowerCase().replace( /[^a-z0-9]+/g, "-" ).replace( /^-|-$/g, "" ),
+                    {
+                        channels:       channels,
+                        sampleRate:     audioBuffer.sampleRate,
+                        durationSecs:   audioBuffer.duration
+                    } );
+            } );
+        }, null, function() {
+            jqButton.button( "option", "disabled", false );
+        } );
+    });
+};
+
+/**
+ * Add a recorded take to the take list, replacing any take
+ * of the same name and releasing its audio files
+ * @private
+ *
+ * @param {String}  takesElemId     The take list's HTML id
+ * @param {String}  name            The take name
+ * @param {{channels:Array.<Float32Array>, sampleRate:Number, durationSecs:Number}} take
+ */
+WebAudioApp.prototype.addTake = function( takesElemId, name, take ) {
+    var wav16Url = URL.createObjectURL(
+            encodeWav( take.channels, take.sampleRate, 16 ) );
+    var wav24Url = null;
+
+    var jqTake = $( "<div class='take'/>" );
+    var lastTake = this.takes[ name ];
+    if( lastTake != null ) {
+        lastTake.jqTake.replaceWith( jqTake );
+        lastTake.urls.forEach( function( url ) {
+            URL.revokeObjectURL( url );
+        } );
+    } else {
+        jqTake.appendTo( takesElemId );
+    }
+
+    var urls = [ wav16Url ];
+    this.takes[ name ] = { take: take, jqTake: jqTake, urls: urls };
+    this.events.emit( "takeAdded", name );
+
+    $( "<span class='take-name'/>" )
+        .text( name + " " + formatDuration( take.durationSecs ) )
+        .appendTo( jqTake );
+
+    $( "<audio controls/>" )
+        .attr( "src", wav16Url )
+        .appendTo( jqTake );
+
+    $( "<a/>" )
+        .text( "WAV 16-bit" )
+        .attr({ href: wav16Url, download: name + "-16bit.wav" })
+        .appendTo( jqTake );
+
+    // Only encode the 24-bit file when it's requested
+    $( "<a/>" )
+        .text( "WAV 24-bit" )
+        .attr( "download", name + "-24bit.wav" )
+        .click(function() {
+            if( wav24Url == null ) {
+                wav24Url = URL.createObjectURL(
+                        encodeWav( take.channels, take.sampleRate, 24 ) );
+                urls.push( wav24Url );
+                $(this).attr( "href", wav24Url );
+            }
+        })
+        .appendTo( jqTake );
+};
+
+/**
+ * Initialize a slider
+ * @private
+ *
+ * @param {String}      elemId          The slider's HTML id
+ * @param {AudioParam}  audioParam      The associated audio parameter
+ * @param {Number}      stepSize        The slider step size
+ * @param {String}      label           The slider label
+ * @param {Object}      [override]      The slide overrides
+ *
+ * @param {String}      [override.value]            Slider value
+ * @param {Number}      [override.min]              Minimum slider value
+ * @param {Number}      [override.max]              Maximum slider value
+ * @param {String}      [override.orientation]      Slider orientation
+ * @param {String}      [override.groupId]          The music group the slider belongs to
+ */
+WebAudioApp.prototype.initSlider = function( elemId,
+                                             audioParam,
+                                             stepSize,
+                                             label,
+                                             override ) {
+
+    override = override || {};
+
+    var min = override.min != null ? override.min : audioParam.minValue;
+    var max = override.max != null ? override.max : audioParam.maxValue;
+
+    var me = this;
+
+    // Register the slider's parameter with the engine, so it
+    // can be driven remotely
+    this.engine.registerParam( elemId, audioParam, {
+        label:      label,
+        min:        min,
+        max:        max,
+        step:       stepSize,
+        groupId:    override.groupId
+    } );
+
+    // Initialize the slider
+    $( elemId ).slider({
+        orientation: override.orientation != null ? override.orientation : "horizontal",
+
+        min: min,
+        max: max,
+
+        step: stepSize,
+
+        value: override.value != null ? override.value : audioParam.value,
+
+        // Add a callback function when the user
+        // moves the slider
+        slide: function( event, ui ) {
+            me.engine.setParam( elemId, ui.value );
+        }
+    });
+};
+
+/**
+ * Set a registered slider's parameter and move the slider to
+ * match, without logging or reporting the change
+ * @private
+ *
+ * @param {String}  elemId      The slider's HTML id
+ * @param {Number}  value       The new value
+ */
+WebAudioApp.prototype.showSliderValue = function( elemId, value ) {
+    this.engine.params[ elemId ].audioParam.value = value;
+
+    $( elemId ).slider( "value", value )
+        .trigger( "slide", { value: value } );
+};
+
+/**
+ * Initialize a music group and its channel strip
+ * @private
+ *
+ * @param {String}  groupId         The music group id
+ * @param {String}  label           The music group label
+ */
+WebAudioApp.prototype.initMusicGroup = function( groupId, label ) {
+    var musicGroup = this.engine.addGroup( groupId, label );
+
+    // Build the channel strip controls
+    var idSuffix = "_" + groupId;
+    var jqStrip = $( "<div class='channelstrip'/>" ).appendTo( "#mixer" );
+
+    $( "<span class='channelstrip-label'/>" ).text( label ).appendTo( jqStrip );
+    $( "<span class='channelstrip-gain'/>" ).attr( "id", "ch_gain" + idSuffix ).appendTo( jqStrip );
+    $( "<span class='channelstrip-pan'/>" ).attr( "id", "ch_pan" + idSuffix ).appendTo( jqStrip );
+
+    var jqButtons = $( "<div class='channelstrip-buttons'/>" ).appendTo( jqStrip );
+    $( "<input type='checkbox'/>" ).attr( "id", "ch_mute" + idSuffix ).appendTo( jqButtons );
+    $( "<label>M</label>" ).attr( "for", "ch_mute" + idSuffix ).appendTo( jqButtons );
+    $( "<input type='checkbox'/>" ).attr( "id", "ch_solo" + idSuffix ).appendTo( jqButtons );
+    $( "<label>S</label>" ).attr( "for", "ch_solo" + idSuffix ).appendTo( jqButtons );
+
+    // Build the loop transition selectors
+    var jqTransition = $( "<div class='channelstrip-transition'/>" ).appendTo( jqStrip );
+    var transitionSelects = {
+        mode:       { "cut": "Cut", "crossfade": "Crossfade",
+                      "lowpass": "LP sweep", "highpass": "HP sweep" },
+        beats:      { "1": "1 beat", "2": "2 beats", "4": "4 beats", "8": "8 beats" },
+        quantize:   { "immediate": "Now", "beat": "Beat", "bar": "Bar",
+                      "2bars": "2 bars", "4bars": "4 bars" }
+    };
+
+    $.each( transitionSelects, function( setting, options ) {
+        var jqSelect = $( "<select/>" )
+                .attr( "id", "ch_" + setting + idSuffix )
+                .appendTo( jqTransition );
+
+        $.each( options, function( value, text ) {
+            $( "<option/>" ).val( value ).text( text ).appendTo( jqSelect );
+        } );
+
+        jqSelect.val( String( musicGroup.transition[ setting ] ) ).change(function() {
+            var value = $(this).val();
+            musicGroup.transition[ setting ] = setting == "beats" ? Number( value ) : value;
+
+            consoleout( "Set '" + label + "' transition " + setting + " to " + value );
+        });
+    } );
+
+    // Build the ducking role selector
+    var ducker = this.engine.ducker;
+    var jqDuck = $( "<select/>" )
+            .attr( "id", "ch_duck" + idSuffix )
+            .appendTo( jqTransition );
+
+    $.each( { "none": "No ducking", "source": "Ducks", "target": "Ducked" }, function( value, text ) {
+        $( "<option/>" ).val( value ).text( text ).appendTo( jqDuck );
+    } );
+
+    jqDuck.val( ducker.getRole( groupId ) ).change(function() {
+        ducker.setRole( groupId, $(this).val() );
+
+        consoleout( "Set '" + label + "' ducking to " + $(this).find( ":selected" ).text() );
+    });
+
+    // Initialize the volume and pan sliders
+    this.initSlider(
+        "#ch_gain" + idSuffix,
+        musicGroup.channel.gain,
+        0.01,
+        label + " volume",
+        {
+            orientation: "vertical",
+            min: 0,
+            max: 1,
+            groupId: groupId
+        } );
+
+    if( musicGroup.channel.pan != null ) {
+        this.initSlider(
+            "#ch_pan" + idSuffix,
+            musicGroup.channel.pan,
+            0.01,
+            label + " pan",
+            {
+                min: -1,
+                max: 1,
+                groupId: groupId
+            } );
+    }
+
+    // Register the mute and solo toggles
+    var me = this;
+    $( "#ch_mute" + idSuffix ).button().click(function() {
+        me.engine.muteGroup( groupId, $(this).is(':checked') );
+    });
+
+    $( "#ch_solo" + idSuffix ).button().click(function() {
+        me.engine.soloGroup( groupId, $(this).is(':checked') );
+    });
+};
+
+/**
+ * Initialize the effects rack controls
+ * @private
+ *
+ * @param {String}  elemId          The effects rack's HTML id
+ */
+WebAudioApp.prototype.initEffects = function( elemId ) {
+    var fxRack = this.musicLayer.fxRack;
+    var jqRack = $( elemId );
+
+    fxRack.effects.forEach( function( effect ) {
+        this.buildEffectUnit( jqRack, effect, function( jqUnit, offset ) {
+            if( !fxRack.moveEffect( effect.id, offset ) )
+                return;
+
+            // Move the controls to match the chain order
+            if( offset < 0 )
+                jqUnit.insertBefore( jqUnit.prev() );
+            else
+                jqUnit.insertAfter( jqUnit.next() );
+
+            consoleout( "Effects order: " + fxRack.effects.map( function( effect ) {
+                return effect.label;
+            } ).join( ", " ) );
+        } );
+    }, this );
+};
+
+/**
+ * Build the controls for an effect
+ * @private
+ *
+ * @param {jQuery}          jqParent    The element to add the controls to
+ * @param {AudioEffect}     effect      The effect
+ * @param {function(jqUnit:jQuery, offset:Number)}  [moveFn]
+ *      Called to move the effect, or null for no reorder buttons
+ */
+WebAudioApp.prototype.buildEffectUnit = function( jqParent, effect, moveFn ) {
+    var idPrefix = "fx_" + effect.id;
+    var jqUnit = $( "<div class='fxunit'/>" )
+            .attr( "id", idPrefix )
+            .appendTo( jqParent );
+
+    $( "<h4/>" ).text( effect.label ).appendTo( jqUnit );
+
+    // Add the bypass and reorder buttons
+    var jqButtons = $( "<div class='fxunit-buttons'/>" ).appendTo( jqUnit );
+    if( moveFn != null )
+        $( "<button type='button'>&lt;</button>" ).attr( "id", idPrefix + "_left" ).appendTo( jqButtons );
+    $( "<input type='checkbox'/>" ).attr( "id", idPrefix + "_on" ).appendTo( jqButtons );
+    $( "<label>On</label>" ).attr( "for", idPrefix + "_on" ).appendTo( jqButtons );
+    if( moveFn != null )
+        $( "<button type='button'>&gt;</button>" ).attr( "id", idPrefix + "_right" ).appendTo( jqButtons );
+
+    $( "#" + idPrefix + "_on" )
+        .prop( 'checked', !effect.bypassed )
+        .button()
+        .click(function() {
+            effect.setBypassed( !$(this).is(':checked') );
+
+            consoleout( (effect.bypassed ? "Bypassed '" : "Enabled '")
+                    + effect.label + "'" );
+        });
+
+    if( moveFn != null ) {
+        [ -1, 1 ].forEach( function( offset ) {
+            var buttonId = "#" + idPrefix + (offset < 0 ? "_left" : "_right");
+
+            $( buttonId ).button().click(function( event ) {
+                event.preventDefault();
+                moveFn( jqUnit, offset );
+            });
+        } );
+    }
+
+    // Add a slider for each parameter
+    effect.params.forEach( function( parm ) {
+        var sliderId = idPrefix + "_" + parm.id;
+
+        var jqParm = $( "<div class='fxunit-param'/>" ).appendTo( jqUnit );
+        $( "<span/>" ).attr( "id", sliderId ).appendTo( jqParm );
+        $( "<span/>" ).text( parm.label ).appendTo( jqParm );
+
+        this.initSlider(
+            "#" + sliderId,
+            parm.param,
+            parm.step,
+            effect.label + " " + parm.label,
+            {
+                min: parm.min,
+                max: parm.max
+            } );
+    }, this );
+};
+
+/**
+ * Initialize the master dynamics controls, the gain reduction
+ * meter and the clip indicator
+ * @private
+ *
+ * @param {String}  elemId          The master stage container's HTML id
+ * @param {String}  meterElemId     The gain reduction meter canvas' HTML id
+ * @param {String}  clipElemId      The clip indicator's HTML id
+ */
+WebAudioApp.prototype.initMaster = function( elemId, meterElemId, clipElemId ) {
+    var GR_MIN = -24;   // dB
+
+    var me = this;
+    var stages = this.musicLayer.masterStages;
+    var jqClip = $( clipElemId );
+
+    stages.forEach( function( stage ) {
+        this.buildEffectUnit( $( elemId ), stage );
+    }, this );
+
+    // The clip indicator stays lit until it's clicked
+    jqClip.click(function() {
+        jqClip.removeClass( "clipped" );
+    });
+
+    this.events.on( "analyzerFrame", function() {
+        var clipped = me.meterLevels.some( function( levels ) {
+            return levels.peak >= 0;
+        } );
+
+        if( clipped && !jqClip.hasClass( "clipped" ) ) {
+            jqClip.addClass( "clipped" );
+            consoleout( "Master output clipped" );
+        }
+
+        // Draw a bar of gain reduction for each stage
+        var canvasCtx = $( meterElemId )[0].getContext( "2d" );
+        var canvasWidth = canvasCtx.canvas.width;
+        var barHeight = canvasCtx.canvas.height / stages.length;
+
+        canvasCtx.fillStyle = "#202020";
+        canvasCtx.fillRect( 0, 0, canvasWidth, canvasCtx.canvas.height );
+
+        canvasCtx.font = "10px sans-serif";
+        stages.forEach( function( stage, stageIndex ) {
+            var reduction = stage.bypassed ? 0 : stage.getReduction();
+            var width = Math.round( Math.min( 1, reduction / GR_MIN ) * canvasWidth );
+            var y = stageIndex * barHeight;
+
+            canvasCtx.fillStyle = "#e08000";
+            canvasCtx.fillRect( canvasWidth - width, y + 1, width, barHeight - 2 );
+
+            canvasCtx.fillStyle = "#c0c0c0";
+            canvasCtx.fillText( stage.label + " " + reduction.toFixed( 1 ) + " dB",
+                    3, y + barHeight * 0.5 + 3 );
+        } );
+    } );
+};
+
+/**
+ * Initialize the ducking controls and meter
+ * @private
+ *
+ * @param {String}  toggleElemId    The ducking toggle's HTML id
+ * @param {String}  elemId          The ducking slider container's HTML id
+ * @param {String}  meterElemId     The ducking meter canvas' HTML id
+ */
+WebAudioApp.prototype.initDucking = function( toggleElemId, elemId, meterElemId ) {
+    var ducker = this.engine.ducker;
+
+    $( toggleElemId )
+        .prop( 'checked', ducker.enabled )
+        .button()
+        .click(function() {
+            ducker.setEnabled( $(this).is(':checked') );
+
+            consoleout( ducker.enabled ? "Enabled ducking" : "Disabled ducking" );
+        });
+
+    // Add a slider for each envelope setting
+    [
+        { id: "depth",      label: "Depth (dB)",    param: ducker.depth,    step: 0.5 },
+        { id: "attack",     label: "Attack (s)",    param: ducker.attack,   step: 0.001 },
+        { id: "hold",       label: "Hold (s)",      param: ducker.hold,     step: 0.01 },
+        { id: "release",    label: "Release (s)",   param: ducker.release,  step: 0.01 }
+    ].forEach( function( parm ) {
+        var sliderId = "duck_" + parm.id;
+
+        var jqParm = $( "<div class='fxunit-param'/>" ).appendTo( elemId );
+        $( "<span/>" ).attr( "id", sliderId ).appendTo( jqParm );
+        $( "<span/>" ).text( parm.label ).appendTo( jqParm );
+
+        this.initSlider(
+            "#" + sliderId,
+            parm.param,
+            parm.step,
+            "ducking " + parm.id );
+    }, this );
+
+    // Draw the level reduction against the depth
+    this.events.on( "analyzerFrame", function() {
+        var canvasCtx = $( meterElemId )[0].getContext( "2d" );
+        var canvasWidth = canvasCtx.canvas.width;
+        var canvasHeight = canvasCtx.canvas.height;
+
+        var reduction = ducker.getReduction();
+        var width = ducker.depth.value > 0
+                ? Math.round( Math.min( 1, -reduction / ducker.depth.value ) * canvasWidth )
+                : 0;
+
+        canvasCtx.fillStyle = "#202020";
+        canvasCtx.fillRect( 0, 0, canvasWidth, canvasHeight );
+
+        canvasCtx.fillStyle = "#e08000";
+        canvasCtx.fillRect( canvasWidth - width, 1, width, canvasHeight - 2 );
+
+        canvasCtx.font = "10px sans-serif";
+        canvasCtx.fillStyle = "#c0c0c0";
+        canvasCtx.fillText( "Ducking " + reduction.toFixed( 1 ) + " dB", 3, canvasHeight * 0.5 + 3 );
+    } );
+};
+
+/**
+ * Initialize the performance effect pads, which hold an
+ * effect on a group's loop or the whole mix while pressed
+ * @private
+ *
+ * @param {String}  targetElemId    The target selector's HTML id
+ * @param {String}  divisionElemId  The beat repeat length selector's HTML id
+ * @param {String}  padsElemId      The effect pad container's HTML id
+ */
+WebAudioApp.prototype.initPerformanceFx = function( targetElemId, divisionElemId, padsElemId ) {
+    var EFFECT_LABELS = {
+        repeat:     "Repeat",
+        reverse:    "Reverse",
+        tapestop:   "Tape stop",
+        brake:      "Brake",
+        spinback:   "Spin back"
+    };
+    var DEFAULT_DIVISION = 16;
+
+    var me = this;
+    var performanceFx = this.engine.performanceFx;
+    var jqTarget = $( targetElemId );
+    var jqDivision = $( divisionElemId );
+    var jqPads = $( padsElemId );
+
+    PerformanceFx.REPEAT_DIVISIONS.forEach( function( division ) {
+        jqDivision.append( $( "<option>" ).val( division ).text( "1/" + division ) );
+    } );
+    jqDivision.val( DEFAULT_DIVISION );
+
+    // List the master and the kit's groups
+    function fillTargets() {
+        var selectedTarget = jqTarget.val();
+
+        jqTarget.empty().append( $( "<option>" ).val( PerformanceFx.MASTER ).text( "Master" ) );
+        for( var groupId in me.engine.musicGroups )
+            jqTarget.append( $( "<option>" ).val( groupId ).text( me.engine.musicGroups[ groupId ].label ) );
+
+        jqTarget.val( me.engine.musicGroups[ selectedTarget ] != null ? selectedTarget : PerformanceFx.MASTER );
+    }
+
+    fillTargets();
+    this.events.on( "kitLoaded", fillTargets );
+
+    // Hold the effect from press to release
+    PerformanceFx.EFFECTS.forEach( function( effect ) {
+        var heldTarget = null;
+
+        var jqButton = $( "<button/>" )
+            .text( EFFECT_LABELS[ effect ] )
+            .attr( "data-effect", effect )
+            .appendTo( jqPads )
+            .button();
+
+        jqButton.on( "mousedown touchstart", function( event ) {
+            event.preventDefault();
+
+            var target = jqTarget.val();
+            if( performanceFx.engage( target, effect, parseInt( jqDivision.val(), 10 ) ) )
+                heldTarget = target;
+        });
+
+        jqButton.on( "mouseup mouseleave touchend", function() {
+            if( heldTarget != null && performanceFx.getEffect( heldTarget ) == effect )
+                performanceFx.release( heldTarget );
+
+            heldTarget = null;
+        });
+
+        jqButton.click(function( event ) {
+            event.preventDefault();
+        });
+    } );
+
+    // Light up the held effect's pad
+    this.events.on( "performanceFx", function() {
+        var effect = performanceFx.getEffect( jqTarget.val() );
+
+        jqPads.find( "[data-effect]" ).each(function() {
+            $(this).toggleClass( "pad-playing", $(this).attr( "data-effect" ) == effect );
+        });
+    } );
+};
+
+/**
+ * Initialize MIDI controller input and MIDI-learn
+ * @private
+ *
+ * @param {String}  learnElemId     The learn mode toggle's HTML id
+ * @param {String}  statusElemId    The status readout's HTML id
+ * @param {String}  exportElemId    The export button's HTML id
+ * @param {String}  importElemId    The import file input's HTML id
+ * @param {String}  clearElemId     The clear button's HTML id
+ */
+WebAudioApp.prototype.initMidi = function( learnElemId,
+                                           statusElemId,
+                                           exportElemId,
+                                           importElemId,
+                                           clearElemId ) {
+    var midi = new MidiController( "superSoundBoy.midiMappings" );
+    var learning = false;
+    this.midi = midi;
+
+    function setStatus( text ) {
+        $( statusElemId ).text( text );
+    }
+
+    var me = this;
+    midi.connect( function( success, message ) {
+        setStatus( message );
+        consoleout( message );
+    } );
+
+    // Drive the pads and sliders from the mapped controls
+    midi.onaction = function( target, kind, value ) {
+        if( target.type == "pad" ) {
+            if( kind == "noteon" )
+                me.engine.pressPad( target.elemId );
+            else if( kind == "noteoff" )
+                me.engine.releasePad( target.elemId );
+        } else if( target.type == "slider" && kind == "cc" ) {
+            var slider = me.engine.params[ target.elemId ];
+
+            if( slider != null )
+                me.engine.setParam( target.elemId,
+                        slider.min + value * (slider.max - slider.min) );
+        }
+    };
+
+    midi.onlearn = function( key, target ) {
+        $( ".midi-learn-target" ).removeClass( "midi-learn-target" );
+
+        setStatus( "Bound " + key + " to " + target.label );
+        consoleout( "MIDI " + key + " bound to '" + target.label + "'" );
+    };
+
+    // In learn mode, clicking a pad or slider picks it as the
+    // target instead of using it. Listen while capturing so
+    // the pad and slider handlers never see the click.
+    function findLearnTarget( elem ) {
+        var jqSlider = $( elem ).closest( ".ui-slider" );
+        if( jqSlider.length > 0 && me.engine.params[ "#" + jqSlider.attr( "id" ) ] != null ) {
+            var sliderId = "#" + jqSlider.attr( "id" );
+            return {
+                type:   "slider",
+                elemId: sliderId,
+                label:  me.engine.params[ sliderId ].label,
+                jqElem: jqSlider
+            };
+        }
+
+        var jqButton = $( elem ).closest( ".ui-button" );
+        var padId = "#" + (jqButton.attr( "for" ) || jqButton.attr( "id" ));
+        if( jqButton.length > 0 && me.engine.pads[ padId ] != null ) {
+            return {
+                type:   "pad",
+                elemId: padId,
+                label:  jqButton.text(),
+                jqElem: jqButton
+            };
+        }
+
+        return null;
+    }
+
+    function captureTarget( event ) {
+        if( !learning )
+            return;
+
+        var target = findLearnTarget( event.target );
+        if( target == null )
+            return;
+
+        event.preventDefault();
+        event.stopPropagation();
+
+        if( event.type != "mousedown" )
+            return;
+
+        $( ".midi-learn-target" ).removeClass( "midi-learn-target" );
+        target.jqElem.addClass( "midi-learn-target" );
+
+        midi.learn({
+            type:   target.type,
+            elemId: target.elemId,
+            label:  target.label
+        });
+
+        setStatus( "Move a control to bind '" + target.label + "'" );
+    }
+
+    document.addEventListener( "mousedown", captureTarget, true );
+    document.addEventListener( "click", captureTarget, true );
+
+    $( learnElemId ).button().click(function() {
+        learning = $(this).is(':checked');
+
+        if( !learning ) {
+            midi.learn( null );
+            $( ".midi-learn-target" ).removeClass( "midi-learn-target" );
+        }
+
+        setStatus( learning ? "Click a pad or slider to learn" : "" );
+    });
+
+    // Set up the mapping import and export
+    $( exportElemId ).button().click(function( event ) {
+        event.preventDefault();
+
+        downloadBlob(
+            new Blob( [ midi.exportJson() ], { type: "application/json" } ),
+            "midi-mappings.json" );
+    });
+
+    $( importElemId ).change(function() {
+        var file = this.files[0];
+        if( file == null )
+            return;
+
+        var reader = new FileReader();
+        reader.onload = function() {
+            try {
+                midi.importJson( reader.result );
+                consoleout( "Imported MIDI mappings from '" + file.name + "'" );
+            } catch( e ) {
+                consoleout( "ERROR: Failed to import MIDI mappings: " + e.message );
+            }
+        };
+        reader.readAsText( file );
+
+        // Allow the same file to be imported again
+        $(this).val( "" );
+    });
+
+    $( clearElemId ).button().click(function( event ) {
+        event.preventDefault();
+
+        midi.clear();
+        consoleout( "Cleared MIDI mappings" );
+    });
+};
+
+/**
+ * Initialize the pattern recorder and the arrangement timeline
+ * @private
+ *
+ * @param {String}  recordElemId    The record toggle's HTML id
+ * @param {String}  playElemId      The play toggle's HTML id
+ * @param {String}  exportElemId    The export button's HTML id
+ * @param {String}  importElemId    The import file input's HTML id
+ * @param {String}  timelineElemId  The timeline container's HTML id
+ * @param {String}  lanesElemId     The lane label container's HTML id
+ */
+WebAudioApp.prototype.initArrangement = function( recordElemId,
+                                                  playElemId,
+                                                  exportElemId,
+                                                  importElemId,
+                                                  timelineElemId,
+                                                  lanesElemId ) {
+    var me = this;
+    var arrangement = new Arrangement();
+    var player = null;
+    var recording = false;
+    var originSecs = null;
+
+    var view = new ArrangementView( timelineElemId, lanesElemId, function() {
+        return Object.keys( me.engine.musicGroups ).map( function( groupId ) {
+            return { id: groupId, label: me.engine.musicGroups[ groupId ].label };
+        } );
+    } );
+    view.render();
+
+    // Record events relative to the first downbeat
+    function recordEvent( type, elemId, groupId, eventSecs, value ) {
+        if( !recording )
+            return;
+
+        // With no music playing, the first event sets the origin
+        if( originSecs == null )
+            originSecs = eventSecs;
+
+        var pad = me.engine.pads[ elemId ];
+        var slider = me.engine.params[ elemId ];
+        var beat = (eventSecs - originSecs) / me.engine.getBeatDuration();
+
+        arrangement.addEvent({
+            beat:       Arrangement.quantize( beat ),
+            type:       type,
+            groupId:    groupId,
+            elemId:     elemId,
+            label:      pad != null ? pad.label : slider.label,
+            value:      value
+        });
+
+        view.render();
+    }
+
+    this.events.on( "loopScheduled", function( elemId, groupId, startSecs ) {
+        recordEvent( "start", elemId, groupId, startSecs );
+    } );
+
+    this.events.on( "loopStop", function( elemId, groupId, stopSecs ) {
+        recordEvent( "stop", elemId, groupId, stopSecs );
+    } );
+
+    this.events.on( "shot", function( elemId, groupId, startSecs ) {
+        recordEvent( "shot", elemId, groupId, startSecs );
+    } );
+
+    this.events.on( "paramChange", function( elemId, value ) {
+        recordEvent( "param", elemId, null, me.audioContext.currentTime, value );
+    } );
+
+    $( recordElemId ).button().click(function() {
+        recording = $(this).is(':checked');
+
+        if( !recording ) {
+            // Round the length up to the bar being recorded
+            if( originSecs != null ) {
+                var beat = (me.audioContext.currentTime - originSecs) / me.engine.getBeatDuration();
+                arrangement.lengthBeats = Math.max( arrangement.lengthBeats,
+                        Math.ceil( beat / arrangement.beatsPerMeasure ) * arrangement.beatsPerMeasure );
+            }
+
+            view.render();
+            consoleout( "Recorded arrangement of "
+                    + arrangement.events.length + " events" );
+            return;
+        }
+
+        // Don't record over the arrangement while it plays
+        if( player != null && player.playing ) {
+            recording = false;
+            $(this).prop( 'checked', false ).button( "refresh" );
+            consoleout( "Stop the arrangement before recording" );
+            return;
+        }
+
+        arrangement = new Arrangement();
+        arrangement.bpm = me.engine.bpm.value;
+        arrangement.beatsPerMeasure = me.engine.beatsPerMeasure;
+        view.setArrangement( arrangement );
+
+        // If music is already playing, start on the next
+        // downbeat with the playing loops
+        originSecs = null;
+        if( me.engine.activeMusicGroupCount > 0 ) {
+            originSecs = me.engine.getNextDownbeat();
+
+            for( var groupId in me.engine.musicGroups ) {
+                var elemId = me.engine.musicGroups[ groupId ].activeElemId;
+
+                if( elemId != null )
+                    recordEvent( "start", elemId, groupId, originSecs );
+            }
+        }
+
+        consoleout( "Recording arrangement" );
+    });
+
+    $( playElemId ).button().click(function() {
+        var jqPlay = $(this);
+
+        if( !jqPlay.is(':checked') ) {
+            player.stop();
+            view.setPlayhead( -1 );
+
+            for( var groupId in me.engine.musicGroups )
+                me.engine.stopLoop( groupId );
+
+            consoleout( "Stopped arrangement" );
+            return;
+        }
+
+        if( recording || arrangement.events.length == 0 ) {
+            jqPlay.prop( 'checked', false ).button( "refresh" );
+            consoleout( recording ? "Stop recording before playing the arrangement"
+                                  : "The arrangement is empty" );
+            return;
+        }
+
+        // Play at the arrangement's tempo
+        me.engine.setParam( "#bpm", arrangement.bpm );
+        me.engine.beatsPerMeasure = arrangement.beatsPerMeasure;
+        $( "#timesig" ).val( String( arrangement.beatsPerMeasure ) );
+
+        player = new ArrangementPlayer( me, arrangement );
+        player.onend = function() {
+            jqPlay.prop( 'checked', false ).button( "refresh" );
+            view.setPlayhead( -1 );
+            consoleout( "Arrangement finished" );
+        };
+        player.start( me.engine.getNextDownbeat() );
+
+        consoleout( "Playing arrangement" );
+
+        // Follow the playback on the timeline
+        (function followPlayhead() {
+            if( !jqPlay.is(':checked') )
+                return;
+
+            view.setPlayhead( Math.max( 0, player.getPosition() ) );
+            window.requestAnimationFrame( followPlayhead );
+        })();
+    });
+
+    // Set up the arrangement import and export
+    $( exportElemId ).button().click(function( event ) {
+        event.preventDefault();
+
+        downloadBlob(
+            new Blob( [ JSON.stringify( arrangement, null, 4 ) ], { type: "application/json" } ),
+            "arrangement.json" );
+    });
+
+    $( importElemId ).change(function() {
+        var file = this.files[0];
+        if( file == null )
+            return;
+
+        var reader = new FileReader();
+        reader.onload = function() {
+            try {
+                arrangement = Arrangement.fromJSON( JSON.parse( reader.result ) );
+                view.setArrangement( arrangement );
+
+                consoleout( "Loaded arrangement from '" + file.name + "'" );
+            } catch( e ) {
+                consoleout( "ERROR: Failed to load arrangement: " + e.message );
+            }
+        };
+        reader.readAsText( file );
+
+        $(this).val( "" );
+    });
+
+    // Keep the lanes in step with the kit
+    this.events.on( "kitLoaded", function() {
+        view.render();
+    } );
+};
+
+/**
+ * Capture the board state as a scene
+ *
+ * @param {String}  name    The scene name
+ *
+ * @returns {Object}    The scene
+ */
+WebAudioApp.prototype.captureScene = function( name ) {
+    var loops = {};
+    for( var groupId in this.engine.musicGroups )
+        loops[ groupId ] = this.engine.musicGroups[ groupId ].activeElemId || null;
+
+    return {
+        name:   name,
+        kit:    this.kitUrl,
+        bpm:    this.engine.bpm.value,
+        volume: this.musicLayer.gain.value,
+        eq:     this.getEqSettings(),
+        loops:  loops
+    };
+};
+
+/**
+ * Recall a scene. The controls change straight away and the
+ * loops switch on the next downbeat.
+ *
+ * @param {Object}  scene   The scene
+ */
+WebAudioApp.prototype.recallScene = function( scene ) {
+    var me = this;
+
+    // Switch to the scene's kit first, unless another
+    // kit is picked while it loads
+    if( scene.kit != null && scene.kit != this.kitUrl ) {
+        $( this.kitElemId ).val( scene.kit );
+        this.loadKit( scene.kit, function() {
+            this.recallScene( scene );
+        }, this );
+        return;
+    }
+
+    consoleout( "Recalling scene '" + scene.name + "'" );
+
+    this.engine.setParam( "#bpm", scene.bpm );
+    this.engine.setParam( "#musicvol", scene.volume );
+    this.applyEqSettings( scene.eq );
+
+    // Switch the loops together, using the regular transitions
+    var startSecs = this.engine.getNextDownbeat();
+    Object.keys( this.engine.musicGroups ).forEach( function( groupId ) {
+        var musicGroup = me.engine.musicGroups[ groupId ];
+        var elemId = scene.loops[ groupId ] || null;
+
+        if( elemId == musicGroup.activeElemId )
+            return;
+
+        if( elemId == null ) {
+            me.engine.stopLoop( groupId, startSecs );
+            return;
+        }
+
+        var pad = me.engine.pads[ elemId ];
+        if( pad == null || pad.groupId != groupId ) {
+            consoleout( "ERROR: Scene loop " + elemId + " isn't in this kit" );
+            return;
+        }
+
+        if( pad.buffer != null ) {
+            me.engine.startLoop( elemId, startSecs );
+            return;
+        }
+
+        // Start the loop on a later downbeat once it's loaded,
+        // giving up if it fails or the kit changes
+        var stopWaiting = function() {
+            me.events.off( "padReady", onPadReady );
+            me.events.off( "padError", onPadError );
+            me.events.off( "kitLoaded", stopWaiting );
+        };
+        var onPadReady = function( readyElemId ) {
+            if( readyElemId != elemId )
+                return;
+
+            stopWaiting();
+            if( me.engine.pads[ elemId ] === pad )
+                me.engine.startLoop( elemId );
+        };
+        var onPadError = function( errorElemId ) {
+            if( errorElemId == elemId )
+                stopWaiting();
+        };
+        me.events.on( "padReady", onPadReady );
+        me.events.on( "padError", onPadError );
+        me.events.on( "kitLoaded", stopWaiting );
+    } );
+};
+
+/**
+ * Initialize the scene controls, and recall a scene shared
+ * through the URL fragment once the first kit is loaded
+ * @private
+ *
+ * @param {String}  selectElemId    The scene selector's HTML id
+ * @param {String}  saveElemId      The save button's HTML id
+ * @param {String}  deleteElemId    The delete button's HTML id
+ * @param {String}  exportElemId    The export button's HTML id
+ * @param {String}  importElemId    The import file input's HTML id
+ * @param {String}  shareElemId     The share button's HTML id
+ */
+WebAudioApp.prototype.initScenes = function( selectElemId,
+                                             saveElemId,
+                                             deleteElemId,
+                                             exportElemId,
+                                             importElemId,
+                                             shareElemId ) {
+    var scenes = new SceneStore( "superSoundBoy.scenes" );
+    var jqSelect = $( selectElemId );
+    this.scenes = scenes;
+
+    function fillScenes( selectedName ) {
+        jqSelect.empty().append( $( "<option>" ).val( "" ).text( "Scenes..." ) );
+
+        scenes.getNames().forEach( function( name ) {
+            jqSelect.append( $( "<option>" ).val( name ).text( name ) );
+        } );
+
+        jqSelect.val( selectedName || "" );
+    }
+
+    fillScenes();
+
+    // Refill on changes from elsewhere too, such as the account
+    var me = this;
+    this.events.on( "scenesChanged", fillScenes );
+
+    jqSelect.change(function() {
+        var scene = scenes.get( jqSelect.val() );
+        if( scene != null )
+            me.recallScene( scene );
+    });
+
+    $( saveElemId ).button().click(function( event ) {
+        event.preventDefault();
+
+        var name = window.prompt( "Scene name", jqSelect.val() || "" );
+        if( name == null || $.trim( name ) == "" )
+            return;
+
+        name = $.trim( name );
+        scenes.save( me.captureScene( name ) );
+
+        me.events.emit( "scenesChanged", name );
+        consoleout( "Saved scene '" + name + "'" );
+    });
+
+    $( deleteElemId ).button().click(function( event ) {
+        event.preventDefault();
+
+        var name = jqSelect.val();
+        if( name == "" )
+            return;
+
+        scenes.remove( name );
+
+        me.events.emit( "scenesChanged" );
+        consoleout( "Deleted scene '" + name + "'" );
+    });
+
+    // Set up the scene import and export
+    $( exportElemId ).button().click(function( event ) {
+        event.preventDefault();
+
+        downloadBlob(
+            new Blob( [ scenes.exportJson() ], { type: "application/json" } ),
+            "scenes.json" );
+    });
+
+    $( importElemId ).change(function() {
+        var file = this.files[0];
+        if( file == null )
+            return;
+
+        var reader = new FileReader();
+        reader.onload = function() {
+            try {
+                var count = scenes.importJson( reader.result );
+                me.events.emit( "scenesChanged" );
+
+                consoleout( "Imported " + count + " scene(s) from '" + file.name + "'" );
+            } catch( e ) {
+                consoleout( "ERROR: Failed to import scenes: " + e.message );
+            }
+        };
+        reader.readAsText( file );
+
+        $(this).val( "" );
+    });
+
+    // Share the current state as a link
+    $( shareElemId ).button().click(function( event ) {
+        event.preventDefault();
+
+        var name = jqSelect.val() || "Shared scene";
+        window.location.hash = SceneStore.toFragment( me.captureScene( name ) );
+
+        consoleout( "Scene link: " + window.location.href );
+    });
+
+    // Recall a shared scene
+    var sharedScene = null;
+    try {
+        sharedScene = SceneStore.fromFragment( window.location.hash );
+    } catch( e ) {
+        consoleout( "ERROR: Failed to read the shared scene: " + e.message );
+    }
+
+    if( sharedScene != null ) {
+        var onKitLoaded = function() {
+            me.events.off( "kitLoaded", onKitLoaded );
+            me.recallScene( sharedScene );
+        };
+        this.events.on( "kitLoaded", onKitLoaded );
+    }
+};
+
+/**
+ * Initialize the jam session controls
+ * @private
+ *
+ * @param {String}  relayElemId     The relay URL input's HTML id
+ * @param {String}  nameElemId      The player name input's HTML id
+ * @param {String}  codeElemId      The join code input's HTML id
+ * @param {String}  joinElemId      The join button's HTML id
+ * @param {String}  leaveElemId     The leave button's HTML id
+ * @param {String}  statusElemId    The session status' HTML id
+ * @param {String}  playersElemId   The player list's HTML id
+ */
+WebAudioApp.prototype.initSession = function( relayElemId,
+                                              nameElemId,
+                                              codeElemId,
+                                              joinElemId,
+                                              leaveElemId,
+                                              statusElemId,
+                                              playersElemId ) {
+    var session = new JamSession( this.engine );
+    this.session = session;
+
+    // Default to a relay on the page's host
+    $( relayElemId ).val( "ws://" + (window.location.hostname || "localhost") + ":8765" );
+
+    function showJoined( joined ) {
+        $( joinElemId ).button( "option", "disabled", joined );
+        $( leaveElemId ).button( "option", "disabled", !joined );
+
+        if( !joined )
+            $( playersElemId ).empty();
+    }
+
+    $( joinElemId ).button().click(function( event ) {
+        event.preventDefault();
+
+        // A blank code starts a new session
+        session.join(
+            $.trim( $( relayElemId ).val() ),
+            $.trim( $( nameElemId ).val() ),
+            $.trim( $( codeElemId ).val() ) );
+
+        $( statusElemId ).text( "Connecting..." );
+    });
+
+    $( leaveElemId ).button({ disabled: true }).click(function( event ) {
+        event.preventDefault();
+        session.leave();
+    });
+
+    session.on( "joined", function( code ) {
+        $( codeElemId ).val( code );
+        $( statusElemId ).text( "Session " + code );
+        showJoined( true );
+
+        consoleout( "Joined jam session " + code );
+    } );
+
+    session.on( "presence", function( players ) {
+        var jqPlayers = $( playersElemId ).empty();
+
+        players.forEach( function( player ) {
+            $( "<li>" ).text( player.name )
+                .toggleClass( "session-self", player.id == session.playerId )
+                .appendTo( jqPlayers );
+        } );
+    } );
+
+    session.on( "closed", function( reason ) {
+        $( statusElemId ).text( "" );
+        showJoined( false );
+
+        consoleout( reason );
+    } );
+
+    session.on( "error", function( message ) {
+        $( statusElemId ).text( "" );
+        consoleout( "ERROR: " + message );
+    } );
+};
+
+/**
+ * Initialize the account sync controls
+ *
+ * Lists the scenes, EQ presets or takes both here and in the
+ * logged in account, to save, load or delete one at a time.
+ * @private
+ *
+ * @param {String}  serverElemId    The server URL input's HTML id
+ * @param {String}  statusElemId    The login status's HTML id
+ * @param {String}  kindElemId      The item kind selector's HTML id
+ * @param {String}  itemsElemId     The item selector's HTML id
+ * @param {String}  saveElemId      The save button's HTML id
+ * @param {String}  loadElemId      The load button's HTML id
+ * @param {String}  deleteElemId    The delete button's HTML id
+ * @param {String}  takesElemId     The take list's HTML id
+ */
+WebAudioApp.prototype.initAccount = function( serverElemId,
+                                              statusElemId,
+                                              kindElemId,
+                                              itemsElemId,
+                                              saveElemId,
+                                              loadElemId,
+                                              deleteElemId,
+                                              takesElemId ) {
+    var KIND_LABELS = {
+        scenes:     "scene",
+        eqpresets:  "EQ preset",
+        takes:      "take"
+    };
+
+    // Default to a server on the page's host
+    var jqServer = $( serverElemId );
+    jqServer.val( "http://" + (window.location.hostname || "localhost") + ":5000" );
+
+    var account = new AccountClient( jqServer.val(), "superSoundBoy.account" );
+    this.account = account;
+
+    var me = this;
+    var jqKind = $( kindElemId );
+    var jqItems = $( itemsElemId );
+    var pendingCount = 0;
+
+    jqKind
+        .append( $( "<option>" ).val( "scenes" ).text( "Scenes" ) )
+        .append( $( "<option>" ).val( "eqpresets" ).text( "EQ presets" ) )
+        .append( $( "<option>" ).val( "takes" ).text( "Takes" ) );
+
+    function describe( kind, name ) {
+        return "the " + KIND_LABELS[ kind ] + " '" + name + "'";
+    }
+
+    function getLocalNames( kind ) {
+        if( kind == "scenes" )
+            return me.scenes.getNames();
+
+        if( kind == "eqpresets" )
+            return me.eqPresets.getNames().filter( function( name ) {
+                return !me.eqPresets.isBuiltIn( name );
+            } );
+
+        return Object.keys( me.takes );
+    }
+
+    // Returns what to save of a local item, or null if there's no such item
+    function getLocal( kind, name ) {
+        if( kind == "scenes" )
+            return me.scenes.get( name );
+
+        if( kind == "eqpresets" )
+            return me.eqPresets.isBuiltIn( name ) ? null : me.eqPresets.get( name );
+
+        var take = me.takes[ name ] && me.takes[ name ].take;
+        return take ? encodeWav( take.channels, take.sampleRate, 16 ) : null;
+    }
+
+    // Keep an item loaded from the account
+    function putLocal( kind, name, data ) {
+        if( kind == "scenes" ) {
+            data.name = name;
+            me.scenes.save( data );
+            me.events.emit( "scenesChanged", name );
+        } else if( kind == "eqpresets" ) {
+            if( !Array.isArray( data ) )
+                throw new Error( "Not a valid EQ preset" );
+
+            me.eqPresets.save( name, data );
+            me.events.emit( "eqPresetsChanged", name );
+        } else {
+            me.audioContext.decodeAudioData( data, function( audioBuffer ) {
+                var channels = [];
+                for( var channel = 0; channel < audioBuffer.numberOfChannels; channel++ )
+                    channels.push( audioBuffer.getChannelData( channel ) );
+
+                me.addTake( takesElemId, name, {
+                    channels:       channels,
+                    sampleRate:     audioBuffer.sampleRate,
+                    durationSecs:   audioBuffer.duration
+                } );
+            }, function() {
+                consoleout( "ERROR: Can't decode " + describe( kind, name ) );
+            } );
+        }
+    }
+
+    // List the local and account items of the selected kind
+    function fillItems() {
+        var kind = jqKind.val();
+        var selectedName = jqItems.val();
+
+        function fill( accountNames ) {
+            var localNames = getLocalNames( kind );
+            var names = localNames.concat( accountNames.filter( function( name ) {
+                return localNames.indexOf( name ) < 0;
+            } ) ).sort();
+
+            jqItems.empty();
+            names.forEach( function( name ) {
+                var where = "";
+                if( accountNames.indexOf( name ) < 0 )
+                    where = " (not saved)";
+                else if( localNames.indexOf( name ) < 0 )
+                    where = " (account)";
+
+                jqItems.append( $( "<option>" ).val( name ).text( name + where ) );
+            } );
+
+            if( names.indexOf( selectedName ) >= 0 )
+                jqItems.val( selectedName );
+        }
+
+        if( !account.isLoggedIn() ) {
+            fill( [] );
+            return;
+        }
+
+        account.list( kind, function( items ) {
+            if( jqKind.val() == kind )
+                fill( items.map( function( item ) {
+                    return item.name;
+                } ) );
+        }, null, function( message ) {
+            fill( [] );
+            consoleout( "ERROR: " + message );
+        } );
+    }
+
+    function showStatus() {
+        var loggedIn = account.isLoggedIn();
+        var status = loggedIn ? "Logged in as " + account.username : "Not logged in";
+        if( loggedIn && pendingCount > 0 )
+            status += ", " + pendingCount + " change(s) waiting to sync";
+
+        $( statusElemId ).text( status );
+        $( [ saveElemId, loadElemId, deleteElemId ].join( "," ) )
+            .button( "option", "disabled", !loggedIn );
+    }
+
+    // Ask which copy of an item to keep
+    function resolveConflict( conflict ) {
+        var kind = conflict.kind;
+        var name = conflict.name;
+        var question;
+
+        if( conflict.op == "remove" )
+            question = "Your account has a newer copy of " + describe( kind, name )
+                + " than the one you deleted. Delete it anyway?";
+        else if( conflict.version == null )
+            question = "Someone deleted " + describe( kind, name )
+                + " from your account. Save this copy again?";
+        else
+            question = "Your account has a different copy of " + describe( kind, name )
+                + ". Replace it with this one?";
+
+        if( window.confirm( question ) ) {
+            account.overwrite( conflict, function() {
+                consoleout( (conflict.op == "remove" ? "Deleted " : "Saved ")
+                        + describe( kind, name ) );
+                fillItems();
+            }, null, syncError );
+            return;
+        }
+
+        // Keep the account's copy here too, other than of takes, which
+        // are left side by side
+        if( conflict.op == "save" && conflict.version != null && kind != "takes" )
+            loadItem( kind, name );
+    }
+
+    function syncError( message, conflict ) {
+        if( conflict != null )
+            resolveConflict( conflict );
+        else
+            consoleout( "ERROR: " + message );
+    }
+
+    function loadItem( kind, name ) {
+        account.load( kind, name, function( data ) {
+            try {
+                putLocal( kind, name, data );
+            } catch( e ) {
+                consoleout( "ERROR: Can't load " + describe( kind, name ) + ": " + e.message );
+                return;
+            }
+
+            consoleout( "Loaded " + describe( kind, name ) + " from your account" );
+            fillItems();
+        }, null, function( message ) {
+            consoleout( "ERROR: " + message );
+        } );
+    }
+
+    jqKind.change( fillItems );
+
+    $( saveElemId ).button().click(function( event ) {
+        event.preventDefault();
+
+        var kind = jqKind.val();
+        var name = jqItems.val();
+        var data = name != null ? getLocal( kind, name ) : null;
+        if( data == null ) {
+            consoleout( "ERROR: Pick a " + KIND_LABELS[ kind ] + " from this board to save" );
+            return;
+        }
+
+        account.save( kind, name, data, function( version, queued ) {
+            if( queued )
+                consoleout( "Saving " + describe( kind, name ) + " once the server is back" );
+            else
+                consoleout( "Saved " + describe( kind, name ) + " to your account" );
+
+            fillItems();
+        }, null, syncError );
+    });
+
+    $( loadElemId ).button().click(function( event ) {
+        event.preventDefault();
+
+        var name = jqItems.val();
+        if( name != null )
+            loadItem( jqKind.val(), name );
+    });
+
+    $( deleteElemId ).button().click(function( event ) {
+        event.preventDefault();
+
+        var kind = jqKind.val();
+        var name = jqItems.val();
+        if( name == null
+                || !window.confirm( "Delete " + describe( kind, name ) + " from your account?" ) )
+            return;
+
+        account.remove( kind, name, function( version, queued ) {
+            if( queued )
+                consoleout( "Deleting " + describe( kind, name ) + " once the server is back" );
+            else
+                consoleout( "Deleted " + describe( kind, name ) + " from your account" );
+
+            fillItems();
+        }, null, syncError );
+    });
+
+    jqServer.change(function() {
+        account.setBaseUrl( $.trim( jqServer.val() ) );
+        account.checkLogin();
+    });
+
+    account.on( "login", function( username ) {
+        consoleout( "Logged in as " + username );
+        showStatus();
+        fillItems();
+    } );
+
+    account.on( "logout", function() {
+        showStatus();
+        fillItems();
+    } );
+
+    account.on( "pending", function( count ) {
+        pendingCount = count;
+        showStatus();
+    } );
+
+    account.on( "conflict", resolveConflict );
+
+    account.on( "error", function( message ) {
+        consoleout( "ERROR: " + message );
+    } );
+
+    // Follow the local items, and send the queued changes when
+    // back online
+    this.events.on( "scenesChanged", fillItems );
+    this.events.on( "eqPresetsChanged", fillItems );
+    this.events.on( "takeAdded", fillItems );
+
+    $( window ).on( "online", function() {
+        account.flush();
+    } );
+
+    showStatus();
+    fillItems();
+    account.checkLogin();
+};
+
+/**
+ * Initialize the login dialog, which logs in to the account
+ * without leaving the board
+ * @private
+ *
+ * @param {String}  dialogElemId    The login dialog's HTML id
+ * @param {String}  loginElemId     The login link's HTML id
+ * @param {String}  logoutElemId    The logout link's HTML id
+ */
+WebAudioApp.prototype.initLogin = function( dialogElemId, loginElemId, logoutElemId ) {
+    var account = this.account;
+    var jqDialog = $( dialogElemId ).dialog({ autoOpen: false, modal: true });
+    var jqError = jqDialog.find( ".login-error" );
+
+    $( loginElemId ).click(function( event ) {
+        event.preventDefault();
+
+        jqError.text( "" );
+        jqDialog.dialog( "open" );
+    });
+
+    $( logoutElemId ).click(function( event ) {
+        event.preventDefault();
+
+        account.logout(function() {
+            consoleout( "Logged out" );
+        });
+    });
+
+    jqDialog.find( "form" ).submit(function( event ) {
+        event.preventDefault();
+
+        var jqPassword = jqDialog.find( "[name=password]" );
+        account.login(
+            $.trim( jqDialog.find( "[name=username]" ).val() ),
+            jqPassword.val(),
+            jqDialog.find( "[name=remember]" ).is( ":checked" ),
+            function() {
+                jqPassword.val( "" );
+                jqDialog.dialog( "close" );
+            }, null, function( message ) {
+                jqError.text( message );
+            } );
+    });
+
+    function showLinks() {
+        $( loginElemId ).toggle( !account.isLoggedIn() );
+        $( logoutElemId ).toggle( account.isLoggedIn() );
+    }
+
+    account.on( "login", showLinks );
+    account.on( "logout", showLinks );
+    showLinks();
+};
+
+/**
+ * Initialize the modulation sources and their assignments
+ * @private
+ *
+ * @param {String}  sourcesElemId   The source list's HTML id
+ * @param {String}  assignsElemId   The assignment list's HTML id
+ * @param {String}  addLfoElemId    The add LFO button's HTML id
+ * @param {String}  addEnvElemId    The add envelope button's HTML id
+ * @param {String}  assignElemId    The add assignment button's HTML id
+ */
+WebAudioApp.prototype.initModulation = function( sourcesElemId,
+                                                 assignsElemId,
+                                                 addLfoElemId,
+                                                 addEnvElemId,
+                                                 assignElemId ) {
+    var UPDATE_INTERVAL_MS = 25;
+    var ENVELOPE_WIDTH = 256;
+    var ENVELOPE_HEIGHT = 48;
+
+    var me = this;
+    var matrix = new ModulationMatrix();
+    var updateTimer = null;
+    this.modulation = matrix;
+
+    function fillSelect( jqSelect, options ) {
+        jqSelect.empty();
+        options.forEach( function( option ) {
+            $( "<option/>" ).val( option.value ).text( option.text ).appendTo( jqSelect );
+        } );
+
+        return jqSelect;
+    }
+
+    function buildSelect( options, value, changeFn ) {
+        return fillSelect( $( "<select/>" ), options )
+            .val( String( value ) )
+            .change( changeFn );
+    }
+
+    function getSourceOptions() {
+        return matrix.sources.map( function( source ) {
+            return { value: source.id, text: source.label };
+        } );
+    }
+
+    function getTargetOptions() {
+        return Object.keys( me.engine.params ).map( function( elemId ) {
+            return { value: elemId, text: me.engine.params[ elemId ].label };
+        } );
+    }
+
+    // Refresh the assignment selectors, keeping their selections
+    function updateAssignSelects() {
+        $( assignsElemId ).find( ".modassign" ).each( function() {
+            var jqSource = $(this).find( ".modassign-source" );
+            var jqTarget = $(this).find( ".modassign-target" );
+            var sourceId = jqSource.val();
+            var elemId = jqTarget.val();
+
+            fillSelect( jqSource, getSourceOptions() ).val( sourceId );
+            fillSelect( jqTarget, getTargetOptions() ).val( elemId );
+        } );
+    }
+
+    // Only update the sliders while something is assigned
+    function updateTimerState() {
+        if( matrix.assignments.length > 0 && updateTimer == null ) {
+            updateTimer = setInterval( function() {
+                me.updateModulation();
+            }, UPDATE_INTERVAL_MS );
+        } else if( matrix.assignments.length == 0 && updateTimer != null ) {
+            clearInterval( updateTimer );
+            updateTimer = null;
+        }
+    }
+
+    // Put a slider back to its base value once nothing modulates it
+    function releaseTarget( assignment ) {
+        var stillAssigned = matrix.assignments.some( function( other ) {
+            return other !== assignment && other.elemId == assignment.elemId;
+        } );
+
+        if( !stillAssigned && me.engine.params[ assignment.elemId ] != null )
+            me.showSliderValue( assignment.elemId, assignment.base );
+    }
+
+    function drawEnvelope( canvasCtx, source ) {
+        var points = source.points;
+
+        canvasCtx.fillStyle = "#f0f0f0";
+        canvasCtx.fillRect( 0, 0, ENVELOPE_WIDTH, ENVELOPE_HEIGHT );
+
+        canvasCtx.beginPath();
+        points.forEach( function( level, index ) {
+            var x = index * ENVELOPE_WIDTH / (points.length - 1);
+            var y = (1 - level) * ENVELOPE_HEIGHT;
+
+            if( index == 0 )
+                canvasCtx.moveTo( x, y );
+            else
+                canvasCtx.lineTo( x, y );
+        } );
+
+        canvasCtx.strokeStyle = "#ff0000";
+        canvasCtx.stroke();
+    }
+
+    function addSource( type ) {
+        var source = matrix.addSource( type );
+        var jqSource = $( "<div class='modsource'/>" ).appendTo( sourcesElemId );
+
+        $( "<span class='modsource-label'/>" ).text( source.label ).appendTo( jqSource );
+
+        if( type == "lfo" ) {
+            buildSelect( LfoSource.SHAPES.map( function( shape ) {
+                return { value: shape, text: shape };
+            } ), source.shape, function() {
+                source.shape = $(this).val();
+            } ).appendTo( jqSource );
+
+            buildSelect( LfoSource.RATES.map( function( beats ) {
+                return { value: beats, text: (beats < 1 ? "1/" + (1 / beats) : beats)
+                        + (beats > 1 ? " beats" : " beat") };
+            } ), source.rateBeats, function() {
+                source.rateBeats = Number( $(this).val() );
+            } ).appendTo( jqSource );
+        } else {
+            buildSelect( EnvelopeSource.BARS.map( function( bars ) {
+                return { value: bars, text: bars + (bars > 1 ? " bars" : " bar") };
+            } ), source.bars, function() {
+                source.bars = Number( $(this).val() );
+            } ).appendTo( jqSource );
+
+            // Draw the envelope with the mouse
+            var jqCanvas = $( "<canvas/>" )
+                    .attr( { width: ENVELOPE_WIDTH, height: ENVELOPE_HEIGHT } )
+                    .appendTo( jqSource );
+            var canvasCtx = jqCanvas[0].getContext( "2d" );
+            var drawing = false;
+            var namespace = ".modenv" + source.id;
+
+            var drawPoint = function( event ) {
+                var offset = jqCanvas.offset();
+                source.setPoint(
+                        (event.pageX - offset.left) / jqCanvas.width(),
+                        1 - (event.pageY - offset.top) / jqCanvas.height() );
+
+                drawEnvelope( canvasCtx, source );
+            };
+
+            jqCanvas.on( "mousedown", function( event ) {
+                event.preventDefault();
+                drawing = true;
+                drawPoint( event );
+            } );
+            $( document )
+                .on( "mousemove" + namespace, function( event ) {
+                    if( drawing )
+                        drawPoint( event );
+                } )
+                .on( "mouseup" + namespace, function() {
+                    drawing = false;
+                } );
+
+            drawEnvelope( canvasCtx, source );
+        }
+
+        $( "<button type='button' class='modremove'>x</button>" )
+            .appendTo( jqSource )
+            .click(function() {
+                matrix.removeSource( source.id ).forEach( function( assignment ) {
+                    releaseTarget( assignment );
+                    $( "#" + assignment.id ).remove();
+                } );
+
+                // Stop following the mouse for the envelope drawing
+                $( document ).off( ".modenv" + source.id );
+
+                jqSource.remove();
+                updateAssignSelects();
+                updateTimerState();
+
+                consoleout( "Removed modulation source '" + source.label + "'" );
+            });
+
+        updateAssignSelects();
+        consoleout( "Added modulation source '" + source.label + "'" );
+    }
+
+    function addAssignment() {
+        var targets = getTargetOptions();
+        if( matrix.sources.length == 0 || targets.length == 0 ) {
+            consoleout( "ERROR: Add a modulation source to assign first" );
+            return;
+        }
+
+        var elemId = targets[0].value;
+        var assignment = matrix.addAssignment( matrix.sources[0].id, elemId,
+                me.engine.params[ elemId ].audioParam.value );
+
+        var jqAssign = $( "<div class='modassign'/>" )
+                .attr( "id", assignment.id )
+                .appendTo( assignsElemId );
+
+        buildSelect( getSourceOptions(), assignment.sourceId, function() {
+            assignment.sourceId = $(this).val();
+        } ).addClass( "modassign-source" ).appendTo( jqAssign );
+
+        $( "<span> to </span>" ).appendTo( jqAssign );
+
+        buildSelect( targets, assignment.elemId, function() {
+            releaseTarget( assignment );
+
+            assignment.elemId = $(this).val();
+            assignment.base = me.engine.params[ assignment.elemId ].audioParam.value;
+        } ).addClass( "modassign-target" ).appendTo( jqAssign );
+
+        // Set the depth and offset as fractions of the target's range
+        [ "depth", "offset" ].forEach( function( setting ) {
+            $( "<span/>" ).text( " " + setting + " " ).appendTo( jqAssign );
+            $( "<span class='modassign-slider'/>" ).appendTo( jqAssign ).slider({
+                min:    setting == "depth" ? 0 : -1,
+                max:    1,
+                step:   0.01,
+                value:  assignment[ setting ],
+                slide:  function( event, ui ) {
+                    assignment[ setting ] = ui.value;
+                }
+            });
+        } );
+
+        $( "<button type='button' class='modremove'>x</button>" )
+            .appendTo( jqAssign )
+            .click(function() {
+                matrix.removeAssignment( assignment );
+                releaseTarget( assignment );
+                jqAssign.remove();
+                updateTimerState();
+            });
+
+        updateTimerState();
+        consoleout( "Assigned modulation to '" + me.engine.params[ elemId ].label + "'" );
+    }
+
+    $( addLfoElemId ).button().click(function( event ) {
+        event.preventDefault();
+        addSource( "lfo" );
+    });
+
+    $( addEnvElemId ).button().click(function( event ) {
+        event.preventDefault();
+        addSource( "envelope" );
+    });
+
+    $( assignElemId ).button().click(function( event ) {
+        event.preventDefault();
+        addAssignment();
+    });
+
+    // Moving a slider by hand, MIDI or automation moves the
+    // base value the modulation swings around
+    this.events.on( "paramChange", function( elemId, value ) {
+        matrix.assignments.forEach( function( assignment ) {
+            if( assignment.elemId == elemId )
+                assignment.base = value;
+        } );
+    } );
+
+    // The mixer sliders change with the kit
+    this.events.on( "kitLoaded", updateAssignSelects );
+};
+
+/**
+ * Apply the modulation to the assigned sliders
+ * @private
+ */
+WebAudioApp.prototype.updateModulation = function() {
+    if( this.modulation.assignments.length == 0 )
+        return;
+
+    var values = this.modulation.getValues(
+            this.engine.getBeatPosition(),
+            this.engine.beatsPerMeasure,
+            this.engine.params );
+
+    for( var elemId in values )
+        this.showSliderValue( elemId, values[ elemId ] );
+};
+
+/**
+ * Initialize the loop slicer and its step sequencer
+ * @private
+ *
+ * @param {String}  sourceElemId    The loop selector's HTML id
+ * @param {String}  modeElemId      The slicing mode selector's HTML id
+ * @param {String}  canvasElemId    The waveform canvas' HTML id
+ * @param {String}  padsElemId      The slice pad container's HTML id
+ * @param {String}  stepsElemId     The step pattern container's HTML id
+ * @param {String}  playElemId      The pattern play toggle's HTML id
+ */
+WebAudioApp.prototype.initSlicer = function( sourceElemId,
+                                             modeElemId,
+                                             canvasElemId,
+                                             padsElemId,
+                                             stepsElemId,
+                                             playElemId ) {
+    var GRAB_PIXELS = 6;
+
+    var me = this;
+    var jqSource = $( sourceElemId );
+    var jqCanvas = $( canvasElemId );
+    var canvas = jqCanvas[0];
+    var sequencer = new SliceSequencer( this );
+    var dragIndex = -1;
+
+    this.slicer = null;
+    this.slicePad = null;
+    this.sliceNode = null;
+
+    // List the loaded loops
+    function fillSources() {
+        var selectedId = jqSource.val();
+
+        jqSource.empty().append( $( "<option/>" ).val( "" ).text( "Choose a loop..." ) );
+        for( var elemId in me.engine.pads ) {
+            var pad = me.engine.pads[ elemId ];
+
+            if( pad.mode == "loop" && pad.buffer != null )
+                $( "<option/>" ).val( elemId ).text( pad.label ).appendTo( jqSource );
+        }
+
+        jqSource.val( me.engine.pads[ selectedId ] != null ? selectedId : "" );
+    }
+
+    function render() {
+        var canvasCtx = canvas.getContext( "2d" );
+
+        canvasCtx.fillStyle = "#f0f0f0";
+        canvasCtx.fillRect( 0, 0, canvas.width, canvas.height );
+
+        if( me.slicer == null )
+            return;
+
+        drawWaveform( canvasCtx, me.slicer.audioBuffer );
+
+        // Draw and number the slice markers
+        var pixelsPerSec = canvas.width / me.slicer.audioBuffer.duration;
+        canvasCtx.font = "10px sans-serif";
+        me.slicer.markers.forEach( function( secs, index ) {
+            var x = Math.round( secs * pixelsPerSec );
+
+            canvasCtx.fillStyle = index == dragIndex ? "#b83400" : "#3572ac";
+            canvasCtx.fillRect( x, 0, 1, canvas.height );
+            canvasCtx.fillText( String( index + 1 ), x + 2, 10 );
+        } );
+    }
 
-        // Schedule the new loop playback
-        var audioNode = musicLayer.playAudioBuffer(
-                audioBuffer,
-                startSecs,
-                true );
+    // Rebuild the slice pads and the pattern's step selectors
+    function updateSlices() {
+        var sliceCount = me.slicer != null ? me.slicer.getSliceCount() : 0;
+        var jqPads = $( padsElemId ).empty();
+
+        for( var index = 0; index < sliceCount; index++ ) {
+            $( "<button type='button'/>" )
+                .text( String( index + 1 ) )
+                .data( "slice", index )
+                .appendTo( jqPads )
+                .button()
+                .click(function( event ) {
+                    event.preventDefault();
+                    me.playSlice( $(this).data( "slice" ) );
+                });
+        }
+
+        $( stepsElemId ).find( "select" ).each( function( step ) {
+            var jqStep = $(this);
+            var sliceIndex = sequencer.pattern[ step ];
+
+            jqStep.empty().append( $( "<option/>" ).val( -1 ).text( "-" ) );
+            for( index = 0; index < sliceCount; index++ )
+                $( "<option/>" ).val( index ).text( String( index + 1 ) ).appendTo( jqStep );
+
+            jqStep.val( String( sliceIndex < sliceCount ? sliceIndex : -1 ) );
+        } );
+
+        render();
+    }
+
+    function slice() {
+        if( me.slicer == null )
+            return;
 
-        // Output a console message to indicate the status
-        if( musicGroup.activeLoop == null )
-            consoleout( "Playing loop '"
-                    + audioSrc + "'" );
+        var mode = $( modeElemId ).val();
+        if( mode == "transients" )
+            me.slicer.sliceByTransients();
         else
-            consoleout( "Transition from loop '"
-                    + musicGroup.activeSrc + "' to '"
-                    + audioSrc );
+            me.slicer.sliceByGrid( Number( mode ) );
+
+        // Lay the slices out in order over the steps
+        var sliceCount = me.slicer.getSliceCount();
+        sequencer.pattern = sequencer.pattern.map( function( sliceIndex, step ) {
+            return step % sliceCount;
+        } );
+
+        updateSlices();
+        consoleout( "Sliced '" + me.slicePad.label + "' into " + sliceCount + " slices" );
+    }
+
+    jqSource
+        .on( "focus", fillSources )
+        .change(function() {
+            var pad = me.engine.pads[ $(this).val() ];
+
+            me.slicePad = pad || null;
+            me.slicer = pad != null ? new LoopSlicer( pad.buffer ) : null;
+            slice();
+            updateSlices();
+        });
+
+    $( modeElemId ).change( slice );
+
+    // Build the step selectors
+    for( var step = 0; step < SliceSequencer.STEPS_NUM; step++ ) {
+        $( "<select/>" )
+            .appendTo( stepsElemId )
+            .change(function() {
+                sequencer.pattern[ $(this).index() ] = Number( $(this).val() );
+            });
+    }
+
+    // Edit the markers on the waveform. Drag a marker to move it,
+    // click elsewhere to add one and double-click one to remove it.
+    function getSecsAt( event ) {
+        var x = event.pageX - jqCanvas.offset().left;
+        return x / jqCanvas.width() * me.slicer.audioBuffer.duration;
+    }
+
+    function findMarker( event ) {
+        var secs = getSecsAt( event );
+        var grabSecs = GRAB_PIXELS / jqCanvas.width() * me.slicer.audioBuffer.duration;
+        var found = -1;
+
+        me.slicer.markers.forEach( function( markerSecs, index ) {
+            if( Math.abs( markerSecs - secs ) < grabSecs )
+                found = index;
+        } );
+
+        return found;
+    }
+
+    jqCanvas.on( "mousedown", function( event ) {
+        if( me.slicer == null )
+            return;
+
+        event.preventDefault();
+
+        dragIndex = findMarker( event );
+        if( dragIndex < 0 ) {
+            dragIndex = me.slicer.addMarker( getSecsAt( event ) );
+            updateSlices();
+        }
+    } );
+
+    jqCanvas.on( "dblclick", function( event ) {
+        if( me.slicer == null )
+            return;
+
+        me.slicer.removeMarker( findMarker( event ) );
+        updateSlices();
+    } );
+
+    $( document )
+        .on( "mousemove", function( event ) {
+            if( dragIndex <= 0 )
+                return;
+
+            me.slicer.moveMarker( dragIndex, getSecsAt( event ) );
+            render();
+        } )
+        .on( "mouseup", function() {
+            if( dragIndex < 0 )
+                return;
+
+            dragIndex = -1;
+            render();
+        } );
+
+    // Play the pattern from the next downbeat
+    sequencer.onstep = function( step, sliceIndex, startSecs ) {
+        me.playSlice( sliceIndex, startSecs );
+    };
+
+    $( playElemId ).button().click(function() {
+        if( !$(this).is( ':checked' ) ) {
+            sequencer.stop();
+            consoleout( "Stopped slice pattern" );
+            return;
+        }
+
+        if( me.slicer == null ) {
+            $(this).prop( 'checked', false ).button( "refresh" );
+            consoleout( "ERROR: Choose a loop to slice first" );
+            return;
+        }
+
+        sequencer.start( me.engine.getNextDownbeat() );
+        consoleout( "Playing slice pattern" );
+    });
+
+    // Drop the slices of an unloaded kit
+    this.events.on( "kitLoaded", function() {
+        sequencer.stop();
+        $( playElemId ).prop( 'checked', false ).button( "refresh" );
+
+        me.slicer = null;
+        me.slicePad = null;
+        fillSources();
+        updateSlices();
+    } );
+
+    fillSources();
+    updateSlices();
+};
+
+/**
+ * Play a slice of the sliced loop through its group's channel.
+ * Slices cut each other off, like a re-edited break.
+ *
+ * @param {Number}  sliceIndex      The slice index
+ * @param {Number}  [startSecs]     The scheduled start time, defaults to now
+ */
+WebAudioApp.prototype.playSlice = function( sliceIndex, startSecs ) {
+    var pad = this.slicePad;
+    if( this.slicer == null || sliceIndex >= this.slicer.getSliceCount() )
+        return;
+
+    // The kit may have been unloaded under the sequencer
+    var musicGroup = this.engine.musicGroups[ pad.groupId ];
+    if( musicGroup == null )
+        return;
+
+    if( startSecs == null )
+        startSecs = this.audioContext.currentTime;
+
+    if( this.sliceNode != null )
+        this.sliceNode.stop( startSecs );
+
+    var slice = this.slicer.getSlice( sliceIndex );
+    this.sliceNode = this.musicLayer.playAudioBuffer(
+            pad.buffer,
+            startSecs,
+            false,
+            {
+                destNode:       musicGroup.channel.volNode,
+                playbackRate:   pad.bpm != null ? this.engine.bpm.value / pad.bpm : 1,
+                offset:         slice.offset,
+                duration:       slice.duration
+            } );
+};
 
-        // Update the global music state
-        me.musicStartSecs = startSecs;
-        if( musicGroup.activeLoop == null )
-            me.activeMusicGroupCount++;
+/**
+ * Initialize the kit selector and load the first kit
+ * @private
+ *
+ * @param {String}  elemId          The kit selector's HTML id
+ * @param {String}  kitsUrl         The URL of the kit list
+ */
+WebAudioApp.prototype.initKits = function( elemId, kitsUrl ) {
+    var me = this;
+    var jqSelect = $( elemId );
+    this.kitElemId = elemId;
+
+    $.getJSON( kitsUrl )
+        .done(function( kits ) {
+            kits.forEach( function( kit ) {
+                $( "<option/>" )
+                    .text( kit.name )
+                    .val( kit.url )
+                    .appendTo( jqSelect );
+            } );
+
+            // Load the first kit by default
+            if( kits.length > 0 )
+                me.loadKit( kits[0].url );
+        })
+        .fail(function() {
+            consoleout( "ERROR: Failed to load the kit list from " + kitsUrl );
+        });
+
+    jqSelect.change(function() {
+        me.loadKit( $(this).val() );
+    });
+};
+
+/**
+ * Load a kit manifest, replacing the current kit
+ *
+ * The manifest lists the kit's music groups. Each group has
+ * an id, a label and a list of pads, and each pad has an id,
+ * a label, an asset URL (relative to the manifest), the
+ * sample's native BPM and a "loop" or "oneshot" mode. The
+ * callbacks aren't triggered if another kit is picked first.
+ *
+ * @param {String}      kitUrl          The kit manifest URL
+ * @param {function()}  [callbackFn]    A callback function triggered once the kit is built
+ * @param {*}           [context]       The callback function context
+ * @param {function(message:String)}    [errorFn]   A callback function triggered if the manifest fails to load
+ */
+WebAudioApp.prototype.loadKit = function( kitUrl, callbackFn, context, errorFn ) {
+    this.unloadKit();
+    this.kitUrl = kitUrl;
+
+    // Only the latest kit request builds its kit, so a slow
+    // manifest can't land on top of the kit picked after it
+    var me = this;
+    var request = this.kitRequest = $.getJSON( kitUrl );
+    request
+        .done(function( manifest ) {
+            if( me.kitRequest !== request )
+                return;
+
+            me.kitRequest = null;
+            consoleout( "Loading kit '" + manifest.name + "'" );
+
+            // Resolve the assets against the manifest location
+            var baseUrl = new URL( kitUrl, document.baseURI ).href;
+            me.buildKit( manifest, baseUrl );
+
+            if( callbackFn != null )
+                callbackFn.call( context );
+        })
+        .fail(function() {
+            if( me.kitRequest !== request )
+                return;
+
+            me.kitRequest = null;
+            consoleout( "ERROR: Failed to load kit from " + kitUrl );
+
+            if( errorFn != null )
+                errorFn.call( context, "Failed to load kit from " + kitUrl );
+        });
+};
+
+/**
+ * Build the music groups and pads of a kit
+ * @private
+ *
+ * @param {Object}  manifest        The kit manifest
+ * @param {String}  baseUrl         The URL the asset URLs are relative to
+ */
+WebAudioApp.prototype.buildKit = function( manifest, baseUrl ) {
+    var jqKit = $( "#kit" );
+
+    manifest.groups.forEach( function( group ) {
+        var jqPanel = $( "<div class='audiopanel'/>" )
+                .attr( "id", "group_" + group.id )
+                .appendTo( jqKit );
+        $( "<h3/>" ).text( group.label ).appendTo( jqPanel );
+
+        this.initMusicGroup( group.id, group.label );
+        this.initSampleDrop( jqPanel, group.id );
+
+        // Decoded audio is kept per kit version, so a new version loads afresh
+        group.pads.forEach( function( pad ) {
+            this.createPad(
+                jqPanel,
+                "pad_" + pad.id,
+                group.id,
+                $.extend( { version: manifest.version }, pad ),
+                new URL( pad.url, baseUrl ).href );
+        }, this );
+    }, this );
+
+    this.kit = manifest;
+    this.events.emit( "kitLoaded", manifest );
+};
+
+/**
+ * Initialize user sample import and restore the stored
+ * samples whenever a kit is loaded
+ * @private
+ */
+WebAudioApp.prototype.initSampleImport = function() {
+    this.sampleStore = new SampleStore();
+    this.sampleImportDialog = new SampleImportDialog( this );
+    this.importedPadCount = 0;
+
+    this.events.on( "kitLoaded", function( kit ) {
+        this.sampleStore.getAll( function( records ) {
+            records.forEach( function( record ) {
+                if( this.kit !== kit || this.engine.musicGroups[ record.groupId ] == null )
+                    return;
+
+                this.engine.decodeAudio( record.data.slice( 0 ), record.fileName, function( audioBuffer ) {
+                    // Skip it if the kit changed while decoding, even
+                    // to a kit with the same group
+                    if( this.kit === kit )
+                        this.addImportedPad( record, audioBuffer );
+                }, this );
+            }, this );
+        }.bind( this ) );
+    }, this );
+};
+
+/**
+ * Accept audio files dropped onto a group panel
+ * @private
+ *
+ * @param {jQuery}  jqPanel         The group panel
+ * @param {String}  groupId         The music group id
+ */
+WebAudioApp.prototype.initSampleDrop = function( jqPanel, groupId ) {
+    var AUDIO_FILE_PATTERN = /\.(wav|mp3|ogg)$/i;
+
+    var me = this;
+    jqPanel.on( "dragover", function( event ) {
+        event.preventDefault();
+        jqPanel.addClass( "drop-target" );
+    });
+
+    jqPanel.on( "dragleave drop", function() {
+        jqPanel.removeClass( "drop-target" );
+    });
+
+    jqPanel.on( "drop", function( event ) {
+        event.preventDefault();
+
+        var files = Array.prototype.slice.call( event.originalEvent.dataTransfer.files );
+        files.forEach( function( file ) {
+            if( !AUDIO_FILE_PATTERN.test( file.name ) ) {
+                consoleout( "ERROR: '" + file.name + "' is not a WAV, MP3 or OGG file" );
+                return;
+            }
+
+            me.importSampleFile( file, groupId );
+        } );
+    });
+};
+
+/**
+ * Decode a sample file and open it for trimming
+ * @private
+ *
+ * @param {File}    file            The sample file
+ * @param {String}  groupId         The music group to add the pad to
+ */
+WebAudioApp.prototype.importSampleFile = function( file, groupId ) {
+    var reader = new FileReader();
+
+    reader.onload = function() {
+        // Decoding detaches the data, so keep a copy to store
+        var fileData = reader.result;
+
+        this.engine.decodeAudio( fileData.slice( 0 ), file.name, function( audioBuffer ) {
+            this.sampleImportDialog.open( audioBuffer, file.name, function( settings ) {
+                var record = {
+                    groupId:    groupId,
+                    fileName:   file.name,
+                    data:       fileData,
+                    label:      settings.label,
+                    mode:       settings.mode,
+                    bpm:        settings.bpm,
+                    bars:       settings.bars,
+                    trimStart:  settings.trimStart,
+                    trimEnd:    settings.trimEnd
+                };
+
+                // The pad may be removed before the sample is stored
+                this.sampleStore.add( record, function( id ) {
+                    record.id = id;
+                    if( record.removed )
+                        this.sampleStore.remove( id );
+                }.bind( this ) );
+
+                this.addImportedPad( record, audioBuffer );
+            }.bind( this ) );
+        }, this );
+    }.bind( this );
+
+    reader.onerror = function() {
+        consoleout( "ERROR: Failed to read '" + file.name + "'" );
+    };
+
+    reader.readAsArrayBuffer( file );
+};
+
+/**
+ * Add a pad for an imported sample
+ * @private
+ *
+ * @param {Object}          record          The stored sample record
+ * @param {AudioBuffer}     audioBuffer     The decoded, untrimmed sample
+ */
+WebAudioApp.prototype.addImportedPad = function( record, audioBuffer ) {
+    var jqPanel = $( "#group_" + record.groupId );
+    var padId = "pad_import" + (++this.importedPadCount);
+
+    var elemId = this.createPad(
+            jqPanel,
+            padId,
+            record.groupId,
+            record,
+            record.fileName,
+            trimAudioBuffer( this.audioContext, audioBuffer, record.trimStart, record.trimEnd ) );
+
+    // Add a button to remove the sample for good
+    var me = this;
+    $( "<button type='button' class='pad-remove' title='Remove sample'>x</button>" )
+        .insertAfter( jqPanel.find( "[for=" + padId + "]" ).add( elemId ).last() )
+        .click(function( event ) {
+            event.preventDefault();
 
-        // Update the group music state
-        musicGroup.activeLoop = audioNode;
-        musicGroup.activeSrc = audioSrc;
-        musicGroup.activeElemId = elemId;
+            me.engine.removePad( elemId );
+            $( elemId ).add( "[for=" + padId + "]" ).add( this ).remove();
+
+            if( record.id != null )
+                me.sampleStore.remove( record.id );
+            else
+                record.removed = true;
+
+            consoleout( "Removed sample '" + record.label + "'" );
+        });
+
+    consoleout( "Added sample '" + record.label + "'" );
+};
+
+/**
+ * Create a pad's button and initialize it
+ * @private
+ *
+ * @param {jQuery}          jqPanel         The group panel to add the pad to
+ * @param {String}          padId           The pad's HTML id, without the leading #
+ * @param {String}          groupId         The music group id
+ * @param {Object}          pad             The pad settings, as listed in a kit manifest
+ * @param {String}          audioSrc        The audio data's URL or name
+ * @param {AudioBuffer}     [audioBuffer]   Audio that's already decoded
+ *
+ * @returns {String}    The pad's HTML id
+ */
+WebAudioApp.prototype.createPad = function( jqPanel,
+                                            padId,
+                                            groupId,
+                                            pad,
+                                            audioSrc,
+                                            audioBuffer ) {
+    var mode = pad.mode || "loop";
+
+    // Loops are toggles, one-shots are plain buttons
+    if( mode == "loop" ) {
+        $( "<input type='checkbox'/>" ).attr( "id", padId ).appendTo( jqPanel );
+        $( "<label/>" ).attr( "for", padId ).text( pad.label ).appendTo( jqPanel );
+    } else {
+        $( "<button type='button'/>" ).attr( "id", padId ).text( pad.label ).appendTo( jqPanel );
+    }
+
+    this.initMusic(
+        "#" + padId,
+        groupId,
+        audioSrc,
+        pad,
+        audioBuffer );
+
+    return "#" + padId;
+};
+
+/**
+ * Stop the current kit and release its audio, dropping
+ * any kit still loading
+ * @private
+ */
+WebAudioApp.prototype.unloadKit = function() {
+    // Stop the audio and drop the pads, groups and channel strip sliders
+    this.engine.reset();
+
+    if( this.kit != null )
+        consoleout( "Unloaded kit '" + this.kit.name + "'" );
+
+    this.kit = null;
+    this.kitRequest = null;
+
+    $( "#kit" ).empty();
+    $( "#mixer" ).empty();
+};
+
+/**
+ * Initialize a music pad's button and load its sample
+ * @private
+ *
+ * @param {String}  elemId          The button's HTML id
+ * @param {String}  groupId         The music group id
+ * @param {String}  audioSrc        The audio data's URL or name
+ * @param {Object}  settings        The pad settings, as listed in a kit manifest
+ * @param {AudioBuffer} [audioBuffer]   Audio that's already decoded, instead of loading audioSrc
+ */
+WebAudioApp.prototype.initMusic = function( elemId,
+                                            groupId,
+                                            audioSrc,
+                                            settings,
+                                            audioBuffer ) {
+    // Initialize the button, disabled until the audio is ready
+    var jqButton = $( elemId ).button({ disabled: true });
+    $( "<span class='pad-progress'/>" ).appendTo( jqButton.button( "widget" ) );
+
+    var pad = this.engine.loadSample(
+            elemId,
+            groupId,
+            audioBuffer || audioSrc,
+            $.extend( { name: audioSrc }, settings ) );
+
+    var me = this;
+
+    // Register the one-shot trigger events
+    if( pad.mode == "oneshot" ) {
+        jqButton.click(function( event ) {
+            event.preventDefault();
+
+            if( !pad.shot.hold )
+                me.engine.triggerOneShot( elemId );
+        });
+
+        // Held pads play from press to release
+        if( pad.shot.hold ) {
+            jqButton.on( "mousedown touchstart", function( event ) {
+                event.preventDefault();
+
+                if( pad.buffer != null )
+                    me.engine.triggerOneShot( elemId );
+            });
+
+            jqButton.on( "mouseup mouseleave touchend", function() {
+                me.engine.stopOneShot( elemId, 0 );
+            });
+        }
+
+        return;
+    }
+
+    jqButton.click(function( event ) {
+        if( $(this).is(':checked') )
+            me.engine.startLoop( elemId );
+        else
+            me.engine.stopLoop( groupId );
     });
-};
\ No newline at end of file
+};
+
+/**
+ * Count down the beats to a pending loop on its button
+ * @private
+ *
+ * @param {String}  elemId      The loop's HTML id
+ * @param {Number}  startSecs   The loop's start time
+ */
+WebAudioApp.prototype.showLoopCountdown = function( elemId, startSecs ) {
+    var me = this;
+    var pad = this.engine.pads[ elemId ];
+    var musicGroup = this.engine.musicGroups[ pad.groupId ];
+    var jqButton = $( elemId );
+    var lastLabel = null;
+
+    (function updateCountdown() {
+        // Stop counting if the kit was unloaded
+        if( me.engine.pads[ elemId ] !== pad )
+            return;
+
+        var remainingSecs = startSecs - me.audioContext.currentTime;
+        var label = pad.label;
+        var pending = remainingSecs > 0 && musicGroup.activeElemId == elemId;
+
+        if( pending )
+            label += " (" + Math.ceil( remainingSecs / me.engine.getBeatDuration() ) + ")";
+
+        if( label != lastLabel ) {
+            jqButton.button( "option", "label", label );
+            jqButton.button( "widget" ).toggleClass( "pad-pending", pending );
+            lastLabel = label;
+        }
+
+        if( pending )
+            window.requestAnimationFrame( updateCountdown );
+    })();
+};
+
@@ -0,0 +1,624 @@
+/* -----------------------------------------------------
+ Pattern recording and arrangement playback
+ ----------------------------------------------------- */
+
+/**
+ * An arrangement of recorded events, positioned in beats
+ * from the start of the arrangement
+ *
+ * Each event has a beat position, a type ("start", "stop",
+ * "shot" or "param"), the music group id, the pad or slider
+ * HTML id, a label and, for slider moves, the new value.
+ *
+ * @constructor
+ */
+function Arrangement() {
+    this.bpm = 160;
+    this.beatsPerMeasure = 4;
+    this.lengthBeats = 0;
+    this.events = [];
+}
+
+/**
+ * The event grid, in beats
+ * @const
+ */
+Arrangement.QUANTIZE_BEATS = 0.25;
+
+/**
+ * Snap a beat position to the event grid
+ *
+ * @param {Number}  beat    The beat position
+ *
+ * @returns {Number}    The snapped beat position
+ */
+Arrangement.quantize = function( beat ) {
+    var grid = Arrangement.QUANTIZE_BEATS;
+    return Math.max( 0, Math.round( beat / grid ) * grid );
+};
+
+/**
+ * Add an event
+ *
+ * @param {Object}  event   The event
+ *
+ * @returns {Object}    The added event, or the event it was merged into
+ */
+Arrangement.prototype.addEvent = function( event ) {
+    // Slider moves on the same grid step replace each other
+    if( event.type == "param" ) {
+        var existing = this.events.filter( function( otherEvent ) {
+            return otherEvent.type == "param"
+                    && otherEvent.elemId == event.elemId
+                    && otherEvent.beat == event.beat;
+        } )[0];
+
+        if( existing != null ) {
+            existing.value = event.value;
+            return existing;
+        }
+    }
+
+    this.events.push( event );
+    this.sortEvents();
+
+    this.lengthBeats = Math.max( this.lengthBeats, event.beat );
+    return event;
+};
+
+/**
+ * Remove an event
+ *
+ * @param {Object}  event   The event
+ */
+Arrangement.prototype.removeEvent = function( event ) {
+    var index = this.events.indexOf( event );
+
+    if( index >= 0 )
+        this.events.splice( index, 1 );
+};
+
+/**
+ * Move an event to a new position
+ *
+ * @param {Object}  event   The event
+ * @param {Number}  beat    The new beat position
+ */
+Arrangement.prototype.moveEvent = function( event, beat ) {
+    event.beat = Arrangement.quantize( beat );
+    this.sortEvents();
+
+    this.lengthBeats = Math.max( this.lengthBeats, event.beat );
+};
+
+/**
+ * Keep the events in playback order. Events on the same
+ * beat keep their recorded order.
+ * @private
+ */
+Arrangement.prototype.sortEvents = function() {
+    var events = this.events;
+    var order = events.slice();
+
+    events.sort( function( a, b ) {
+        return (a.beat - b.beat) || (order.indexOf( a ) - order.indexOf( b ));
+    } );
+};
+
+/**
+ * Returns the arrangement length, rounded up to whole measures
+ *
+ * @returns {Number}    The length in measures
+ */
+Arrangement.prototype.getLengthBars = function() {
+    return Math.max( 1, Math.ceil( this.lengthBeats / this.beatsPerMeasure ) );
+};
+
+/**
+ * Returns the arrangement as plain data for saving
+ *
+ * @returns {Object}
+ */
+Arrangement.prototype.toJSON = function() {
+    return {
+        bpm:                this.bpm,
+        beatsPerMeasure:    this.beatsPerMeasure,
+        lengthBeats:        this.lengthBeats,
+        events:             this.events
+    };
+};
+
+/**
+ * Create an arrangement from saved data
+ *
+ * @param {Object}  data    The saved arrangement
+ *
+ * @returns {Arrangement}
+ */
+Arrangement.fromJSON = function( data ) {
+    if( data == null || !Array.isArray( data.events ) )
+        throw new Error( "Arrangement has no event list" );
+
+    var arrangement = new Arrangement();
+    arrangement.bpm = Number( data.bpm ) || arrangement.bpm;
+    arrangement.beatsPerMeasure = Number( data.beatsPerMeasure ) || arrangement.beatsPerMeasure;
+
+    data.events.forEach( function( event ) {
+        if( typeof event.beat != "number" || typeof event.type != "string" )
+            throw new Error( "Arrangement event is missing its beat or type" );
+
+        arrangement.addEvent( event );
+    } );
+
+    arrangement.lengthBeats = Math.max( arrangement.lengthBeats,
+            Number( data.lengthBeats ) || 0 );
+
+    return arrangement;
+};
+
+/**
+ * Plays an arrangement back through the app, scheduling each
+ * event against the audio clock a little ahead of time
+ *
+ * @param {WebAudioApp}  app            The application
+ * @param {Arrangement}  arrangement    The arrangement to play
+ *
+ * @constructor
+ */
+function ArrangementPlayer( app, arrangement ) {
+    this.app = app;
+    this.arrangement = arrangement;
+
+    this.playing = false;
+    this.startSecs = 0;
+    this.nextIndex = 0;
+    this.timerHandle = null;
+
+    /**
+     * Triggered when playback reaches the end
+     * @type {function()}
+     */
+    this.onend = null;
+}
+
+/**
+ * How far ahead to schedule events, in seconds
+ * @const
+ */
+ArrangementPlayer.LOOKAHEAD_SECS = 0.1;
+
+/**
+ * How often to schedule events, in milliseconds
+ * @const
+ */
+ArrangementPlayer.INTERVAL_MS = 25;
+
+/**
+ * Start playback
+ *
+ * @param {Number}  startSecs   The time of the first beat
+ */
+ArrangementPlayer.prototype.start = function( startSecs ) {
+    this.playing = true;
+    this.startSecs = startSecs;
+    this.nextIndex = 0;
+    this.endScheduled = false;
+
+    this.scheduleEvents();
+};
+
+/**
+ * Stop playback
+ */
+ArrangementPlayer.prototype.stop = function() {
+    this.playing = false;
+
+    if( this.timerHandle != null ) {
+        window.clearTimeout( this.timerHandle );
+        this.timerHandle = null;
+    }
+};
+
+/**
+ * Returns the time of a beat in the arrangement
+ *
+ * @param {Number}  beat    The beat position
+ *
+ * @returns {Number}    The time in seconds
+ */
+ArrangementPlayer.prototype.getBeatSecs = function( beat ) {
+    return this.startSecs + beat * this.app.engine.getBeatDuration();
+};
+
+/**
+ * Returns the playback position
+ *
+ * @returns {Number}    The position in beats
+ */
+ArrangementPlayer.prototype.getPosition = function() {
+    return (this.app.audioContext.currentTime - this.startSecs)
+            / this.app.engine.getBeatDuration();
+};
+
+/**
+ * Schedule the events due within the lookahead window
+ * @private
+ */
+ArrangementPlayer.prototype.scheduleEvents = function() {
+    if( !this.playing )
+        return;
+
+    var app = this.app;
+    var events = this.arrangement.events;
+    var horizonSecs = app.audioContext.currentTime + ArrangementPlayer.LOOKAHEAD_SECS;
+
+    while( this.nextIndex < events.length ) {
+        var event = events[ this.nextIndex ];
+        var eventSecs = this.getBeatSecs( event.beat );
+
+        if( eventSecs > horizonSecs )
+            break;
+
+        this.playEvent( event, eventSecs );
+        this.nextIndex++;
+    }
+
+    // Stop the music at the end of the arrangement
+    var endSecs = this.getBeatSecs( this.arrangement.getLengthBars()
+            * this.arrangement.beatsPerMeasure );
+
+    if( this.nextIndex >= events.length && endSecs <= horizonSecs ) {
+        for( var groupId in app.engine.musicGroups )
+            app.engine.stopLoop( groupId, endSecs );
+
+        this.stop();
+
+        later( Math.max( 0, (endSecs - app.audioContext.currentTime) * 1000 ),
+               function() {
+                   if( this.onend != null )
+                       this.onend();
+               }, this );
+        return;
+    }
+
+    this.timerHandle = later( ArrangementPlayer.INTERVAL_MS, this.scheduleEvents, this );
+};
+
+/**
+ * Play an event at its scheduled time
+ * @private
+ *
+ * @param {Object}  event       The event
+ * @param {Number}  eventSecs   The scheduled time
+ */
+ArrangementPlayer.prototype.playEvent = function( event, eventSecs ) {
+    var app = this.app;
+
+    // Skip pads that aren't in the current kit
+    if( event.type != "param" && app.engine.pads[ event.elemId ] == null ) {
+        consoleout( "Skipped missing pad '" + event.label + "'" );
+        return;
+    }
+
+    switch( event.type ) {
+    case "start":
+        app.engine.startLoop( event.elemId, eventSecs );
+        break;
+
+    case "stop":
+        app.engine.stopLoop( event.groupId, eventSecs );
+        break;
+
+    case "shot":
+        app.engine.triggerOneShot( event.elemId, eventSecs );
+        break;
+
+    case "param":
+        var slider = app.engine.params[ event.elemId ];
+        if( slider == null )
+            return;
+
+        // Audio parameters change sample-accurately, the
+        // controls catch up when the time comes
+        if( slider.audioParam.setValueAtTime != null )
+            slider.audioParam.setValueAtTime( event.value, eventSecs );
+
+        later( Math.max( 0, (eventSecs - app.audioContext.currentTime) * 1000 ),
+               function() {
+                   if( this.playing )
+                       app.engine.setParam( event.elemId, event.value );
+               }, this );
+        break;
+    }
+};
+
+/**
+ * The arrangement timeline, one lane per music group plus
+ * a lane for slider moves
+ *
+ * @param {String}                              scrollElemId    The scrolling container's HTML id
+ * @param {String}                              labelsElemId    The lane labels' HTML id
+ * @param {function():Array.<{id:String, label:String}>}  getGroupsFn  Returns the music groups
+ *
+ * @constructor
+ */
+function ArrangementView( scrollElemId, labelsElemId, getGroupsFn ) {
+    this.jqScroll = $( scrollElemId );
+    this.jqLabels = $( labelsElemId );
+    this.getGroupsFn = getGroupsFn;
+
+    this.arrangement = new Arrangement();
+    this.selectedEvent = null;
+    this.playheadBeat = -1;
+    this.lanes = [];
+
+    this.canvas = $( "<canvas tabindex='0'/>" ).appendTo( this.jqScroll )[0];
+
+    this.initEditing();
+}
+
+ArrangementView.LANE_HEIGHT = 30;
+ArrangementView.BEAT_WIDTH = 16;
+ArrangementView.MIN_BARS = 16;
+ArrangementView.PARAM_LANE_ID = "_params";
+
+/**
+ * Show an arrangement
+ *
+ * @param {Arrangement}  arrangement
+ */
+ArrangementView.prototype.setArrangement = function( arrangement ) {
+    this.arrangement = arrangement;
+    this.selectedEvent = null;
+    this.render();
+};
+
+/**
+ * Returns the lane an event is drawn in
+ * @private
+ *
+ * @param {Object}  event   The event
+ *
+ * @returns {Number}    The lane index
+ */
+ArrangementView.prototype.getLaneIndex = function( event ) {
+    var laneId = event.type == "param" ? ArrangementView.PARAM_LANE_ID : event.groupId;
+
+    for( var laneIndex = 0; laneIndex < this.lanes.length; laneIndex++ ) {
+        if( this.lanes[ laneIndex ].id == laneId )
+            return laneIndex;
+    }
+
+    return -1;
+};
+
+/**
+ * Build the lane list from the music groups, plus any
+ * groups only found in the arrangement
+ * @private
+ */
+ArrangementView.prototype.updateLanes = function() {
+    var lanes = this.getGroupsFn().slice();
+    var laneIds = lanes.map( function( lane ) { return lane.id; } );
+
+    this.arrangement.events.forEach( function( event ) {
+        if( event.type != "param" && laneIds.indexOf( event.groupId ) < 0 ) {
+            laneIds.push( event.groupId );
+            lanes.push({ id: event.groupId, label: event.groupId });
+        }
+    } );
+
+    lanes.push({ id: ArrangementView.PARAM_LANE_ID, label: "Controls" });
+    this.lanes = lanes;
+
+    // Update the lane labels
+    this.jqLabels.empty();
+    lanes.forEach( function( lane ) {
+        $( "<div class='arrangement-lane-label'/>" )
+            .text( lane.label )
+            .css( "height", ArrangementView.LANE_HEIGHT )
+            .appendTo( this.jqLabels );
+    }, this );
+};
+
+/**
+ * Returns the drawn extent of an event
+ * @private
+ *
+ * @param {Object}  event   The event
+ *
+ * @returns {{x:Number, y:Number, width:Number, height:Number}}
+ */
+ArrangementView.prototype.getEventRect = function( event ) {
+    var BEAT_WIDTH  = ArrangementView.BEAT_WIDTH;
+    var LANE_HEIGHT = ArrangementView.LANE_HEIGHT;
+    var MARKER_WIDTH = 6;
+
+    var x = event.beat * BEAT_WIDTH;
+    var y = this.getLaneIndex( event ) * LANE_HEIGHT + 3;
+    var width = MARKER_WIDTH;
+
+    // Loops run until the next event in the lane
+    if( event.type == "start" ) {
+        var events = this.arrangement.events;
+        var endBeat = this.arrangement.getLengthBars() * this.arrangement.beatsPerMeasure;
+
+        for( var index = events.indexOf( event ) + 1; index < events.length; index++ ) {
+            var nextEvent = events[ index ];
+
+            if( nextEvent.groupId == event.groupId
+                    && (nextEvent.type == "start" || nextEvent.type == "stop") ) {
+                endBeat = nextEvent.beat;
+                break;
+            }
+        }
+
+        width = Math.max( MARKER_WIDTH, (endBeat - event.beat) * BEAT_WIDTH );
+    }
+
+    return { x: x, y: y, width: width, height: LANE_HEIGHT - 6 };
+};
+
+/**
+ * Redraw the timeline
+ */
+ArrangementView.prototype.render = function() {
+    var BEAT_WIDTH  = ArrangementView.BEAT_WIDTH;
+    var LANE_HEIGHT = ArrangementView.LANE_HEIGHT;
+
+    this.updateLanes();
+
+    var arrangement = this.arrangement;
+    var beatsPerMeasure = arrangement.beatsPerMeasure;
+    var bars = Math.max( ArrangementView.MIN_BARS, arrangement.getLengthBars() + 4 );
+
+    var canvas = this.canvas;
+    canvas.width = bars * beatsPerMeasure * BEAT_WIDTH;
+    canvas.height = this.lanes.length * LANE_HEIGHT;
+
+    var canvasCtx = canvas.getContext( "2d" );
+    canvasCtx.fillStyle = "#f0f0f0";
+    canvasCtx.fillRect( 0, 0, canvas.width, canvas.height );
+
+    // Draw the beat and bar lines
+    for( var beat = 0; beat <= bars * beatsPerMeasure; beat++ ) {
+        canvasCtx.fillStyle = (beat % beatsPerMeasure == 0) ? "#a0a0a0" : "#dcdcdc";
+        canvasCtx.fillRect( beat * BEAT_WIDTH, 0, 1, canvas.height );
+
+        if( beat % beatsPerMeasure == 0 ) {
+            canvasCtx.fillStyle = "#606060";
+            canvasCtx.fillText( String( beat / beatsPerMeasure + 1 ), beat * BEAT_WIDTH + 2, 10 );
+        }
+    }
+
+    // Draw the lane separators
+    canvasCtx.fillStyle = "#c0c0c0";
+    for( var laneIndex = 1; laneIndex < this.lanes.length; laneIndex++ )
+        canvasCtx.fillRect( 0, laneIndex * LANE_HEIGHT, canvas.width, 1 );
+
+    // Draw the events
+    var EVENT_COLORS = {
+        start:  "#e8a060",
+        stop:   "#8c291d",
+        shot:   "#3572ac",
+        param:  "#654b24"
+    };
+
+    arrangement.events.forEach( function( event ) {
+        var rect = this.getEventRect( event );
+
+        canvasCtx.fillStyle = EVENT_COLORS[ event.type ];
+        canvasCtx.fillRect( rect.x, rect.y, rect.width, rect.height );
+
+        if( event.type == "start" ) {
+            canvasCtx.fillStyle = "#242424";
+            canvasCtx.fillText( event.label, rect.x + 3, rect.y + rect.height - 6 );
+        }
+
+        if( event === this.selectedEvent ) {
+            canvasCtx.strokeStyle = "#000000";
+            canvasCtx.strokeRect( rect.x + 0.5, rect.y + 0.5, rect.width - 1, rect.height - 1 );
+        }
+    }, this );
+
+    // Draw the playhead
+    if( this.playheadBeat >= 0 ) {
+        canvasCtx.fillStyle = "#ff0000";
+        canvasCtx.fillRect( Math.round( this.playheadBeat * BEAT_WIDTH ), 0, 2, canvas.height );
+    }
+};
+
+/**
+ * Move the playhead, scrolling to keep it in view
+ *
+ * @param {Number}  beat    The playhead position, or -1 to hide it
+ */
+ArrangementView.prototype.setPlayhead = function( beat ) {
+    this.playheadBeat = beat;
+
+    var x = beat * ArrangementView.BEAT_WIDTH;
+    var scrollLeft = this.jqScroll.scrollLeft();
+    var viewWidth = this.jqScroll.width();
+
+    if( beat >= 0 && (x < scrollLeft || x > scrollLeft + viewWidth) )
+        this.jqScroll.scrollLeft( x - viewWidth * 0.25 );
+
+    this.render();
+};
+
+/**
+ * Set up selecting, dragging and deleting events
+ * @private
+ */
+ArrangementView.prototype.initEditing = function() {
+    var me = this;
+    var jqCanvas = $( this.canvas );
+    var dragEvent = null;
+    var dragOffsetBeats = 0;
+
+    function getBeatAt( event ) {
+        var offset = jqCanvas.offset();
+        return (event.pageX - offset.left) / ArrangementView.BEAT_WIDTH;
+    }
+
+    // Find the event under the mouse. Markers take
+    // precedence over the loops they sit on.
+    function findEventAt( event ) {
+        var offset = jqCanvas.offset();
+        var x = event.pageX - offset.left;
+        var y = event.pageY - offset.top;
+        var found = null;
+
+        me.arrangement.events.forEach( function( arrangementEvent ) {
+            var rect = me.getEventRect( arrangementEvent );
+            var hit = x >= rect.x && x <= rect.x + rect.width
+                    && y >= rect.y && y <= rect.y + rect.height;
+
+            if( hit && (found == null || found.type == "start") )
+                found = arrangementEvent;
+        } );
+
+        return found;
+    }
+
+    jqCanvas.on( "mousedown", function( event ) {
+        me.selectedEvent = findEventAt( event );
+
+        if( me.selectedEvent != null ) {
+            dragEvent = me.selectedEvent;
+            dragOffsetBeats = getBeatAt( event ) - dragEvent.beat;
+        }
+
+        me.render();
+    });
+
+    jqCanvas.on( "mousemove", function( event ) {
+        if( dragEvent == null )
+            return;
+
+        var beat = Arrangement.quantize( getBeatAt( event ) - dragOffsetBeats );
+        if( beat != dragEvent.beat ) {
+            me.arrangement.moveEvent( dragEvent, beat );
+            me.render();
+        }
+    });
+
+    $( document ).on( "mouseup", function() {
+        dragEvent = null;
+    });
+
+    jqCanvas.on( "keydown", function( event ) {
+        var KEY_BACKSPACE = 8;
+        var KEY_DELETE = 46;
+
+        if( me.selectedEvent == null
+                || (event.which != KEY_DELETE && event.which != KEY_BACKSPACE) )
+            return;
+
+        event.preventDefault();
+
+        me.arrangement.removeEvent( me.selectedEvent );
+        me.selectedEvent = null;
+        me.render();
+    });
+};
@@ -0,0 +1,546 @@
+/* -----------------------------------------------------
+ Insert effects
+ ----------------------------------------------------- */
+
+/**
+ * The base insert effect class. Subclasses connect their
+ * processing between the input node and the wet node.
+ *
+ * @param {AudioContext}  audioContext  The parent audio context
+ * @param {String}        id            The effect id
+ * @param {String}        label         The effect label
+ * @param {Number}        mix           The initial wet/dry mix
+ *
+ * @constructor
+ */
+function AudioEffect( audioContext, id, label, mix ) {
+    this.audioContext = audioContext;
+    this.id = id;
+    this.label = label;
+
+    this.input = audioContext.createGain();
+    this.output = audioContext.createGain();
+
+    // The dry path bypasses the processing
+    this.dryNode = audioContext.createGain();
+    this.input.connect( this.dryNode );
+    this.dryNode.connect( this.output );
+
+    this.wetNode = audioContext.createGain();
+    this.wetNode.connect( this.output );
+
+    // Effects start out bypassed
+    this.bypassed = true;
+    this.mix = new ValueParam( mix, 0, 1, this.updateMix, this );
+    this.updateMix();
+
+    // The tweakable parameters, for building controls
+    this.params = [];
+}
+
+/**
+ * Expose a parameter for control
+ * @protected
+ *
+ * @param {String}                  id          The parameter id
+ * @param {String}                  label       The parameter label
+ * @param {AudioParam|ValueParam}   param       The parameter
+ * @param {Number}                  step        The control step size
+ * @param {Number}                  min         The minimum value
+ * @param {Number}                  max         The maximum value
+ */
+AudioEffect.prototype.addParam = function( id, label, param, step, min, max ) {
+    this.params.push({
+        id:     id,
+        label:  label,
+        param:  param,
+        step:   step,
+        min:    min,
+        max:    max
+    });
+};
+
+/**
+ * Turn the effect's processing on or off
+ *
+ * @param {Boolean}  bypassed    true to pass the audio through untouched
+ */
+AudioEffect.prototype.setBypassed = function( bypassed ) {
+    this.bypassed = bypassed;
+    this.updateMix();
+};
+
+/**
+ * Apply the wet/dry mix
+ * @private
+ */
+AudioEffect.prototype.updateMix = function() {
+    var wet = this.bypassed ? 0 : this.mix.value;
+
+    this.wetNode.gain.value = wet;
+    this.dryNode.gain.value = 1 - wet;
+};
+
+/**
+ * Update the effect for a new tempo
+ *
+ * @param {Number}  bpm     The project tempo
+ */
+AudioEffect.prototype.setTempo = function( bpm ) {};
+
+/**
+ * Match another effect of the same kind's settings
+ *
+ * @param {AudioEffect}  effect     The effect to copy
+ */
+AudioEffect.prototype.copySettings = function( effect ) {
+    this.mix.value = effect.mix.value;
+
+    this.params.forEach( function( param, paramIndex ) {
+        param.param.value = effect.params[ paramIndex ].param.value;
+    } );
+
+    this.setBypassed( effect.bypassed );
+};
+
+/**
+ * Tempo-synced feedback delay
+ *
+ * @param {AudioContext}  audioContext  The parent audio context
+ *
+ * @constructor
+ * @extends AudioEffect
+ */
+function DelayEffect( audioContext ) {
+    AudioEffect.call( this, audioContext, "delay", "Delay", 0.35 );
+
+    var MAX_DELAY_SECS = 4;
+
+    this.bpm = 120;
+    this.delayNode = audioContext.createDelay( MAX_DELAY_SECS );
+    this.feedbackNode = audioContext.createGain();
+    this.feedbackNode.gain.value = 0.4;
+
+    // Feed the echoes back into the delay line
+    this.input.connect( this.delayNode );
+    this.delayNode.connect( this.feedbackNode );
+    this.feedbackNode.connect( this.delayNode );
+    this.delayNode.connect( this.wetNode );
+
+    // The delay time is set in beats
+    this.beats = new ValueParam( 0.75, 0.25, 2, this.updateDelayTime, this );
+    this.updateDelayTime();
+
+    this.addParam( "time", "Time (beats)", this.beats, 0.25, 0.25, 2 );
+    this.addParam( "feedback", "Feedback", this.feedbackNode.gain, 0.01, 0, 0.95 );
+    this.addParam( "mix", "Mix", this.mix, 0.01, 0, 1 );
+}
+
+DelayEffect.prototype = Object.create( AudioEffect.prototype );
+DelayEffect.prototype.constructor = DelayEffect;
+
+DelayEffect.prototype.setTempo = function( bpm ) {
+    this.bpm = bpm;
+    this.updateDelayTime();
+};
+
+/**
+ * Apply the delay time for the current tempo
+ * @private
+ */
+DelayEffect.prototype.updateDelayTime = function() {
+    this.delayNode.delayTime.value = this.beats.value * 60 / this.bpm;
+};
+
+/**
+ * Tremolo driven by a sine LFO
+ *
+ * @param {AudioContext}  audioContext  The parent audio context
+ *
+ * @constructor
+ * @extends AudioEffect
+ */
+function TremoloEffect( audioContext ) {
+    AudioEffect.call( this, audioContext, "tremolo", "Tremolo", 1 );
+
+    // The LFO swings the amplitude around its base level
+    this.ampNode = audioContext.createGain();
+    this.depthNode = audioContext.createGain();
+
+    this.lfoNode = audioContext.createOscillator();
+    this.lfoNode.type = "sine";
+    this.lfoNode.frequency.value = 6;
+
+    this.lfoNode.connect( this.depthNode );
+    this.depthNode.connect( this.ampNode.gain );
+    this.lfoNode.start( 0 );
+
+    this.input.connect( this.ampNode );
+    this.ampNode.connect( this.wetNode );
+
+    this.depth = new ValueParam( 0.5, 0, 1, this.updateDepth, this );
+    this.updateDepth();
+
+    this.addParam( "rate", "Rate (Hz)", this.lfoNode.frequency, 0.1, 0.5, 20 );
+    this.addParam( "depth", "Depth", this.depth, 0.01, 0, 1 );
+    this.addParam( "mix", "Mix", this.mix, 0.01, 0, 1 );
+}
+
+TremoloEffect.prototype = Object.create( AudioEffect.prototype );
+TremoloEffect.prototype.constructor = TremoloEffect;
+
+/**
+ * Apply the tremolo depth
+ * @private
+ */
+TremoloEffect.prototype.updateDepth = function() {
+    var halfDepth = this.depth.value * 0.5;
+
+    this.ampNode.gain.value = 1 - halfDepth;
+    this.depthNode.gain.value = halfDepth;
+};
+
+/**
+ * WaveShaper fuzz
+ *
+ * @param {AudioContext}  audioContext  The parent audio context
+ *
+ * @constructor
+ * @extends AudioEffect
+ */
+function FuzzEffect( audioContext ) {
+    AudioEffect.call( this, audioContext, "fuzz", "Fuzz", 1 );
+
+    this.shaperNode = audioContext.createWaveShaper();
+    this.shaperNode.oversample = "4x";
+
+    // Tame the level after the shaper
+    this.levelNode = audioContext.createGain();
+    this.levelNode.gain.value = 0.5;
+
+    this.input.connect( this.shaperNode );
+    this.shaperNode.connect( this.levelNode );
+    this.levelNode.connect( this.wetNode );
+
+    this.drive = new ValueParam( 20, 1, 100, this.updateCurve, this );
+    this.updateCurve();
+
+    this.addParam( "drive", "Drive", this.drive, 1, 1, 100 );
+    this.addParam( "level", "Level", this.levelNode.gain, 0.01, 0, 1 );
+    this.addParam( "mix", "Mix", this.mix, 0.01, 0, 1 );
+}
+
+FuzzEffect.prototype = Object.create( AudioEffect.prototype );
+FuzzEffect.prototype.constructor = FuzzEffect;
+
+/**
+ * Build the distortion curve for the current drive
+ * @private
+ */
+FuzzEffect.prototype.updateCurve = function() {
+    var CURVE_SIZE = 1024;
+
+    var drive = this.drive.value;
+    var curve = new Float32Array( CURVE_SIZE );
+    var norm = Math.tanh( drive );
+
+    for( var index = 0; index < CURVE_SIZE; index++ ) {
+        var x = (index * 2 / (CURVE_SIZE - 1)) - 1;
+        curve[ index ] = Math.tanh( drive * x ) / norm;
+    }
+
+    this.shaperNode.curve = curve;
+};
+
+/**
+ * Convolution reverb with a generated impulse response
+ *
+ * @param {AudioContext}  audioContext  The parent audio context
+ *
+ * @constructor
+ * @extends AudioEffect
+ */
+function ReverbEffect( audioContext ) {
+    AudioEffect.call( this, audioContext, "reverb", "Reverb", 0.3 );
+
+    this.convolverNode = audioContext.createConvolver();
+
+    this.input.connect( this.convolverNode );
+    this.convolverNode.connect( this.wetNode );
+
+    this.decay = new ValueParam( 2, 0.5, 6, this.scheduleImpulse, this );
+    this.impulseHandle = null;
+    this.updateImpulse();
+
+    this.addParam( "decay", "Decay (s)", this.decay, 0.1, 0.5, 6 );
+    this.addParam( "mix", "Mix", this.mix, 0.01, 0, 1 );
+}
+
+ReverbEffect.prototype = Object.create( AudioEffect.prototype );
+ReverbEffect.prototype.constructor = ReverbEffect;
+
+/**
+ * Schedule an impulse update, so dragging the decay
+ * doesn't regenerate the impulse on every step
+ * @private
+ */
+ReverbEffect.prototype.scheduleImpulse = function() {
+    var UPDATE_DELAY_MS = 100;
+
+    if( this.impulseHandle != null )
+        return;
+
+    this.impulseHandle = later( UPDATE_DELAY_MS, function() {
+        this.impulseHandle = null;
+        this.updateImpulse();
+    }, this );
+};
+
+ReverbEffect.prototype.copySettings = function( effect ) {
+    AudioEffect.prototype.copySettings.call( this, effect );
+
+    // Don't wait for the impulse to catch up with the decay
+    if( this.impulseHandle != null ) {
+        window.clearTimeout( this.impulseHandle );
+        this.impulseHandle = null;
+        this.updateImpulse();
+    }
+};
+
+/**
+ * Generate a decaying noise impulse response
+ * @private
+ */
+ReverbEffect.prototype.updateImpulse = function() {
+    var sampleRate = this.audioContext.sampleRate;
+    var length = Math.round( this.decay.value * sampleRate );
+    var impulse = this.audioContext.createBuffer( 2, length, sampleRate );
+
+    for( var channelIndex = 0; channelIndex < 2; channelIndex++ ) {
+        var channelData = impulse.getChannelData( channelIndex );
+
+        for( var index = 0; index < length; index++ )
+            channelData[ index ] = (Math.random() * 2 - 1)
+                    * Math.pow( 1 - index / length, 3 );
+    }
+
+    this.convolverNode.buffer = impulse;
+};
+
+/**
+ * A reorderable chain of insert effects
+ *
+ * @param {AudioContext}  audioContext  The parent audio context
+ *
+ * @constructor
+ */
+function EffectsRack( audioContext ) {
+    this.input = audioContext.createGain();
+    this.output = audioContext.createGain();
+
+    this.effects = [
+        new FuzzEffect( audioContext ),
+        new TremoloEffect( audioContext ),
+        new DelayEffect( audioContext ),
+        new ReverbEffect( audioContext )
+    ];
+
+    this.connectChain();
+}
+
+/**
+ * Connect the effects in order
+ * @private
+ */
+EffectsRack.prototype.connectChain = function() {
+    var headNode = this.input;
+    headNode.disconnect();
+
+    this.effects.forEach( function( effect ) {
+        headNode.connect( effect.input );
+
+        headNode = effect.output;
+        headNode.disconnect();
+    } );
+
+    headNode.connect( this.output );
+};
+
+/**
+ * Move an effect to a new position in the chain
+ *
+ * @param {String}  effectId    The effect id
+ * @param {Number}  offset      The number of places to move, negative to move earlier
+ *
+ * @returns {Boolean}   Returns true if the effect moved
+ */
+EffectsRack.prototype.moveEffect = function( effectId, offset ) {
+    var effects = this.effects;
+    var index = -1;
+    effects.forEach( function( effect, effectIndex ) {
+        if( effect.id == effectId )
+            index = effectIndex;
+    } );
+
+    var newIndex = index + offset;
+    if( index < 0 || newIndex < 0 || newIndex >= effects.length )
+        return false;
+
+    var effect = effects.splice( index, 1 )[0];
+    effects.splice( newIndex, 0, effect );
+
+    this.connectChain();
+    return true;
+};
+
+/**
+ * Match another rack's effect order and settings
+ *
+ * @param {EffectsRack}  rack   The rack to copy
+ */
+EffectsRack.prototype.copySettings = function( rack ) {
+    var effects = this.effects;
+
+    this.effects = rack.effects.map( function( sourceEffect ) {
+        var effect = effects.filter( function( effect ) {
+            return effect.id == sourceEffect.id;
+        } )[0];
+
+        effect.copySettings( sourceEffect );
+        return effect;
+    } );
+
+    this.connectChain();
+};
+
+/**
+ * Update the effects for a new tempo
+ *
+ * @param {Number}  bpm     The project tempo
+ */
+EffectsRack.prototype.setTempo = function( bpm ) {
+    this.effects.forEach( function( effect ) {
+        effect.setTempo( bpm );
+    } );
+};
+
+/**
+ * Master bus compressor with makeup gain
+ *
+ * @param {AudioContext}  audioContext  The parent audio context
+ *
+ * @constructor
+ * @extends AudioEffect
+ */
+function CompressorEffect( audioContext ) {
+    AudioEffect.call( this, audioContext, "comp", "Compressor", 1 );
+
+    this.compNode = audioContext.createDynamicsCompressor();
+    this.compNode.threshold.value = -18;
+    this.compNode.knee.value = 6;
+    this.compNode.ratio.value = 4;
+    this.compNode.attack.value = 0.01;
+    this.compNode.release.value = 0.2;
+
+    this.makeupNode = audioContext.createGain();
+
+    this.input.connect( this.compNode );
+    this.compNode.connect( this.makeupNode );
+    this.makeupNode.connect( this.wetNode );
+
+    // The makeup gain is set in dB
+    this.makeup = new ValueParam( 0, 0, 24, this.updateMakeup, this );
+    this.updateMakeup();
+
+    this.addParam( "threshold", "Threshold (dB)", this.compNode.threshold, 1, -60, 0 );
+    this.addParam( "ratio", "Ratio", this.compNode.ratio, 0.5, 1, 20 );
+    this.addParam( "attack", "Attack (s)", this.compNode.attack, 0.001, 0, 0.5 );
+    this.addParam( "release", "Release (s)", this.compNode.release, 0.01, 0.01, 1 );
+    this.addParam( "makeup", "Makeup (dB)", this.makeup, 0.5, 0, 24 );
+}
+
+CompressorEffect.prototype = Object.create( AudioEffect.prototype );
+CompressorEffect.prototype.constructor = CompressorEffect;
+
+/**
+ * Apply the makeup gain
+ * @private
+ */
+CompressorEffect.prototype.updateMakeup = function() {
+    this.makeupNode.gain.value = Math.pow( 10, this.makeup.value / 20 );
+};
+
+/**
+ * Returns the current gain reduction
+ *
+ * @returns {Number}    The gain reduction in dB, 0 or less
+ */
+CompressorEffect.prototype.getReduction = function() {
+    // Older browsers expose the reduction as an AudioParam
+    var reduction = this.compNode.reduction;
+    return typeof reduction == "number" ? reduction : reduction.value;
+};
+
+/**
+ * Brickwall limiter, a fast compressor followed by a clipper
+ * that catches anything the compressor lets through
+ *
+ * @param {AudioContext}  audioContext  The parent audio context
+ *
+ * @constructor
+ * @extends AudioEffect
+ */
+function LimiterEffect( audioContext ) {
+    AudioEffect.call( this, audioContext, "limiter", "Limiter", 1 );
+
+    this.compNode = audioContext.createDynamicsCompressor();
+    this.compNode.knee.value = 0;
+    this.compNode.ratio.value = 20;
+    this.compNode.attack.value = 0.001;
+    this.compNode.release.value = 0.05;
+
+    this.clipNode = audioContext.createWaveShaper();
+
+    this.input.connect( this.compNode );
+    this.compNode.connect( this.clipNode );
+    this.clipNode.connect( this.wetNode );
+
+    // The ceiling is set in dBFS
+    this.ceiling = new ValueParam( -1, -12, 0, this.updateCeiling, this );
+    this.updateCeiling();
+
+    this.addParam( "ceiling", "Ceiling (dB)", this.ceiling, 0.1, -12, 0 );
+    this.addParam( "release", "Release (s)", this.compNode.release, 0.01, 0.01, 1 );
+}
+
+LimiterEffect.prototype = Object.create( AudioEffect.prototype );
+LimiterEffect.prototype.constructor = LimiterEffect;
+
+/**
+ * Returns the current gain reduction
+ *
+ * @returns {Number}    The gain reduction in dB, 0 or less
+ */
+LimiterEffect.prototype.getReduction = CompressorEffect.prototype.getReduction;
+
+/**
+ * Apply the ceiling to the compressor and the clipper
+ * @private
+ */
+LimiterEffect.prototype.updateCeiling = function() {
+    var CURVE_SIZE = 1024;
+
+    var ceilingDb = this.ceiling.value;
+    var ceiling = Math.pow( 10, ceilingDb / 20 );
+
+    this.compNode.threshold.value = ceilingDb;
+
+    // Pass the signal straight through, up to the ceiling
+    var curve = new Float32Array( CURVE_SIZE );
+    for( var index = 0; index < CURVE_SIZE; index++ ) {
+        var x = (index * 2 / (CURVE_SIZE - 1)) - 1;
+        curve[ index ] = Math.max( -ceiling, Math.min( ceiling, x ) );
+    }
+
+    this.clipNode.curve = curve;
+};
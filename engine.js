@@ -0,0 +1,2423 @@
+/* -----------------------------------------------------
+ Sampler engine
+ ----------------------------------------------------- */
+
+/**
+ * Load an audio sample from a URL
+ * @param {String}                                  url                     The audio asset url
+ * @param {function(audioData:Array)}               [loadedCallbackFn]      A callback function triggered when the audio is successfully loaded
+ * @param {*}                                       [callbackContext]       The callback function context
+ * @param {function(status:Number, statusText:String)}  [errorCallbackFn]   A callback function triggered when the audio fails to load, with a status of 0 for network errors
+ * @param {function(loaded:Number, total:Number)}   [progressCallbackFn]    A callback function triggered as the audio downloads
+ *
+ * @returns {XMLHttpRequest}    The pending request
+ */
+function loadAudioFromUrl( url, loadedCallbackFn, callbackContext, errorCallbackFn, progressCallbackFn ) {
+    var request = new XMLHttpRequest();
+    request.open("GET", url, true);
+    request.responseType = "arraybuffer";
+
+    request.onload = function() {
+        // Local files have no HTTP status
+        var succeeded = request.status >= 200 && request.status < 300
+                || (request.status == 0 && request.response != null);
+
+        if( succeeded )
+            later( 0,
+                   loadedCallbackFn,
+                   callbackContext,
+                   request.response );
+        else if( errorCallbackFn != null )
+            later( 0, errorCallbackFn, callbackContext, request.status, request.statusText );
+    };
+
+    request.onerror = function() {
+        if( errorCallbackFn != null )
+            later( 0, errorCallbackFn, callbackContext, 0, "" );
+    };
+
+    request.onprogress = function( event ) {
+        if( progressCallbackFn != null && event.lengthComputable )
+            progressCallbackFn.call( callbackContext, event.loaded, event.total );
+    };
+
+    request.send();
+    return request;
+}
+
+/**
+ * The audio layer class
+ *
+ * @param {AudioContext}  audioContext  The bus' parent audio context
+ *
+ * @constructor
+ */
+function AudioLayer( audioContext ) {
+    this.audioContext = audioContext;
+
+    // Create the volume GainNode
+    this.volNode = audioContext.createGain();
+
+    // Expose the gain control
+    this.gain = this.volNode.gain;
+
+    var NODES_NUM = 5;          // number of equalizer nodes
+
+    // Create the output node, after the equalizer chain
+    this.outNode = audioContext.createGain();
+    this.outNode.connect( audioContext.destination );
+
+    // Create the master dynamics stages, between the
+    // equalizer chain and the output
+    this.compressor = new CompressorEffect( audioContext );
+    this.limiter = new LimiterEffect( audioContext );
+    this.compressor.output.connect( this.limiter.input );
+    this.limiter.output.connect( this.outNode );
+
+    // Only the limiter is on to start, so the mix isn't
+    // squashed until the compressor is switched on
+    this.masterStages = [ this.compressor, this.limiter ];
+    this.limiter.setBypassed( false );
+
+    // Create the equalizer nodes, a low shelf, peaking
+    // filters and a high shelf
+    var headNode = this.compressor.input;
+    this.eqNodes = [];
+    this.eqParms = [];
+    for( var nodeIndex = 0;
+         nodeIndex < NODES_NUM;
+         nodeIndex++ ) {
+        // Set up the filter
+        var eqNode = audioContext.createBiquadFilter();
+
+        if( nodeIndex == 0 ) {
+            // Use a low shelf filter for the lowest filter
+            eqNode.type = "lowshelf";
+        } else if( nodeIndex == NODES_NUM - 1 ) {
+            // Use a high shelf filter for the highest filter
+            eqNode.type = "highshelf";
+        } else {
+            eqNode.type = "peaking";
+        }
+
+        // Connect to the previous node
+        eqNode.connect( headNode );
+
+        // Keep track of the node
+        this.eqNodes.push( eqNode );
+
+        // Add the tweakable audio parameters to the
+        // equalizer parameter array
+        this.eqParms.push({
+            frequency:  eqNode.frequency,
+            Q:          eqNode.Q,
+            gain:       eqNode.gain
+        } );
+
+        // Keep track of the head node
+        headNode = eqNode;
+    }
+
+    // Spread the bands over the audible range
+    this.placeEqBands( AudioLayer.EQ_BAND_MIN, AudioLayer.EQ_BAND_MAX );
+
+    // Tap the output for the spectrum analyzer and
+    // the per channel level meters
+    this.analyserNode = audioContext.createAnalyser();
+    this.analyserNode.fftSize = 4096;
+    this.outNode.connect( this.analyserNode );
+
+    var splitterNode = audioContext.createChannelSplitter( 2 );
+    this.outNode.connect( splitterNode );
+
+    this.meterNodes = [];
+    for( var channelIndex = 0; channelIndex < 2; channelIndex++ ) {
+        var meterNode = audioContext.createAnalyser();
+        meterNode.fftSize = 2048;
+        splitterNode.connect( meterNode, channelIndex );
+
+        this.meterNodes.push( meterNode );
+    }
+
+    // Insert the effects rack between the volume control
+    // and the last head node
+    this.fxRack = new EffectsRack( audioContext );
+    this.fxRack.output.connect( headNode );
+    this.volNode.connect( this.fxRack.input );
+}
+
+/**
+ * The default equalizer band placement range, in Hz
+ */
+AudioLayer.EQ_BAND_MIN = 60;
+AudioLayer.EQ_BAND_MAX = 12000;
+
+/**
+ * Spread the equalizer band frequencies evenly on a log scale
+ *
+ * @param {Number}  freqMin     The lowest band frequency in Hz
+ * @param {Number}  freqMax     The highest band frequency in Hz
+ */
+AudioLayer.prototype.placeEqBands = function( freqMin, freqMax ) {
+    var eqNodes = this.eqNodes;
+    var ratio = freqMax / freqMin;
+
+    for( var eqIndex = 0; eqIndex < eqNodes.length; eqIndex++ ) {
+        eqNodes[ eqIndex ].frequency.value = Math.round( freqMin *
+                Math.pow( ratio, eqIndex / (eqNodes.length - 1) ) );
+    }
+};
+
+/**
+ * Returns the frequency response of a single equalizer band
+ *
+ * @param {Number}        bandIndex   The equalizer band index
+ * @param {Float32Array}  freqs       List of frequencies to sample
+ *
+ * @returns {Float32Array}   The band frequency response in dB
+ */
+AudioLayer.prototype.getEqBandResponse = function( bandIndex, freqs ) {
+    var mag = new Float32Array( freqs.length );
+    var phase = new Float32Array( freqs.length );
+
+    this.eqNodes[ bandIndex ].getFrequencyResponse( freqs, mag, phase );
+
+    // Convert the magnitudes to dB
+    for( var freqIndex = 0; freqIndex < freqs.length; freqIndex++ )
+        mag[ freqIndex ] = 20 * Math.log( mag[ freqIndex ] ) / Math.LN10;
+
+    return mag;
+};
+
+/**
+ * Returns the equalizer frequency response
+ *
+ * @param {Float32Array}  freqs   List of frequencies to sample
+ *
+ * @returns {Float32Array}   The equalizer frequency response in dB
+ */
+AudioLayer.prototype.getEqResponse = function( freqs ) {
+    var magCombined = new Float32Array( freqs.length );
+
+    // Sum the dB responses of all the eq nodes
+    for( var eqIndex = 0; eqIndex < this.eqNodes.length; eqIndex++ ) {
+        var magDb = this.getEqBandResponse( eqIndex, freqs );
+
+        for( var freqIndex = 0; freqIndex < freqs.length; freqIndex++ )
+            magCombined[ freqIndex ] += magDb[ freqIndex ];
+    }
+
+    return magCombined;
+};
+
+/**
+ * Returns the current output spectrum
+ *
+ * @returns {Float32Array}  The level of each analyzer bin in dBFS
+ */
+AudioLayer.prototype.getSpectrum = function() {
+    if( this.spectrumData == null )
+        this.spectrumData = new Float32Array( this.analyserNode.frequencyBinCount );
+
+    this.analyserNode.getFloatFrequencyData( this.spectrumData );
+    return this.spectrumData;
+};
+
+/**
+ * Returns the current output levels
+ *
+ * @returns {Array.<{peak:Number, rms:Number}>}
+ *      The linear peak and RMS levels of each channel
+ */
+AudioLayer.prototype.getLevels = function() {
+    return this.meterNodes.map( function( meterNode ) {
+        var samples = new Float32Array( meterNode.fftSize );
+        meterNode.getFloatTimeDomainData( samples );
+
+        var peak = 0;
+        var sumSquares = 0;
+        for( var index = 0; index < samples.length; index++ ) {
+            peak = Math.max( peak, Math.abs( samples[ index ] ) );
+            sumSquares += samples[ index ] * samples[ index ];
+        }
+
+        return {
+            peak:   peak,
+            rms:    Math.sqrt( sumSquares / samples.length )
+        };
+    } );
+};
+
+/**
+ * Match another layer's volume, equalizer, effects and master
+ * dynamics settings, such as when rebuilding the layer to
+ * render offline
+ *
+ * @param {AudioLayer}  layer   The layer to copy
+ */
+AudioLayer.prototype.copySettings = function( layer ) {
+    this.gain.value = layer.gain.value;
+
+    this.eqNodes.forEach( function( eqNode, eqIndex ) {
+        var sourceNode = layer.eqNodes[ eqIndex ];
+
+        eqNode.type = sourceNode.type;
+        eqNode.frequency.value = sourceNode.frequency.value;
+        eqNode.Q.value = sourceNode.Q.value;
+        eqNode.gain.value = sourceNode.gain.value;
+    } );
+
+    this.fxRack.copySettings( layer.fxRack );
+    this.masterStages.forEach( function( stage, stageIndex ) {
+        stage.copySettings( layer.masterStages[ stageIndex ] );
+    } );
+};
+
+/**
+ * Play an audio buffer sound
+ *
+ * @param {AudioBuffer} audioSrc    The source audio buffer
+ * @param {Number}      startSecs   The scheduled start time
+ * @param {Boolean}     [loop]      true to enable looping
+ * @param {Object}      [options]   The playback options
+ *
+ * @param {AudioNode}   [options.destNode]      The node to play into, defaults to the volume control
+ * @param {Number}      [options.playbackRate]  The playback speed factor, defaults to 1
+ * @param {Number}      [options.offset]        The position in the audio to start from, in seconds
+ * @param {Number}      [options.duration]      The length of audio to play, in seconds
+ * @param {Boolean}     [options.reverse]       true to play the audio backwards from the offset
+ * @param {Number}      [options.loopStart]     The start of the section to loop, in seconds into the audio
+ * @param {Number}      [options.loopEnd]       The end of the section to loop, in seconds into the audio
+ * @param {Array.<Number>}  [options.rateCurve] Playback speed factors to glide through from the start,
+ *                                              relative to the playback rate
+ * @param {Number}      [options.rateCurveSecs] The glide duration in seconds
+ *
+ * @returns {AudioBufferSourceNode}
+ */
+AudioLayer.prototype.playAudioBuffer = function( audioSrc,
+                                                 startSecs,
+                                                 loop,
+                                                 options ) {
+    options = options || {};
+
+    var offsetSecs = options.offset;
+    var loopStartSecs = options.loopStart;
+    var loopEndSecs = options.loopEnd;
+
+    // Play reversed audio from the mirrored positions
+    if( options.reverse ) {
+        var durationSecs = audioSrc.duration;
+        audioSrc = this.getReversedBuffer( audioSrc );
+
+        offsetSecs = (durationSecs - (offsetSecs || 0)) % durationSecs;
+        if( options.loopEnd != null )
+            loopStartSecs = durationSecs - options.loopEnd;
+        if( options.loopStart != null )
+            loopEndSecs = durationSecs - options.loopStart;
+    }
+
+    // Create the audio source node
+    var sourceNode = this.audioContext.createBufferSource();
+    sourceNode.buffer = audioSrc;
+
+    // Add backwards compatibility
+    if( sourceNode.stop == null )
+        sourceNode.stop = sourceNode.noteOff;
+    if( sourceNode.start == null )
+        sourceNode.start = sourceNode.noteOn;
+
+    // Turn on looping if necessary, over a section if set
+    if( loop ) {
+        sourceNode.loop = true;
+
+        if( loopStartSecs != null )
+            sourceNode.loopStart = loopStartSecs;
+        if( loopEndSecs != null )
+            sourceNode.loopEnd = loopEndSecs;
+    }
+
+    // Adjust the playback speed if necessary
+    var playbackRate = options.playbackRate != null ? options.playbackRate : 1;
+    if( options.playbackRate != null )
+        sourceNode.playbackRate.value = playbackRate;
+
+    // Glide the speed, scaling the curve by the playback rate
+    if( options.rateCurve != null ) {
+        var rateCurve = new Float32Array( options.rateCurve.length );
+        for( var index = 0; index < rateCurve.length; index++ )
+            rateCurve[ index ] = options.rateCurve[ index ] * playbackRate;
+
+        sourceNode.playbackRate.setValueCurveAtTime( rateCurve, startSecs, options.rateCurveSecs );
+    }
+
+    // Connect the node to the volume control
+    sourceNode.connect( options.destNode || this.volNode );
+
+    // Start playback, from part way in if necessary
+    if( options.duration != null )
+        sourceNode.start( startSecs, offsetSecs || 0, options.duration );
+    else if( offsetSecs != null )
+        sourceNode.start( startSecs, offsetSecs );
+    else
+        sourceNode.start( startSecs );
+    return sourceNode;
+};
+
+/**
+ * Returns a reversed copy of some audio, made once and kept
+ * with the audio
+ * @private
+ *
+ * @param {AudioBuffer}     audioBuffer     The audio
+ *
+ * @returns {AudioBuffer}   The reversed audio
+ */
+AudioLayer.prototype.getReversedBuffer = function( audioBuffer ) {
+    if( audioBuffer.reversedBuffer != null )
+        return audioBuffer.reversedBuffer;
+
+    var reversedBuffer = this.audioContext.createBuffer(
+            audioBuffer.numberOfChannels,
+            audioBuffer.length,
+            audioBuffer.sampleRate );
+
+    for( var channel = 0; channel < audioBuffer.numberOfChannels; channel++ ) {
+        var samples = audioBuffer.getChannelData( channel );
+        var reversed = reversedBuffer.getChannelData( channel );
+        var lastIndex = samples.length - 1;
+
+        for( var index = 0; index <= lastIndex; index++ )
+            reversed[ index ] = samples[ lastIndex - index ];
+    }
+
+    audioBuffer.reversedBuffer = reversedBuffer;
+    return reversedBuffer;
+};
+
+/**
+ * A mixer channel strip with volume, pan and mute stages
+ *
+ * @param {AudioContext}  audioContext  The parent audio context
+ * @param {AudioNode}     destNode      The node the channel feeds
+ *
+ * @constructor
+ */
+function ChannelStrip( audioContext, destNode ) {
+    // Create the volume GainNode, which is the channel input
+    this.volNode = audioContext.createGain();
+    this.gain = this.volNode.gain;
+
+    // Create the stereo panner, if the browser has one
+    var headNode = this.volNode;
+    this.pan = null;
+    if( audioContext.createStereoPanner != null ) {
+        this.panNode = audioContext.createStereoPanner();
+        this.pan = this.panNode.pan;
+
+        headNode.connect( this.panNode );
+        headNode = this.panNode;
+    }
+
+    // Create the mute GainNode, kept separate so muting
+    // doesn't disturb the volume setting
+    this.muteNode = audioContext.createGain();
+    headNode.connect( this.muteNode );
+
+    // Create the ducking GainNode, for the ducker to automate
+    this.duckNode = audioContext.createGain();
+    this.duck = this.duckNode.gain;
+    this.muteNode.connect( this.duckNode );
+    this.duckNode.connect( destNode );
+}
+
+/**
+ * Silence or restore the channel output
+ *
+ * @param {Boolean}  muted   true to silence the channel
+ */
+ChannelStrip.prototype.setMuted = function( muted ) {
+    this.muteNode.gain.value = muted ? 0 : 1;
+};
+
+/**
+ * Match another channel's volume, pan and mute settings
+ *
+ * @param {ChannelStrip}    channel     The channel to copy
+ */
+ChannelStrip.prototype.copySettings = function( channel ) {
+    this.gain.value = channel.gain.value;
+    if( this.pan != null && channel.pan != null )
+        this.pan.value = channel.pan.value;
+
+    this.muteNode.gain.value = channel.muteNode.gain.value;
+};
+
+/**
+ * Disconnect the channel from its destination
+ */
+ChannelStrip.prototype.disconnect = function() {
+    this.duckNode.disconnect();
+};
+
+
+/**
+ * The sampler engine. Holds the audio graph, the pads and
+ * their music groups, and the tempo grid, and schedules the
+ * loops and one-shots. It doesn't touch the page, so it can
+ * run against an OfflineAudioContext or a stand-in context.
+ *
+ * The engine reports through these events:
+ * - "log" (message)
+ * - "paramChange" (paramId, value)
+ * - "tempoChange" (bpm, lastBpm)
+ * - "padProgress" (padId, fraction)
+ * - "padRetry" (padId, reason, delayMs)
+ * - "padReady" (padId)
+ * - "padError" (padId, reason)
+ * - "countIn" (startSecs)
+ * - "loopScheduled" (padId, groupId, startSecs)
+ * - "transition" (groupId, fromPadId, toPadId, startSecs, mode)
+ * - "loopStop" (padId, groupId, stopSecs)
+ * - "shot" (padId, groupId, startSecs)
+ * - "shotEnd" (padId, groupId)
+ * - "performanceFx" (target, effect, startSecs), with a null effect on release
+ *
+ * @param {AudioContext}  audioContext  The audio context to play through
+ *
+ * @constructor
+ */
+function SamplerEngine( audioContext ) {
+    this.audioContext = audioContext;
+    this.musicLayer = new AudioLayer( audioContext );
+    this.events = new EventEmitter();
+
+    // The project tempo
+    this.beatsPerMeasure = 4;
+    this.bpm = new ValueParam(
+            SamplerEngine.DEFAULT_BPM,
+            SamplerEngine.MIN_BPM,
+            SamplerEngine.MAX_BPM,
+            this.applyTempo,
+            this );
+    this.musicLayer.fxRack.setTempo( this.bpm.value );
+
+    // The controllable parameters, keyed by id
+    this.params = {};
+
+    // The pads and music groups, keyed by id
+    this.pads = {};
+    this.musicGroups = {};
+    this.pendingLoads = [];
+
+    // An optional store of decoded audio, keyed by URL and version, with
+    // getAudio( url, version, audioContext, callbackFn ) and
+    // putAudio( url, version, audioBuffer )
+    this.audioCache = null;
+
+    // The music state. The transport clock was at beat
+    // musicStartBeat at musicStartSecs, and stops with the
+    // music unless keepClock is set.
+    this.clockRunning = false;
+    this.musicStartSecs = -1;
+    this.musicStartBeat = 0;
+    this.activeMusicGroupCount = 0;
+    this.keepClock = false;
+
+    // The click track
+    this.metronome = new Metronome( this );
+
+    // The ducking of the music under the one-shots
+    this.ducker = new Ducker( this );
+
+    // The held performance effects
+    this.performanceFx = new PerformanceFx( this );
+}
+
+/**
+ * The project tempo range
+ */
+SamplerEngine.DEFAULT_BPM = 160;
+SamplerEngine.MIN_BPM = 60;
+SamplerEngine.MAX_BPM = 200;
+
+/**
+ * The number of tries at loading a sample, and the delay
+ * before the first retry, which doubles for each retry
+ */
+SamplerEngine.LOAD_ATTEMPTS = 4;
+SamplerEngine.RETRY_DELAY_MS = 500;
+
+/**
+ * How far off a whole number of bars, in beats, a loop
+ * can be and still count as that many bars
+ */
+SamplerEngine.LOOP_BARS_TOLERANCE = 0.1;
+
+/**
+ * Register an event listener
+ *
+ * @param {String}      eventName   The event name
+ * @param {Function}    listenerFn  The listener function
+ * @param {*}           [context]   The listener function context
+ */
+SamplerEngine.prototype.on = function( eventName, listenerFn, context ) {
+    this.events.on( eventName, listenerFn, context );
+};
+
+/**
+ * Remove an event listener
+ *
+ * @param {String}      eventName   The event name
+ * @param {Function}    listenerFn  The listener function
+ */
+SamplerEngine.prototype.off = function( eventName, listenerFn ) {
+    this.events.off( eventName, listenerFn );
+};
+
+/**
+ * Report a status message
+ * @private
+ *
+ * @param {String}  message     The message
+ */
+SamplerEngine.prototype.log = function( message ) {
+    this.events.emit( "log", message );
+};
+
+/**
+ * Register a controllable parameter
+ *
+ * @param {String}                  paramId     The parameter id
+ * @param {AudioParam|ValueParam}   audioParam  The parameter
+ * @param {Object}                  [options]   The parameter settings
+ *
+ * @param {String}  [options.label]     The parameter label
+ * @param {Number}  [options.step]      The step size, defaults to 0.01
+ * @param {Number}  [options.min]       The minimum value, defaults to the parameter's
+ * @param {Number}  [options.max]       The maximum value, defaults to the parameter's
+ * @param {String}  [options.groupId]   The music group that owns the parameter
+ */
+SamplerEngine.prototype.registerParam = function( paramId, audioParam, options ) {
+    options = options || {};
+
+    this.params[ paramId ] = {
+        audioParam: audioParam,
+        label:      options.label || paramId,
+        min:        options.min != null ? options.min : audioParam.minValue,
+        max:        options.max != null ? options.max : audioParam.maxValue,
+        step:       options.step || 0.01,
+        groupId:    options.groupId
+    };
+};
+
+/**
+ * Set a parameter, clamped to its range and snapped to its steps
+ *
+ * @param {String}  paramId     The parameter id
+ * @param {Number}  value       The new value
+ *
+ * @returns {Number}    The value set, or null if there's no such parameter
+ */
+SamplerEngine.prototype.setParam = function( paramId, value ) {
+    var param = this.params[ paramId ];
+    if( param == null )
+        return null;
+
+    value = Math.max( param.min, Math.min( param.max, value ) );
+    value = param.min + Math.round( (value - param.min) / param.step ) * param.step;
+    value = Number( value.toFixed( 6 ) );
+
+    param.audioParam.value = value;
+
+    this.log( "Adjusted '"
+            + param.label + "': "
+            + value );
+
+    this.events.emit( "paramChange", paramId, value );
+    return value;
+};
+
+/**
+ * Add a music group. Only one loop plays in a group at a time.
+ *
+ * @param {String}  groupId     The music group id
+ * @param {String}  label       The music group label
+ *
+ * @returns {Object}    The music group
+ */
+SamplerEngine.prototype.addGroup = function( groupId, label ) {
+    var channel = new ChannelStrip( this.audioContext, this.musicLayer.volNode );
+
+    // The loops play into the channel through their own gain,
+    // which the performance effects silence while they're held
+    var loopNode = this.audioContext.createGain();
+    loopNode.connect( channel.volNode );
+
+    var musicGroup = {
+        label:      label,
+        channel:    channel,
+        loopNode:   loopNode,
+        muted:      false,
+        soloed:     false,
+        transition: {
+            mode:       "cut",
+            beats:      2,
+            quantize:   "bar"
+        }
+    };
+
+    this.musicGroups[ groupId ] = musicGroup;
+    return musicGroup;
+};
+
+/**
+ * Mute or unmute a music group
+ *
+ * @param {String}  groupId     The music group id
+ * @param {Boolean} muted       true to mute the group
+ */
+SamplerEngine.prototype.muteGroup = function( groupId, muted ) {
+    var musicGroup = this.musicGroups[ groupId ];
+    musicGroup.muted = muted;
+
+    this.log( (muted ? "Muted '" : "Unmuted '")
+            + musicGroup.label + "'" );
+
+    this.updateMuting();
+};
+
+/**
+ * Solo or unsolo a music group
+ *
+ * @param {String}  groupId     The music group id
+ * @param {Boolean} soloed      true to solo the group
+ */
+SamplerEngine.prototype.soloGroup = function( groupId, soloed ) {
+    var musicGroup = this.musicGroups[ groupId ];
+    musicGroup.soloed = soloed;
+
+    this.log( (soloed ? "Soloed '" : "Unsoloed '")
+            + musicGroup.label + "'" );
+
+    this.updateMuting();
+};
+
+/**
+ * Apply the mute and solo state of every music group
+ * @private
+ */
+SamplerEngine.prototype.updateMuting = function() {
+    var musicGroups = this.musicGroups;
+
+    // Any soloed group silences the groups that aren't soloed
+    var soloActive = false;
+    for( var groupId in musicGroups ) {
+        if( musicGroups[ groupId ].soloed )
+            soloActive = true;
+    }
+
+    for( groupId in musicGroups ) {
+        var musicGroup = musicGroups[ groupId ];
+        var audible = !musicGroup.muted
+                && (!soloActive || musicGroup.soloed);
+
+        musicGroup.channel.setMuted( !audible );
+    }
+};
+
+/**
+ * Load a sample onto a pad. Emits "padProgress" as it
+ * downloads, "padRetry" before trying again after a network
+ * or server error, then "padReady" once the audio is decoded,
+ * or "padError" if it can't be loaded.
+ *
+ * @param {String}              padId       The pad id
+ * @param {String}              groupId     The music group id
+ * @param {String|AudioBuffer}  source      The audio URL, or audio that's already decoded
+ * @param {Object}              [options]   The pad settings
+ *
+ * @param {String}  [options.label]     The pad label
+ * @param {String}  [options.name]      The audio name for reporting, defaults to the URL
+ * @param {Number}  [options.bpm]       The sample's native tempo, omit to play at the recorded speed
+ * @param {Number}  [options.bars]      Loops with a tempo: the length in bars, omit to detect it
+ * @param {String}  [options.mode]      "loop" or "oneshot"
+ * @param {String|Number} [options.version] The audio version, cached audio of any other version is loaded again
+ * @param {String}  [options.quantize]  One-shots: "none" to fire immediately, or "beat" or "bar" to wait for the grid
+ * @param {String}  [options.retrigger] One-shots: "restart", "overlap" or "stop" when triggered while playing
+ * @param {String}  [options.choke]     One-shots: the choke group, whose pads cut each other off
+ * @param {Boolean} [options.hold]      One-shots: true to play only while the pad is held down
+ *
+ * @returns {Object}    The pad
+ */
+SamplerEngine.prototype.loadSample = function( padId, groupId, source, options ) {
+    options = options || {};
+
+    var isUrl = typeof source == "string";
+    var pad = {
+        groupId:    groupId,
+        audioSrc:   options.name || (isUrl ? source : padId),
+        label:      options.label,
+        bpm:        options.bpm,
+        bars:       options.bars,
+        mode:       options.mode || "loop",
+        version:    options.version,
+        shot:       null,
+        buffer:     null,
+        shots:      []
+    };
+    this.pads[ padId ] = pad;
+
+    if( pad.mode == "oneshot" )
+        pad.shot = {
+            quantize:   options.quantize || "none",
+            retrigger:  options.retrigger || "restart",
+            choke:      options.choke,
+            hold:       Boolean( options.hold )
+        };
+
+    // Use the decoded audio if we have it, otherwise load it
+    if( !isUrl ) {
+        pad.buffer = source;
+        this.events.emit( "padReady", padId );
+        return pad;
+    }
+
+    // Try the decoded audio cache before the network
+    if( this.audioCache == null ) {
+        this.fetchSample( padId, source, 1 );
+        return pad;
+    }
+
+    var me = this;
+    this.audioCache.getAudio( source, pad.version, this.audioContext, function( audioBuffer ) {
+        if( me.pads[ padId ] !== pad )
+            return;
+
+        if( audioBuffer == null ) {
+            me.fetchSample( padId, source, 1 );
+            return;
+        }
+
+        me.log( "Loaded cached audio for '" + source + "'" );
+
+        pad.buffer = audioBuffer;
+        me.events.emit( "padReady", padId );
+    } );
+
+    return pad;
+};
+
+/**
+ * Download and decode a pad's sample, retrying with backoff
+ * @private
+ *
+ * @param {String}  padId       The pad id
+ * @param {String}  url         The audio URL
+ * @param {Number}  attempt     The attempt number, from 1
+ */
+SamplerEngine.prototype.fetchSample = function( padId, url, attempt ) {
+    var pad = this.pads[ padId ];
+
+    var request = loadAudioFromUrl( url, function( audioData ) {
+        if( this.pads[ padId ] !== pad )
+            return;
+
+        this.log( "Loaded audio '" + url + "'" );
+
+        this.decodeAudio( audioData, url, function( audioBuffer ) {
+            // Ignore audio for a pad that's been removed
+            if( this.pads[ padId ] !== pad )
+                return;
+
+            pad.buffer = audioBuffer;
+            if( this.audioCache != null )
+                this.audioCache.putAudio( url, pad.version, audioBuffer );
+
+            this.events.emit( "padReady", padId );
+        }, this, function() {
+            if( this.pads[ padId ] === pad )
+                this.events.emit( "padError", padId, "Not a supported audio file" );
+        } );
+    }, this, function( status, statusText ) {
+        if( this.pads[ padId ] !== pad )
+            return;
+
+        var reason = status > 0
+                ? "HTTP " + status + (statusText ? " " + statusText : "")
+                : "Network error";
+
+        // Only retry the failures that might clear up
+        var retryable = status == 0 || status == 408 || status == 429 || status >= 500;
+        if( retryable && attempt < SamplerEngine.LOAD_ATTEMPTS ) {
+            var delayMs = SamplerEngine.RETRY_DELAY_MS * Math.pow( 2, attempt - 1 );
+
+            this.log( "ERROR: " + reason + " loading " + url
+                    + ", retrying in " + (delayMs / 1000) + " s" );
+            this.events.emit( "padRetry", padId, reason, delayMs );
+
+            later( delayMs, function() {
+                if( this.pads[ padId ] === pad )
+                    this.fetchSample( padId, url, attempt + 1 );
+            }, this );
+            return;
+        }
+
+        this.log( "ERROR: Failed to load audio from " + url + " (" + reason + ")" );
+        this.events.emit( "padError", padId, reason );
+    }, function( loaded, total ) {
+        if( this.pads[ padId ] === pad )
+            this.events.emit( "padProgress", padId, loaded / total );
+    } );
+
+    var me = this;
+    this.pendingLoads.push( request );
+    request.addEventListener( "loadend", function() {
+        me.pendingLoads.splice( me.pendingLoads.indexOf( request ), 1 );
+    } );
+};
+
+/**
+ * Decodes audio data into an AudioBuffer, reporting failures
+ *
+ * @param {ArrayBuffer}                     audioData
+ * @param {String}                          name        The audio name, for reporting
+ * @param {function(buffer:AudioBuffer)}    callbackFn
+ * @param {*}                               [context]
+ * @param {function()}                      [errorFn]   Called if the audio can't be decoded
+ */
+SamplerEngine.prototype.decodeAudio = function( audioData, name, callbackFn, context, errorFn ) {
+    var me = this;
+
+    this.audioContext.decodeAudioData(
+        audioData,
+        function( audioBuffer ) {
+            me.log( "Decoded audio for '"
+                    + name + "'" );
+
+            callbackFn.call( context || me, audioBuffer );
+        },
+        function() {
+            me.log( "ERROR: Failed to decode audio for '"
+                    + name + "'" );
+
+            if( errorFn != null )
+                errorFn.call( context || me );
+        }
+    );
+};
+
+/**
+ * Remove a pad, stopping anything it's playing
+ *
+ * @param {String}  padId       The pad id
+ */
+SamplerEngine.prototype.removePad = function( padId ) {
+    var pad = this.pads[ padId ];
+    if( pad == null )
+        return;
+
+    if( pad.mode == "oneshot" )
+        this.stopOneShot( padId, 0 );
+    else if( this.musicGroups[ pad.groupId ].activeElemId == padId )
+        this.stopLoop( pad.groupId );
+
+    delete this.pads[ padId ];
+};
+
+/**
+ * Stop everything and remove all the pads and music groups
+ */
+SamplerEngine.prototype.reset = function() {
+    // Cancel any loads still in progress
+    this.pendingLoads.forEach( function( request ) {
+        request.abort();
+    } );
+    this.pendingLoads = [];
+
+    // Stop all the playing audio
+    this.performanceFx.releaseAll();
+
+    for( var padId in this.pads ) {
+        this.pads[ padId ].shots.forEach( function( sourceNode ) {
+            sourceNode.stop( 0 );
+        } );
+    }
+
+    for( var groupId in this.musicGroups ) {
+        var musicGroup = this.musicGroups[ groupId ];
+
+        if( musicGroup.activeLoop != null )
+            musicGroup.activeLoop.stop( 0 );
+
+        musicGroup.loopNode.disconnect();
+        musicGroup.channel.disconnect();
+    }
+
+    // Forget the music group parameters
+    for( var paramId in this.params ) {
+        if( this.params[ paramId ].groupId != null )
+            delete this.params[ paramId ];
+    }
+
+    // Drop the buffers and reset the music state
+    this.pads = {};
+    this.musicGroups = {};
+    this.activeMusicGroupCount = 0;
+    if( !this.keepClock )
+        this.stopClock();
+
+    this.metronome.update();
+};
+
+/**
+ * Apply a tempo change to the playing music
+ * @private
+ *
+ * @param {Number}  bpm         The new tempo
+ * @param {Number}  lastBpm     The previous tempo
+ */
+SamplerEngine.prototype.applyTempo = function( bpm, lastBpm ) {
+    // Keep the current position in the bar by rescaling
+    // the time elapsed since the clock started
+    var nowSecs = this.audioContext.currentTime;
+    if( this.isClockRunning() && nowSecs > this.musicStartSecs ) {
+        var elapsedSecs = nowSecs - this.musicStartSecs;
+        this.musicStartSecs = nowSecs - elapsedSecs * lastBpm / bpm;
+    }
+
+    // Keep the tempo-synced effects in time
+    this.musicLayer.fxRack.setTempo( bpm );
+
+    // Adjust the playback speed of the active loops
+    for( var groupId in this.musicGroups ) {
+        var musicGroup = this.musicGroups[ groupId ];
+
+        if( musicGroup.activeLoop != null && musicGroup.activeBpm != null )
+            musicGroup.activeLoop.playbackRate.value =
+                    bpm / musicGroup.activeBpm;
+    }
+
+    this.performanceFx.setTempo( bpm );
+
+    this.events.emit( "tempoChange", bpm, lastBpm );
+};
+
+/**
+ * Returns the duration of a beat at the project tempo
+ *
+ * @returns {Number}    The beat duration in seconds
+ */
+SamplerEngine.prototype.getBeatDuration = function() {
+    return 60 / this.bpm.value;
+};
+
+/**
+ * Returns the duration of a measure at the project tempo
+ *
+ * @returns {Number}    The measure duration in seconds
+ */
+SamplerEngine.prototype.getMeasureDuration = function() {
+    return this.getBeatDuration() * this.beatsPerMeasure;
+};
+
+/**
+ * Returns the time of the next downbeat. If the clock
+ * isn't running, returns the earliest possible start time.
+ *
+ * @returns {Number}    The downbeat time in seconds
+ */
+SamplerEngine.prototype.getNextDownbeat = function() {
+    return this.getNextGridTime( this.getMeasureDuration() );
+};
+
+/**
+ * Returns the next time on a grid aligned with the transport
+ * clock. If the clock isn't running, returns the earliest
+ * possible start time.
+ *
+ * @param {Number}  gridSecs    The grid spacing in seconds
+ *
+ * @returns {Number}    The grid time in seconds
+ */
+SamplerEngine.prototype.getNextGridTime = function( gridSecs ) {
+    var BUFFER_TIME = 2 / 1000; // 2 ms time buffer
+
+    // Assume the earliest transition time
+    var startSecs = this.audioContext.currentTime
+            + BUFFER_TIME;
+
+    // If the clock is running, start on the next grid line
+    if( this.isClockRunning() ) {
+        // Calculate the elapsed time since the clock started
+        var elapsedSecs = startSecs - this.musicStartSecs;
+
+        if( elapsedSecs > 0 ) {
+            // Adjust the transition time to occur
+            // on the next grid line
+            var gridOffsetSecs = elapsedSecs % gridSecs;
+
+            if( gridOffsetSecs > 0 )
+                startSecs += gridSecs
+                        - gridOffsetSecs;
+        } else {
+            // The clock hasn't started? Start with it
+            startSecs = this.musicStartSecs;
+        }
+    }
+
+    return startSecs;
+};
+
+/**
+ * Returns the next start time on a quantize grid
+ *
+ * @param {String}  quantize    "beat", "bar", "2bars", "4bars", or
+ *                              anything else to start immediately
+ *
+ * @returns {Number}    The start time
+ */
+SamplerEngine.prototype.getQuantizedTime = function( quantize ) {
+    var BUFFER_TIME = 2 / 1000; // 2 ms time buffer
+
+    switch( quantize ) {
+    case "beat":
+        return this.getNextGridTime( this.getBeatDuration() );
+    case "bar":
+        return this.getNextDownbeat();
+    case "2bars":
+        return this.getNextGridTime( 2 * this.getMeasureDuration() );
+    case "4bars":
+        return this.getNextGridTime( 4 * this.getMeasureDuration() );
+    default:
+        return this.audioContext.currentTime + BUFFER_TIME;
+    }
+};
+
+/**
+ * Returns the transport position in beats, counted from when
+ * the clock started, or from the start if it isn't running
+ *
+ * @param {Number}  [secs]      The time, defaults to now
+ *
+ * @returns {Number}    The position in beats, negative before the music starts
+ */
+SamplerEngine.prototype.getBeatPosition = function( secs ) {
+    if( secs == null )
+        secs = this.audioContext.currentTime;
+
+    if( !this.isClockRunning() )
+        return secs / this.getBeatDuration();
+
+    return this.musicStartBeat
+            + (secs - this.musicStartSecs) / this.getBeatDuration();
+};
+
+/**
+ * Returns the time of a beat of the transport clock
+ *
+ * @param {Number}  beat    The position in beats
+ *
+ * @returns {Number}    The beat time in seconds
+ */
+SamplerEngine.prototype.getBeatTime = function( beat ) {
+    return this.musicStartSecs
+            + (beat - this.musicStartBeat) * this.getBeatDuration();
+};
+
+/**
+ * Returns the bar and beat of the transport clock
+ *
+ * @returns {{bar:Number, beat:Number, fraction:Number}}
+ *      The bar and beat, counted from 1, and how far through
+ *      the beat we are, or null if the clock isn't running.
+ *      The bars of a count-in are numbered 0 and below.
+ */
+SamplerEngine.prototype.getBarBeat = function() {
+    if( !this.isClockRunning() )
+        return null;
+
+    var beatPos = this.getBeatPosition();
+    var beat = Math.floor( beatPos );
+    var bar = Math.floor( beat / this.beatsPerMeasure );
+
+    return {
+        bar:        bar + 1,
+        beat:       beat - bar * this.beatsPerMeasure + 1,
+        fraction:   beatPos - beat
+    };
+};
+
+/**
+ * Returns true while the transport clock is running
+ *
+ * @returns {Boolean}
+ */
+SamplerEngine.prototype.isClockRunning = function() {
+    return this.clockRunning;
+};
+
+/**
+ * Keep the transport clock running while no loops are
+ * playing, so loops brought back in pick up the phrase.
+ * Starts the clock if it's stopped, and turning it off
+ * stops the clock if nothing is playing.
+ *
+ * @param {Boolean} keepClock   true to keep the clock running
+ */
+SamplerEngine.prototype.setKeepClock = function( keepClock ) {
+    this.keepClock = keepClock;
+
+    if( keepClock && !this.isClockRunning() ) {
+        this.startClock( this.getQuantizedTime( "none" ) );
+    } else if( !keepClock && this.activeMusicGroupCount == 0 ) {
+        this.stopClock();
+    }
+
+    this.metronome.update();
+};
+
+/**
+ * Start the transport clock from the first bar, or move the
+ * running clock's first bar, as when following another
+ * player's clock
+ *
+ * @param {Number}  startSecs   The time of the first bar
+ */
+SamplerEngine.prototype.startClock = function( startSecs ) {
+    this.clockRunning = true;
+    this.musicStartSecs = startSecs;
+    this.musicStartBeat = 0;
+
+    this.metronome.update();
+};
+
+/**
+ * Stop the transport clock, so the next loop starts it again
+ * from the first bar
+ * @private
+ */
+SamplerEngine.prototype.stopClock = function() {
+    this.clockRunning = false;
+    this.musicStartSecs = -1;
+    this.musicStartBeat = 0;
+};
+
+/**
+ * Returns the length of a loop pad's phrase in bars, as set
+ * with the pad, or else from its audio. Audio within a tenth
+ * of a beat of a whole number of bars counts as whole bars.
+ *
+ * @param {String}  padId       The pad id
+ *
+ * @returns {Number}    The length in bars, or null for loops without a tempo
+ */
+SamplerEngine.prototype.getLoopBars = function( padId ) {
+    var pad = this.pads[ padId ];
+    if( pad == null || pad.buffer == null || pad.bpm == null )
+        return null;
+
+    if( pad.bars != null )
+        return pad.bars;
+
+    var beats = pad.buffer.duration * pad.bpm / 60;
+    var bars = Math.round( beats / this.beatsPerMeasure );
+
+    return bars > 0 && Math.abs( beats - bars * this.beatsPerMeasure ) < SamplerEngine.LOOP_BARS_TOLERANCE
+            ? bars
+            : beats / this.beatsPerMeasure;
+};
+
+/**
+ * Returns how much of a loop pad's audio a pass of the loop
+ * plays, which is its phrase, up to the whole audio
+ *
+ * @param {String}  padId       The pad id
+ *
+ * @returns {Number}    The loop length in seconds of audio
+ */
+SamplerEngine.prototype.getLoopDuration = function( padId ) {
+    var pad = this.pads[ padId ];
+    var bars = this.getLoopBars( padId );
+    if( bars == null )
+        return pad.buffer.duration;
+
+    return Math.min( bars * this.beatsPerMeasure * 60 / pad.bpm, pad.buffer.duration );
+};
+
+/**
+ * Returns how far through its loop a group's active loop is
+ *
+ * @param {String}  groupId     The music group id
+ *
+ * @returns {Number}    The loop position from 0 to 1, or null if the loop isn't playing
+ */
+SamplerEngine.prototype.getLoopPosition = function( groupId ) {
+    var musicGroup = this.musicGroups[ groupId ];
+    if( musicGroup == null || musicGroup.activeLoop == null )
+        return null;
+
+    var elapsedSecs = this.getLoopElapsed( musicGroup, this.audioContext.currentTime );
+    if( elapsedSecs < 0 )
+        return null;
+
+    var durationSecs = this.getLoopDuration( musicGroup.activeElemId );
+
+    elapsedSecs += musicGroup.activeOffsetSecs;
+    return (elapsedSecs % durationSecs) / durationSecs;
+};
+
+/**
+ * Returns how much of a group's active loop audio has played
+ * since the loop started
+ * @private
+ *
+ * @param {Object}  musicGroup  The music group
+ * @param {Number}  secs        The time
+ *
+ * @returns {Number}    The loop audio played in seconds, negative before the loop starts
+ */
+SamplerEngine.prototype.getLoopElapsed = function( musicGroup, secs ) {
+    var pad = this.pads[ musicGroup.activeElemId ];
+
+    // Loops at a tempo follow the beat, so count in beats
+    // to keep track through tempo changes
+    return pad.bpm != null
+            ? (this.getBeatPosition( secs ) - musicGroup.activeStartBeat) * 60 / pad.bpm
+            : secs - musicGroup.activeStartSecs;
+};
+
+/**
+ * Press a pad. Loop pads toggle, one-shot pads fire.
+ *
+ * @param {String}  padId       The pad id
+ */
+SamplerEngine.prototype.pressPad = function( padId ) {
+    var pad = this.pads[ padId ];
+    if( pad == null || pad.buffer == null )
+        return;
+
+    if( pad.mode == "oneshot" ) {
+        this.triggerOneShot( padId );
+        return;
+    }
+
+    if( this.musicGroups[ pad.groupId ].activeElemId != padId )
+        this.startLoop( padId );
+    else
+        this.stopLoop( pad.groupId );
+};
+
+/**
+ * Release a pad. Only held one-shot pads respond.
+ *
+ * @param {String}  padId       The pad id
+ */
+SamplerEngine.prototype.releasePad = function( padId ) {
+    var pad = this.pads[ padId ];
+
+    if( pad != null && pad.shot != null && pad.shot.hold )
+        this.stopOneShot( padId, 0 );
+};
+
+/**
+ * Trigger a one-shot pad
+ *
+ * @param {String}  padId           The pad id
+ * @param {Number}  [startSecs]     The scheduled start time, defaults to the pad's quantize setting
+ */
+SamplerEngine.prototype.triggerOneShot = function( padId, startSecs ) {
+    var pad = this.pads[ padId ];
+    var shot = pad.shot;
+    var musicGroup = this.musicGroups[ pad.groupId ];
+
+    // A pad that stops on retrigger acts as a toggle
+    if( shot.retrigger == "stop" && pad.shots.length > 0 ) {
+        this.stopOneShot( padId, 0 );
+        return;
+    }
+
+    // Work out the start time
+    if( startSecs == null )
+        startSecs = this.getQuantizedTime( shot.quantize );
+
+    // Cut the pad's own shots and any pads in its choke group
+    if( shot.retrigger == "restart" )
+        this.stopOneShot( padId, startSecs );
+
+    if( shot.choke != null ) {
+        for( var otherPadId in this.pads ) {
+            var otherPad = this.pads[ otherPadId ];
+
+            if( otherPadId != padId
+                    && otherPad.shot != null
+                    && otherPad.shot.choke == shot.choke )
+                this.stopOneShot( otherPadId, startSecs );
+        }
+    }
+
+    var sourceNode = this.musicLayer.playAudioBuffer(
+            pad.buffer,
+            startSecs,
+            false,
+            {
+                destNode:       musicGroup.channel.volNode,
+                playbackRate:   pad.bpm != null ? this.bpm.value / pad.bpm : 1
+            } );
+
+    this.log( "Playing '" + pad.audioSrc + "'" );
+
+    // Keep track of the shot until it's done
+    var me = this;
+    sourceNode.startSecs = startSecs;
+    sourceNode.endSecs = startSecs + pad.buffer.duration / sourceNode.playbackRate.value;
+    pad.shots.push( sourceNode );
+    sourceNode.onended = function() {
+        pad.shots.splice( pad.shots.indexOf( sourceNode ), 1 );
+
+        if( pad.shots.length == 0 )
+            me.events.emit( "shotEnd", padId, pad.groupId );
+    };
+
+    if( this.ducker.getRole( pad.groupId ) == "source" )
+        this.ducker.update();
+
+    this.events.emit( "shot", padId, pad.groupId, startSecs );
+};
+
+/**
+ * Stop a one-shot pad's playing shots
+ *
+ * @param {String}  padId           The pad id
+ * @param {Number}  stopSecs        The scheduled stop time
+ */
+SamplerEngine.prototype.stopOneShot = function( padId, stopSecs ) {
+    var pad = this.pads[ padId ];
+    var endSecs = Math.max( stopSecs, this.audioContext.currentTime );
+
+    pad.shots.forEach( function( sourceNode ) {
+        sourceNode.stop( stopSecs );
+        sourceNode.endSecs = Math.min( sourceNode.endSecs, endSecs );
+    } );
+
+    if( pad.shots.length > 0 && this.ducker.getRole( pad.groupId ) == "source" )
+        this.ducker.update();
+};
+
+/**
+ * Start a pad's loop on the group's quantize grid, replacing
+ * the group's active loop. The first loop starts the transport
+ * clock, and loops with a tempo join it where their phrase
+ * would be had they been playing since the clock started.
+ *
+ * @param {String}  padId           The pad id
+ * @param {Number}  [startSecs]     The scheduled start time, defaults to the group's quantize setting
+ * @param {Number}  [offsetSecs]    The position in the loop audio to start from, in seconds, defaults to the phrase position
+ */
+SamplerEngine.prototype.startLoop = function( padId, startSecs, offsetSecs ) {
+    var pad = this.pads[ padId ];
+    var groupId = pad.groupId;
+    var musicGroup = this.musicGroups[ groupId ];
+    var transition = musicGroup.transition;
+
+    if( startSecs == null ) {
+        startSecs = this.getQuantizedTime( transition.quantize );
+
+        // Count in a bar before the clock starts
+        if( this.metronome.countIn && !this.isClockRunning() ) {
+            startSecs += this.getMeasureDuration();
+            this.metronome.countInEndSecs = startSecs;
+
+            this.events.emit( "countIn", startSecs );
+        }
+    }
+
+    // Start the clock with the first loop
+    if( !this.isClockRunning() )
+        this.startClock( startSecs );
+
+    // Pick up the phrase from the clock, allowing for rounding
+    // at the end of the phrase
+    var loopSecs = this.getLoopDuration( padId );
+    var bars = this.getLoopBars( padId );
+    if( offsetSecs == null && bars != null ) {
+        var phraseBeats = bars * this.beatsPerMeasure;
+        var beat = this.getBeatPosition( startSecs );
+        var phraseBeat = beat - Math.floor( beat / phraseBeats + 1e-6 ) * phraseBeats;
+
+        offsetSecs = Math.max( 0, phraseBeat ) * 60 / pad.bpm;
+    }
+
+    // Transition out of the group's active loop at the playback time
+    var lastPadId = musicGroup.activeElemId;
+    if( musicGroup.activeLoop != null )
+        this.fadeOutLoop( musicGroup, startSecs );
+
+    // Schedule the new loop playback through its own
+    // fader, so it can be transitioned out later, looping
+    // the phrase if the audio runs past it
+    var voice = this.createLoopVoice( musicGroup.loopNode );
+    var audioNode = this.musicLayer.playAudioBuffer(
+            pad.buffer,
+            startSecs,
+            true,
+            {
+                destNode:       voice.filter,
+                playbackRate:   pad.bpm != null ? this.bpm.value / pad.bpm : 1,
+                offset:         offsetSecs,
+                loopEnd:        loopSecs < pad.buffer.duration ? loopSecs : null
+            } );
+
+    // Fade in over the crossfade, noting when so a fade out
+    // before it's started can take it over
+    if( musicGroup.activeLoop != null && transition.mode == "crossfade" ) {
+        voice.fadeIn = {
+            startSecs:      startSecs,
+            durationSecs:   transition.beats * this.getBeatDuration()
+        };
+        voice.gain.gain.setValueCurveAtTime(
+                SamplerEngine.getFadeCurve( true ),
+                voice.fadeIn.startSecs,
+                voice.fadeIn.durationSecs );
+    }
+
+    // Report the status
+    if( musicGroup.activeLoop == null )
+        this.log( "Playing loop '"
+                + pad.audioSrc + "'" );
+    else
+        this.log( "Transition from loop '"
+                + musicGroup.activeSrc + "' to '"
+                + pad.audioSrc );
+
+    // Update the global music state
+    if( musicGroup.activeLoop == null )
+        this.activeMusicGroupCount++;
+
+    // Update the group music state
+    musicGroup.activeLoop = audioNode;
+    musicGroup.activeVoice = voice;
+    musicGroup.activeSrc = pad.audioSrc;
+    musicGroup.activeElemId = padId;
+    musicGroup.activeBpm = pad.bpm;
+    musicGroup.activeStartSecs = startSecs;
+    musicGroup.activeStartBeat = this.getBeatPosition( startSecs );
+    musicGroup.activeOffsetSecs = offsetSecs || 0;
+
+    this.metronome.update();
+
+    if( lastPadId != null )
+        this.events.emit( "transition", groupId, lastPadId, padId, startSecs, transition.mode );
+
+    this.events.emit( "loopScheduled", padId, groupId, startSecs );
+};
+
+/**
+ * Create the filter and fader a loop plays through
+ * @private
+ *
+ * @param {AudioNode}   destNode    The node the loop feeds
+ *
+ * @returns {{filter:BiquadFilterNode, gain:GainNode}}  The loop voice
+ */
+SamplerEngine.prototype.createLoopVoice = function( destNode ) {
+    var filterNode = this.audioContext.createBiquadFilter();
+    var gainNode = this.audioContext.createGain();
+
+    // The filter stays open until a sweep
+    filterNode.type = "lowpass";
+    filterNode.frequency.value = this.audioContext.sampleRate * 0.5;
+    filterNode.Q.value = Math.SQRT1_2;
+
+    filterNode.connect( gainNode );
+    gainNode.connect( destNode );
+
+    return {
+        filter: filterNode,
+        gain:   gainNode
+    };
+};
+
+/**
+ * Returns an equal-power fade curve
+ *
+ * @param {Boolean}     fadeIn      true to fade in, false to fade out
+ *
+ * @returns {Float32Array}  The gain curve
+ */
+SamplerEngine.getFadeCurve = function( fadeIn ) {
+    var CURVE_SIZE = 64;
+
+    var curve = new Float32Array( CURVE_SIZE );
+    for( var index = 0; index < CURVE_SIZE; index++ ) {
+        var phase = index / (CURVE_SIZE - 1) * Math.PI * 0.5;
+        curve[ index ] = fadeIn ? Math.sin( phase ) : Math.cos( phase );
+    }
+
+    return curve;
+};
+
+/**
+ * Transition a group's active loop out using the group's
+ * transition mode, then stop it
+ * @private
+ *
+ * @param {Object}  musicGroup      The music group
+ * @param {Number}  startSecs       The transition start time
+ */
+SamplerEngine.prototype.fadeOutLoop = function( musicGroup, startSecs ) {
+    var DECLICK_SECS = 5 / 1000;
+    var SWEEP_FREQS = {
+        lowpass:    [ this.audioContext.sampleRate * 0.5, 80 ],
+        highpass:   [ 20, 8000 ]
+    };
+
+    var transition = musicGroup.transition;
+    var voice = musicGroup.activeVoice;
+    var gain = voice.gain.gain;
+    var fadeSecs = transition.mode == "cut"
+            ? DECLICK_SECS
+            : transition.beats * this.getBeatDuration();
+
+    // Take over from any transition already scheduled, from
+    // the level it's reached rather than jumping back to full.
+    // A crossfade in that hasn't started yet still plays up to
+    // the fade out, from the level it will have got to by then
+    var nowSecs = this.audioContext.currentTime;
+    var fadeIn = voice.fadeIn;
+    var level = gain.value;
+    gain.cancelScheduledValues( 0 );
+
+    if( fadeIn != null && nowSecs < fadeIn.startSecs ) {
+        var fadeInCurve = SamplerEngine.getFadeCurve( true );
+        var lastIndex = fadeInCurve.length - 1;
+        var fadeInPart = (startSecs - fadeIn.startSecs) / fadeIn.durationSecs;
+        var endIndex = Math.floor( Math.min( 1, Math.max( 0, fadeInPart ) ) * lastIndex );
+
+        level = fadeInCurve[ endIndex ];
+        gain.setValueAtTime( 0, nowSecs );
+        if( endIndex > 0 )
+            gain.setValueCurveAtTime(
+                    fadeInCurve.subarray( 0, endIndex + 1 ),
+                    fadeIn.startSecs,
+                    endIndex / lastIndex * fadeIn.durationSecs );
+    } else {
+        gain.setValueAtTime( level, nowSecs );
+    }
+    gain.setValueAtTime( level, startSecs );
+
+    if( transition.mode == "crossfade" ) {
+        var curve = SamplerEngine.getFadeCurve( false );
+        for( var index = 0; index < curve.length; index++ )
+            curve[ index ] *= level;
+
+        gain.setValueCurveAtTime( curve, startSecs, fadeSecs );
+    } else if( transition.mode == "lowpass" || transition.mode == "highpass" ) {
+        // Sweep the filter, fading out over the second half
+        var freqs = SWEEP_FREQS[ transition.mode ];
+        var frequency = voice.filter.frequency;
+
+        frequency.cancelScheduledValues( 0 );
+        frequency.setValueAtTime( freqs[0], this.audioContext.currentTime );
+        voice.filter.type = transition.mode;
+
+        frequency.setValueAtTime( freqs[0], startSecs );
+        frequency.exponentialRampToValueAtTime( freqs[1], startSecs + fadeSecs );
+
+        gain.setValueAtTime( level, startSecs + fadeSecs * 0.5 );
+        gain.linearRampToValueAtTime( 0, startSecs + fadeSecs );
+    } else {
+        gain.linearRampToValueAtTime( 0, startSecs + fadeSecs );
+    }
+
+    musicGroup.activeLoop.stop( startSecs + fadeSecs );
+};
+
+/**
+ * Stop a group's active loop
+ *
+ * @param {String}  groupId         The music group id
+ * @param {Number}  [stopSecs]      The scheduled stop time, defaults to now
+ */
+SamplerEngine.prototype.stopLoop = function( groupId, stopSecs ) {
+    var musicGroup = this.musicGroups[ groupId ];
+
+    if( musicGroup.activeLoop == null )
+        return;
+
+    if( stopSecs == null )
+        stopSecs = this.audioContext.currentTime;
+
+    this.log( "Stopping loop '"
+            + musicGroup.activeSrc + "'" );
+
+    // Transition the loop out, cutting any effect held on it
+    this.fadeOutLoop( musicGroup, stopSecs );
+    this.performanceFx.stopGroup( groupId, stopSecs );
+
+    var padId = musicGroup.activeElemId;
+
+    // Update the group music state
+    musicGroup.activeLoop = null;
+    musicGroup.activeVoice = null;
+    musicGroup.activeSrc = null;
+    musicGroup.activeElemId = null;
+    musicGroup.activeBpm = null;
+
+    // Update the global music state
+    this.activeMusicGroupCount--;
+
+    // No more active music? Stop the clock, unless
+    // it's kept running
+    if( this.activeMusicGroupCount == 0 && !this.keepClock )
+        this.stopClock();
+
+    this.metronome.update();
+
+    this.events.emit( "loopStop", padId, groupId, stopSecs );
+};
+
+/**
+ * Render the playing loops for a number of bars, faster than
+ * real time, as a stem for each music group and a full mix
+ *
+ * The bounce starts from the next downbeat, with each loop
+ * where it will be then. The stems are the groups' channels
+ * alone, unmuted, and the mix goes through the master volume,
+ * effects, equalizer and dynamics, as it plays.
+ *
+ * @param {Number}      bars            The length in bars
+ * @param {function(Array.<{id:String, label:String, audioBuffer:AudioBuffer}>)} callbackFn
+ *      A callback function triggered with the group stems, keyed by group id, then the mix, with the id "mix"
+ * @param {*}           [context]       The callback function context
+ * @param {function(message:String)}    [errorFn]   A callback function triggered if the bounce fails
+ */
+SamplerEngine.prototype.bounce = function( bars, callbackFn, context, errorFn ) {
+    var offlineContextClass = window.OfflineAudioContext
+                              || window.webkitOfflineAudioContext;
+
+    var fail = function( message ) {
+        this.log( "ERROR: Bounce failed: " + message );
+        if( errorFn != null )
+            errorFn.call( context, message );
+    };
+
+    if( offlineContextClass == null ) {
+        fail.call( this, "This browser can't render offline" );
+        return;
+    }
+
+    // Place the loops as they'll be at the next downbeat
+    var startSecs = this.getNextDownbeat();
+    var loops = [];
+    for( var groupId in this.musicGroups ) {
+        var musicGroup = this.musicGroups[ groupId ];
+        if( musicGroup.activeLoop == null )
+            continue;
+
+        var pad = this.pads[ musicGroup.activeElemId ];
+        var playbackRate = pad.bpm != null ? this.bpm.value / pad.bpm : 1;
+        var elapsedSecs = this.getLoopElapsed( musicGroup, startSecs );
+        var loopSecs = this.getLoopDuration( musicGroup.activeElemId );
+
+        loops.push( {
+            groupId:        groupId,
+            buffer:         pad.buffer,
+            playbackRate:   playbackRate,
+
+            // A pending loop starts part way through the bounce
+            startSecs:      Math.max( 0, -elapsedSecs / playbackRate ),
+            offsetSecs:     (Math.max( 0, elapsedSecs ) + musicGroup.activeOffsetSecs)
+                                % loopSecs,
+            loopSecs:       loopSecs
+        } );
+    }
+
+    if( loops.length == 0 ) {
+        fail.call( this, "Nothing is playing" );
+        return;
+    }
+
+    // Render each stem, then the mix
+    var renders = loops.map( function( loop ) {
+        return {
+            id:     loop.groupId,
+            label:  this.musicGroups[ loop.groupId ].label,
+            loops:  [ loop ]
+        };
+    }, this );
+    renders.push( { id: "mix", label: "Mix", loops: loops } );
+
+    var lengthSecs = bars * this.getMeasureDuration();
+    var results = [];
+
+    var renderNext = function() {
+        if( results.length == renders.length ) {
+            this.log( "Bounced " + bars + " bars" );
+            callbackFn.call( context, results );
+            return;
+        }
+
+        var render = renders[ results.length ];
+        this.renderOffline( offlineContextClass, render.loops, render.id == "mix", lengthSecs,
+            function( audioBuffer ) {
+                results.push( {
+                    id:             render.id,
+                    label:          render.label,
+                    audioBuffer:    audioBuffer
+                } );
+                renderNext.call( this );
+            },
+            fail );
+    };
+
+    this.log( "Bouncing " + bars + " bars" );
+    renderNext.call( this );
+};
+
+/**
+ * Render loops through a copy of their channels, and
+ * optionally the master chain, in an offline audio context
+ * @private
+ *
+ * @param {Function}        offlineContextClass     The OfflineAudioContext class
+ * @param {Array.<Object>}  loops           The loop placements
+ * @param {Boolean}         withMaster      true to render through the master chain and apply the muting
+ * @param {Number}          lengthSecs      The render length in seconds
+ * @param {function(audioBuffer:AudioBuffer)}   callbackFn  A callback function triggered with the rendered audio
+ * @param {function(message:String)}            errorFn     A callback function triggered if the render fails
+ */
+SamplerEngine.prototype.renderOffline = function( offlineContextClass,
+                                                  loops,
+                                                  withMaster,
+                                                  lengthSecs,
+                                                  callbackFn,
+                                                  errorFn ) {
+    var me = this;
+    var sampleRate = this.audioContext.sampleRate;
+    var offlineContext = new offlineContextClass( 2, Math.ceil( lengthSecs * sampleRate ), sampleRate );
+
+    var destNode = offlineContext.destination;
+    if( withMaster ) {
+        var layer = new AudioLayer( offlineContext );
+        layer.copySettings( this.musicLayer );
+        layer.fxRack.setTempo( this.bpm.value );
+
+        destNode = layer.volNode;
+    }
+
+    loops.forEach( function( loop ) {
+        var channel = new ChannelStrip( offlineContext, destNode );
+        channel.copySettings( this.musicGroups[ loop.groupId ].channel );
+        if( !withMaster )
+            channel.setMuted( false );
+
+        var sourceNode = offlineContext.createBufferSource();
+        sourceNode.buffer = loop.buffer;
+        sourceNode.loop = true;
+        sourceNode.loopEnd = loop.loopSecs;
+        sourceNode.playbackRate.value = loop.playbackRate;
+        sourceNode.connect( channel.volNode );
+        sourceNode.start( loop.startSecs, loop.offsetSecs );
+    }, this );
+
+    offlineContext.oncomplete = function( event ) {
+        callbackFn.call( me, event.renderedBuffer );
+    };
+
+    // Newer browsers also report failures through a promise
+    var rendering = offlineContext.startRendering();
+    if( rendering != null && rendering.then != null )
+        rendering.then( null, function( error ) {
+            errorFn.call( me, error.message || String( error ) );
+        } );
+};
+
+/**
+ * A click track that follows the engine's beat, on its own
+ * output so it stays out of the mix and the recordings. It
+ * also clicks through a count-in when it's switched off.
+ *
+ * @param {SamplerEngine}   engine      The engine to follow
+ *
+ * @constructor
+ */
+function Metronome( engine ) {
+    this.engine = engine;
+
+    var audioContext = engine.audioContext;
+    this.gainNode = audioContext.createGain();
+    this.gainNode.gain.value = 0.5;
+    this.gainNode.connect( audioContext.destination );
+
+    // Expose the volume control
+    this.gain = this.gainNode.gain;
+
+    this.enabled = false;
+
+    // Count in a bar before the first loop
+    this.countIn = false;
+    this.countInEndSecs = -1;
+
+    this.nextBeat = null;
+    this.timerHandle = null;
+}
+
+/**
+ * How far ahead to schedule clicks, in seconds
+ * @const
+ */
+Metronome.LOOKAHEAD_SECS = 0.1;
+
+/**
+ * How often to schedule clicks, in milliseconds
+ * @const
+ */
+Metronome.INTERVAL_MS = 25;
+
+/**
+ * Switch the click on or off
+ *
+ * @param {Boolean}     enabled     true to click along with the music
+ */
+Metronome.prototype.setEnabled = function( enabled ) {
+    this.enabled = enabled;
+    this.update();
+};
+
+/**
+ * Returns true while there are clicks to play
+ * @private
+ *
+ * @returns {Boolean}
+ */
+Metronome.prototype.isActive = function() {
+    var engine = this.engine;
+
+    return engine.isClockRunning()
+            && (this.enabled || this.countInEndSecs > engine.audioContext.currentTime);
+};
+
+/**
+ * Start or stop scheduling clicks to match the music state
+ * @private
+ */
+Metronome.prototype.update = function() {
+    if( !this.isActive() ) {
+        if( this.timerHandle != null ) {
+            window.clearTimeout( this.timerHandle );
+            this.timerHandle = null;
+        }
+
+        this.nextBeat = null;
+        return;
+    }
+
+    if( this.timerHandle == null )
+        this.scheduleClicks();
+};
+
+/**
+ * Schedule the clicks due before the next timer tick
+ * @private
+ */
+Metronome.prototype.scheduleClicks = function() {
+    this.timerHandle = null;
+    if( !this.isActive() ) {
+        this.nextBeat = null;
+        return;
+    }
+
+    var engine = this.engine;
+    var nowSecs = engine.audioContext.currentTime;
+    var horizonSecs = nowSecs + Metronome.LOOKAHEAD_SECS;
+
+    // Pick up from the next whole beat
+    if( this.nextBeat == null )
+        this.nextBeat = Math.ceil( engine.getBeatPosition( nowSecs ) );
+
+    for( var beatSecs = engine.getBeatTime( this.nextBeat );
+         beatSecs < horizonSecs;
+         beatSecs = engine.getBeatTime( ++this.nextBeat ) ) {
+        // Skip the beats a transition jumped over
+        if( beatSecs < nowSecs )
+            continue;
+
+        if( this.enabled || beatSecs < this.countInEndSecs )
+            this.click( beatSecs, this.nextBeat % engine.beatsPerMeasure == 0 );
+    }
+
+    this.timerHandle = later( Metronome.INTERVAL_MS, this.scheduleClicks, this );
+};
+
+/**
+ * Play a click
+ * @private
+ *
+ * @param {Number}  startSecs   The click time
+ * @param {Boolean} downbeat    true to accent the click
+ */
+Metronome.prototype.click = function( startSecs, downbeat ) {
+    var CLICK_SECS = 0.03;
+
+    var audioContext = this.engine.audioContext;
+    var oscNode = audioContext.createOscillator();
+    var envNode = audioContext.createGain();
+
+    oscNode.frequency.value = downbeat ? 1600 : 1000;
+    oscNode.connect( envNode );
+    envNode.connect( this.gainNode );
+
+    envNode.gain.setValueAtTime( 1, startSecs );
+    envNode.gain.exponentialRampToValueAtTime( 0.001, startSecs + CLICK_SECS );
+
+    oscNode.start( startSecs );
+    oscNode.stop( startSecs + CLICK_SECS );
+};
+
+/**
+ * Sidechain-style ducking, where the one-shots of the source
+ * groups lower the level of the target groups
+ *
+ * The targets drop by the depth over the attack time as a
+ * shot starts, stay down until the hold time after the last
+ * shot ends, then recover over the release time.
+ *
+ * @param {SamplerEngine}   engine  The engine to duck
+ *
+ * @constructor
+ */
+function Ducker( engine ) {
+    this.engine = engine;
+    this.enabled = true;
+
+    // The "source", "target" or "none" role of each group,
+    // keyed by group id. Groups that aren't listed take their
+    // role from the defaults.
+    this.roles = {};
+
+    this.depth = new ValueParam( 12, 0, 40, this.update, this );           // dB
+    this.attack = new ValueParam( 0.02, 0.001, 0.5, this.update, this );   // seconds
+    this.hold = new ValueParam( 0.1, 0, 2, this.update, this );            // seconds
+    this.release = new ValueParam( 0.5, 0.01, 3, this.update, this );      // seconds
+}
+
+/**
+ * The groups that duck and are ducked by default
+ */
+Ducker.SOURCE_GROUPS = [ "banter", "sfx" ];
+Ducker.TARGET_GROUPS = [ "beats", "instruments", "synths" ];
+
+/**
+ * Returns a group's ducking role
+ *
+ * @param {String}  groupId     The music group id
+ *
+ * @returns {String}    "source", "target" or "none"
+ */
+Ducker.prototype.getRole = function( groupId ) {
+    if( this.roles[ groupId ] != null )
+        return this.roles[ groupId ];
+
+    if( Ducker.SOURCE_GROUPS.indexOf( groupId ) >= 0 )
+        return "source";
+
+    return Ducker.TARGET_GROUPS.indexOf( groupId ) >= 0 ? "target" : "none";
+};
+
+/**
+ * Set a group's ducking role
+ *
+ * @param {String}  groupId     The music group id
+ * @param {String}  role        "source", "target" or "none"
+ */
+Ducker.prototype.setRole = function( groupId, role ) {
+    this.roles[ groupId ] = role;
+    this.update();
+};
+
+/**
+ * Switch the ducking on or off
+ *
+ * @param {Boolean} enabled     true to duck
+ */
+Ducker.prototype.setEnabled = function( enabled ) {
+    this.enabled = enabled;
+    this.update();
+};
+
+/**
+ * Schedule the target groups' levels for the source shots
+ * still to play
+ */
+Ducker.prototype.update = function() {
+    var engine = this.engine;
+    var nowSecs = engine.audioContext.currentTime;
+
+    // Find when the source shots start and end
+    var startSecs = Infinity;
+    var endSecs = -Infinity;
+    if( this.enabled ) {
+        for( var padId in engine.pads ) {
+            var pad = engine.pads[ padId ];
+            if( this.getRole( pad.groupId ) != "source" )
+                continue;
+
+            pad.shots.forEach( function( sourceNode ) {
+                if( sourceNode.endSecs <= nowSecs )
+                    return;
+
+                startSecs = Math.min( startSecs, Math.max( nowSecs, sourceNode.startSecs ) );
+                endSecs = Math.max( endSecs, sourceNode.endSecs );
+            } );
+        }
+    }
+
+    var duckLevel = Math.pow( 10, -this.depth.value / 20 );
+
+    // Approach the levels exponentially, so each change
+    // carries on smoothly from wherever the level is
+    for( var groupId in engine.musicGroups ) {
+        var duck = engine.musicGroups[ groupId ].channel.duck;
+        duck.cancelScheduledValues( nowSecs );
+
+        if( this.getRole( groupId ) == "target" && endSecs > nowSecs ) {
+            duck.setTargetAtTime( duckLevel, startSecs, this.attack.value / 3 );
+            duck.setTargetAtTime( 1, endSecs + this.hold.value, this.release.value / 3 );
+        } else {
+            duck.setTargetAtTime( 1, nowSecs, this.release.value / 3 );
+        }
+    }
+};
+
+/**
+ * Returns how far the target groups are ducked
+ *
+ * @returns {Number}    The level reduction in dB, 0 or less
+ */
+Ducker.prototype.getReduction = function() {
+    var level = 1;
+
+    for( var groupId in this.engine.musicGroups ) {
+        if( this.getRole( groupId ) == "target" )
+            level = Math.min( level, this.engine.musicGroups[ groupId ].channel.duck.value );
+    }
+
+    return 20 * Math.log( Math.max( level, 1e-5 ) ) / Math.LN10;
+};
+
+/**
+ * Momentary performance effects, held on a group's loop or
+ * on all the playing loops
+ *
+ * A held effect takes over from the loop, which carries on
+ * silently underneath, so letting go drops straight back into
+ * the loop in phase. The effects are:
+ * - "repeat", which rolls a 1/4 to 1/32 note slice of the loop
+ *   from the next slice on the grid
+ * - "reverse", which plays the loop backwards from where it is
+ * - "tapestop" and "brake", which slow the loop to a stop, the
+ *   way a tape machine or a turntable winds down
+ * - "spinback", which spins the loop backwards, like a record
+ *   pulled back by hand
+ *
+ * @param {SamplerEngine}   engine  The engine to play
+ *
+ * @constructor
+ */
+function PerformanceFx( engine ) {
+    this.engine = engine;
+
+    // The held effect of each group, keyed by group id
+    this.held = {};
+}
+
+/**
+ * The target that holds an effect on all the playing loops
+ */
+PerformanceFx.MASTER = "master";
+
+/**
+ * The effects, and the beat repeat note lengths
+ */
+PerformanceFx.EFFECTS = [ "repeat", "reverse", "tapestop", "brake", "spinback" ];
+PerformanceFx.REPEAT_DIVISIONS = [ 4, 8, 16, 32 ];
+
+/**
+ * How long the slow downs and the spin back take, in beats
+ */
+PerformanceFx.TAPESTOP_BEATS = 2;
+PerformanceFx.BRAKE_BEATS = 0.5;
+PerformanceFx.SPINBACK_BEATS = 1;
+
+/**
+ * The top speed of the spin back, as a factor of the playback rate
+ */
+PerformanceFx.SPINBACK_SPEED = 3;
+
+/**
+ * The fade between an effect and its loop, to avoid clicks
+ */
+PerformanceFx.DECLICK_SECS = 0.005;
+
+/**
+ * Returns a playback speed curve from full speed to a stop
+ *
+ * @param {Boolean}     sharp       true to lose most of the speed at once, like a braked turntable,
+ *                                  false to wind down gradually, like a tape machine
+ *
+ * @returns {Array.<Number>}    The speed factors
+ */
+PerformanceFx.getSlowDownCurve = function( sharp ) {
+    var CURVE_SIZE = 64;
+
+    var curve = [];
+    for( var index = 0; index < CURVE_SIZE; index++ ) {
+        var phase = index / (CURVE_SIZE - 1);
+        curve.push( sharp ? Math.pow( 1 - phase, 2 ) : Math.cos( phase * Math.PI * 0.5 ) );
+    }
+
+    return curve;
+};
+
+/**
+ * Returns the playback speed curve of a spin back, which
+ * speeds up quickly then runs down to a stop
+ *
+ * @returns {Array.<Number>}    The speed factors
+ */
+PerformanceFx.getSpinBackCurve = function() {
+    var CURVE_SIZE = 64;
+    var PEAK_PHASE = 0.2;
+
+    var curve = [];
+    for( var index = 0; index < CURVE_SIZE; index++ ) {
+        var phase = index / (CURVE_SIZE - 1);
+        curve.push( phase < PEAK_PHASE
+                ? 1 + (PerformanceFx.SPINBACK_SPEED - 1) * phase / PEAK_PHASE
+                : PerformanceFx.SPINBACK_SPEED * Math.pow( (1 - phase) / (1 - PEAK_PHASE), 2 ) );
+    }
+
+    return curve;
+};
+
+/**
+ * Hold an effect, replacing any effect already held on the
+ * same loops. Loops that haven't started yet are left alone.
+ *
+ * @param {String}  target          A music group id, or PerformanceFx.MASTER for all the playing loops
+ * @param {String}  effect          The effect, one of PerformanceFx.EFFECTS
+ * @param {Number}  [division]      The beat repeat note length, as a fraction of a bar of 4/4, defaults to 16
+ *
+ * @returns {Boolean}   true if any loop took the effect
+ */
+PerformanceFx.prototype.engage = function( target, effect, division ) {
+    var engine = this.engine;
+    var beatSecs = engine.getBeatDuration();
+
+    this.release( target );
+
+    // Rolls start on their own grid, the rest straight away
+    var repeatSecs = beatSecs * 4 / (division || 16);
+    var startSecs = effect == "repeat"
+            ? engine.getNextGridTime( repeatSecs )
+            : engine.getQuantizedTime( "none" );
+
+    var groupIds = target == PerformanceFx.MASTER
+            ? Object.keys( engine.musicGroups )
+            : [ target ];
+
+    var engaged = false;
+    groupIds.forEach( function( groupId ) {
+        var musicGroup = engine.musicGroups[ groupId ];
+        if( musicGroup == null || musicGroup.activeLoop == null )
+            return;
+
+        var elapsedSecs = engine.getLoopElapsed( musicGroup, startSecs );
+        if( elapsedSecs < 0 )
+            return;
+
+        this.releaseGroup( groupId );
+
+        // Pick up the loop audio from where the loop will be
+        var pad = engine.pads[ musicGroup.activeElemId ];
+        var durationSecs = engine.getLoopDuration( musicGroup.activeElemId );
+        var playbackRate = pad.bpm != null ? engine.bpm.value / pad.bpm : 1;
+        var positionSecs = (elapsedSecs + musicGroup.activeOffsetSecs) % durationSecs;
+
+        var voice = engine.createLoopVoice( musicGroup.channel.volNode );
+        var options = {
+            destNode:       voice.filter,
+            playbackRate:   playbackRate,
+            offset:         positionSecs,
+            loopStart:      0,
+            loopEnd:        durationSecs
+        };
+        var stopBeats = null;
+
+        switch( effect ) {
+        case "repeat":
+            // Keep the slice within the audio
+            var sliceSecs = Math.min( repeatSecs * playbackRate, durationSecs );
+            options.loopStart = Math.min( positionSecs, durationSecs - sliceSecs );
+            options.loopEnd = options.loopStart + sliceSecs;
+            options.offset = options.loopStart;
+            break;
+        case "reverse":
+            options.reverse = true;
+            break;
+        case "tapestop":
+        case "brake":
+            stopBeats = effect == "brake" ? PerformanceFx.BRAKE_BEATS : PerformanceFx.TAPESTOP_BEATS;
+            options.rateCurve = PerformanceFx.getSlowDownCurve( effect == "brake" );
+            break;
+        case "spinback":
+            stopBeats = PerformanceFx.SPINBACK_BEATS;
+            options.reverse = true;
+            options.rateCurve = PerformanceFx.getSpinBackCurve();
+            break;
+        }
+
+        if( stopBeats != null )
+            options.rateCurveSecs = stopBeats * beatSecs;
+
+        var sourceNode = engine.musicLayer.playAudioBuffer( pad.buffer, startSecs, true, options );
+
+        // Cross over from the loop to the effect
+        var gain = voice.gain.gain;
+        gain.value = 0;
+        gain.setTargetAtTime( 1, startSecs, PerformanceFx.DECLICK_SECS / 3 );
+
+        // A stopped effect stays silent until it's let go
+        if( stopBeats != null )
+            gain.setTargetAtTime( 0, startSecs + options.rateCurveSecs, PerformanceFx.DECLICK_SECS / 3 );
+
+        var loopGain = musicGroup.loopNode.gain;
+        loopGain.cancelScheduledValues( startSecs );
+        loopGain.setTargetAtTime( 0, startSecs, PerformanceFx.DECLICK_SECS / 3 );
+
+        this.held[ groupId ] = {
+            target:     target,
+            effect:     effect,
+            sourceNode: sourceNode,
+            voice:      voice,
+            bpm:        options.rateCurve == null ? pad.bpm : null
+        };
+        engaged = true;
+    }, this );
+
+    if( engaged ) {
+        engine.log( "Holding " + effect + " on '"
+                + (target == PerformanceFx.MASTER ? "Master" : engine.musicGroups[ target ].label) + "'" );
+        engine.events.emit( "performanceFx", target, effect, startSecs );
+    }
+
+    return engaged;
+};
+
+/**
+ * Let go of the effect held on a target, bringing its loops back
+ *
+ * @param {String}  target      A music group id, or PerformanceFx.MASTER
+ */
+PerformanceFx.prototype.release = function( target ) {
+    var released = false;
+    for( var groupId in this.held ) {
+        if( this.held[ groupId ].target == target ) {
+            this.releaseGroup( groupId );
+            released = true;
+        }
+    }
+
+    if( released )
+        this.engine.events.emit( "performanceFx", target, null, this.engine.audioContext.currentTime );
+};
+
+/**
+ * Let go of every held effect
+ */
+PerformanceFx.prototype.releaseAll = function() {
+    var targets = [];
+    for( var groupId in this.held ) {
+        if( targets.indexOf( this.held[ groupId ].target ) < 0 )
+            targets.push( this.held[ groupId ].target );
+    }
+
+    targets.forEach( this.release, this );
+};
+
+/**
+ * Cut a group's held effect when its loop stops
+ *
+ * @param {String}  groupId     The music group id
+ * @param {Number}  stopSecs    The loop's stop time
+ */
+PerformanceFx.prototype.stopGroup = function( groupId, stopSecs ) {
+    var held = this.held[ groupId ];
+    if( held == null )
+        return;
+
+    this.releaseGroup( groupId, stopSecs );
+
+    if( this.getEffect( held.target ) == null )
+        this.engine.events.emit( "performanceFx", held.target, null, stopSecs );
+};
+
+/**
+ * Keep the held effects at the project tempo. The slow downs
+ * and the spin back follow their own speed curves.
+ *
+ * @param {Number}  bpm     The project tempo
+ */
+PerformanceFx.prototype.setTempo = function( bpm ) {
+    for( var groupId in this.held ) {
+        var held = this.held[ groupId ];
+
+        if( held.bpm != null )
+            held.sourceNode.playbackRate.value = bpm / held.bpm;
+    }
+};
+
+/**
+ * Returns the effect held on a target
+ *
+ * @param {String}  target      A music group id, or PerformanceFx.MASTER
+ *
+ * @returns {String}    The effect, or null if none is held
+ */
+PerformanceFx.prototype.getEffect = function( target ) {
+    for( var groupId in this.held ) {
+        if( this.held[ groupId ].target == target )
+            return this.held[ groupId ].effect;
+    }
+
+    return null;
+};
+
+/**
+ * Stop a group's effect and bring its loop back
+ * @private
+ *
+ * @param {String}  groupId         The music group id
+ * @param {Number}  [releaseSecs]   The release time, defaults to now
+ */
+PerformanceFx.prototype.releaseGroup = function( groupId, releaseSecs ) {
+    var held = this.held[ groupId ];
+    if( held == null )
+        return;
+
+    delete this.held[ groupId ];
+
+    releaseSecs = Math.max( releaseSecs || 0, this.engine.audioContext.currentTime );
+    var gain = held.voice.gain.gain;
+    gain.cancelScheduledValues( releaseSecs );
+    gain.setTargetAtTime( 0, releaseSecs, PerformanceFx.DECLICK_SECS / 3 );
+    held.sourceNode.stop( releaseSecs + PerformanceFx.DECLICK_SECS );
+
+    // The loop kept its place, so it's still in phase
+    var musicGroup = this.engine.musicGroups[ groupId ];
+    if( musicGroup != null ) {
+        var loopGain = musicGroup.loopNode.gain;
+        loopGain.cancelScheduledValues( releaseSecs );
+        loopGain.setTargetAtTime( 1, releaseSecs, PerformanceFx.DECLICK_SECS / 3 );
+    }
+};
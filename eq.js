@@ -0,0 +1,120 @@
+/* -----------------------------------------------------
+ Equalizer presets
+ ----------------------------------------------------- */
+
+/**
+ * Named equalizer settings, built in and user saved
+ *
+ * Each preset is a list of band settings, one per equalizer
+ * band from lowest to highest. User presets are persisted
+ * in localStorage.
+ *
+ * @param {String}  storageKey      The localStorage key for the user presets
+ *
+ * @constructor
+ */
+function EqPresets( storageKey ) {
+    this.storageKey = storageKey;
+
+    this.userPresets = {};
+    try {
+        this.userPresets = JSON.parse( localStorage.getItem( storageKey ) ) || {};
+    } catch( e ) {
+        this.userPresets = {};
+    }
+}
+
+/**
+ * The built in presets, which can't be overwritten or deleted
+ */
+EqPresets.BUILT_IN = {
+    "Flat": [
+        { frequency: 60,    gain: 0,    Q: 1 },
+        { frequency: 226,   gain: 0,    Q: 1 },
+        { frequency: 849,   gain: 0,    Q: 1 },
+        { frequency: 3193,  gain: 0,    Q: 1 },
+        { frequency: 12000, gain: 0,    Q: 1 }
+    ],
+    "Jungle sub boost": [
+        { frequency: 60,    gain: 9,    Q: 1 },
+        { frequency: 150,   gain: -3,   Q: 1 },
+        { frequency: 1000,  gain: 0,    Q: 1 },
+        { frequency: 4000,  gain: 2,    Q: 1 },
+        { frequency: 10000, gain: 2,    Q: 1 }
+    ],
+    "Telephone": [
+        { frequency: 300,   gain: -24,  Q: 1 },
+        { frequency: 1000,  gain: 6,    Q: 1 },
+        { frequency: 2000,  gain: 3,    Q: 1 },
+        { frequency: 3000,  gain: 0,    Q: 1 },
+        { frequency: 3400,  gain: -24,  Q: 1 }
+    ]
+};
+
+/**
+ * Returns the preset names, built in presets first
+ *
+ * @returns {Array.<String>}    The preset names
+ */
+EqPresets.prototype.getNames = function() {
+    return Object.keys( EqPresets.BUILT_IN )
+        .concat( Object.keys( this.userPresets ).sort() );
+};
+
+/**
+ * Returns a preset's band settings
+ *
+ * @param {String}  name    The preset name
+ *
+ * @returns {Array.<{frequency:Number, gain:Number, Q:Number}>}
+ *      The band settings, or null if there's no such preset
+ */
+EqPresets.prototype.get = function( name ) {
+    return EqPresets.BUILT_IN[ name ] || this.userPresets[ name ] || null;
+};
+
+/**
+ * Returns true for a built in preset
+ *
+ * @param {String}  name    The preset name
+ *
+ * @returns {Boolean}
+ */
+EqPresets.prototype.isBuiltIn = function( name ) {
+    return EqPresets.BUILT_IN.hasOwnProperty( name );
+};
+
+/**
+ * Save a user preset, replacing any preset of the same name
+ *
+ * @param {String}  name    The preset name
+ * @param {Array.<{frequency:Number, gain:Number, Q:Number}>}   bands   The band settings
+ */
+EqPresets.prototype.save = function( name, bands ) {
+    if( this.isBuiltIn( name ) )
+        throw new Error( "Can't overwrite the built in preset '" + name + "'" );
+
+    this.userPresets[ name ] = bands;
+    this.store();
+};
+
+/**
+ * Delete a user preset
+ *
+ * @param {String}  name    The preset name
+ */
+EqPresets.prototype.remove = function( name ) {
+    if( this.isBuiltIn( name ) )
+        throw new Error( "Can't delete the built in preset '" + name + "'" );
+
+    delete this.userPresets[ name ];
+    this.store();
+};
+
+/**
+ * Save the user presets to localStorage
+ * @private
+ */
+EqPresets.prototype.store = function() {
+    localStorage.setItem( this.storageKey, JSON.stringify( this.userPresets ) );
+};
@@ -0,0 +1,193 @@
+/* -----------------------------------------------------
+ Web MIDI controller input and mapping
+ ----------------------------------------------------- */
+
+/**
+ * Maps MIDI notes and control changes onto app controls
+ *
+ * Mappings are keyed by message kind, channel and number,
+ * e.g. "note:0:36" or "cc:0:7", and persisted in localStorage.
+ *
+ * @param {String}  storageKey      The localStorage key for the mappings
+ *
+ * @constructor
+ */
+function MidiController( storageKey ) {
+    this.storageKey = storageKey;
+    this.midiAccess = null;
+    this.learnTarget = null;
+
+    this.mappings = {};
+    try {
+        this.mappings = JSON.parse( localStorage.getItem( storageKey ) ) || {};
+    } catch( e ) {
+        this.mappings = {};
+    }
+
+    /**
+     * Triggered when a mapped control is used
+     * @type {function(target:Object, kind:String, value:Number)}
+     */
+    this.onaction = null;
+
+    /**
+     * Triggered when a control is learned
+     * @type {function(key:String, target:Object)}
+     */
+    this.onlearn = null;
+}
+
+/**
+ * Request MIDI access and listen to every input
+ *
+ * @param {function(success:Boolean, message:String)}   callbackFn  Called when access is resolved
+ */
+MidiController.prototype.connect = function( callbackFn ) {
+    if( navigator.requestMIDIAccess == null ) {
+        callbackFn( false, "Browser does not support Web MIDI" );
+        return;
+    }
+
+    var me = this;
+    navigator.requestMIDIAccess().then(
+        function( midiAccess ) {
+            me.midiAccess = midiAccess;
+            me.listenToInputs();
+
+            // Pick up controllers plugged in later
+            midiAccess.onstatechange = function() {
+                me.listenToInputs();
+            };
+
+            callbackFn( true, midiAccess.inputs.size + " MIDI input(s) found" );
+        },
+        function( error ) {
+            callbackFn( false, "MIDI access denied: " + error );
+        } );
+};
+
+/**
+ * Attach the message handler to every input
+ * @private
+ */
+MidiController.prototype.listenToInputs = function() {
+    var me = this;
+    this.midiAccess.inputs.forEach( function( input ) {
+        input.onmidimessage = function( event ) {
+            me.handleMessage( event.data );
+        };
+    } );
+};
+
+/**
+ * Handle a raw MIDI message
+ * @private
+ *
+ * @param {Uint8Array}  data    The MIDI message bytes
+ */
+MidiController.prototype.handleMessage = function( data ) {
+    var status  = data[0] & 0xf0;
+    var channel = data[0] & 0x0f;
+    var kind, value;
+
+    // Note-on with zero velocity is a note-off
+    if( status == 0x90 && data[2] > 0 ) {
+        kind = "noteon";
+        value = data[2] / 127;
+    } else if( status == 0x80 || status == 0x90 ) {
+        kind = "noteoff";
+        value = 0;
+    } else if( status == 0xb0 ) {
+        kind = "cc";
+        value = data[2] / 127;
+    } else {
+        return;
+    }
+
+    var key = (kind == "cc" ? "cc:" : "note:") + channel + ":" + data[1];
+
+    // Bind the control while learning
+    if( this.learnTarget != null ) {
+        if( kind == "noteoff" )
+            return;
+
+        var target = this.learnTarget;
+        this.learnTarget = null;
+
+        this.mappings[ key ] = target;
+        this.save();
+
+        if( this.onlearn != null )
+            this.onlearn( key, target );
+        return;
+    }
+
+    var mapping = this.mappings[ key ];
+    if( mapping != null && this.onaction != null )
+        this.onaction( mapping, kind, value );
+};
+
+/**
+ * Bind the next MIDI control to a target
+ *
+ * @param {Object}  target      The target, or null to stop learning
+ * @param {String}  target.type     "pad" or "slider"
+ * @param {String}  target.elemId   The target's HTML id
+ */
+MidiController.prototype.learn = function( target ) {
+    this.learnTarget = target;
+};
+
+/**
+ * Save the mappings to localStorage
+ * @private
+ */
+MidiController.prototype.save = function() {
+    // The mappings still work for now if storage is full or blocked
+    try {
+        localStorage.setItem( this.storageKey, JSON.stringify( this.mappings ) );
+    } catch( e ) {
+        consoleout( "ERROR: Failed to save the MIDI mappings: " + e.message );
+    }
+};
+
+/**
+ * Remove all the mappings
+ */
+MidiController.prototype.clear = function() {
+    this.mappings = {};
+    this.save();
+};
+
+/**
+ * Export the mappings as JSON
+ *
+ * @returns {String}    The mappings JSON
+ */
+MidiController.prototype.exportJson = function() {
+    return JSON.stringify( this.mappings, null, 4 );
+};
+
+/**
+ * Replace the mappings with imported JSON, keeping the
+ * current ones if any mapping isn't a pad or slider target
+ *
+ * @param {String}  json    The mappings JSON
+ */
+MidiController.prototype.importJson = function( json ) {
+    var mappings = JSON.parse( json );
+    if( mappings == null || typeof mappings != "object" || Array.isArray( mappings ) )
+        throw new Error( "MIDI mappings must be a JSON object" );
+
+    Object.keys( mappings ).forEach( function( key ) {
+        var target = mappings[ key ];
+
+        if( target == null || (target.type != "pad" && target.type != "slider") )
+            throw new Error( "The mapping of '" + key + "' must be a pad or slider" );
+        if( typeof target.elemId != "string" || target.elemId == "" )
+            throw new Error( "The mapping of '" + key + "' has no target id" );
+    } );
+
+    this.mappings = mappings;
+    this.save();
+};
@@ -0,0 +1,260 @@
+/* -----------------------------------------------------
+ Modulation sources and assignments
+ ----------------------------------------------------- */
+
+/**
+ * A tempo-synced low frequency oscillator
+ *
+ * @param {String}  id      The source id
+ * @param {String}  label   The source label
+ *
+ * @constructor
+ */
+function LfoSource( id, label ) {
+    this.id = id;
+    this.label = label;
+    this.type = "lfo";
+
+    this.shape = "sine";
+    this.rateBeats = 1;
+
+    // Each LFO gets its own random sequence
+    this.seed = Math.random() * 1000;
+}
+
+/**
+ * The LFO wave shapes
+ */
+LfoSource.SHAPES = [ "sine", "square", "saw", "random" ];
+
+/**
+ * The LFO cycle lengths, in beats
+ */
+LfoSource.RATES = [ 0.25, 0.5, 1, 2, 4, 8, 16 ];
+
+/**
+ * Returns the LFO output
+ *
+ * @param {Number}  beatPos     The transport position in beats
+ *
+ * @returns {Number}    The output from -1 to 1
+ */
+LfoSource.prototype.getValue = function( beatPos ) {
+    var cycle = beatPos / this.rateBeats;
+    var phase = cycle - Math.floor( cycle );
+
+    switch( this.shape ) {
+    case "square":
+        return phase < 0.5 ? 1 : -1;
+    case "saw":
+        return 1 - phase * 2;
+    case "random":
+        // Hold a pseudo random value for each cycle
+        var noise = Math.sin( Math.floor( cycle ) * 12.9898 + this.seed ) * 43758.5453;
+        return (noise - Math.floor( noise )) * 2 - 1;
+    default:
+        return Math.sin( phase * Math.PI * 2 );
+    }
+};
+
+/**
+ * A drawn envelope that repeats over a number of bars
+ *
+ * @param {String}  id      The source id
+ * @param {String}  label   The source label
+ *
+ * @constructor
+ */
+function EnvelopeSource( id, label ) {
+    var POINTS_NUM = 64;
+
+    this.id = id;
+    this.label = label;
+    this.type = "envelope";
+
+    this.bars = 1;
+
+    // The envelope levels from 0 to 1, spread evenly over its length
+    this.points = [];
+    for( var index = 0; index < POINTS_NUM; index++ )
+        this.points.push( 0.5 );
+}
+
+/**
+ * The envelope lengths, in bars
+ */
+EnvelopeSource.BARS = [ 1, 2, 4, 8, 16 ];
+
+/**
+ * Returns the envelope output
+ *
+ * @param {Number}  beatPos             The transport position in beats
+ * @param {Number}  beatsPerMeasure     The beats in a bar
+ *
+ * @returns {Number}    The output from -1 to 1
+ */
+EnvelopeSource.prototype.getValue = function( beatPos, beatsPerMeasure ) {
+    var points = this.points;
+    var lengthBeats = this.bars * beatsPerMeasure;
+    var beats = ((beatPos % lengthBeats) + lengthBeats) % lengthBeats;
+    var pos = beats / lengthBeats * points.length;
+
+    // Interpolate between the points, wrapping around at the end
+    var index = Math.floor( pos );
+    var fraction = pos - index;
+    var level = points[ index % points.length ] * (1 - fraction)
+            + points[ (index + 1) % points.length ] * fraction;
+
+    return level * 2 - 1;
+};
+
+/**
+ * Draw a point of the envelope
+ *
+ * @param {Number}  pos     The position from 0 to 1
+ * @param {Number}  level   The level from 0 to 1
+ */
+EnvelopeSource.prototype.setPoint = function( pos, level ) {
+    var index = Math.floor( pos * this.points.length );
+    index = Math.max( 0, Math.min( this.points.length - 1, index ) );
+
+    this.points[ index ] = Math.max( 0, Math.min( 1, level ) );
+};
+
+/**
+ * The modulation sources and their assignments to sliders
+ *
+ * Each assignment moves a slider's parameter away from its
+ * base value. The depth and offset are fractions of the
+ * slider's range.
+ *
+ * @constructor
+ */
+function ModulationMatrix() {
+    this.sources = [];
+    this.assignments = [];
+    this.nextId = 1;
+}
+
+/**
+ * Add a modulation source
+ *
+ * @param {String}  type    "lfo" or "envelope"
+ *
+ * @returns {LfoSource|EnvelopeSource}  The new source
+ */
+ModulationMatrix.prototype.addSource = function( type ) {
+    var id = "mod" + this.nextId++;
+    var source = type == "envelope"
+            ? new EnvelopeSource( id, "Envelope " + id.substring( 3 ) )
+            : new LfoSource( id, "LFO " + id.substring( 3 ) );
+
+    this.sources.push( source );
+    return source;
+};
+
+/**
+ * Returns a modulation source
+ *
+ * @param {String}  sourceId    The source id
+ *
+ * @returns {LfoSource|EnvelopeSource}  The source, or null if there's no such source
+ */
+ModulationMatrix.prototype.getSource = function( sourceId ) {
+    for( var index = 0; index < this.sources.length; index++ ) {
+        if( this.sources[ index ].id == sourceId )
+            return this.sources[ index ];
+    }
+
+    return null;
+};
+
+/**
+ * Remove a modulation source and its assignments
+ *
+ * @param {String}  sourceId    The source id
+ *
+ * @returns {Array.<Object>}    The removed assignments
+ */
+ModulationMatrix.prototype.removeSource = function( sourceId ) {
+    this.sources = this.sources.filter( function( source ) {
+        return source.id != sourceId;
+    } );
+
+    var removed = this.assignments.filter( function( assignment ) {
+        return assignment.sourceId == sourceId;
+    } );
+    removed.forEach( this.removeAssignment, this );
+
+    return removed;
+};
+
+/**
+ * Assign a source to a slider
+ *
+ * @param {String}  sourceId    The source id
+ * @param {String}  elemId      The slider's HTML id
+ * @param {Number}  base        The slider's unmodulated value
+ *
+ * @returns {Object}    The new assignment
+ */
+ModulationMatrix.prototype.addAssignment = function( sourceId, elemId, base ) {
+    var assignment = {
+        id:         "assign" + this.nextId++,
+        sourceId:   sourceId,
+        elemId:     elemId,
+        base:       base,
+        depth:      0.25,
+        offset:     0
+    };
+
+    this.assignments.push( assignment );
+    return assignment;
+};
+
+/**
+ * Remove an assignment
+ *
+ * @param {Object}  assignment  The assignment
+ */
+ModulationMatrix.prototype.removeAssignment = function( assignment ) {
+    var index = this.assignments.indexOf( assignment );
+    if( index >= 0 )
+        this.assignments.splice( index, 1 );
+};
+
+/**
+ * Calculate the modulated slider values
+ *
+ * @param {Number}  beatPos             The transport position in beats
+ * @param {Number}  beatsPerMeasure     The beats in a bar
+ * @param {Object}  sliders             The slider registry, keyed by HTML id
+ *
+ * @returns {Object}    The modulated values, keyed by slider HTML id
+ */
+ModulationMatrix.prototype.getValues = function( beatPos, beatsPerMeasure, sliders ) {
+    var values = {};
+
+    this.assignments.forEach( function( assignment ) {
+        var slider = sliders[ assignment.elemId ];
+        var source = this.getSource( assignment.sourceId );
+        if( slider == null || source == null )
+            return;
+
+        // Sum the assignments to the same slider
+        var range = slider.max - slider.min;
+        var value = values[ assignment.elemId ];
+        if( value == null )
+            value = assignment.base;
+
+        values[ assignment.elemId ] = value + range * (assignment.offset
+                + assignment.depth * source.getValue( beatPos, beatsPerMeasure ));
+    }, this );
+
+    for( var elemId in values ) {
+        var slider = sliders[ elemId ];
+        values[ elemId ] = Math.max( slider.min, Math.min( slider.max, values[ elemId ] ) );
+    }
+
+    return values;
+};
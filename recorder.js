@@ -0,0 +1,180 @@
+/* -----------------------------------------------------
+ Jam recorder and WAV export
+ ----------------------------------------------------- */
+
+/**
+ * Encode PCM audio as a WAV file
+ *
+ * @param {Array.<Float32Array>}    channels        The channel sample data
+ * @param {Number}                  sampleRate      The sample rate in Hz
+ * @param {Number}                  [bitDepth]      16 or 24 bits per sample, defaults to 16
+ *
+ * @returns {Blob}  The WAV file blob
+ */
+function encodeWav( channels, sampleRate, bitDepth ) {
+    bitDepth = bitDepth || 16;
+
+    var channelCount    = channels.length;
+    var frameCount      = channelCount > 0 ? channels[0].length : 0;
+    var bytesPerSample  = bitDepth / 8;
+    var blockAlign      = channelCount * bytesPerSample;
+    var dataSize        = frameCount * blockAlign;
+
+    var buffer = new ArrayBuffer( 44 + dataSize );
+    var view = new DataView( buffer );
+
+    function writeString( offset, str ) {
+        for( var charIndex = 0; charIndex < str.length; charIndex++ )
+            view.setUint8( offset + charIndex, str.charCodeAt( charIndex ) );
+    }
+
+    // RIFF header
+    writeString( 0, "RIFF" );
+    view.setUint32( 4, 36 + dataSize, true );
+    writeString( 8, "WAVE" );
+
+    // Format chunk (uncompressed PCM)
+    writeString( 12, "fmt " );
+    view.setUint32( 16, 16, true );
+    view.setUint16( 20, 1, true );
+    view.setUint16( 22, channelCount, true );
+    view.setUint32( 24, sampleRate, true );
+    view.setUint32( 28, sampleRate * blockAlign, true );
+    view.setUint16( 32, blockAlign, true );
+    view.setUint16( 34, bitDepth, true );
+
+    // Data chunk with interleaved samples
+    writeString( 36, "data" );
+    view.setUint32( 40, dataSize, true );
+
+    var maxValue = Math.pow( 2, bitDepth - 1 ) - 1;
+    var offset = 44;
+    for( var frameIndex = 0; frameIndex < frameCount; frameIndex++ ) {
+        for( var channelIndex = 0; channelIndex < channelCount; channelIndex++ ) {
+            // Clamp to the valid range before quantizing
+            var sample = Math.max( -1, Math.min( 1,
+                    channels[ channelIndex ][ frameIndex ] ) );
+            var intSample = Math.round( sample * maxValue );
+
+            if( bitDepth == 24 ) {
+                view.setUint8( offset, intSample & 0xff );
+                view.setUint8( offset + 1, (intSample >> 8) & 0xff );
+                view.setUint8( offset + 2, (intSample >> 16) & 0xff );
+            } else {
+                view.setInt16( offset, intSample, true );
+            }
+
+            offset += bytesPerSample;
+        }
+    }
+
+    return new Blob( [ view ], { type: "audio/wav" } );
+}
+
+/**
+ * Records the audio passing through a node
+ *
+ * @param {AudioContext}    audioContext    The parent audio context
+ * @param {AudioNode}       sourceNode      The node to tap
+ *
+ * @constructor
+ */
+function JamRecorder( audioContext, sourceNode ) {
+    var BUFFER_SIZE = 4096;
+    var CHANNELS_NUM = 2;
+
+    this.audioContext = audioContext;
+    this.recording = false;
+    this.startSecs = -1;
+    this.chunks = null;
+
+    // Tap the source with a script processor. It has to be
+    // connected to the destination to be processed, but it
+    // never writes to its output so it stays silent.
+    this.processorNode = audioContext.createScriptProcessor(
+            BUFFER_SIZE,
+            CHANNELS_NUM,
+            CHANNELS_NUM );
+
+    var me = this;
+    this.processorNode.onaudioprocess = function( event ) {
+        me.captureBlock( event.inputBuffer, event.playbackTime );
+    };
+
+    sourceNode.connect( this.processorNode );
+    this.processorNode.connect( audioContext.destination );
+}
+
+/**
+ * Capture a block of audio
+ * @private
+ *
+ * @param {AudioBuffer}     inputBuffer     The block of audio
+ * @param {Number}          blockSecs       The block's playback time
+ */
+JamRecorder.prototype.captureBlock = function( inputBuffer, blockSecs ) {
+    if( !this.recording )
+        return;
+
+    // Skip any samples preceding the scheduled start
+    var skipFrames = Math.max( 0,
+            Math.round( (this.startSecs - blockSecs) * inputBuffer.sampleRate ) );
+
+    if( skipFrames >= inputBuffer.length )
+        return;
+
+    for( var channelIndex = 0; channelIndex < this.chunks.length; channelIndex++ ) {
+        var channelData = inputBuffer.getChannelData(
+                Math.min( channelIndex, inputBuffer.numberOfChannels - 1 ) );
+
+        // The input buffer is reused, so keep a copy
+        this.chunks[ channelIndex ].push(
+                new Float32Array( channelData.subarray( skipFrames ) ) );
+    }
+};
+
+/**
+ * Start recording
+ *
+ * @param {Number}  startSecs   The scheduled start time
+ */
+JamRecorder.prototype.start = function( startSecs ) {
+    this.startSecs = startSecs;
+    this.chunks = [ [], [] ];
+    this.recording = true;
+};
+
+/**
+ * Stop recording
+ *
+ * @returns {{channels:Array.<Float32Array>, sampleRate:Number, durationSecs:Number}}
+ *      The recorded take
+ */
+JamRecorder.prototype.stop = function() {
+    this.recording = false;
+
+    // Join the captured blocks of each channel
+    var channels = this.chunks.map( function( channelChunks ) {
+        var frameCount = channelChunks.reduce( function( total, chunk ) {
+            return total + chunk.length;
+        }, 0 );
+
+        var channelData = new Float32Array( frameCount );
+        var offset = 0;
+        channelChunks.forEach( function( chunk ) {
+            channelData.set( chunk, offset );
+            offset += chunk.length;
+        } );
+
+        return channelData;
+    } );
+
+    this.chunks = null;
+
+    var sampleRate = this.audioContext.sampleRate;
+    return {
+        channels:       channels,
+        sampleRate:     sampleRate,
+        durationSecs:   channels[0].length / sampleRate
+    };
+};
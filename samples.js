@@ -0,0 +1,693 @@
+/* -----------------------------------------------------
+ Sample analysis, editing and storage
+ ----------------------------------------------------- */
+
+/**
+ * Draw an audio buffer's waveform
+ *
+ * @param {CanvasRenderingContext2D}    canvasCtx       The canvas to draw on
+ * @param {AudioBuffer}                 audioBuffer     The audio to draw
+ * @param {String}                      [color]         The waveform color
+ */
+function drawWaveform( canvasCtx, audioBuffer, color ) {
+    var canvasWidth     = canvasCtx.canvas.width;
+    var canvasHeight    = canvasCtx.canvas.height;
+    var channelData     = audioBuffer.getChannelData( 0 );
+    var framesPerPixel  = channelData.length / canvasWidth;
+    var midY            = canvasHeight * 0.5;
+
+    canvasCtx.fillStyle = color || "#654b24";
+
+    // Draw the sample range covered by each pixel column
+    for( var x = 0; x < canvasWidth; x++ ) {
+        var firstFrame = Math.floor( x * framesPerPixel );
+        var lastFrame = Math.min( channelData.length,
+                Math.floor( (x + 1) * framesPerPixel ) + 1 );
+
+        var min = 0;
+        var max = 0;
+        for( var frame = firstFrame; frame < lastFrame; frame++ ) {
+            min = Math.min( min, channelData[ frame ] );
+            max = Math.max( max, channelData[ frame ] );
+        }
+
+        canvasCtx.fillRect( x, midY - max * midY,
+                            1, Math.max( 1, (max - min) * midY ) );
+    }
+}
+
+/**
+ * Copy part of an audio buffer into a new buffer
+ *
+ * @param {AudioContext}    audioContext    The audio context to create the buffer with
+ * @param {AudioBuffer}     audioBuffer     The source audio
+ * @param {Number}          startSecs       The start of the part to keep
+ * @param {Number}          endSecs         The end of the part to keep
+ *
+ * @returns {AudioBuffer}   The trimmed audio
+ */
+function trimAudioBuffer( audioContext, audioBuffer, startSecs, endSecs ) {
+    var sampleRate = audioBuffer.sampleRate;
+    var startFrame = Math.max( 0, Math.round( startSecs * sampleRate ) );
+    var endFrame = Math.min( audioBuffer.length, Math.round( endSecs * sampleRate ) );
+    var frameCount = Math.max( 1, endFrame - startFrame );
+
+    var trimmed = audioContext.createBuffer(
+            audioBuffer.numberOfChannels,
+            frameCount,
+            sampleRate );
+
+    for( var channelIndex = 0; channelIndex < audioBuffer.numberOfChannels; channelIndex++ )
+        trimmed.getChannelData( channelIndex ).set(
+                audioBuffer.getChannelData( channelIndex ).subarray( startFrame, startFrame + frameCount ) );
+
+    return trimmed;
+}
+
+/**
+ * The analysis hop size, in frames
+ * @const
+ */
+var ONSET_HOP_SIZE = 512;
+
+/**
+ * Calculate the onset strength envelope, the rise in energy
+ * from one analysis hop to the next
+ *
+ * @param {AudioBuffer}     audioBuffer     The audio to analyze
+ *
+ * @returns {Float32Array}  The onset strength of each hop
+ */
+function getOnsetEnvelope( audioBuffer ) {
+    var channelData = audioBuffer.getChannelData( 0 );
+    var hopCount = Math.floor( channelData.length / ONSET_HOP_SIZE );
+    var envelope = new Float32Array( hopCount );
+
+    var lastEnergy = 0;
+    for( var hop = 0; hop < hopCount; hop++ ) {
+        var energy = 0;
+        for( var frame = hop * ONSET_HOP_SIZE; frame < (hop + 1) * ONSET_HOP_SIZE; frame++ )
+            energy += channelData[ frame ] * channelData[ frame ];
+
+        energy = Math.sqrt( energy / ONSET_HOP_SIZE );
+        envelope[ hop ] = Math.max( 0, energy - lastEnergy );
+        lastEnergy = energy;
+    }
+
+    return envelope;
+}
+
+/**
+ * Find the transients in an audio buffer
+ *
+ * @param {AudioBuffer}     audioBuffer     The audio to analyze
+ * @param {Number}          [sensitivity]   0 to 1, higher finds quieter transients, defaults to 0.5
+ *
+ * @returns {Array.<Number>}    The transient times in seconds
+ */
+function detectOnsets( audioBuffer, sensitivity ) {
+    var MIN_GAP_SECS = 0.05;
+
+    sensitivity = sensitivity != null ? sensitivity : 0.5;
+
+    var envelope = getOnsetEnvelope( audioBuffer );
+    var hopSecs = ONSET_HOP_SIZE / audioBuffer.sampleRate;
+
+    // Peaks must stand out from the average onset strength
+    var mean = 0;
+    var maxStrength = 0;
+    for( var hop = 0; hop < envelope.length; hop++ ) {
+        mean += envelope[ hop ];
+        maxStrength = Math.max( maxStrength, envelope[ hop ] );
+    }
+    mean /= Math.max( 1, envelope.length );
+
+    var threshold = mean + (1 - sensitivity) * (maxStrength - mean) * 0.5;
+
+    var onsets = [];
+    var lastOnsetSecs = -MIN_GAP_SECS;
+    for( hop = 1; hop < envelope.length - 1; hop++ ) {
+        var strength = envelope[ hop ];
+        var isPeak = strength > threshold
+                && strength >= envelope[ hop - 1 ]
+                && strength >= envelope[ hop + 1 ];
+        var onsetSecs = hop * hopSecs;
+
+        if( isPeak && onsetSecs - lastOnsetSecs >= MIN_GAP_SECS ) {
+            onsets.push( onsetSecs );
+            lastOnsetSecs = onsetSecs;
+        }
+    }
+
+    return onsets;
+}
+
+/**
+ * Estimate the tempo of a loop and how many bars it spans.
+ * The tempo is found by autocorrelating the onset envelope,
+ * then adjusted so the loop spans a whole number of bars.
+ *
+ * @param {AudioBuffer}     audioBuffer         The loop audio
+ * @param {Number}          beatsPerMeasure     The beats in a bar
+ *
+ * @returns {{bpm:Number, bars:Number}}     The estimated tempo and length in bars
+ */
+function detectTempo( audioBuffer, beatsPerMeasure ) {
+    var MIN_BPM = 70;
+    var MAX_BPM = 190;
+
+    var envelope = getOnsetEnvelope( audioBuffer );
+    var hopsPerMin = 60 * audioBuffer.sampleRate / ONSET_HOP_SIZE;
+    var minLag = Math.floor( hopsPerMin / MAX_BPM );
+    var maxLag = Math.min( envelope.length - 1, Math.ceil( hopsPerMin / MIN_BPM ) );
+
+    // Find the beat period with the strongest self-similarity
+    var bestLag = 0;
+    var bestScore = 0;
+    for( var lag = minLag; lag <= maxLag; lag++ ) {
+        var score = 0;
+        for( var hop = 0; hop + lag < envelope.length; hop++ )
+            score += envelope[ hop ] * envelope[ hop + lag ];
+
+        score /= (envelope.length - lag);
+        if( score > bestScore ) {
+            bestScore = score;
+            bestLag = lag;
+        }
+    }
+
+    var durationSecs = audioBuffer.duration;
+    var bpm = bestLag > 0 ? hopsPerMin / bestLag : 120;
+
+    // Fit a whole number of bars to the loop
+    var bars = Math.max( 1, Math.round( durationSecs * bpm / 60 / beatsPerMeasure ) );
+    var fittedBpm = bars * beatsPerMeasure * 60 / durationSecs;
+
+    return {
+        bpm:    Math.round( fittedBpm * 10 ) / 10,
+        bars:   bars
+    };
+}
+
+/**
+ * Stores user samples and decoded kit audio in IndexedDB
+ *
+ * Each sample record holds the original file data, so it can
+ * be decoded again, along with the pad settings. The decoded
+ * audio records hold the sample data of each kit asset, keyed
+ * by URL with the version of the kit it came from, so the kits
+ * load without the network or decoding. Only the most recently
+ * stored audio is kept, up to MAX_DECODED_BYTES.
+ *
+ * @constructor
+ */
+function SampleStore() {
+    this.db = null;
+    this.failed = false;
+    this.pending = [];
+
+    this.open();
+}
+
+SampleStore.DB_NAME = "superSoundBoy";
+SampleStore.DB_VERSION = 3;
+SampleStore.MAX_DECODED_BYTES = 256 * 1024 * 1024;
+
+/**
+ * Open the database, then run the waiting requests
+ * @private
+ */
+SampleStore.prototype.open = function() {
+    if( window.indexedDB == null )
+        return;
+
+    var me = this;
+    var request = indexedDB.open( SampleStore.DB_NAME, SampleStore.DB_VERSION );
+
+    request.onupgradeneeded = function( event ) {
+        var db = request.result;
+
+        if( !db.objectStoreNames.contains( "samples" ) )
+            db.createObjectStore( "samples", { keyPath: "id", autoIncrement: true } );
+
+        // Decoded audio from before it had versions and sizes
+        // can't be checked or trimmed, so it's decoded again
+        if( event.oldVersion < 3 && db.objectStoreNames.contains( "decoded" ) )
+            db.deleteObjectStore( "decoded" );
+
+        if( !db.objectStoreNames.contains( "decoded" ) )
+            db.createObjectStore( "decoded", { keyPath: "url" } )
+                .createIndex( "stored", [ "stored", "size" ] );
+    };
+
+    request.onsuccess = function() {
+        me.db = request.result;
+
+        // Don't hold up an upgrade from another tab, then open
+        // again, which fails the requests if this page is too old
+        me.db.onversionchange = function() {
+            me.db.close();
+            me.db = null;
+            me.open();
+        };
+
+        me.pending.forEach( function( fn ) { fn(); } );
+        me.pending = [];
+    };
+
+    request.onblocked = function() {
+        consoleout( "ERROR: Close the other tabs of this page to upgrade the sample store" );
+    };
+
+    request.onerror = function() {
+        consoleout( "ERROR: Failed to open the sample store" );
+
+        // Let the waiting requests fail
+        me.failed = true;
+        me.pending.forEach( function( fn ) { fn(); } );
+        me.pending = [];
+    };
+};
+
+/**
+ * Run a store transaction once the database is open
+ * @private
+ *
+ * @param {String}                              storeName   "samples" or "decoded"
+ * @param {String}                              mode        "readonly" or "readwrite"
+ * @param {function(store:IDBObjectStore):IDBRequest}   requestFn   Makes the request
+ * @param {function(result:*)}                  [callbackFn]    Called with the request result
+ * @param {function()}                          [errorFn]       Called if the request fails
+ */
+SampleStore.prototype.withStore = function( storeName, mode, requestFn, callbackFn, errorFn ) {
+    if( window.indexedDB == null || this.failed ) {
+        if( errorFn != null )
+            errorFn();
+        return;
+    }
+
+    if( this.db == null ) {
+        this.pending.push( this.withStore.bind( this, storeName, mode, requestFn, callbackFn, errorFn ) );
+        return;
+    }
+
+    var request = requestFn( this.db.transaction( storeName, mode ).objectStore( storeName ) );
+    request.onsuccess = function() {
+        if( callbackFn != null )
+            callbackFn( request.result );
+    };
+    request.onerror = function() {
+        consoleout( "ERROR: Sample store request failed" );
+
+        if( errorFn != null )
+            errorFn();
+    };
+};
+
+/**
+ * Get all the stored samples
+ *
+ * @param {function(records:Array.<Object>)}    callbackFn
+ */
+SampleStore.prototype.getAll = function( callbackFn ) {
+    this.withStore( "samples", "readonly", function( store ) {
+        return store.getAll();
+    }, callbackFn );
+};
+
+/**
+ * Store a sample
+ *
+ * @param {Object}                  record          The sample record
+ * @param {function(id:Number)}     [callbackFn]    Called with the new record id
+ */
+SampleStore.prototype.add = function( record, callbackFn ) {
+    this.withStore( "samples", "readwrite", function( store ) {
+        return store.add( record );
+    }, callbackFn );
+};
+
+/**
+ * Remove a stored sample
+ *
+ * @param {Number}  id      The record id
+ */
+SampleStore.prototype.remove = function( id ) {
+    this.withStore( "samples", "readwrite", function( store ) {
+        return store["delete"]( id );
+    } );
+};
+
+/**
+ * Get decoded kit audio
+ *
+ * @param {String}                          url             The audio URL
+ * @param {String|Number}                   [version]       The kit version the audio is from
+ * @param {AudioContext}                    audioContext    The context to create the buffer with
+ * @param {function(buffer:AudioBuffer)}    callbackFn      Called with the audio, or null if it isn't stored for the version
+ */
+SampleStore.prototype.getAudio = function( url, version, audioContext, callbackFn ) {
+    version = version != null ? version : null;
+
+    this.withStore( "decoded", "readonly", function( store ) {
+        return store.get( url );
+    }, function( record ) {
+        if( record == null || record.version !== version ) {
+            callbackFn( null );
+            return;
+        }
+
+        var audioBuffer = audioContext.createBuffer(
+                record.channels.length,
+                record.channels[0].length,
+                record.sampleRate );
+
+        record.channels.forEach( function( data, channel ) {
+            audioBuffer.getChannelData( channel ).set( data );
+        } );
+
+        callbackFn( audioBuffer );
+    }, function() {
+        callbackFn( null );
+    } );
+};
+
+/**
+ * Store decoded kit audio, replacing any other version of it
+ * and dropping the oldest audio past MAX_DECODED_BYTES
+ *
+ * @param {String}          url             The audio URL
+ * @param {String|Number}   [version]       The kit version the audio is from
+ * @param {AudioBuffer}     audioBuffer     The decoded audio
+ */
+SampleStore.prototype.putAudio = function( url, version, audioBuffer ) {
+    var channels = [];
+    for( var channel = 0; channel < audioBuffer.numberOfChannels; channel++ )
+        channels.push( audioBuffer.getChannelData( channel ) );
+
+    var size = channels.length * audioBuffer.length * Float32Array.BYTES_PER_ELEMENT;
+    if( size > SampleStore.MAX_DECODED_BYTES )
+        return;
+
+    this.withStore( "decoded", "readwrite", function( store ) {
+        return store.put({
+            url:        url,
+            version:    version != null ? version : null,
+            sampleRate: audioBuffer.sampleRate,
+            channels:   channels,
+            size:       size,
+            stored:     Date.now()
+        });
+    }, this.trimAudio.bind( this ) );
+};
+
+/**
+ * Drop the oldest decoded audio past MAX_DECODED_BYTES
+ * @private
+ */
+SampleStore.prototype.trimAudio = function() {
+    var totalBytes = 0;
+
+    // Walk the sizes from the newest, without reading the audio
+    this.withStore( "decoded", "readwrite", function( store ) {
+        return store.index( "stored" ).openKeyCursor( null, "prev" );
+    }, function( cursor ) {
+        if( cursor == null )
+            return;
+
+        totalBytes += cursor.key[1];
+        if( totalBytes > SampleStore.MAX_DECODED_BYTES )
+            cursor.source.objectStore["delete"]( cursor.primaryKey );
+
+        cursor["continue"]();
+    } );
+};
+
+/**
+ * The sample import dialog, with a waveform to trim the
+ * sample to a loop point and the detected tempo
+ *
+ * @param {WebAudioApp}     app     The application
+ *
+ * @constructor
+ */
+function SampleImportDialog( app ) {
+    this.app = app;
+
+    this.jqDialog = $(
+        "<div class='sampleimport'>" +
+            "<canvas width='600' height='150'></canvas>" +
+            "<div class='sampleimport-fields'>" +
+                "<label>Name <input type='text' name='label'/></label>" +
+                "<label>Mode <select name='mode'>" +
+                    "<option value='loop'>Loop</option>" +
+                    "<option value='oneshot'>One-shot</option>" +
+                "</select></label>" +
+                "<label>BPM <input type='number' name='bpm' min='40' max='300' step='0.1'/></label>" +
+                "<label>Bars <input type='number' name='bars' min='1' max='64' step='1'/></label>" +
+            "</div>" +
+        "</div>" ).appendTo( "body" );
+
+    this.canvas = this.jqDialog.find( "canvas" )[0];
+    this.audioBuffer = null;
+    this.trimStart = 0;
+    this.trimEnd = 0;
+    this.onsets = [];
+    this.previewNode = null;
+    this.queue = [];
+
+    var me = this;
+    this.jqDialog.dialog({
+        autoOpen:   false,
+        modal:      true,
+        width:      640,
+        title:      "Import sample",
+        buttons: {
+            "Preview":  function() { me.togglePreview(); },
+            "Add pad":  function() { me.accept(); },
+            "Cancel":   function() { me.jqDialog.dialog( "close" ); }
+        },
+        close: function() {
+            me.stopPreview();
+
+            // Move on to the next dropped sample
+            if( me.queue.length > 0 )
+                me.open.apply( me, me.queue.shift() );
+        }
+    });
+
+    this.initTrimming();
+
+    // Keep the tempo and bar count consistent
+    this.jqDialog.find( "[name=bars]" ).change(function() {
+        var bars = Math.max( 1, Number( $(this).val() ) || 1 );
+        me.setBpm( bars * me.app.engine.beatsPerMeasure * 60 / me.getTrimmedDuration() );
+    });
+}
+
+/**
+ * Open the dialog for a decoded sample
+ *
+ * @param {AudioBuffer}                     audioBuffer     The decoded sample
+ * @param {String}                          name            The sample name
+ * @param {function(settings:Object)}       acceptFn        Called with the trim and pad settings
+ */
+SampleImportDialog.prototype.open = function( audioBuffer, name, acceptFn ) {
+    // Samples dropped together are opened one at a time
+    if( this.jqDialog.dialog( "isOpen" ) ) {
+        this.queue.push( [ audioBuffer, name, acceptFn ] );
+        return;
+    }
+
+    this.audioBuffer = audioBuffer;
+    this.acceptFn = acceptFn;
+    this.trimStart = 0;
+    this.trimEnd = audioBuffer.duration;
+    this.onsets = detectOnsets( audioBuffer );
+
+    this.jqDialog.find( "[name=label]" ).val( name.replace( /\.[^.]*$/, "" ) );
+    this.jqDialog.find( "[name=mode]" ).val( "loop" );
+    this.updateTempo();
+
+    this.render();
+    this.jqDialog.dialog( "option", "title", "Import '" + name + "'" ).dialog( "open" );
+};
+
+/**
+ * Returns the length of the trimmed sample
+ * @private
+ *
+ * @returns {Number}    The duration in seconds
+ */
+SampleImportDialog.prototype.getTrimmedDuration = function() {
+    return Math.max( 0.001, this.trimEnd - this.trimStart );
+};
+
+/**
+ * Detect the tempo of the trimmed sample
+ * @private
+ */
+SampleImportDialog.prototype.updateTempo = function() {
+    var trimmed = trimAudioBuffer( this.app.audioContext, this.audioBuffer,
+                                   this.trimStart, this.trimEnd );
+    var tempo = detectTempo( trimmed, this.app.engine.beatsPerMeasure );
+
+    this.setBpm( tempo.bpm );
+};
+
+/**
+ * Show a tempo and the matching bar count
+ * @private
+ *
+ * @param {Number}  bpm     The sample tempo
+ */
+SampleImportDialog.prototype.setBpm = function( bpm ) {
+    var bars = this.getTrimmedDuration() * bpm / 60 / this.app.engine.beatsPerMeasure;
+
+    this.jqDialog.find( "[name=bpm]" ).val( Math.round( bpm * 10 ) / 10 );
+    this.jqDialog.find( "[name=bars]" ).val( Math.max( 1, Math.round( bars ) ) );
+};
+
+/**
+ * Set up dragging the trim markers. The markers snap to
+ * nearby transients so the loop points land on a hit.
+ * @private
+ */
+SampleImportDialog.prototype.initTrimming = function() {
+    var SNAP_PIXELS = 8;
+
+    var me = this;
+    var jqCanvas = $( this.canvas );
+    var dragMarker = null;
+
+    function getSecsAt( event ) {
+        var x = event.pageX - jqCanvas.offset().left;
+        var secs = x / me.canvas.width * me.audioBuffer.duration;
+        var snapSecs = SNAP_PIXELS / me.canvas.width * me.audioBuffer.duration;
+
+        me.onsets.forEach( function( onsetSecs ) {
+            if( Math.abs( onsetSecs - secs ) < snapSecs )
+                secs = onsetSecs;
+        } );
+
+        return Math.max( 0, Math.min( me.audioBuffer.duration, secs ) );
+    }
+
+    function moveMarker( event ) {
+        var secs = getSecsAt( event );
+
+        if( dragMarker == "start" )
+            me.trimStart = Math.min( secs, me.trimEnd - 0.01 );
+        else
+            me.trimEnd = Math.max( secs, me.trimStart + 0.01 );
+
+        me.render();
+    }
+
+    jqCanvas.on( "mousedown", function( event ) {
+        var secs = getSecsAt( event );
+
+        // Drag whichever marker is closer
+        dragMarker = Math.abs( secs - me.trimStart ) < Math.abs( secs - me.trimEnd )
+                ? "start" : "end";
+        moveMarker( event );
+    });
+
+    jqCanvas.on( "mousemove", function( event ) {
+        if( dragMarker != null )
+            moveMarker( event );
+    });
+
+    $( document ).on( "mouseup", function() {
+        if( dragMarker == null )
+            return;
+
+        dragMarker = null;
+        me.updateTempo();
+    });
+};
+
+/**
+ * Redraw the waveform and trim markers
+ * @private
+ */
+SampleImportDialog.prototype.render = function() {
+    var canvasCtx = this.canvas.getContext( "2d" );
+    var canvasWidth = this.canvas.width;
+    var canvasHeight = this.canvas.height;
+    var pixelsPerSec = canvasWidth / this.audioBuffer.duration;
+
+    canvasCtx.fillStyle = "#f0f0f0";
+    canvasCtx.fillRect( 0, 0, canvasWidth, canvasHeight );
+
+    drawWaveform( canvasCtx, this.audioBuffer );
+
+    // Shade the trimmed off parts
+    var startX = Math.round( this.trimStart * pixelsPerSec );
+    var endX = Math.round( this.trimEnd * pixelsPerSec );
+
+    canvasCtx.fillStyle = "rgba(0, 0, 0, 0.3)";
+    canvasCtx.fillRect( 0, 0, startX, canvasHeight );
+    canvasCtx.fillRect( endX, 0, canvasWidth - endX, canvasHeight );
+
+    // Draw the transients and the markers
+    canvasCtx.fillStyle = "rgba(53, 114, 172, 0.5)";
+    this.onsets.forEach( function( onsetSecs ) {
+        canvasCtx.fillRect( Math.round( onsetSecs * pixelsPerSec ), 0, 1, canvasHeight );
+    } );
+
+    canvasCtx.fillStyle = "#b83400";
+    canvasCtx.fillRect( startX, 0, 2, canvasHeight );
+    canvasCtx.fillRect( endX - 2, 0, 2, canvasHeight );
+};
+
+/**
+ * Loop the trimmed sample, or stop the preview
+ * @private
+ */
+SampleImportDialog.prototype.togglePreview = function() {
+    if( this.previewNode != null ) {
+        this.stopPreview();
+        return;
+    }
+
+    var audioContext = this.app.audioContext;
+    this.previewNode = audioContext.createBufferSource();
+    this.previewNode.buffer = this.audioBuffer;
+    this.previewNode.loop = true;
+    this.previewNode.loopStart = this.trimStart;
+    this.previewNode.loopEnd = this.trimEnd;
+    this.previewNode.connect( audioContext.destination );
+    this.previewNode.start( 0, this.trimStart );
+};
+
+/**
+ * Stop the preview
+ * @private
+ */
+SampleImportDialog.prototype.stopPreview = function() {
+    if( this.previewNode != null ) {
+        this.previewNode.stop( 0 );
+        this.previewNode = null;
+    }
+};
+
+/**
+ * Hand the settings over and close the dialog
+ * @private
+ */
+SampleImportDialog.prototype.accept = function() {
+    var jqDialog = this.jqDialog;
+    var mode = jqDialog.find( "[name=mode]" ).val();
+
+    this.acceptFn({
+        label:      jqDialog.find( "[name=label]" ).val() || "Sample",
+        mode:       mode,
+        bpm:        mode == "loop" ? Number( jqDialog.find( "[name=bpm]" ).val() ) || null : null,
+        bars:       mode == "loop" ? Number( jqDialog.find( "[name=bars]" ).val() ) || null : null,
+        trimStart:  this.trimStart,
+        trimEnd:    this.trimEnd
+    });
+
+    jqDialog.dialog( "close" );
+};
@@ -0,0 +1,167 @@
+/* -----------------------------------------------------
+ Scene snapshots
+ ----------------------------------------------------- */
+
+/**
+ * Named snapshots of the board state, persisted in localStorage
+ *
+ * A scene holds the kit URL, the tempo, the master volume,
+ * the equalizer band settings and the active loop of each
+ * music group, keyed by group id.
+ *
+ * @param {String}  storageKey      The localStorage key for the scenes
+ *
+ * @constructor
+ */
+function SceneStore( storageKey ) {
+    this.storageKey = storageKey;
+
+    this.scenes = {};
+    try {
+        this.scenes = JSON.parse( localStorage.getItem( storageKey ) ) || {};
+    } catch( e ) {
+        this.scenes = {};
+    }
+}
+
+/**
+ * The URL fragment prefix of a shared scene
+ */
+SceneStore.FRAGMENT_PREFIX = "#scene=";
+
+/**
+ * Check that an object looks like a scene
+ *
+ * @param {Object}  scene   The scene
+ *
+ * @returns {Object}    The scene
+ */
+SceneStore.validate = function( scene ) {
+    if( scene == null || typeof scene != "object"
+            || typeof scene.name != "string"
+            || typeof scene.bpm != "number"
+            || typeof scene.volume != "number"
+            || !Array.isArray( scene.eq )
+            || scene.loops == null || typeof scene.loops != "object" )
+        throw new Error( "Not a valid scene" );
+
+    return scene;
+};
+
+/**
+ * Encode a scene as a URL fragment
+ *
+ * @param {Object}  scene   The scene
+ *
+ * @returns {String}    The URL fragment, including the "#"
+ */
+SceneStore.toFragment = function( scene ) {
+    // Base64 the UTF-8 JSON, with URL safe characters
+    var base64 = window.btoa( unescape( encodeURIComponent( JSON.stringify( scene ) ) ) );
+
+    return SceneStore.FRAGMENT_PREFIX + base64
+        .replace( /\+/g, "-" )
+        .replace( /\//g, "_" )
+        .replace( /=+$/, "" );
+};
+
+/**
+ * Decode a scene from a URL fragment
+ *
+ * @param {String}  fragment    The URL fragment, including the "#"
+ *
+ * @returns {Object}    The scene, or null if the fragment isn't a scene
+ */
+SceneStore.fromFragment = function( fragment ) {
+    if( fragment.indexOf( SceneStore.FRAGMENT_PREFIX ) != 0 )
+        return null;
+
+    var base64 = fragment.substring( SceneStore.FRAGMENT_PREFIX.length )
+        .replace( /-/g, "+" )
+        .replace( /_/g, "/" );
+
+    var json = decodeURIComponent( escape( window.atob( base64 ) ) );
+    return SceneStore.validate( JSON.parse( json ) );
+};
+
+/**
+ * Returns the scene names
+ *
+ * @returns {Array.<String>}    The sorted scene names
+ */
+SceneStore.prototype.getNames = function() {
+    return Object.keys( this.scenes ).sort();
+};
+
+/**
+ * Returns a scene
+ *
+ * @param {String}  name    The scene name
+ *
+ * @returns {Object}    The scene, or null if there's no such scene
+ */
+SceneStore.prototype.get = function( name ) {
+    return this.scenes[ name ] || null;
+};
+
+/**
+ * Save a scene, replacing any scene of the same name
+ *
+ * @param {Object}  scene   The scene
+ */
+SceneStore.prototype.save = function( scene ) {
+    this.scenes[ scene.name ] = SceneStore.validate( scene );
+    this.store();
+};
+
+/**
+ * Delete a scene
+ *
+ * @param {String}  name    The scene name
+ */
+SceneStore.prototype.remove = function( name ) {
+    delete this.scenes[ name ];
+    this.store();
+};
+
+/**
+ * Export all the scenes as JSON
+ *
+ * @returns {String}    The scenes JSON
+ */
+SceneStore.prototype.exportJson = function() {
+    var scenes = this.scenes;
+    return JSON.stringify( this.getNames().map( function( name ) {
+        return scenes[ name ];
+    } ), null, 4 );
+};
+
+/**
+ * Add imported scenes, replacing any scenes of the same names
+ *
+ * @param {String}  json    A scene or a list of scenes as JSON
+ *
+ * @returns {Number}    The number of scenes imported
+ */
+SceneStore.prototype.importJson = function( json ) {
+    var scenes = JSON.parse( json );
+    if( !Array.isArray( scenes ) )
+        scenes = [ scenes ];
+
+    // Validate everything before changing anything
+    scenes.forEach( SceneStore.validate );
+    scenes.forEach( function( scene ) {
+        this.scenes[ scene.name ] = scene;
+    }, this );
+
+    this.store();
+    return scenes.length;
+};
+
+/**
+ * Save the scenes to localStorage
+ * @private
+ */
+SceneStore.prototype.store = function() {
+    localStorage.setItem( this.storageKey, JSON.stringify( this.scenes ) );
+};
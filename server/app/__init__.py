@@ -7,16 +7,21 @@ from flask.ext.restless import APIManager, ProcessingException
 from flask.ext.sqlalchemy import SQLAlchemy
 
 
-DATABASE = os.path.join(os.path.dirname(os.path.abspath(__file__)),
-                        'test.sqlite')
-if os.path.exists(DATABASE):
-    os.unlink(DATABASE)
+# the database is kept between runs, as it holds what the users save;
+# BOARD_DATABASE points elsewhere, e.g. a scratch file for the tests
+DATABASE = os.environ.get('BOARD_DATABASE') or \
+    os.path.join(os.path.dirname(os.path.abspath(__file__)), 'test.sqlite')
 
 app = Flask(__name__)
 app.config['DEBUG'] = True
 app.config['TESTING'] = True
 app.config['SECRET_KEY'] = os.urandom(24)
 app.config['SQLALCHEMY_DATABASE_URI'] = 'sqlite:///%s' % DATABASE
+# takes are uploaded as WAV files
+app.config['MAX_CONTENT_LENGTH'] = 64 * 1024 * 1024
+# pages that may call the API with the user's login, as the board
+# is usually served from another port during development
+app.config['CORS_ORIGIN_PATTERN'] = r'^https?://(localhost|127\.0\.0\.1)(:\d+)?$'
 
 # initialize extensions.
 db = SQLAlchemy(app)
@@ -39,8 +44,9 @@ api_manager.create_api(User, preprocessors=dict(GET_SINGLE=[auth_func],
                         methods=['GET','POST', 'DELETE'])
 
 db.create_all()
-user1 = User(username=u'example', password=u'example')
-db.session.add(user1)
-db.session.commit()
+if User.query.filter_by(username=u'example').first() is None:
+    user1 = User(username=u'example', password=u'example')
+    db.session.add(user1)
+    db.session.commit()
 
 # http://localhost:5000/api/user to see users
\ No newline at end of file
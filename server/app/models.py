@@ -1,7 +1,33 @@
+from datetime import datetime
+
 from flask.ext.login import current_user, login_user, LoginManager, UserMixin
 from app import db
 
 class User(db.Model, UserMixin):
     id = db.Column(db.Integer, primary_key=True)
     username = db.Column(db.Unicode)
-    password = db.Column(db.Unicode)
\ No newline at end of file
+    password = db.Column(db.Unicode)
+
+
+class Item(db.Model):
+    """A scene, EQ preset or take saved to a user's account
+
+    The version goes up on every save, so a client can tell
+    when the copy it last saw has been changed elsewhere.
+    """
+    __table_args__ = (db.UniqueConstraint('user_id', 'kind', 'name'),)
+
+    id = db.Column(db.Integer, primary_key=True)
+    user_id = db.Column(db.Integer, db.ForeignKey('user.id'), nullable=False)
+    kind = db.Column(db.Unicode(16), nullable=False)
+    name = db.Column(db.Unicode(128), nullable=False)
+    version = db.Column(db.Integer, nullable=False, default=1)
+    content_type = db.Column(db.Unicode(64), nullable=False)
+    data = db.Column(db.LargeBinary, nullable=False)
+    updated = db.Column(db.DateTime, nullable=False, default=datetime.utcnow)
+
+    def to_dict(self):
+        return {'name': self.name,
+                'version': self.version,
+                'updated': self.updated.isoformat() + 'Z',
+                'size': len(self.data)}
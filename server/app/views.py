@@ -1,11 +1,25 @@
-from flask import render_template, flash, redirect, session, url_for, request
+import re
+from datetime import datetime
+from functools import wraps
+
+from flask import render_template, flash, redirect, session, url_for, request, \
+    jsonify
 from flask.ext.login import login_user, logout_user, current_user, \
     login_required
 
 from app import login_manager, app, db, api_manager
-from .models import User
+from .models import Item, User
 from .forms import LoginForm
 
+# what each kind of saved item is stored as
+ITEM_CONTENT_TYPES = {
+    'scenes': 'application/json',
+    'eqpresets': 'application/json',
+    'takes': 'audio/wav',
+}
+
+MAX_NAME_LENGTH = 128
+
 @login_manager.user_loader
 def load_user(userid):
     return User.query.get(userid)
@@ -31,3 +45,158 @@ def login():
             return redirect(url_for('index'))
         flash('Username and password pair not found')
     return render_template('login.html', form=form)
+
+
+# the board's JSON API: logging in without leaving the page, and
+# the scenes, EQ presets and takes saved to the user's account
+def api_error(message, code, **extra):
+    response = jsonify(error=message, **extra)
+    response.status_code = code
+    return response
+
+
+def api_login_required(view):
+    @wraps(view)
+    def guarded(*args, **kwargs):
+        if not current_user.is_authenticated():
+            return api_error('Not logged in', 401)
+        return view(*args, **kwargs)
+    return guarded
+
+
+@app.after_request
+def allow_board_origin(response):
+    # let the board call the API from another local port, with the
+    # login cookie
+    origin = request.headers.get('Origin')
+    if (request.path.startswith('/api/') and origin
+            and re.match(app.config['CORS_ORIGIN_PATTERN'], origin)):
+        response.headers['Access-Control-Allow-Origin'] = origin
+        response.headers['Access-Control-Allow-Credentials'] = 'true'
+        response.headers['Access-Control-Allow-Methods'] = 'GET, POST, PUT, DELETE'
+        response.headers['Access-Control-Allow-Headers'] = \
+            'Content-Type, If-Match, If-None-Match'
+        response.headers['Access-Control-Expose-Headers'] = 'ETag'
+        response.headers['Vary'] = 'Origin'
+    return response
+
+
+@app.route('/api/login', methods=['POST'])
+def api_login():
+    data = request.get_json(silent=True) or {}
+    matches = User.query.filter_by(username=data.get('username'),
+                                   password=data.get('password')).all()
+    if len(matches) == 0:
+        return api_error('Username and password pair not found', 401)
+
+    login_user(matches[0], remember=bool(data.get('remember')))
+    return jsonify(username=matches[0].username)
+
+
+@app.route('/api/logout', methods=['POST'])
+def api_logout():
+    logout_user()
+    return jsonify()
+
+
+@app.route('/api/account', methods=['GET'])
+@api_login_required
+def api_account():
+    return jsonify(username=current_user.username)
+
+
+def find_item(kind, name):
+    return Item.query.filter_by(user_id=current_user.id, kind=kind,
+                                name=name).first()
+
+
+def version_conflict(item):
+    # the client's copy isn't based on the saved one, so send back
+    # the version it has to resolve against, none if it's gone
+    return api_error('Changed since you last synced it', 412,
+                     version=item.version if item is not None else None)
+
+
+@app.route('/api/<any(scenes, eqpresets, takes):kind>', methods=['GET'])
+@api_login_required
+def api_list_items(kind):
+    items = Item.query.filter_by(user_id=current_user.id, kind=kind) \
+        .order_by(Item.name).all()
+    return jsonify(items=[item.to_dict() for item in items])
+
+
+@app.route('/api/<any(scenes, eqpresets, takes):kind>/<path:name>',
+           methods=['GET'])
+@api_login_required
+def api_get_item(kind, name):
+    item = find_item(kind, name)
+    if item is None:
+        return api_error('Not found', 404)
+
+    response = app.response_class(item.data, mimetype=item.content_type)
+    response.set_etag(str(item.version))
+    return response
+
+
+@app.route('/api/<any(scenes, eqpresets, takes):kind>/<path:name>',
+           methods=['PUT'])
+@api_login_required
+def api_put_item(kind, name):
+    """Save an item, if the client's copy is based on the saved one
+
+    Send If-Match with the version the copy is based on to
+    replace an item, or If-None-Match: * to add a new one.
+    """
+    if not name.strip() or len(name) > MAX_NAME_LENGTH:
+        return api_error('Names need 1 to %d characters' % MAX_NAME_LENGTH, 400)
+
+    content_type = ITEM_CONTENT_TYPES[kind]
+    if request.mimetype != content_type:
+        return api_error('Expected %s' % content_type, 415)
+
+    data = request.get_data()
+    if content_type == 'application/json' and request.get_json(silent=True) is None:
+        return api_error('Not valid JSON', 400)
+
+    item = find_item(kind, name)
+    if item is None:
+        if not request.if_none_match.star_tag:
+            return version_conflict(None)
+
+        item = Item(user_id=current_user.id, kind=kind, name=name, version=1)
+        db.session.add(item)
+        status = 201
+    else:
+        if not request.if_match.contains(str(item.version)):
+            return version_conflict(item)
+
+        item.version += 1
+        status = 200
+
+    item.content_type = content_type
+    item.data = data
+    item.updated = datetime.utcnow()
+    db.session.commit()
+
+    response = jsonify(**item.to_dict())
+    response.status_code = status
+    response.set_etag(str(item.version))
+    return response
+
+
+@app.route('/api/<any(scenes, eqpresets, takes):kind>/<path:name>',
+           methods=['DELETE'])
+@api_login_required
+def api_delete_item(kind, name):
+    """Delete an item, if it's the version in any If-Match"""
+    item = find_item(kind, name)
+    if item is None:
+        return api_error('Not found', 404)
+
+    if 'If-Match' in request.headers and \
+            not request.if_match.contains(str(item.version)):
+        return version_conflict(item)
+
+    db.session.delete(item)
+    db.session.commit()
+    return jsonify()
@@ -0,0 +1,302 @@
+#!/usr/bin/env python3
+"""
+Jam session relay
+
+Relays the board events between the players of a jam session
+over WebSocket, keeps each session's presence list, and answers
+the clock sync pings the players use to share a bar grid.
+Players join a session with its short code.
+
+Only needs the standard library. Run it next to the board with:
+
+    python3 server/relay.py --host 0.0.0.0 --port 8765
+"""
+import argparse
+import asyncio
+import base64
+import hashlib
+import json
+import logging
+import random
+import struct
+import time
+
+WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'
+
+# Join codes avoid the characters that are easy to mix up
+CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+CODE_LENGTH = 4
+
+MAX_MESSAGE_BYTES = 64 * 1024
+MAX_NAME_LENGTH = 32
+
+OP_CONTINUATION = 0x0
+OP_TEXT = 0x1
+OP_BINARY = 0x2
+OP_CLOSE = 0x8
+OP_PING = 0x9
+OP_PONG = 0xA
+
+log = logging.getLogger('relay')
+
+
+class ConnectionClosed(Exception):
+    pass
+
+
+class WebSocket(object):
+    """A server side WebSocket connection, text messages only"""
+
+    def __init__(self, reader, writer):
+        self.reader = reader
+        self.writer = writer
+        self.closed = False
+
+    async def handshake(self):
+        """Answer the opening HTTP upgrade request"""
+        request = await self.reader.readuntil(b'\r\n\r\n')
+        lines = request.decode('latin-1').split('\r\n')
+
+        headers = {}
+        for line in lines[1:]:
+            if ':' in line:
+                name, value = line.split(':', 1)
+                headers[name.strip().lower()] = value.strip()
+
+        key = headers.get('sec-websocket-key')
+        if 'websocket' not in headers.get('upgrade', '').lower() or key is None:
+            self.writer.write(b'HTTP/1.1 400 Bad Request\r\nContent-Length: 0\r\n\r\n')
+            await self.writer.drain()
+            raise ConnectionClosed('Not a WebSocket request')
+
+        accept = base64.b64encode(
+            hashlib.sha1((key + WS_GUID).encode('ascii')).digest()).decode('ascii')
+        self.writer.write((
+            'HTTP/1.1 101 Switching Protocols\r\n'
+            'Upgrade: websocket\r\n'
+            'Connection: Upgrade\r\n'
+            'Sec-WebSocket-Accept: %s\r\n\r\n' % accept).encode('ascii'))
+        await self.writer.drain()
+
+    async def read_frame(self):
+        """Read a frame, returning its FIN flag, opcode and payload"""
+        head = await self.reader.readexactly(2)
+        fin = bool(head[0] & 0x80)
+        opcode = head[0] & 0x0F
+        masked = bool(head[1] & 0x80)
+        length = head[1] & 0x7F
+
+        if length == 126:
+            length = struct.unpack('!H', await self.reader.readexactly(2))[0]
+        elif length == 127:
+            length = struct.unpack('!Q', await self.reader.readexactly(8))[0]
+
+        if length > MAX_MESSAGE_BYTES:
+            raise ConnectionClosed('Message too large')
+
+        mask = await self.reader.readexactly(4) if masked else None
+        payload = await self.reader.readexactly(length)
+        if mask is not None:
+            payload = bytes(byte ^ mask[index % 4] for index, byte in enumerate(payload))
+
+        return fin, opcode, payload
+
+    async def recv(self):
+        """Wait for the next text message, answering pings on the way"""
+        message = b''
+        while True:
+            try:
+                fin, opcode, payload = await self.read_frame()
+            except (asyncio.IncompleteReadError, ConnectionError):
+                raise ConnectionClosed('Connection lost')
+
+            if opcode == OP_CLOSE:
+                await self.close()
+                raise ConnectionClosed('Closed by the client')
+            elif opcode == OP_PING:
+                await self.send_frame(OP_PONG, payload)
+                continue
+            elif opcode in (OP_PONG, OP_BINARY):
+                continue
+
+            message += payload
+            if len(message) > MAX_MESSAGE_BYTES:
+                raise ConnectionClosed('Message too large')
+            if fin:
+                return message.decode('utf-8')
+
+    async def send_frame(self, opcode, payload):
+        if self.closed:
+            return
+
+        length = len(payload)
+        if length < 126:
+            head = struct.pack('!BB', 0x80 | opcode, length)
+        elif length < 0x10000:
+            head = struct.pack('!BBH', 0x80 | opcode, 126, length)
+        else:
+            head = struct.pack('!BBQ', 0x80 | opcode, 127, length)
+
+        try:
+            self.writer.write(head + payload)
+            await self.writer.drain()
+        except ConnectionError:
+            self.closed = True
+
+    async def send(self, text):
+        await self.send_frame(OP_TEXT, text.encode('utf-8'))
+
+    async def close(self):
+        if not self.closed:
+            await self.send_frame(OP_CLOSE, b'')
+            self.closed = True
+        self.writer.close()
+
+
+class Player(object):
+    def __init__(self, player_id, socket):
+        self.id = player_id
+        self.socket = socket
+        self.name = 'Player %d' % player_id
+        self.code = None
+
+
+class Relay(object):
+    """The jam sessions and their players"""
+
+    def __init__(self):
+        self.sessions = {}
+        self.next_id = 1
+
+    def clock_ms(self):
+        """The shared clock the players sync to, in milliseconds"""
+        return time.monotonic() * 1000
+
+    def new_code(self):
+        while True:
+            code = ''.join(random.choice(CODE_CHARS) for _ in range(CODE_LENGTH))
+            if code not in self.sessions:
+                return code
+
+    async def send(self, player, message):
+        await player.socket.send(json.dumps(message))
+
+    async def broadcast(self, code, message, exclude=None):
+        for player in list(self.sessions.get(code, {}).values()):
+            if player is not exclude:
+                await self.send(player, message)
+
+    async def send_presence(self, code):
+        players = self.sessions.get(code, {}).values()
+        await self.broadcast(code, {
+            'type': 'presence',
+            'players': [{'id': player.id, 'name': player.name}
+                        for player in sorted(players, key=lambda player: player.id)]
+        })
+
+    async def join(self, player, message):
+        code = message.get('code')
+        if code:
+            code = str(code).strip().upper()
+            if code not in self.sessions:
+                await self.send(player, {'type': 'error',
+                                         'message': 'There is no session %s' % code})
+                return
+        else:
+            code = self.new_code()
+            self.sessions[code] = {}
+
+        # rejoining the session the player's in only renames them,
+        # as leaving it alone would close it
+        if player.code != code:
+            await self.leave(player)
+
+        name = str(message.get('name') or '').strip()[:MAX_NAME_LENGTH]
+        if name:
+            player.name = name
+
+        player.code = code
+        self.sessions[code][player.id] = player
+        log.info('%s joined session %s', player.name, code)
+
+        await self.send(player, {'type': 'joined', 'code': code, 'id': player.id})
+        await self.send_presence(code)
+
+    async def leave(self, player):
+        code = player.code
+        if code is None:
+            return
+
+        player.code = None
+        session = self.sessions.get(code, {})
+        session.pop(player.id, None)
+        log.info('%s left session %s', player.name, code)
+
+        if session:
+            await self.send_presence(code)
+        else:
+            self.sessions.pop(code, None)
+
+    async def dispatch(self, player, message):
+        kind = message.get('type')
+
+        if kind == 'join':
+            await self.join(player, message)
+        elif kind == 'leave':
+            await self.leave(player)
+        elif kind == 'sync':
+            await self.send(player, {'type': 'sync',
+                                     'clientTime': message.get('clientTime'),
+                                     'serverTime': self.clock_ms()})
+        elif kind == 'event' and player.code is not None:
+            message['from'] = player.id
+            await self.broadcast(player.code, message, exclude=player)
+
+    async def handle(self, reader, writer):
+        socket = WebSocket(reader, writer)
+        player = Player(self.next_id, socket)
+        self.next_id += 1
+
+        try:
+            await socket.handshake()
+            while True:
+                text = await socket.recv()
+                try:
+                    message = json.loads(text)
+                except ValueError:
+                    continue
+
+                if isinstance(message, dict):
+                    await self.dispatch(player, message)
+        except (ConnectionClosed, asyncio.IncompleteReadError, ConnectionError):
+            pass
+        finally:
+            await self.leave(player)
+            writer.close()
+
+
+async def serve(host, port):
+    relay = Relay()
+    server = await asyncio.start_server(relay.handle, host, port)
+    log.info('Relaying jam sessions on ws://%s:%d', host, port)
+
+    async with server:
+        await server.serve_forever()
+
+
+def main():
+    parser = argparse.ArgumentParser(description='Jam session relay')
+    parser.add_argument('--host', default='127.0.0.1',
+                        help='the address to listen on, 0.0.0.0 for every interface')
+    parser.add_argument('--port', type=int, default=8765)
+    args = parser.parse_args()
+
+    logging.basicConfig(level=logging.INFO, format='%(asctime)s %(message)s')
+    try:
+        asyncio.run(serve(args.host, args.port))
+    except KeyboardInterrupt:
+        pass
+
+
+if __name__ == '__main__':
+    main()
@@ -1,24 +1,131 @@
 #!flask/bin/python
+import json
 import os
+import tempfile
 import unittest
 
-from server import app, db
-import User
+# keep the saved scenes out of it, the app opens its database on import
+DATABASE_FD, DATABASE = tempfile.mkstemp(suffix='.sqlite')
+os.environ['BOARD_DATABASE'] = DATABASE
+
+from app import app, db
+from app.models import Item, User
+
 
 class TestCase(unittest.TestCase):
     def setUp(self):
-        app.config['SQLALCHEMY_DATABASE_URI'] = 'sqlite:///' + os.path.join(basedir, 'test1.db')
-        self.app = app.test_client()
-        db.create_all()
+        db.session.add(User(username=u'andy', password=u'secret'))
+        db.session.commit()
+        self.client = app.test_client()
 
     def tearDown(self):
         db.session.remove()
-        db.drop_all()
+        Item.query.delete()
+        User.query.filter_by(username=u'andy').delete()
+        db.session.commit()
+
+    def login(self, username=u'andy', password=u'secret'):
+        return self.client.post('/api/login', content_type='application/json',
+                                data=json.dumps({'username': username,
+                                                 'password': password}))
+
+    def put_scene(self, name, scene, **headers):
+        return self.client.put('/api/scenes/' + name, headers=headers,
+                               content_type='application/json',
+                               data=json.dumps(scene))
 
     def test_user_create(self):
         u = User(username='andy', password='example')
         assert u.username == 'andy'
         assert u.password == 'example'
 
+    def test_login(self):
+        response = self.login()
+        self.assertEqual(response.status_code, 200)
+        self.assertEqual(json.loads(response.data)['username'], 'andy')
+
+    def test_login_wrong_password(self):
+        response = self.login(password=u'guess')
+        self.assertEqual(response.status_code, 401)
+        self.assertIn('error', json.loads(response.data))
+
+    def test_needs_login(self):
+        self.assertEqual(self.client.get('/api/scenes').status_code, 401)
+        self.assertEqual(self.put_scene('Intro', {}, **{'If-None-Match': '*'})
+                         .status_code, 401)
+
+    def test_put_new(self):
+        self.login()
+        response = self.put_scene('Intro', {'bpm': 120},
+                                  **{'If-None-Match': '*'})
+        self.assertEqual(response.status_code, 201)
+        self.assertEqual(json.loads(response.data)['version'], 1)
+        self.assertEqual(response.headers['ETag'], '"1"')
+
+        response = self.client.get('/api/scenes/Intro')
+        self.assertEqual(json.loads(response.data), {'bpm': 120})
+
+    def test_put_new_without_if_none_match(self):
+        self.login()
+        response = self.put_scene('Intro', {'bpm': 120})
+        self.assertEqual(response.status_code, 412)
+        self.assertIsNone(json.loads(response.data)['version'])
+
+    def test_put_new_over_existing(self):
+        self.login()
+        self.put_scene('Intro', {'bpm': 120}, **{'If-None-Match': '*'})
+        response = self.put_scene('Intro', {'bpm': 90},
+                                  **{'If-None-Match': '*'})
+        self.assertEqual(response.status_code, 412)
+        self.assertEqual(json.loads(response.data)['version'], 1)
+
+    def test_put_update(self):
+        self.login()
+        self.put_scene('Intro', {'bpm': 120}, **{'If-None-Match': '*'})
+        response = self.put_scene('Intro', {'bpm': 90}, **{'If-Match': '"1"'})
+        self.assertEqual(response.status_code, 200)
+        self.assertEqual(json.loads(response.data)['version'], 2)
+        self.assertEqual(response.headers['ETag'], '"2"')
+
+    def test_put_update_stale(self):
+        self.login()
+        self.put_scene('Intro', {'bpm': 120}, **{'If-None-Match': '*'})
+        self.put_scene('Intro', {'bpm': 90}, **{'If-Match': '"1"'})
+        response = self.put_scene('Intro', {'bpm': 100}, **{'If-Match': '"1"'})
+        self.assertEqual(response.status_code, 412)
+        self.assertEqual(json.loads(response.data)['version'], 2)
+
+        response = self.client.get('/api/scenes/Intro')
+        self.assertEqual(json.loads(response.data), {'bpm': 90})
+
+    def test_delete(self):
+        self.login()
+        self.put_scene('Intro', {'bpm': 120}, **{'If-None-Match': '*'})
+        response = self.client.delete('/api/scenes/Intro',
+                                      headers={'If-Match': '"1"'})
+        self.assertEqual(response.status_code, 200)
+        self.assertEqual(self.client.get('/api/scenes/Intro').status_code, 404)
+
+    def test_delete_stale(self):
+        self.login()
+        self.put_scene('Intro', {'bpm': 120}, **{'If-None-Match': '*'})
+        self.put_scene('Intro', {'bpm': 90}, **{'If-Match': '"1"'})
+        response = self.client.delete('/api/scenes/Intro',
+                                      headers={'If-Match': '"1"'})
+        self.assertEqual(response.status_code, 412)
+        self.assertEqual(json.loads(response.data)['version'], 2)
+
+    def test_delete_missing(self):
+        self.login()
+        self.assertEqual(self.client.delete('/api/scenes/Intro').status_code,
+                         404)
+
+
+def tearDownModule():
+    db.session.remove()
+    os.close(DATABASE_FD)
+    os.remove(DATABASE)
+
+
 if __name__ == '__main__':
-    unittest.main()
\ No newline at end of file
+    unittest.main()
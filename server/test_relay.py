@@ -0,0 +1,126 @@
+#!/usr/bin/env python3
+import asyncio
+import base64
+import json
+import os
+import struct
+import unittest
+
+from relay import Relay
+
+
+class Client(object):
+    """A minimal WebSocket client, sending masked text frames"""
+
+    async def connect(self, port):
+        self.reader, self.writer = await asyncio.open_connection('127.0.0.1', port)
+        key = base64.b64encode(os.urandom(16)).decode('ascii')
+        self.writer.write((
+            'GET / HTTP/1.1\r\n'
+            'Host: localhost\r\n'
+            'Upgrade: websocket\r\n'
+            'Connection: Upgrade\r\n'
+            'Sec-WebSocket-Key: %s\r\n'
+            'Sec-WebSocket-Version: 13\r\n\r\n' % key).encode('ascii'))
+        response = await self.reader.readuntil(b'\r\n\r\n')
+        assert response.startswith(b'HTTP/1.1 101')
+
+    async def send(self, message):
+        payload = json.dumps(message).encode('utf-8')
+        mask = os.urandom(4)
+        masked = bytes(byte ^ mask[index % 4] for index, byte in enumerate(payload))
+        self.writer.write(struct.pack('!BB', 0x81, 0x80 | len(payload)) + mask + masked)
+        await self.writer.drain()
+
+    async def recv(self):
+        head = await asyncio.wait_for(self.reader.readexactly(2), 2)
+        length = head[1] & 0x7F
+        if length == 126:
+            length = struct.unpack('!H', await self.reader.readexactly(2))[0]
+        return json.loads((await self.reader.readexactly(length)).decode('utf-8'))
+
+    def close(self):
+        self.writer.close()
+
+
+class RelayTestCase(unittest.IsolatedAsyncioTestCase):
+    async def asyncSetUp(self):
+        self.relay = Relay()
+        self.server = await asyncio.start_server(self.relay.handle, '127.0.0.1', 0)
+        self.port = self.server.sockets[0].getsockname()[1]
+
+    async def asyncTearDown(self):
+        self.server.close()
+        await self.server.wait_closed()
+
+    async def join(self, name, code=None):
+        client = Client()
+        await client.connect(self.port)
+        await client.send({'type': 'join', 'name': name, 'code': code})
+        joined = await client.recv()
+        self.assertEqual(joined['type'], 'joined')
+        return client, joined
+
+    async def test_join_and_presence(self):
+        host, joined = await self.join('Andy')
+        code = joined['code']
+        self.assertEqual(len(code), 4)
+        self.assertEqual([player['name'] for player in (await host.recv())['players']], ['Andy'])
+
+        guest, guest_joined = await self.join('Bea', code.lower())
+        self.assertEqual(guest_joined['code'], code)
+
+        for client in (host, guest):
+            presence = await client.recv()
+            self.assertEqual([player['name'] for player in presence['players']], ['Andy', 'Bea'])
+
+        guest.close()
+        presence = await host.recv()
+        self.assertEqual([player['name'] for player in presence['players']], ['Andy'])
+        host.close()
+
+    async def test_rejoin_own_session(self):
+        host, joined = await self.join('Andy')
+        await host.recv()
+
+        # alone in it, which mustn't close the session
+        await host.send({'type': 'join', 'name': 'Andrew', 'code': joined['code']})
+        rejoined = await host.recv()
+        self.assertEqual(rejoined['type'], 'joined')
+        self.assertEqual(rejoined['code'], joined['code'])
+        presence = await host.recv()
+        self.assertEqual([player['name'] for player in presence['players']], ['Andrew'])
+        self.assertEqual(list(self.relay.sessions), [joined['code']])
+        host.close()
+
+    async def test_unknown_code(self):
+        client = Client()
+        await client.connect(self.port)
+        await client.send({'type': 'join', 'name': 'Andy', 'code': 'ZZZZ'})
+        self.assertEqual((await client.recv())['type'], 'error')
+        client.close()
+
+    async def test_relays_events_to_the_others(self):
+        host, joined = await self.join('Andy')
+        await host.recv()
+        guest, _ = await self.join('Bea', joined['code'])
+        await host.recv()
+        await guest.recv()
+
+        await host.send({'type': 'event', 'action': 'tempo', 'bpm': 140})
+        event = await guest.recv()
+        self.assertEqual(event['action'], 'tempo')
+        self.assertEqual(event['from'], joined['id'])
+
+        # The sender doesn't hear its own events
+        await host.send({'type': 'sync', 'clientTime': 12.5})
+        sync = await host.recv()
+        self.assertEqual(sync['type'], 'sync')
+        self.assertEqual(sync['clientTime'], 12.5)
+
+        host.close()
+        guest.close()
+
+
+if __name__ == '__main__':
+    unittest.main()
@@ -0,0 +1,560 @@
+/* -----------------------------------------------------
+ Jam sessions
+ ----------------------------------------------------- */
+
+/**
+ * Plays the board together with other players through a
+ * relay server (see server/relay.py)
+ *
+ * Loop toggles, parameter changes and tempo changes are sent
+ * to the other players of the session, and theirs are played
+ * here. Each player syncs its clock to the relay's, so loops
+ * are placed on a bar grid shared by the whole session:
+ * a remote loop starts at the same moment as it does for the
+ * player who started it, or, if it arrives too late for that,
+ * on the next shared downbeat, in phase.
+ *
+ * Players need the same kit loaded, as pads are sent by id.
+ *
+ * @param {SamplerEngine}   engine  The engine to play
+ *
+ * @constructor
+ */
+function JamSession( engine ) {
+    this.engine = engine;
+    this.events = new EventEmitter();
+
+    this.socket = null;
+    this.code = null;
+    this.playerId = null;
+    this.players = [];
+
+    // The relay clock minus ours, from the
+    // sync round trip with the least delay
+    this.clockOffsetMs = 0;
+    this.syncSamples = [];
+    this.syncTimer = null;
+
+    // Set while applying the other players' changes, so
+    // they aren't sent back
+    this.applyingRemote = false;
+
+    // Parameter changes waiting to be sent, keyed by id
+    this.pendingParams = {};
+    this.paramTimer = null;
+
+    engine.on( "loopScheduled", this.onLoopScheduled, this );
+    engine.on( "loopStop", this.onLoopStop, this );
+    engine.on( "paramChange", this.onParamChange, this );
+    engine.on( "tempoChange", this.onTempoChange, this );
+}
+
+/**
+ * The number of clock sync pings sent on joining, and how
+ * often to resync after that
+ */
+JamSession.SYNC_PINGS = 5;
+JamSession.SYNC_PING_MS = 100;
+JamSession.RESYNC_MS = 15000;
+
+/**
+ * The number of sync round trips to pick the clock offset from
+ */
+JamSession.SYNC_SAMPLES = 8;
+
+/**
+ * The shortest notice a remote loop can be scheduled at
+ */
+JamSession.SCHEDULE_MARGIN_SECS = 0.05;
+
+/**
+ * How often to send parameter changes while a slider moves
+ */
+JamSession.PARAM_INTERVAL_MS = 50;
+
+/**
+ * Register an event listener
+ *
+ * Events are "joined" (code, playerId), "presence" (players),
+ * "closed" (reason) and "error" (message).
+ *
+ * @param {String}      eventName   The event name
+ * @param {Function}    listenerFn  The listener function
+ * @param {*}           [context]   The listener function context
+ */
+JamSession.prototype.on = function( eventName, listenerFn, context ) {
+    this.events.on( eventName, listenerFn, context );
+};
+
+/**
+ * Join a session
+ *
+ * @param {String}  url         The relay's WebSocket URL
+ * @param {String}  name        The player's name
+ * @param {String}  [code]      The session's join code, or nothing to start a new session
+ */
+JamSession.prototype.join = function( url, name, code ) {
+    this.leave();
+
+    var me = this;
+    var socket;
+    try {
+        socket = new WebSocket( url );
+    } catch( e ) {
+        this.events.emit( "error", "Can't connect to '" + url + "': " + e.message );
+        return;
+    }
+    this.socket = socket;
+
+    socket.onopen = function() {
+        me.send( { type: "join", name: name, code: code || null } );
+        me.startSync();
+    };
+
+    socket.onmessage = function( event ) {
+        var message;
+        try {
+            message = JSON.parse( event.data );
+        } catch( e ) {
+            return;
+        }
+
+        me.onMessage( message );
+    };
+
+    socket.onclose = function() {
+        if( me.socket !== socket )
+            return;
+
+        me.close();
+        me.events.emit( "closed", "The connection to the session was lost" );
+    };
+
+    socket.onerror = function() {
+        me.events.emit( "error", "Can't connect to '" + url + "'" );
+    };
+};
+
+/**
+ * Leave the session
+ */
+JamSession.prototype.leave = function() {
+    if( this.socket == null )
+        return;
+
+    var socket = this.socket;
+    this.close();
+    socket.close();
+
+    this.events.emit( "closed", "Left the session" );
+};
+
+/**
+ * Drop the session state
+ * @private
+ */
+JamSession.prototype.close = function() {
+    this.socket = null;
+    this.code = null;
+    this.playerId = null;
+    this.players = [];
+    this.syncSamples = [];
+    this.pendingParams = {};
+
+    if( this.syncTimer != null ) {
+        window.clearTimeout( this.syncTimer );
+        this.syncTimer = null;
+    }
+
+    if( this.paramTimer != null ) {
+        window.clearTimeout( this.paramTimer );
+        this.paramTimer = null;
+    }
+};
+
+/**
+ * Returns whether we're in a session
+ *
+ * @returns {Boolean}
+ */
+JamSession.prototype.isJoined = function() {
+    return this.code != null;
+};
+
+/**
+ * Send a message to the relay
+ * @private
+ *
+ * @param {Object}  message     The message
+ */
+JamSession.prototype.send = function( message ) {
+    if( this.socket != null && this.socket.readyState == 1 )
+        this.socket.send( JSON.stringify( message ) );
+};
+
+/**
+ * Send an event to the other players
+ * @private
+ *
+ * @param {String}  action      The event action
+ * @param {Object}  fields      The event fields
+ */
+JamSession.prototype.sendEvent = function( action, fields ) {
+    if( !this.isJoined() || this.applyingRemote )
+        return;
+
+    var message = { type: "event", action: action };
+    for( var field in fields )
+        message[ field ] = fields[ field ];
+
+    this.send( message );
+};
+
+/**
+ * Handle a message from the relay
+ * @private
+ *
+ * @param {Object}  message     The message
+ */
+JamSession.prototype.onMessage = function( message ) {
+    switch( message.type ) {
+    case "joined":
+        this.code = message.code;
+        this.playerId = message.id;
+        this.events.emit( "joined", this.code, this.playerId );
+        break;
+    case "presence":
+        this.onPresence( message.players );
+        break;
+    case "sync":
+        this.onSync( message.clientTime, message.serverTime );
+        break;
+    case "error":
+        this.events.emit( "error", message.message );
+        break;
+    case "event":
+        this.applyEvent( message );
+        break;
+    }
+};
+
+/**
+ * Follow the players coming and going, bringing the new
+ * ones up to date with the music
+ * @private
+ *
+ * @param {Array.<{id:Number, name:String}>}    players     The session's players
+ */
+JamSession.prototype.onPresence = function( players ) {
+    var lastIds = this.players.map( function( player ) { return player.id; } );
+    this.players = players;
+
+    this.events.emit( "presence", players );
+
+    // The longest standing player sends the new players the state
+    var stayingIds = [];
+    var newIds = [];
+    players.forEach( function( player ) {
+        if( lastIds.indexOf( player.id ) >= 0 )
+            stayingIds.push( player.id );
+        else if( player.id != this.playerId )
+            newIds.push( player.id );
+    }, this );
+
+    if( newIds.length > 0 && stayingIds.length > 0
+            && Math.min.apply( Math, stayingIds ) == this.playerId )
+        this.sendState( newIds );
+};
+
+/**
+ * Start syncing our clock to the relay's
+ * @private
+ */
+JamSession.prototype.startSync = function() {
+    var pingsLeft = JamSession.SYNC_PINGS;
+
+    var ping = function() {
+        this.send( { type: "sync", clientTime: this.getClockMs() } );
+
+        pingsLeft--;
+        this.syncTimer = later(
+                pingsLeft > 0 ? JamSession.SYNC_PING_MS : JamSession.RESYNC_MS,
+                ping,
+                this );
+    };
+
+    ping.call( this );
+};
+
+/**
+ * Update the clock offset from a sync round trip
+ * @private
+ *
+ * @param {Number}  clientTime  Our clock when the ping was sent, in ms
+ * @param {Number}  serverTime  The relay's clock when it answered, in ms
+ */
+JamSession.prototype.onSync = function( clientTime, serverTime ) {
+    var nowMs = this.getClockMs();
+    var samples = this.syncSamples;
+
+    // Assume the answer took half the round trip to arrive
+    samples.push( {
+        roundTripMs:    nowMs - clientTime,
+        offsetMs:       serverTime - (clientTime + nowMs) / 2
+    } );
+    if( samples.length > JamSession.SYNC_SAMPLES )
+        samples.shift();
+
+    var best = samples[0];
+    samples.forEach( function( sample ) {
+        if( sample.roundTripMs < best.roundTripMs )
+            best = sample;
+    } );
+
+    this.clockOffsetMs = best.offsetMs;
+};
+
+/**
+ * Returns our clock
+ * @private
+ *
+ * @returns {Number}    The time in ms
+ */
+JamSession.prototype.getClockMs = function() {
+    return window.performance.now();
+};
+
+/**
+ * Convert an audio context time to the session's shared time
+ *
+ * @param {Number}  audioSecs   The audio context time in seconds
+ *
+ * @returns {Number}    The shared time in seconds
+ */
+JamSession.prototype.toSharedTime = function( audioSecs ) {
+    var sharedNowSecs = (this.getClockMs() + this.clockOffsetMs) / 1000;
+
+    return audioSecs + sharedNowSecs - this.engine.audioContext.currentTime;
+};
+
+/**
+ * Convert a shared time to our audio context's time
+ *
+ * @param {Number}  sharedSecs  The shared time in seconds
+ *
+ * @returns {Number}    The audio context time in seconds
+ */
+JamSession.prototype.toAudioTime = function( sharedSecs ) {
+    return sharedSecs - this.toSharedTime( 0 );
+};
+
+/**
+ * Send a local loop start, with where in its audio it starts
+ * @private
+ */
+JamSession.prototype.onLoopScheduled = function( padId, groupId, startSecs ) {
+    this.sendEvent( "loop", {
+        padId:      padId,
+        groupId:    groupId,
+        at:         this.toSharedTime( startSecs ),
+        offset:     this.engine.musicGroups[ groupId ].activeOffsetSecs
+    } );
+};
+
+/**
+ * Send a local loop stop
+ * @private
+ */
+JamSession.prototype.onLoopStop = function( padId, groupId, stopSecs ) {
+    this.sendEvent( "stop", {
+        groupId:    groupId,
+        at:         this.toSharedTime( stopSecs )
+    } );
+};
+
+/**
+ * Queue a local parameter change to send. Tempo has its own event.
+ * @private
+ */
+JamSession.prototype.onParamChange = function( paramId, value ) {
+    if( !this.isJoined() || this.applyingRemote
+            || this.engine.params[ paramId ].audioParam === this.engine.bpm )
+        return;
+
+    this.pendingParams[ paramId ] = value;
+
+    if( this.paramTimer == null )
+        this.paramTimer = later( JamSession.PARAM_INTERVAL_MS, this.sendParams, this );
+};
+
+/**
+ * Send the queued parameter changes
+ * @private
+ */
+JamSession.prototype.sendParams = function() {
+    this.paramTimer = null;
+
+    for( var paramId in this.pendingParams )
+        this.sendEvent( "param", { paramId: paramId, value: this.pendingParams[ paramId ] } );
+
+    this.pendingParams = {};
+};
+
+/**
+ * Send a local tempo change
+ * @private
+ */
+JamSession.prototype.onTempoChange = function( bpm ) {
+    this.sendEvent( "tempo", { bpm: bpm } );
+};
+
+/**
+ * Send the tempo, the transport clock and the playing loops
+ * to new players
+ * @private
+ *
+ * @param {Array.<Number>}  playerIds   The new players' ids
+ */
+JamSession.prototype.sendState = function( playerIds ) {
+    var engine = this.engine;
+    var nowSecs = engine.audioContext.currentTime;
+    var loops = [];
+
+    // Send each loop's start as the time its latest pass
+    // began, which the new players can carry on from
+    for( var groupId in engine.musicGroups ) {
+        var position = engine.getLoopPosition( groupId );
+        if( position == null )
+            continue;
+
+        var padId = engine.musicGroups[ groupId ].activeElemId;
+        var passSecs = position * engine.getLoopDuration( padId )
+                / this.getPlaybackRate( padId );
+
+        loops.push( {
+            padId:      padId,
+            groupId:    groupId,
+            at:         this.toSharedTime( nowSecs - passSecs ),
+            offset:     0
+        } );
+    }
+
+    // Send the clock as the time of its first bar, so the new
+    // players' bars and phrases line up with ours
+    this.sendEvent( "state", {
+        to:         playerIds,
+        bpm:        engine.bpm.value,
+        clockAt:    engine.isClockRunning() ? this.toSharedTime( engine.getBeatTime( 0 ) ) : null,
+        loops:      loops
+    } );
+};
+
+/**
+ * Returns a pad's playback speed at the project tempo
+ * @private
+ *
+ * @param {String}  padId   The pad id
+ *
+ * @returns {Number}    The playback speed factor
+ */
+JamSession.prototype.getPlaybackRate = function( padId ) {
+    var pad = this.engine.pads[ padId ];
+    return pad.bpm != null ? this.engine.bpm.value / pad.bpm : 1;
+};
+
+/**
+ * Play another player's change
+ * @private
+ *
+ * @param {Object}  message     The event message
+ */
+JamSession.prototype.applyEvent = function( message ) {
+    var engine = this.engine;
+
+    this.applyingRemote = true;
+    try {
+        switch( message.action ) {
+        case "loop":
+            this.startRemoteLoop( message.padId, message.at, message.offset );
+            break;
+        case "stop":
+            if( engine.musicGroups[ message.groupId ] != null )
+                engine.stopLoop( message.groupId,
+                        Math.max( engine.audioContext.currentTime, this.toAudioTime( message.at ) ) );
+            break;
+        case "param":
+            if( engine.params[ message.paramId ] != null )
+                engine.setParam( message.paramId, message.value );
+            break;
+        case "tempo":
+            this.setTempo( message.bpm );
+            break;
+        case "state":
+            if( message.to.indexOf( this.playerId ) < 0 )
+                break;
+
+            this.setTempo( message.bpm );
+            if( message.clockAt != null )
+                engine.startClock( this.toAudioTime( message.clockAt ) );
+
+            message.loops.forEach( function( loop ) {
+                this.startRemoteLoop( loop.padId, loop.at, loop.offset );
+            }, this );
+            break;
+        }
+    } finally {
+        this.applyingRemote = false;
+    }
+};
+
+/**
+ * Set the project tempo, through its parameter if it has one
+ * so its controls follow
+ * @private
+ *
+ * @param {Number}  bpm     The tempo
+ */
+JamSession.prototype.setTempo = function( bpm ) {
+    var engine = this.engine;
+
+    for( var paramId in engine.params ) {
+        if( engine.params[ paramId ].audioParam === engine.bpm ) {
+            engine.setParam( paramId, bpm );
+            return;
+        }
+    }
+
+    engine.bpm.value = bpm;
+};
+
+/**
+ * Start another player's loop at its shared start time, or,
+ * if that has passed, in phase on the next shared downbeat
+ * @private
+ *
+ * @param {String}  padId           The pad id
+ * @param {Number}  sharedSecs      The loop's shared start time in seconds
+ * @param {Number}  [offsetSecs]    Where the loop starts in its audio, defaults to its phrase position here
+ */
+JamSession.prototype.startRemoteLoop = function( padId, sharedSecs, offsetSecs ) {
+    var engine = this.engine;
+    var pad = engine.pads[ padId ];
+    if( pad == null || pad.buffer == null || pad.mode == "oneshot" ) {
+        engine.log( "ERROR: Jam session loop '" + padId + "' isn't in this kit" );
+        return;
+    }
+
+    var startSecs = this.toAudioTime( sharedSecs );
+    var earliestSecs = engine.audioContext.currentTime + JamSession.SCHEDULE_MARGIN_SECS;
+    if( startSecs >= earliestSecs ) {
+        engine.startLoop( padId, startSecs, offsetSecs );
+        return;
+    }
+
+    // Skip whole bars, starting that far further into the loop
+    var measureSecs = engine.getMeasureDuration();
+    var lateSecs = Math.ceil( (earliestSecs - startSecs) / measureSecs ) * measureSecs;
+
+    engine.startLoop( padId, startSecs + lateSecs,
+            ((offsetSecs || 0) + lateSecs * this.getPlaybackRate( padId )) % engine.getLoopDuration( padId ) );
+};
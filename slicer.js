@@ -0,0 +1,208 @@
+/* -----------------------------------------------------
+ Loop slicer and slice step sequencer
+ ----------------------------------------------------- */
+
+/**
+ * Chops a loop into slices at a list of markers
+ *
+ * @param {AudioBuffer}     audioBuffer     The loop audio
+ *
+ * @constructor
+ */
+function LoopSlicer( audioBuffer ) {
+    this.audioBuffer = audioBuffer;
+
+    // The slice start times in seconds. The first
+    // slice always starts at the beginning.
+    this.markers = [ 0 ];
+}
+
+/**
+ * The shortest slice allowed, in seconds
+ * @const
+ */
+LoopSlicer.MIN_SLICE_SECS = 0.01;
+
+/**
+ * Slice into equal parts
+ *
+ * @param {Number}  count   The number of slices
+ */
+LoopSlicer.prototype.sliceByGrid = function( count ) {
+    var sliceSecs = this.audioBuffer.duration / count;
+
+    this.markers = [];
+    for( var index = 0; index < count; index++ )
+        this.markers.push( index * sliceSecs );
+};
+
+/**
+ * Slice at the detected transients
+ *
+ * @param {Number}  [sensitivity]   0 to 1, higher finds quieter transients
+ */
+LoopSlicer.prototype.sliceByTransients = function( sensitivity ) {
+    this.markers = [ 0 ];
+    detectOnsets( this.audioBuffer, sensitivity ).forEach( this.addMarker, this );
+};
+
+/**
+ * Add a slice marker
+ *
+ * @param {Number}  secs    The marker time
+ *
+ * @returns {Number}    The new marker's index, or -1 if it's too close to another
+ */
+LoopSlicer.prototype.addMarker = function( secs ) {
+    var markers = this.markers;
+    var index = 0;
+    while( index < markers.length && markers[ index ] < secs )
+        index++;
+
+    var prevSecs = markers[ index - 1 ];
+    var nextSecs = index < markers.length ? markers[ index ] : this.audioBuffer.duration;
+    if( secs - prevSecs < LoopSlicer.MIN_SLICE_SECS
+            || nextSecs - secs < LoopSlicer.MIN_SLICE_SECS )
+        return -1;
+
+    markers.splice( index, 0, secs );
+    return index;
+};
+
+/**
+ * Move a slice marker, keeping it between its neighbours
+ *
+ * @param {Number}  index   The marker index
+ * @param {Number}  secs    The new marker time
+ */
+LoopSlicer.prototype.moveMarker = function( index, secs ) {
+    var markers = this.markers;
+    if( index <= 0 || index >= markers.length )
+        return;
+
+    var nextSecs = index < markers.length - 1 ? markers[ index + 1 ] : this.audioBuffer.duration;
+    markers[ index ] = Math.max( markers[ index - 1 ] + LoopSlicer.MIN_SLICE_SECS,
+            Math.min( nextSecs - LoopSlicer.MIN_SLICE_SECS, secs ) );
+};
+
+/**
+ * Remove a slice marker
+ *
+ * @param {Number}  index   The marker index
+ */
+LoopSlicer.prototype.removeMarker = function( index ) {
+    if( index > 0 && index < this.markers.length )
+        this.markers.splice( index, 1 );
+};
+
+/**
+ * Returns the number of slices
+ *
+ * @returns {Number}
+ */
+LoopSlicer.prototype.getSliceCount = function() {
+    return this.markers.length;
+};
+
+/**
+ * Returns a slice's position in the loop
+ *
+ * @param {Number}  index   The slice index
+ *
+ * @returns {{offset:Number, duration:Number}}  The slice start and length in seconds
+ */
+LoopSlicer.prototype.getSlice = function( index ) {
+    var offset = this.markers[ index ];
+    var endSecs = index < this.markers.length - 1
+            ? this.markers[ index + 1 ]
+            : this.audioBuffer.duration;
+
+    return {
+        offset:     offset,
+        duration:   endSecs - offset
+    };
+};
+
+/**
+ * Plays a 16 step pattern of slices, one bar long, in
+ * time with the loops
+ *
+ * @param {WebAudioApp}     app     The application
+ *
+ * @constructor
+ */
+function SliceSequencer( app ) {
+    this.app = app;
+
+    // The slice index of each step, or -1 for a rest
+    this.pattern = [];
+    for( var step = 0; step < SliceSequencer.STEPS_NUM; step++ )
+        this.pattern.push( step );
+
+    this.playing = false;
+    this.nextStep = 0;
+    this.nextStepSecs = 0;
+    this.timerHandle = null;
+
+    /**
+     * Triggered when a slice is scheduled
+     * @type {function(step:Number, sliceIndex:Number, startSecs:Number)}
+     */
+    this.onstep = null;
+}
+
+/**
+ * The number of steps in the pattern
+ * @const
+ */
+SliceSequencer.STEPS_NUM = 16;
+
+/**
+ * Start playback
+ *
+ * @param {Number}  startSecs   The time of the first step
+ */
+SliceSequencer.prototype.start = function( startSecs ) {
+    this.playing = true;
+    this.nextStep = 0;
+    this.nextStepSecs = startSecs;
+
+    this.scheduleSteps();
+};
+
+/**
+ * Stop playback
+ */
+SliceSequencer.prototype.stop = function() {
+    this.playing = false;
+
+    if( this.timerHandle != null ) {
+        window.clearTimeout( this.timerHandle );
+        this.timerHandle = null;
+    }
+};
+
+/**
+ * Schedule the steps due before the next timer tick
+ * @private
+ */
+SliceSequencer.prototype.scheduleSteps = function() {
+    if( !this.playing )
+        return;
+
+    var app = this.app;
+    var horizonSecs = app.audioContext.currentTime + ArrangementPlayer.LOOKAHEAD_SECS;
+
+    while( this.nextStepSecs <= horizonSecs ) {
+        var sliceIndex = this.pattern[ this.nextStep ];
+
+        if( sliceIndex >= 0 && this.onstep != null )
+            this.onstep( this.nextStep, sliceIndex, this.nextStepSecs );
+
+        // Follow tempo changes from step to step
+        this.nextStep = (this.nextStep + 1) % SliceSequencer.STEPS_NUM;
+        this.nextStepSecs += app.engine.getMeasureDuration() / SliceSequencer.STEPS_NUM;
+    }
+
+    this.timerHandle = later( ArrangementPlayer.INTERVAL_MS, this.scheduleSteps, this );
+};
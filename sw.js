@@ -0,0 +1,93 @@
+/* -----------------------------------------------------
+ Offline cache service worker
+
+ Serves the page, its scripts, the kits and their samples
+ from the Cache API, refreshing them from the network in the
+ background, so the board keeps working without a connection.
+ ----------------------------------------------------- */
+
+var CACHE_NAME = "superSoundBoy-v3";
+
+/**
+ * The page and the assets it needs before any kit loads
+ */
+var APP_SHELL = [
+    "./",
+    "index.html",
+    "app.css",
+    "engine.js",
+    "app.js",
+    "recorder.js",
+    "effects.js",
+    "midi.js",
+    "arrangement.js",
+    "samples.js",
+    "eq.js",
+    "scenes.js",
+    "modulation.js",
+    "slicer.js",
+    "session.js",
+    "account.js",
+    "utils.js",
+    "thirdparty/jquery-1.9.1.min.js",
+    "thirdparty/jquery-ui-1.10.2.custom.min.js",
+    "thirdparty/css/pepper-grinder/jquery-ui-1.10.2.custom.css",
+    "kits/kits.json",
+    "assets/img/logo.png"
+];
+
+/**
+ * Requests that are never cached
+ */
+var UNCACHED_PATTERNS = [
+    /\/api\//,
+    /google-analytics\.com/
+];
+
+self.addEventListener( "install", function( event ) {
+    event.waitUntil( caches.open( CACHE_NAME ).then( function( cache ) {
+        return cache.addAll( APP_SHELL );
+    } ).then( function() {
+        return self.skipWaiting();
+    } ) );
+} );
+
+self.addEventListener( "activate", function( event ) {
+    // Drop the caches of older versions
+    event.waitUntil( caches.keys().then( function( names ) {
+        return Promise.all( names.filter( function( name ) {
+            return name != CACHE_NAME;
+        } ).map( function( name ) {
+            return caches["delete"]( name );
+        } ) );
+    } ).then( function() {
+        return self.clients.claim();
+    } ) );
+} );
+
+self.addEventListener( "fetch", function( event ) {
+    var request = event.request;
+
+    if( request.method != "GET"
+            || UNCACHED_PATTERNS.some( function( pattern ) { return pattern.test( request.url ); } ) )
+        return;
+
+    event.respondWith( caches.open( CACHE_NAME ).then( function( cache ) {
+        return cache.match( request ).then( function( cachedResponse ) {
+            var fetched = fetch( request ).then( function( response ) {
+                // Cross origin style sheets come back opaque
+                if( response.ok || response.type == "opaque" )
+                    cache.put( request, response.clone() );
+
+                return response;
+            } );
+
+            if( cachedResponse == null )
+                return fetched;
+
+            // Serve the cached copy, refreshing it for next time
+            event.waitUntil( fetched["catch"]( function() {} ) );
+            return cachedResponse;
+        } );
+    } ) );
+} );
@@ -0,0 +1,277 @@
+/* -----------------------------------------------------
+ Account sync tests, run with: node --test test/*.test.js
+ ----------------------------------------------------- */
+
+var test = require( "node:test" );
+var assert = require( "node:assert" );
+var fs = require( "fs" );
+var path = require( "path" );
+var vm = require( "vm" );
+
+// Load the scripts as the page does, into the global scope
+global.window = global;
+[ "utils.js", "account.js" ].forEach( function( fileName ) {
+    var filePath = path.join( __dirname, "..", fileName );
+    vm.runInThisContext( fs.readFileSync( filePath, "utf8" ), { filename: filePath } );
+} );
+
+/**
+ * A stand-in localStorage
+ */
+global.localStorage = {
+    items: {},
+    getItem: function( key ) {
+        return this.items.hasOwnProperty( key ) ? this.items[ key ] : null;
+    },
+    setItem: function( key, value ) {
+        this.items[ key ] = String( value );
+    }
+};
+
+/**
+ * A stand-in XMLHttpRequest, answered by the test
+ */
+function MockXMLHttpRequest() {
+    this.headers = {};
+    this.responseHeaders = {};
+    MockXMLHttpRequest.requests.push( this );
+}
+
+MockXMLHttpRequest.requests = [];
+
+MockXMLHttpRequest.prototype.open = function( method, url ) {
+    this.method = method;
+    this.url = url;
+};
+
+MockXMLHttpRequest.prototype.setRequestHeader = function( name, value ) {
+    this.headers[ name ] = value;
+};
+
+MockXMLHttpRequest.prototype.getResponseHeader = function( name ) {
+    return this.responseHeaders[ name ] || null;
+};
+
+MockXMLHttpRequest.prototype.send = function( body ) {
+    this.body = body;
+};
+
+/**
+ * Answer the request
+ */
+MockXMLHttpRequest.prototype.respond = function( status, json, headers ) {
+    this.status = status;
+    this.statusText = "";
+    this.responseText = json != null ? JSON.stringify( json ) : "";
+    this.response = this.responseText;
+    this.responseHeaders = headers || {};
+    this.onload();
+};
+
+/**
+ * Fail the request, as if the server can't be reached
+ */
+MockXMLHttpRequest.prototype.fail = function() {
+    this.status = 0;
+    this.onerror();
+};
+
+global.XMLHttpRequest = MockXMLHttpRequest;
+
+/**
+ * Returns the latest request
+ */
+function lastRequest() {
+    var requests = MockXMLHttpRequest.requests;
+    return requests[ requests.length - 1 ];
+}
+
+/**
+ * Create a client logged in as a new user
+ */
+var userCount = 0;
+function createClient() {
+    var client = new AccountClient( "http://localhost:5000", "test.account" );
+    var username = "user" + (++userCount);
+
+    client.login( username, "secret", false );
+    lastRequest().respond( 200, { username: username } );
+
+    return client;
+}
+
+var SCENE = { name: "Intro", bpm: 160, volume: 0.8, eq: [], loops: {} };
+
+test( "logs in through the API", function() {
+    var client = new AccountClient( "http://localhost:5000", "test.account" );
+    var loggedIn = null;
+    client.on( "login", function( username ) {
+        loggedIn = username;
+    } );
+
+    var message = null;
+    client.login( "andy", "wrong", false, null, null, function( error ) {
+        message = error;
+    } );
+    lastRequest().respond( 401, { error: "Username and password pair not found" } );
+
+    assert.equal( message, "Can't log in: Username and password pair not found" );
+    assert.equal( client.isLoggedIn(), false );
+
+    client.login( "andy", "secret", true );
+    var request = lastRequest();
+    assert.equal( request.method, "POST" );
+    assert.equal( request.url, "http://localhost:5000/api/login" );
+    assert.equal( request.withCredentials, true );
+    assert.deepEqual( JSON.parse( request.body ), { username: "andy", password: "secret", remember: true } );
+
+    request.respond( 200, { username: "andy" } );
+    assert.equal( loggedIn, "andy" );
+    assert.equal( client.isLoggedIn(), true );
+} );
+
+test( "adds new items, and changes loaded ones from their version", function() {
+    var client = createClient();
+
+    var saved = null;
+    client.save( "scenes", "Intro", SCENE, function( version ) {
+        saved = version;
+    } );
+
+    var request = lastRequest();
+    assert.equal( request.method, "PUT" );
+    assert.equal( request.url, "http://localhost:5000/api/scenes/Intro" );
+    assert.equal( request.headers[ "Content-Type" ], "application/json" );
+    assert.equal( request.headers[ "If-None-Match" ], "*" );
+    assert.deepEqual( JSON.parse( request.body ), SCENE );
+
+    request.respond( 201, { name: "Intro", version: 1 } );
+    assert.equal( saved, 1 );
+
+    client.load( "eqpresets", "Sub / air", function() {} );
+    assert.equal( lastRequest().url, "http://localhost:5000/api/eqpresets/Sub%20%2F%20air" );
+    lastRequest().respond( 200, [], { "ETag": "\"4\"" } );
+
+    client.save( "eqpresets", "Sub / air", [] );
+    assert.equal( lastRequest().headers[ "If-Match" ], "\"4\"" );
+    assert.equal( lastRequest().headers[ "If-None-Match" ], undefined );
+} );
+
+test( "hands back a conflict when the server's copy has changed", function() {
+    var client = createClient();
+    client.save( "scenes", "Intro", SCENE );
+    lastRequest().respond( 201, { name: "Intro", version: 1 } );
+
+    var message = null;
+    var conflict = null;
+    client.save( "scenes", "Intro", SCENE, null, null, function( error, turnedDown ) {
+        message = error;
+        conflict = turnedDown;
+    } );
+    lastRequest().respond( 412, { error: "Changed since you last synced it", version: 3 } );
+
+    assert.equal( message, "'Intro' has changed in your account since you last synced it" );
+    assert.deepEqual( conflict, { op: "save", kind: "scenes", name: "Intro", data: SCENE, version: 3 } );
+
+    // Overwriting replaces the version it conflicted with
+    var saved = null;
+    client.overwrite( conflict, function( version ) {
+        saved = version;
+    } );
+    assert.equal( lastRequest().headers[ "If-Match" ], "\"3\"" );
+
+    lastRequest().respond( 200, { name: "Intro", version: 4 } );
+    assert.equal( saved, 4 );
+} );
+
+test( "queues changes made offline and sends them when back", function() {
+    var client = createClient();
+    var pendingCounts = [];
+    client.on( "pending", function( count ) {
+        pendingCounts.push( count );
+    } );
+
+    var queued = false;
+    client.save( "scenes", "Intro", SCENE, function( version, wasQueued ) {
+        queued = wasQueued;
+    } );
+    lastRequest().fail();
+    assert.equal( queued, true );
+
+    // Later changes wait behind it, replacing any to the same item
+    var requestCount = MockXMLHttpRequest.requests.length;
+    client.save( "eqpresets", "Sub", [ { frequency: 60, gain: 6, Q: 1 } ] );
+    lastRequest().fail();
+    client.remove( "scenes", "Intro" );
+    assert.equal( MockXMLHttpRequest.requests.length, requestCount + 2 );
+    lastRequest().fail();
+
+    assert.deepEqual( client.pending.map( function( change ) {
+        return change.op + " " + change.name;
+    } ), [ "save Sub", "remove Intro" ] );
+    assert.deepEqual( pendingCounts, [ 1, 2, 2 ] );
+
+    // The queue is kept for the next visit
+    var state = JSON.parse( localStorage.getItem( client.getStorageKey() ) );
+    assert.equal( state.pending.length, 2 );
+
+    client.flush();
+    lastRequest().respond( 201, { name: "Sub", version: 1 } );
+    assert.equal( lastRequest().method, "DELETE" );
+    lastRequest().respond( 404, { error: "Not found" } );
+
+    assert.equal( client.pending.length, 0 );
+    assert.deepEqual( pendingCounts.slice( -2 ), [ 1, 0 ] );
+} );
+
+test( "reports conflicts in the queued changes", function() {
+    var client = createClient();
+    var conflicts = [];
+    client.on( "conflict", function( conflict ) {
+        conflicts.push( conflict );
+    } );
+
+    client.save( "scenes", "Intro", SCENE );
+    lastRequest().fail();
+
+    client.flush();
+    lastRequest().respond( 412, { error: "Changed since you last synced it", version: 2 } );
+
+    assert.equal( client.pending.length, 0 );
+    assert.equal( conflicts.length, 1 );
+    assert.equal( conflicts[0].version, 2 );
+} );
+
+test( "keeps the queue when the login has expired", function() {
+    var client = createClient();
+    var storageKey = null;
+    var loggedOut = false;
+    client.on( "logout", function() {
+        loggedOut = true;
+    } );
+
+    client.save( "scenes", "Intro", SCENE );
+    lastRequest().fail();
+    storageKey = client.getStorageKey();
+
+    client.flush();
+    lastRequest().respond( 401, { error: "Not logged in" } );
+
+    assert.equal( loggedOut, true );
+    assert.equal( client.isLoggedIn(), false );
+    assert.equal( JSON.parse( localStorage.getItem( storageKey ) ).pending.length, 1 );
+} );
+
+test( "won't send takes without a connection", function() {
+    var client = createClient();
+
+    var message = null;
+    client.save( "takes", "take1", { size: 44 }, null, null, function( error ) {
+        message = error;
+    } );
+    assert.equal( lastRequest().headers[ "Content-Type" ], "audio/wav" );
+    lastRequest().fail();
+
+    assert.equal( message, "Can't reach the server to save 'take1'" );
+    assert.equal( client.pending.length, 0 );
+} );
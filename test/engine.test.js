@@ -0,0 +1,735 @@
+/* -----------------------------------------------------
+ Sampler engine tests, run with: node --test test/*.test.js
+ ----------------------------------------------------- */
+
+var test = require( "node:test" );
+var assert = require( "node:assert" );
+var fs = require( "fs" );
+var path = require( "path" );
+var vm = require( "vm" );
+
+var mocks = require( "./mock-audio-context.js" );
+var MockAudioContext = mocks.MockAudioContext;
+var MockOfflineAudioContext = mocks.MockOfflineAudioContext;
+
+// Load the engine scripts as the page does, into the global scope
+global.window = global;
+[ "utils.js", "effects.js", "engine.js" ].forEach( function( fileName ) {
+    var filePath = path.join( __dirname, "..", fileName );
+    vm.runInThisContext( fs.readFileSync( filePath, "utf8" ), { filename: filePath } );
+} );
+
+var BUFFER_SECS = 2 / 1000;
+
+/**
+ * A stand-in XMLHttpRequest that answers with the queued
+ * statuses in turn, 0 being a network error
+ */
+function MockXMLHttpRequest() {
+    this.listeners = [];
+    MockXMLHttpRequest.requests.push( this );
+}
+
+MockXMLHttpRequest.statuses = [];
+MockXMLHttpRequest.requests = [];
+
+MockXMLHttpRequest.prototype.open = function( method, url ) {
+    this.url = url;
+};
+
+MockXMLHttpRequest.prototype.addEventListener = function( eventName, listenerFn ) {
+    this.listeners.push( listenerFn );
+};
+
+MockXMLHttpRequest.prototype.abort = function() {};
+
+MockXMLHttpRequest.prototype.send = function() {
+    var me = this;
+    var status = MockXMLHttpRequest.statuses.shift();
+
+    setImmediate( function() {
+        if( status == 0 ) {
+            me.onerror();
+        } else {
+            me.status = status;
+            me.statusText = status == 200 ? "OK" : "Not Found";
+            me.response = new ArrayBuffer( 8 );
+            if( status == 200 )
+                me.onprogress({ lengthComputable: true, loaded: 8, total: 8 });
+            me.onload();
+        }
+
+        me.listeners.forEach( function( listenerFn ) { listenerFn(); } );
+    } );
+};
+
+global.XMLHttpRequest = MockXMLHttpRequest;
+global.OfflineAudioContext = MockOfflineAudioContext;
+SamplerEngine.RETRY_DELAY_MS = 1;
+
+/**
+ * Assert that two times match, allowing for rounding
+ */
+function assertTime( actual, expected, message ) {
+    assert.ok( Math.abs( actual - expected ) < 1e-9,
+               (message || "time") + ": expected " + expected + ", got " + actual );
+}
+
+/**
+ * Create an engine at 120 BPM in 4/4, so a beat is half a
+ * second and a bar is two seconds, with one group of two
+ * loop pads and a one-shot pad
+ */
+function createEngine() {
+    var audioContext = new MockAudioContext();
+    var engine = new SamplerEngine( audioContext );
+    engine.bpm.value = 120;
+
+    var buffer = audioContext.createBuffer( 2, audioContext.sampleRate, audioContext.sampleRate );
+    engine.addGroup( "beats", "Beats" );
+    engine.loadSample( "amen", "beats", buffer, { label: "Amen", bpm: 160 } );
+    engine.loadSample( "think", "beats", buffer, { label: "Think", bpm: 120 } );
+    engine.loadSample( "stab", "beats", buffer, { label: "Stab", mode: "oneshot", quantize: "beat" } );
+
+    return engine;
+}
+
+/**
+ * Collect an engine event's arguments
+ */
+function record( engine, eventName ) {
+    var calls = [];
+    engine.on( eventName, function() {
+        calls.push( Array.prototype.slice.call( arguments ) );
+    } );
+    return calls;
+}
+
+test( "starts immediately when nothing is playing", function() {
+    var engine = createEngine();
+    engine.audioContext.currentTime = 5.3;
+
+    assertTime( engine.getNextDownbeat(), 5.3 + BUFFER_SECS );
+    assertTime( engine.getQuantizedTime( "beat" ), 5.3 + BUFFER_SECS );
+    assertTime( engine.getQuantizedTime( "4bars" ), 5.3 + BUFFER_SECS );
+} );
+
+test( "waits for the next downbeat of the playing music", function() {
+    var engine = createEngine();
+    engine.startLoop( "amen", 1 );
+
+    engine.audioContext.currentTime = 4.1;
+    assertTime( engine.getNextDownbeat(), 5 );
+
+    engine.audioContext.currentTime = 5.5;
+    assertTime( engine.getNextDownbeat(), 7 );
+} );
+
+test( "quantizes to beats and multiple bars", function() {
+    var engine = createEngine();
+    engine.startLoop( "amen", 1 );
+    engine.audioContext.currentTime = 4.1;
+
+    assertTime( engine.getQuantizedTime( "beat" ), 4.5 );
+    assertTime( engine.getQuantizedTime( "bar" ), 5 );
+    assertTime( engine.getQuantizedTime( "2bars" ), 5 );
+    assertTime( engine.getQuantizedTime( "4bars" ), 9 );
+    assertTime( engine.getQuantizedTime( "immediate" ), 4.1 + BUFFER_SECS );
+} );
+
+test( "follows the time signature", function() {
+    var engine = createEngine();
+    engine.beatsPerMeasure = 3;
+    engine.startLoop( "amen", 0 );
+
+    engine.audioContext.currentTime = 1.6;
+    assertTime( engine.getMeasureDuration(), 1.5 );
+    assertTime( engine.getNextDownbeat(), 3 );
+} );
+
+test( "uses the pending start time before the music starts", function() {
+    var engine = createEngine();
+    engine.startLoop( "amen", 2 );
+
+    engine.audioContext.currentTime = 1;
+    assertTime( engine.getNextDownbeat(), 2 );
+} );
+
+test( "keeps the bar position across tempo changes", function() {
+    var engine = createEngine();
+    engine.startLoop( "amen", 0 );
+
+    // Half way through the second bar at 120 BPM...
+    engine.audioContext.currentTime = 3;
+    engine.bpm.value = 60;
+
+    // ...is still half way through the second bar at 60 BPM
+    assertTime( engine.getBeatPosition(), 6 );
+    assertTime( engine.getNextDownbeat(), 5, "next downbeat" );
+} );
+
+test( "counts bars and beats across transitions", function() {
+    var engine = createEngine();
+    engine.startLoop( "amen", 0 );
+
+    engine.audioContext.currentTime = 3.1;
+    var position = engine.getBarBeat();
+    assert.strictEqual( position.bar, 2 );
+    assert.strictEqual( position.beat, 3 );
+    assertTime( position.fraction, 0.2 );
+
+    // A transition on the beat keeps counting the bar
+    engine.musicGroups.beats.transition.quantize = "beat";
+    engine.startLoop( "think" );
+    assertTime( engine.musicStartSecs, 0 );
+
+    engine.audioContext.currentTime = 3.5;
+    position = engine.getBarBeat();
+    assert.strictEqual( position.bar, 2 );
+    assert.strictEqual( position.beat, 4 );
+} );
+
+test( "brings loops in where their phrase would be on the clock", function() {
+    var engine = createEngine();
+    var audioContext = engine.audioContext;
+    var buffer = audioContext.createBuffer( 2, 8 * audioContext.sampleRate, audioContext.sampleRate );
+    engine.addGroup( "keys", "Keys" );
+    engine.loadSample( "rhodes", "keys", buffer, { label: "Rhodes", bpm: 120 } );
+
+    // Eight seconds at 120 BPM is four bars, and the two
+    // beat loop is half a bar
+    assert.strictEqual( engine.getLoopBars( "rhodes" ), 4 );
+    assert.strictEqual( engine.getLoopBars( "think" ), 0.5 );
+    assert.strictEqual( engine.getLoopBars( "stab" ), null );
+
+    // Brought in on the third bar, the loop starts half way
+    engine.startLoop( "think", 0 );
+    audioContext.currentTime = 3.9;
+    engine.startLoop( "rhodes" );
+
+    var source = audioContext.sources[ audioContext.sources.length - 1 ];
+    assertTime( source.startArgs[0], 4 );
+    assertTime( source.startArgs[1], 4 );
+    assert.strictEqual( source.loopEnd, 0 );
+
+    audioContext.currentTime = 5;
+    assertTime( engine.getLoopPosition( "keys" ), 5 / 8 );
+
+    // A loop declared shorter than its audio loops its phrase
+    engine.loadSample( "intro", "keys", buffer, { label: "Intro", bpm: 120, bars: 3 } );
+    engine.startLoop( "intro" );
+
+    source = audioContext.sources[ audioContext.sources.length - 1 ];
+    assertTime( source.startArgs[0], 6 );
+    assertTime( source.startArgs[1], 0 );
+    assertTime( source.loopEnd, 6 );
+} );
+
+test( "keeps the clock running through silence when asked", function() {
+    var engine = createEngine();
+    var audioContext = engine.audioContext;
+
+    // The clock starts when kept running
+    audioContext.currentTime = 1;
+    engine.setKeepClock( true );
+    assertTime( engine.musicStartSecs, 1 + BUFFER_SECS );
+
+    engine.startLoop( "think" );
+    engine.stopLoop( "beats", 3 );
+    assert.strictEqual( engine.isClockRunning(), true );
+
+    // The loop comes back on the grid, in phase
+    audioContext.currentTime = 4.2;
+    engine.musicGroups.beats.transition.quantize = "beat";
+    engine.startLoop( "think" );
+
+    var source = audioContext.sources[ audioContext.sources.length - 1 ];
+    assertTime( source.startArgs[0], 4.502 );
+    assertTime( source.startArgs[1], 0.5 );
+
+    // Letting go stops the clock once the music stops
+    engine.setKeepClock( false );
+    assert.strictEqual( engine.isClockRunning(), true );
+
+    engine.stopLoop( "beats", 5 );
+    assert.strictEqual( engine.isClockRunning(), false );
+    assert.strictEqual( engine.getBarBeat(), null );
+} );
+
+test( "counts in a bar before the first loop", function() {
+    var engine = createEngine();
+    var countIns = record( engine, "countIn" );
+    var clicks = [];
+    engine.metronome.click = function( startSecs, downbeat ) {
+        clicks.push( [ startSecs, downbeat ] );
+    };
+
+    engine.metronome.countIn = true;
+    engine.audioContext.currentTime = 1;
+    engine.startLoop( "amen" );
+    engine.stopLoop( "beats", 4 );
+
+    var startSecs = 1 + BUFFER_SECS + 2;
+    assert.deepStrictEqual( countIns, [ [ startSecs ] ] );
+    assertTime( engine.audioContext.sources[0].startSecs, startSecs );
+
+    // The count-in clicks from the first beat, accented
+    assert.strictEqual( clicks.length, 1 );
+    assertTime( clicks[0][0], 1 + BUFFER_SECS );
+    assert.strictEqual( clicks[0][1], true );
+} );
+
+test( "follows the loop position in beats", function() {
+    var engine = createEngine();
+    engine.startLoop( "amen", 1 );
+
+    engine.audioContext.currentTime = 0.5;
+    assert.strictEqual( engine.getLoopPosition( "beats" ), null );
+
+    // A beat at 120 BPM is 0.375 seconds of the 160 BPM loop
+    engine.audioContext.currentTime = 1.5;
+    assertTime( engine.getLoopPosition( "beats" ), 0.375 );
+
+    // The position holds through a tempo change
+    engine.bpm.value = 60;
+    assertTime( engine.getLoopPosition( "beats" ), 0.375 );
+} );
+
+test( "schedules loops and reports them", function() {
+    var engine = createEngine();
+    var scheduled = record( engine, "loopScheduled" );
+
+    engine.startLoop( "amen", 1 );
+
+    var source = engine.audioContext.sources[0];
+    assert.deepStrictEqual( scheduled, [ [ "amen", "beats", 1 ] ] );
+    assert.strictEqual( source.startSecs, 1 );
+    assert.strictEqual( source.loop, true );
+    assert.strictEqual( source.playbackRate.value, 120 / 160 );
+    assert.strictEqual( engine.activeMusicGroupCount, 1 );
+} );
+
+test( "transitions between the loops in a group", function() {
+    var engine = createEngine();
+    var transitions = record( engine, "transition" );
+
+    engine.startLoop( "amen", 1 );
+    engine.musicGroups.beats.transition.mode = "crossfade";
+    engine.audioContext.currentTime = 2.2;
+    engine.startLoop( "think" );
+
+    var sources = engine.audioContext.sources;
+    assert.deepStrictEqual( transitions, [ [ "beats", "amen", "think", 3, "crossfade" ] ] );
+    assertTime( sources[1].startSecs, 3 );
+
+    // The old loop fades out over the two beat crossfade
+    assertTime( sources[0].stopSecs, 4 );
+    assert.strictEqual( engine.activeMusicGroupCount, 1 );
+    assert.strictEqual( engine.musicGroups.beats.activeElemId, "think" );
+} );
+
+test( "fades a loop out from where its crossfade has got to", function() {
+    var engine = createEngine();
+    engine.musicGroups.beats.transition.mode = "crossfade";
+
+    engine.startLoop( "amen", 1 );
+    engine.audioContext.currentTime = 2.2;
+    engine.startLoop( "think" );
+
+    // Half way into the crossfade, the music stops
+    var gain = engine.musicGroups.beats.activeVoice.gain.gain;
+    engine.audioContext.currentTime = 3.5;
+    gain.value = 0.5;
+    engine.stopLoop( "beats", 3.5 );
+
+    var fade = gain.automation.slice( -4 );
+    assert.deepStrictEqual( fade.slice( 0, 3 ), [
+        [ "cancelScheduledValues", 0 ],
+        [ "setValueAtTime", 0.5, 3.5 ],
+        [ "setValueAtTime", 0.5, 3.5 ]
+    ] );
+    assert.strictEqual( fade[3][0], "setValueCurveAtTime" );
+    assert.strictEqual( fade[3][1][0], 0.5 );
+} );
+
+test( "keeps a crossfade that hasn't started when fading the loop out", function() {
+    var engine = createEngine();
+    engine.musicGroups.beats.transition.mode = "crossfade";
+
+    engine.startLoop( "amen", 1 );
+    engine.audioContext.currentTime = 2.2;
+    engine.startLoop( "think" );
+
+    // Stopped half way into a crossfade that's still to come
+    var gain = engine.musicGroups.beats.activeVoice.gain.gain;
+    engine.audioContext.currentTime = 2.5;
+    engine.stopLoop( "beats", 3.5 );
+
+    var fade = gain.automation.slice( -5 );
+    var level = SamplerEngine.getFadeCurve( true )[31];
+    assert.deepStrictEqual( fade[0], [ "cancelScheduledValues", 0 ] );
+    assert.deepStrictEqual( fade[1], [ "setValueAtTime", 0, 2.5 ] );
+    assert.strictEqual( fade[2][0], "setValueCurveAtTime" );
+    assert.strictEqual( fade[2][1].length, 32 );
+    assert.strictEqual( fade[2][2], 3 );
+    assertTime( fade[2][3], 31 / 63 );
+    assert.strictEqual( fade[3][0], "setValueAtTime" );
+    assert.strictEqual( fade[3][1], level );
+    assert.strictEqual( fade[3][2], 3.5 );
+    assert.strictEqual( fade[4][1][0], Math.fround( level ) );
+} );
+
+test( "stops loops and resets the grid", function() {
+    var engine = createEngine();
+    var stops = record( engine, "loopStop" );
+
+    engine.startLoop( "amen", 1 );
+    engine.stopLoop( "beats", 3 );
+
+    assert.deepStrictEqual( stops, [ [ "amen", "beats", 3 ] ] );
+    assertTime( engine.audioContext.sources[0].stopSecs, 3.005 );
+    assert.strictEqual( engine.activeMusicGroupCount, 0 );
+    assert.strictEqual( engine.musicStartSecs, -1 );
+} );
+
+test( "quantizes one-shots to their grid", function() {
+    var engine = createEngine();
+    var shots = record( engine, "shot" );
+
+    engine.startLoop( "amen", 1 );
+    engine.audioContext.currentTime = 1.2;
+    engine.triggerOneShot( "stab" );
+
+    assert.deepStrictEqual( shots, [ [ "stab", "beats", 1.5 ] ] );
+} );
+
+test( "clamps and steps parameters", function() {
+    var engine = createEngine();
+    var changes = record( engine, "paramChange" );
+
+    engine.registerParam( "volume", engine.musicLayer.gain, { min: 0, max: 1, step: 0.1 } );
+
+    assert.strictEqual( engine.setParam( "volume", 0.34 ), 0.3 );
+    assert.strictEqual( engine.setParam( "volume", 3 ), 1 );
+    assert.strictEqual( engine.musicLayer.gain.value, 1 );
+    assert.strictEqual( engine.setParam( "missing", 1 ), null );
+    assert.deepStrictEqual( changes, [ [ "volume", 0.3 ], [ "volume", 1 ] ] );
+} );
+
+test( "starts with only the limiter on the master bus", function() {
+    var layer = createEngine().musicLayer;
+
+    assert.strictEqual( layer.compressor.bypassed, true );
+    assert.strictEqual( layer.compressor.wetNode.gain.value, 0 );
+    assert.strictEqual( layer.limiter.bypassed, false );
+    assert.strictEqual( layer.limiter.getReduction, layer.compressor.getReduction );
+} );
+
+test( "reports decoded samples and forgets them on reset", function() {
+    var engine = createEngine();
+    var ready = record( engine, "padReady" );
+
+    engine.decodeAudio( new ArrayBuffer( 8 ), "break.wav", function( audioBuffer ) {
+        engine.loadSample( "break", "beats", audioBuffer );
+    } );
+    assert.deepStrictEqual( ready, [ [ "break" ] ] );
+
+    engine.registerParam( "beats volume", engine.musicGroups.beats.channel.gain, { groupId: "beats" } );
+    engine.startLoop( "break", 0 );
+    engine.reset();
+
+    assert.deepStrictEqual( engine.pads, {} );
+    assert.deepStrictEqual( engine.musicGroups, {} );
+    assert.strictEqual( engine.params[ "beats volume" ], undefined );
+    assert.strictEqual( engine.activeMusicGroupCount, 0 );
+} );
+
+/**
+ * Load a sample from a URL, resolving with the load events
+ * once it's ready or has failed
+ */
+function loadFromUrl( engine, statuses, options ) {
+    MockXMLHttpRequest.statuses = statuses;
+    MockXMLHttpRequest.requests = [];
+
+    return new Promise( function( resolve ) {
+        var events = [];
+        [ "padProgress", "padRetry", "padReady", "padError" ].forEach( function( eventName ) {
+            engine.on( eventName, function( padId, detail ) {
+                events.push( [ eventName, detail ] );
+
+                if( eventName == "padReady" || eventName == "padError" )
+                    resolve( events );
+            } );
+        } );
+
+        engine.loadSample( "remote", "beats", "http://example.com/break.wav", options );
+    } );
+}
+
+test( "retries network and server errors", function() {
+    var engine = createEngine();
+
+    return loadFromUrl( engine, [ 0, 503, 200 ] ).then( function( events ) {
+        assert.deepStrictEqual( events.map( function( event ) { return event[0]; } ),
+                                [ "padRetry", "padRetry", "padProgress", "padReady" ] );
+        assert.strictEqual( events[0][1], "Network error" );
+        assert.strictEqual( MockXMLHttpRequest.requests.length, 3 );
+        assert.ok( engine.pads.remote.buffer != null );
+        assert.deepStrictEqual( engine.pendingLoads, [] );
+    } );
+} );
+
+test( "reports missing samples without retrying", function() {
+    var engine = createEngine();
+
+    return loadFromUrl( engine, [ 404 ] ).then( function( events ) {
+        assert.deepStrictEqual( events, [ [ "padError", "HTTP 404 Not Found" ] ] );
+        assert.strictEqual( MockXMLHttpRequest.requests.length, 1 );
+    } );
+} );
+
+test( "loads decoded audio from the cache", function() {
+    var engine = createEngine();
+    var cached = {};
+    engine.audioCache = {
+        getAudio: function( url, version, audioContext, callbackFn ) {
+            setImmediate( callbackFn, cached[ url + "@" + version ] || null );
+        },
+        putAudio: function( url, version, audioBuffer ) {
+            cached[ url + "@" + version ] = audioBuffer;
+        }
+    };
+
+    return loadFromUrl( engine, [ 200 ] ).then( function() {
+        assert.ok( cached[ "http://example.com/break.wav@undefined" ] != null );
+
+        return loadFromUrl( engine, [] );
+    } ).then( function( events ) {
+        assert.deepStrictEqual( events, [ [ "padReady", undefined ] ] );
+        assert.strictEqual( MockXMLHttpRequest.requests.length, 0 );
+    } );
+} );
+
+test( "loads audio again for another version", function() {
+    var engine = createEngine();
+    var cached = {};
+    engine.audioCache = {
+        getAudio: function( url, version, audioContext, callbackFn ) {
+            setImmediate( callbackFn, cached[ url + "@" + version ] || null );
+        },
+        putAudio: function( url, version, audioBuffer ) {
+            cached[ url + "@" + version ] = audioBuffer;
+        }
+    };
+
+    return loadFromUrl( engine, [ 200 ], { version: 1 } ).then( function() {
+        return loadFromUrl( engine, [ 200 ], { version: 2 } );
+    } ).then( function() {
+        assert.strictEqual( MockXMLHttpRequest.requests.length, 1 );
+        assert.deepStrictEqual( Object.keys( cached ), [
+            "http://example.com/break.wav@1",
+            "http://example.com/break.wav@2"
+        ] );
+    } );
+} );
+
+test( "bounces a stem for each playing group and a mix", function() {
+    var engine = createEngine();
+    var audioContext = engine.audioContext;
+    MockOfflineAudioContext.instances = [];
+
+    // A three second loop, and a loop in a muted group
+    var buffer = audioContext.createBuffer( 2, 3 * audioContext.sampleRate, audioContext.sampleRate );
+    engine.addGroup( "bass", "Bass" );
+    engine.loadSample( "sub", "bass", buffer, { label: "Sub", bpm: 120 } );
+    engine.startLoop( "sub", 1 );
+    engine.startLoop( "think", 3 );
+    engine.muteGroup( "beats", true );
+    audioContext.currentTime = 4.1;
+
+    return new Promise( function( resolve, reject ) {
+        engine.bounce( 2, resolve, null, reject );
+    } ).then( function( results ) {
+        assert.deepStrictEqual( results.map( function( result ) { return result.id; } ),
+                                [ "beats", "bass", "mix" ] );
+        assert.strictEqual( results[1].label, "Bass" );
+        assert.strictEqual( results[2].audioBuffer.length, 4 * audioContext.sampleRate );
+
+        // The bounce starts on the next downbeat, at five seconds
+        var contexts = MockOfflineAudioContext.instances;
+        var think = contexts[0].sources[0];
+        var sub = contexts[1].sources[0];
+        assert.deepStrictEqual( think.startArgs, [ 0, 0 ] );
+        assert.deepStrictEqual( sub.startArgs, [ 0, 1 ] );
+        assert.strictEqual( contexts[2].sources.length, 2 );
+
+        // Only the mix is muted
+        function getMute( sourceNode ) {
+            return sourceNode.outputs[0].outputs[0].outputs[0].gain.value;
+        }
+        assert.strictEqual( getMute( think ), 1 );
+        assert.strictEqual( getMute( contexts[2].sources[0] ), 0 );
+    } );
+} );
+
+test( "won't bounce silence", function() {
+    var engine = createEngine();
+
+    return new Promise( function( resolve, reject ) {
+        engine.bounce( 2, reject, null, resolve );
+    } ).then( function( message ) {
+        assert.strictEqual( message, "Nothing is playing" );
+    } );
+} );
+
+test( "ducks the target groups under the source one-shots", function() {
+    var engine = createEngine();
+    var audioContext = engine.audioContext;
+    var buffer = audioContext.createBuffer( 2, audioContext.sampleRate, audioContext.sampleRate );
+    engine.addGroup( "banter", "Banter" );
+    engine.loadSample( "dread", "banter", buffer, { label: "Dread Control", mode: "oneshot" } );
+
+    var duck = engine.musicGroups.beats.channel.duck;
+    var banterDuck = engine.musicGroups.banter.channel.duck;
+    function getLastTargets( param ) {
+        return param.automation.slice( -2 );
+    }
+
+    // Down for the shot's second, held, then released
+    engine.triggerOneShot( "dread", 2 );
+    assert.deepStrictEqual( getLastTargets( duck ), [
+        [ "setTargetAtTime", Math.pow( 10, -12 / 20 ), 2, 0.02 / 3 ],
+        [ "setTargetAtTime", 1, 3.1, 0.5 / 3 ]
+    ] );
+    assert.deepStrictEqual( banterDuck.automation.slice( -1 ), [ [ "setTargetAtTime", 1, 0, 0.5 / 3 ] ] );
+
+    // Cutting the shot short brings the release forward
+    audioContext.currentTime = 2.2;
+    engine.stopOneShot( "dread", 2.5 );
+    assertTime( getLastTargets( duck )[1][2], 2.6 );
+
+    // Groups can change roles
+    engine.ducker.setRole( "beats", "none" );
+    assert.deepStrictEqual( duck.automation.slice( -1 ), [ [ "setTargetAtTime", 1, 2.2, 0.5 / 3 ] ] );
+    assert.strictEqual( engine.ducker.getRole( "banter" ), "source" );
+} );
+
+test( "rolls a beat repeat on its grid and drops back into the loop", function() {
+    var engine = createEngine();
+    var audioContext = engine.audioContext;
+    var fxEvents = record( engine, "performanceFx" );
+    var loopGain = engine.musicGroups.beats.loopNode.gain;
+
+    engine.startLoop( "think", 0 );
+    audioContext.currentTime = 1.1;
+    assert.strictEqual( engine.performanceFx.engage( "beats", "repeat", 16 ), true );
+
+    // A 16th at 120 BPM is an eighth of a second, so the roll
+    // starts at 1.125 seconds, an eighth into the second pass
+    var roll = audioContext.sources[ audioContext.sources.length - 1 ];
+    assert.strictEqual( roll.loop, true );
+    assertTime( roll.startArgs[0], 1.125 );
+    assertTime( roll.startArgs[1], 0.125 );
+    assertTime( roll.loopStart, 0.125 );
+    assertTime( roll.loopEnd, 0.25 );
+    assert.deepStrictEqual( loopGain.automation.slice( -1 ), [ [ "setTargetAtTime", 0, 1.125, 0.005 / 3 ] ] );
+    assert.strictEqual( engine.performanceFx.getEffect( "beats" ), "repeat" );
+
+    // The loop kept playing underneath, so it comes straight back
+    audioContext.currentTime = 2;
+    engine.performanceFx.release( "beats" );
+
+    assertTime( roll.stopSecs, 2.005 );
+    assert.deepStrictEqual( loopGain.automation.slice( -1 ), [ [ "setTargetAtTime", 1, 2, 0.005 / 3 ] ] );
+    assert.strictEqual( audioContext.sources[0].stopSecs, null );
+    assert.strictEqual( engine.performanceFx.getEffect( "beats" ), null );
+    assert.deepStrictEqual( fxEvents, [ [ "beats", "repeat", 1.125 ], [ "beats", null, 2 ] ] );
+} );
+
+test( "plays the loop backwards from where it is", function() {
+    var engine = createEngine();
+    var audioContext = engine.audioContext;
+    var buffer = engine.pads.think.buffer;
+    buffer.getChannelData( 0 )[0] = 1;
+
+    engine.startLoop( "think", 0 );
+    audioContext.currentTime = 0.3;
+    engine.performanceFx.engage( "beats", "reverse" );
+
+    var source = audioContext.sources[ audioContext.sources.length - 1 ];
+    assert.strictEqual( source.buffer, buffer.reversedBuffer );
+    assert.strictEqual( source.buffer.getChannelData( 0 )[ buffer.length - 1 ], 1 );
+    assertTime( source.startArgs[0], 0.3 + BUFFER_SECS );
+    assertTime( source.startArgs[1], 1 - 0.3 - BUFFER_SECS );
+} );
+
+test( "cuts a held effect when its loop stops", function() {
+    var engine = createEngine();
+    var audioContext = engine.audioContext;
+    var fxEvents = record( engine, "performanceFx" );
+
+    engine.startLoop( "think", 0 );
+    audioContext.currentTime = 1.1;
+    engine.performanceFx.engage( "beats", "repeat", 16 );
+    var roll = audioContext.sources[ audioContext.sources.length - 1 ];
+
+    engine.stopLoop( "beats", 2 );
+
+    assertTime( roll.stopSecs, 2.005 );
+    assert.strictEqual( engine.performanceFx.getEffect( "beats" ), null );
+    assert.deepStrictEqual( fxEvents.slice( -1 ), [ [ "beats", null, 2 ] ] );
+} );
+
+test( "keeps held effects at the project tempo", function() {
+    var engine = createEngine();
+    var audioContext = engine.audioContext;
+
+    engine.startLoop( "amen", 0 );
+    audioContext.currentTime = 0.3;
+    engine.performanceFx.engage( "beats", "reverse" );
+    var source = audioContext.sources[ audioContext.sources.length - 1 ];
+
+    engine.bpm.value = 80;
+    assert.strictEqual( source.playbackRate.value, 80 / 160 );
+    assert.strictEqual( audioContext.sources[0].playbackRate.value, 80 / 160 );
+
+    // A slow down keeps to its own speed curve
+    engine.performanceFx.engage( "beats", "tapestop" );
+    source = audioContext.sources[ audioContext.sources.length - 1 ];
+    engine.bpm.value = 120;
+    assert.strictEqual( source.playbackRate.value, 80 / 160 );
+} );
+
+test( "winds the master loops down, leaving the pending ones", function() {
+    var engine = createEngine();
+    var audioContext = engine.audioContext;
+    var buffer = audioContext.createBuffer( 2, audioContext.sampleRate, audioContext.sampleRate );
+    engine.addGroup( "synths", "Synths" );
+    engine.loadSample( "pad", "synths", buffer, { label: "Pad", bpm: 120 } );
+
+    engine.startLoop( "amen", 0 );
+    engine.startLoop( "pad", 4 );
+    audioContext.currentTime = 1;
+    var sourceCount = audioContext.sources.length;
+
+    engine.performanceFx.engage( PerformanceFx.MASTER, "tapestop" );
+    assert.strictEqual( audioContext.sources.length, sourceCount + 1 );
+
+    // Down to a stop over two beats, from the loop's speed
+    var source = audioContext.sources[ sourceCount ];
+    var glide = source.playbackRate.automation[0];
+    assert.strictEqual( glide[0], "setValueCurveAtTime" );
+    assert.strictEqual( glide[1][0], 120 / 160 );
+    assertTime( glide[1][ glide[1].length - 1 ], 0, "end speed" );
+    assertTime( glide[2], 1 + BUFFER_SECS );
+    assertTime( glide[3], 1 );
+
+    assert.strictEqual( engine.performanceFx.getEffect( "synths" ), null );
+    assert.strictEqual( engine.performanceFx.getEffect( PerformanceFx.MASTER ), "tapestop" );
+
+    // Resetting the board lets go
+    engine.reset();
+    assertTime( source.stopSecs, 1.005 );
+    assert.strictEqual( engine.performanceFx.getEffect( PerformanceFx.MASTER ), null );
+} );
@@ -0,0 +1,250 @@
+/* -----------------------------------------------------
+ A stand-in AudioContext for running the engine under Node.
+ The nodes don't process audio, they only record how they're
+ connected and scheduled.
+ ----------------------------------------------------- */
+
+/**
+ * A stand-in AudioParam that records its automation
+ *
+ * @param {Number}  value       The default value
+ *
+ * @constructor
+ */
+function MockAudioParam( value ) {
+    this.value = value;
+    this.defaultValue = value;
+    this.minValue = -3.4028235e38;
+    this.maxValue = 3.4028235e38;
+
+    // The automation calls, as [ method, args... ]
+    this.automation = [];
+}
+
+[ "setValueAtTime",
+  "linearRampToValueAtTime",
+  "exponentialRampToValueAtTime",
+  "setTargetAtTime",
+  "setValueCurveAtTime",
+  "cancelScheduledValues" ].forEach( function( method ) {
+    MockAudioParam.prototype[ method ] = function() {
+        this.automation.push( [ method ].concat( Array.prototype.slice.call( arguments ) ) );
+        return this;
+    };
+} );
+
+/**
+ * A stand-in AudioNode
+ *
+ * @param {MockAudioContext}    context     The parent context
+ * @param {Object}              [params]    The node's parameters and their default values
+ *
+ * @constructor
+ */
+function MockAudioNode( context, params ) {
+    this.context = context;
+    this.outputs = [];
+
+    for( var name in params || {} )
+        this[ name ] = new MockAudioParam( params[ name ] );
+}
+
+MockAudioNode.prototype.connect = function( destNode ) {
+    this.outputs.push( destNode );
+    return destNode;
+};
+
+MockAudioNode.prototype.disconnect = function() {
+    this.outputs = [];
+};
+
+/**
+ * A stand-in scheduled source node
+ *
+ * @param {MockAudioContext}    context     The parent context
+ * @param {Object}              [params]    The node's parameters and their default values
+ *
+ * @constructor
+ * @extends {MockAudioNode}
+ */
+function MockSourceNode( context, params ) {
+    MockAudioNode.call( this, context, params );
+
+    this.startSecs = null;
+    this.startArgs = null;
+    this.stopSecs = null;
+    this.onended = null;
+}
+
+MockSourceNode.prototype = Object.create( MockAudioNode.prototype );
+
+MockSourceNode.prototype.start = function( startSecs ) {
+    this.startSecs = startSecs || 0;
+    this.startArgs = Array.prototype.slice.call( arguments );
+};
+
+MockSourceNode.prototype.stop = function( stopSecs ) {
+    this.stopSecs = stopSecs || 0;
+};
+
+/**
+ * A stand-in AudioBuffer
+ *
+ * @param {Number}  channelsNum     The number of channels
+ * @param {Number}  length          The length in samples
+ * @param {Number}  sampleRate      The sample rate
+ *
+ * @constructor
+ */
+function MockAudioBuffer( channelsNum, length, sampleRate ) {
+    this.numberOfChannels = channelsNum;
+    this.length = length;
+    this.sampleRate = sampleRate;
+    this.duration = length / sampleRate;
+
+    this.channels = [];
+    for( var channel = 0; channel < channelsNum; channel++ )
+        this.channels.push( new Float32Array( length ) );
+}
+
+MockAudioBuffer.prototype.getChannelData = function( channel ) {
+    return this.channels[ channel ];
+};
+
+/**
+ * A stand-in AudioContext, whose clock only moves when
+ * currentTime is set
+ *
+ * @param {Number}  [sampleRate]    The sample rate, defaults to 44100
+ *
+ * @constructor
+ */
+function MockAudioContext( sampleRate ) {
+    this.sampleRate = sampleRate || 44100;
+    this.currentTime = 0;
+    this.destination = new MockAudioNode( this );
+
+    // Every source node created, in order
+    this.sources = [];
+}
+
+MockAudioContext.prototype.createGain = function() {
+    return new MockAudioNode( this, { gain: 1 } );
+};
+
+MockAudioContext.prototype.createStereoPanner = function() {
+    return new MockAudioNode( this, { pan: 0 } );
+};
+
+MockAudioContext.prototype.createBiquadFilter = function() {
+    var node = new MockAudioNode( this, { frequency: 350, Q: 1, gain: 0, detune: 0 } );
+    node.type = "lowpass";
+    return node;
+};
+
+MockAudioContext.prototype.createDelay = function() {
+    return new MockAudioNode( this, { delayTime: 0 } );
+};
+
+MockAudioContext.prototype.createDynamicsCompressor = function() {
+    var node = new MockAudioNode( this, { threshold: -24, knee: 30, ratio: 12,
+                                          attack: 0.003, release: 0.25 } );
+    node.reduction = 0;
+    return node;
+};
+
+MockAudioContext.prototype.createWaveShaper = function() {
+    var node = new MockAudioNode( this );
+    node.curve = null;
+    return node;
+};
+
+MockAudioContext.prototype.createConvolver = function() {
+    var node = new MockAudioNode( this );
+    node.buffer = null;
+    return node;
+};
+
+MockAudioContext.prototype.createChannelSplitter = function() {
+    return new MockAudioNode( this );
+};
+
+MockAudioContext.prototype.createAnalyser = function() {
+    var node = new MockAudioNode( this );
+    node.fftSize = 2048;
+    node.getFloatFrequencyData = function() {};
+    node.getFloatTimeDomainData = function() {};
+    Object.defineProperty( node, "frequencyBinCount", {
+        get: function() {
+            return this.fftSize / 2;
+        }
+    } );
+    return node;
+};
+
+MockAudioContext.prototype.createOscillator = function() {
+    var node = new MockSourceNode( this, { frequency: 440, detune: 0 } );
+    node.type = "sine";
+    return node;
+};
+
+MockAudioContext.prototype.createBufferSource = function() {
+    var node = new MockSourceNode( this, { playbackRate: 1, detune: 0 } );
+    node.buffer = null;
+    node.loop = false;
+    node.loopStart = 0;
+    node.loopEnd = 0;
+
+    this.sources.push( node );
+    return node;
+};
+
+MockAudioContext.prototype.createBuffer = function( channelsNum, length, sampleRate ) {
+    return new MockAudioBuffer( channelsNum, length, sampleRate );
+};
+
+MockAudioContext.prototype.decodeAudioData = function( audioData, successFn, errorFn ) {
+    if( audioData == null || audioData.byteLength == 0 ) {
+        errorFn();
+        return;
+    }
+
+    successFn( this.createBuffer( 2, this.sampleRate, this.sampleRate ) );
+};
+
+/**
+ * A stand-in OfflineAudioContext, which renders silence
+ *
+ * @param {Number}  channelsNum     The number of channels
+ * @param {Number}  length          The render length in sample frames
+ * @param {Number}  sampleRate      The sample rate
+ *
+ * @constructor
+ */
+function MockOfflineAudioContext( channelsNum, length, sampleRate ) {
+    MockAudioContext.call( this, sampleRate );
+    this.channelsNum = channelsNum;
+    this.length = length;
+    this.oncomplete = null;
+
+    MockOfflineAudioContext.instances.push( this );
+}
+
+MockOfflineAudioContext.prototype = Object.create( MockAudioContext.prototype );
+
+// Every offline context created, in order
+MockOfflineAudioContext.instances = [];
+
+MockOfflineAudioContext.prototype.startRendering = function() {
+    var me = this;
+
+    setImmediate( function() {
+        me.oncomplete( { renderedBuffer: me.createBuffer( me.channelsNum, me.length, me.sampleRate ) } );
+    } );
+};
+
+module.exports = {
+    MockAudioContext:           MockAudioContext,
+    MockAudioBuffer:            MockAudioBuffer,
+    MockOfflineAudioContext:    MockOfflineAudioContext
+};
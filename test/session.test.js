@@ -0,0 +1,279 @@
+/* -----------------------------------------------------
+ Jam session tests, run with: node --test test/*.test.js
+ ----------------------------------------------------- */
+
+var test = require( "node:test" );
+var assert = require( "node:assert" );
+var fs = require( "fs" );
+var path = require( "path" );
+var vm = require( "vm" );
+
+var MockAudioContext = require( "./mock-audio-context.js" ).MockAudioContext;
+
+// Load the engine scripts as the page does, into the global scope
+global.window = global;
+[ "utils.js", "effects.js", "engine.js", "session.js" ].forEach( function( fileName ) {
+    var filePath = path.join( __dirname, "..", fileName );
+    vm.runInThisContext( fs.readFileSync( filePath, "utf8" ), { filename: filePath } );
+} );
+
+/**
+ * A stand-in WebSocket that records what's sent, already open
+ */
+function MockWebSocket( url ) {
+    this.url = url;
+    this.readyState = 1;
+    this.sent = [];
+    MockWebSocket.last = this;
+}
+
+MockWebSocket.prototype.send = function( text ) {
+    this.sent.push( JSON.parse( text ) );
+};
+
+MockWebSocket.prototype.close = function() {
+    this.readyState = 3;
+};
+
+/**
+ * Returns the events sent to the other players
+ */
+MockWebSocket.prototype.getEvents = function() {
+    return this.sent.filter( function( message ) {
+        return message.type == "event";
+    } );
+};
+
+global.WebSocket = MockWebSocket;
+
+/**
+ * Assert that two times match, allowing for rounding
+ */
+function assertTime( actual, expected, message ) {
+    assert.ok( Math.abs( actual - expected ) < 1e-9,
+               (message || "time") + ": expected " + expected + ", got " + actual );
+}
+
+/**
+ * Create a session on an engine at 120 BPM in 4/4, so a bar
+ * is two seconds, with a three second loop at the project
+ * tempo. The session's clock runs 100 seconds ahead of the
+ * audio context, and starts in step with the relay's.
+ */
+function createSession() {
+    var audioContext = new MockAudioContext();
+    var engine = new SamplerEngine( audioContext );
+    engine.bpm.value = 120;
+
+    var buffer = audioContext.createBuffer( 2, 3 * audioContext.sampleRate, audioContext.sampleRate );
+    engine.addGroup( "beats", "Beats" );
+    engine.loadSample( "groove", "beats", buffer, { label: "Groove", bpm: 120 } );
+    engine.loadSample( "break", "beats", buffer, { label: "Break", bpm: 120 } );
+    engine.registerParam( "#bpm", engine.bpm, { step: 1 } );
+    engine.registerParam( "#volume", audioContext.createGain().gain, { min: 0, max: 1 } );
+
+    var session = new JamSession( engine );
+    session.clockMs = 100000;
+    session.getClockMs = function() {
+        return this.clockMs + this.engine.audioContext.currentTime * 1000;
+    };
+
+    session.join( "ws://localhost:8765", "Tester" );
+    session.socket.onopen();
+    window.clearTimeout( session.syncTimer );
+    session.onMessage( { type: "joined", code: "ABCD", id: 1 } );
+
+    return session;
+}
+
+test( "joins and syncs the clock from the fastest round trip", function() {
+    var session = createSession();
+    var socket = MockWebSocket.last;
+
+    assert.deepEqual( socket.sent[0], { type: "join", name: "Tester", code: null } );
+    assert.equal( socket.sent[1].type, "sync" );
+    assert.equal( session.code, "ABCD" );
+
+    // A slow answer, then a fast one 20 seconds ahead
+    session.clockMs = 1000;
+    session.onSync( 800, 900 );
+    assert.equal( session.clockOffsetMs, 0 );
+
+    session.onSync( 990, 21000 );
+    assert.equal( session.clockOffsetMs, 20005 );
+
+    session.onSync( 500, 99999 );
+    assert.equal( session.clockOffsetMs, 20005 );
+} );
+
+test( "converts between audio and shared time", function() {
+    var session = createSession();
+    session.engine.audioContext.currentTime = 2;
+    session.clockOffsetMs = 500;
+
+    assertTime( session.toSharedTime( 3 ), 3 + 100.5 );
+    assertTime( session.toAudioTime( 103.5 ), 3 );
+} );
+
+test( "sends loop changes on the shared clock", function() {
+    var session = createSession();
+    var socket = MockWebSocket.last;
+
+    session.engine.startLoop( "groove", 1 );
+    session.engine.stopLoop( "beats", 5 );
+
+    assert.deepEqual( socket.getEvents(), [
+        { type: "event", action: "loop", padId: "groove", groupId: "beats", at: 101, offset: 0 },
+        { type: "event", action: "stop", groupId: "beats", at: 105 }
+    ] );
+} );
+
+test( "plays remote loops at their shared start time", function() {
+    var session = createSession();
+    var engine = session.engine;
+    engine.audioContext.currentTime = 0.5;
+
+    session.onMessage( { type: "event", action: "loop", padId: "groove", groupId: "beats", at: 101 } );
+
+    var sources = engine.audioContext.sources;
+    assertTime( sources[ sources.length - 1 ].startSecs, 1 );
+    assert.equal( engine.musicGroups.beats.activeElemId, "groove" );
+
+    // Nothing is sent back
+    assert.equal( MockWebSocket.last.getEvents().length, 0 );
+} );
+
+test( "starts late remote loops in phase on the next shared downbeat", function() {
+    var session = createSession();
+    var engine = session.engine;
+    engine.audioContext.currentTime = 4.1;
+
+    session.onMessage( { type: "event", action: "loop", padId: "groove", groupId: "beats", at: 101 } );
+
+    // Two bars late, so a second into the three second loop
+    var sources = engine.audioContext.sources;
+    var source = sources[ sources.length - 1 ];
+    assertTime( source.startArgs[0], 5 );
+    assertTime( source.startArgs[1], 1 );
+
+    engine.audioContext.currentTime = 5.5;
+    assertTime( engine.getLoopPosition( "beats" ), 0.5 );
+} );
+
+test( "applies remote parameter and tempo changes", function() {
+    var session = createSession();
+    var engine = session.engine;
+
+    session.onMessage( { type: "event", action: "param", paramId: "#volume", value: 0.25 } );
+    session.onMessage( { type: "event", action: "param", paramId: "#missing", value: 1 } );
+    session.onMessage( { type: "event", action: "tempo", bpm: 140 } );
+
+    assert.equal( engine.params[ "#volume" ].audioParam.value, 0.25 );
+    assert.equal( engine.bpm.value, 140 );
+    assert.equal( MockWebSocket.last.getEvents().length, 0 );
+} );
+
+test( "sends parameter changes together, and tempo on its own", function( t, done ) {
+    var session = createSession();
+    var engine = session.engine;
+
+    engine.setParam( "#volume", 0.5 );
+    engine.setParam( "#volume", 0.75 );
+    engine.setParam( "#bpm", 150 );
+
+    assert.deepEqual( MockWebSocket.last.getEvents(), [
+        { type: "event", action: "tempo", bpm: 150 }
+    ] );
+
+    later( JamSession.PARAM_INTERVAL_MS + 10, function() {
+        assert.deepEqual( MockWebSocket.last.getEvents()[1],
+                { type: "event", action: "param", paramId: "#volume", value: 0.75 } );
+        done();
+    } );
+} );
+
+test( "brings new players up to date", function() {
+    var session = createSession();
+    var engine = session.engine;
+    var socket = MockWebSocket.last;
+
+    session.onMessage( { type: "presence", players: [ { id: 1, name: "Tester" } ] } );
+
+    engine.startLoop( "groove", 1 );
+    engine.audioContext.currentTime = 8.5;
+    socket.sent = [];
+
+    session.onMessage( { type: "presence", players: [
+        { id: 1, name: "Tester" }, { id: 2, name: "Guest" }
+    ] } );
+
+    // The clock started at a second, and the loop's latest
+    // pass began at 7 seconds
+    assert.deepEqual( socket.getEvents(), [ {
+        type: "event", action: "state", to: [ 2 ], bpm: 120, clockAt: 101,
+        loops: [ { padId: "groove", groupId: "beats", at: 107, offset: 0 } ]
+    } ] );
+
+    // The new player isn't the one to send it
+    var guest = createSession();
+    guest.playerId = 2;
+    guest.onMessage( { type: "presence", players: [
+        { id: 1, name: "Tester" }, { id: 2, name: "Guest" }
+    ] } );
+    assert.equal( MockWebSocket.last.getEvents().length, 0 );
+} );
+
+test( "follows the state addressed to it", function() {
+    var session = createSession();
+    var engine = session.engine;
+    engine.audioContext.currentTime = 8.5;
+
+    session.onMessage( { type: "event", action: "state", to: [ 2 ], bpm: 150, loops: [] } );
+    assert.equal( engine.bpm.value, 120 );
+
+    session.onMessage( { type: "event", action: "state", to: [ 1 ], bpm: 120,
+                         loops: [ { padId: "groove", groupId: "beats", at: 107 } ] } );
+
+    // Back in phase at the next downbeat, two seconds into the loop
+    assert.equal( engine.getLoopPosition( "beats" ), null );
+    engine.audioContext.currentTime = 9;
+    assertTime( engine.getLoopPosition( "beats" ), 2 / 3 );
+} );
+
+test( "keeps a late joiner's new loops in phase with the session", function() {
+    var session = createSession();
+    var engine = session.engine;
+    var audioContext = engine.audioContext;
+
+    // Four bar loops, eight seconds at 120 BPM
+    var buffer = audioContext.createBuffer( 2, 8 * audioContext.sampleRate, audioContext.sampleRate );
+    engine.addGroup( "keys", "Keys" );
+    engine.loadSample( "verse", "beats", buffer, { label: "Verse", bpm: 120 } );
+    engine.loadSample( "chorus", "keys", buffer, { label: "Chorus", bpm: 120 } );
+    engine.loadSample( "bridge", "keys", buffer, { label: "Bridge", bpm: 120 } );
+
+    // Joining six seconds into a loop started at 100 seconds
+    audioContext.currentTime = 5.9;
+    session.onMessage( { type: "event", action: "state", to: [ 1 ], bpm: 120, clockAt: 100,
+                         loops: [ { padId: "verse", groupId: "beats", at: 100, offset: 0 } ] } );
+
+    var sources = audioContext.sources;
+    assertTime( sources[ sources.length - 1 ].startArgs[0], 6 );
+    assertTime( sources[ sources.length - 1 ].startArgs[1], 6 );
+
+    // Our bars count from the session's first bar
+    audioContext.currentTime = 6;
+    assert.equal( engine.getBarBeat().bar, 4 );
+
+    // A new loop from another player starts where they start it
+    session.onMessage( { type: "event", action: "loop", padId: "chorus", groupId: "keys", at: 108, offset: 0 } );
+    assertTime( sources[ sources.length - 1 ].startArgs[0], 8 );
+    assertTime( sources[ sources.length - 1 ].startArgs[1], 0 );
+
+    // ...and so do ours, and the others hear where
+    engine.startLoop( "bridge", 10 );
+    assertTime( sources[ sources.length - 1 ].startArgs[1], 2 );
+    assert.deepEqual( MockWebSocket.last.getEvents().slice( -1 ), [
+        { type: "event", action: "loop", padId: "bridge", groupId: "keys", at: 110, offset: 2 }
+    ] );
+} );
@@ -35,11 +35,145 @@ function assert( cond, msg ) {
  * @param {Function}    callbackFn
  * @param {*}           context
  * @param {...}         [var_args]
+ *
+ * @returns {Number}    The timeout handle
  */
 function later( timeMs, callbackFn, context, var_args ) {
     var fnArgs = arguments.length > 3 ? Array.prototype.slice.call( arguments, 3 ) : [];
 
-    window.setTimeout( function(){
+    return window.setTimeout( function(){
         callbackFn.apply( context, fnArgs );
     }, timeMs );
 }
+
+/**
+ * Format a duration as minutes and seconds
+ *
+ * @param {Number}  secs    The duration in seconds
+ *
+ * @returns {String}    The formatted duration, e.g. "1:05.3"
+ */
+function formatDuration( secs ) {
+    // Round first, so 59.96 seconds reads 1:00.0 rather than 0:60.0
+    var tenths = Math.round( secs * 10 );
+    var mins = Math.floor( tenths / 600 );
+    var remainder = ((tenths - mins * 600) / 10).toFixed( 1 );
+
+    if( remainder < 10 )
+        remainder = "0" + remainder;
+
+    return mins + ":" + remainder;
+}
+
+/**
+ * A plain value that behaves like an AudioParam, so it
+ * can be driven by the same controls
+ *
+ * @param {Number}                                  value           The initial value
+ * @param {Number}                                  minValue        The minimum value
+ * @param {Number}                                  maxValue        The maximum value
+ * @param {function(value:Number, lastValue:Number)} [changeFn]     A callback function triggered when the value changes
+ * @param {*}                                       [context]       The callback function context
+ *
+ * @constructor
+ */
+function ValueParam( value, minValue, maxValue, changeFn, context ) {
+    this.defaultValue = value;
+    this.minValue = minValue;
+    this.maxValue = maxValue;
+
+    this.currValue = value;
+    this.changeFn = changeFn;
+    this.changeContext = context;
+}
+
+Object.defineProperty( ValueParam.prototype, "value", {
+    get: function() {
+        return this.currValue;
+    },
+
+    set: function( value ) {
+        var lastValue = this.currValue;
+        this.currValue = value;
+
+        if( this.changeFn != null && value !== lastValue )
+            this.changeFn.call( this.changeContext, value, lastValue );
+    }
+} );
+
+/**
+ * Save a blob as a file download
+ *
+ * @param {Blob}    blob        The file content
+ * @param {String}  fileName    The suggested file name
+ */
+function downloadBlob( blob, fileName ) {
+    var url = URL.createObjectURL( blob );
+
+    $( "<a/>" )
+        .attr({ href: url, download: fileName })
+        .appendTo( "body" )[0]
+        .click();
+
+    // Clean up once the download has started
+    later( 1000, function() {
+        $( "a[href='" + url + "']" ).remove();
+        URL.revokeObjectURL( url );
+    } );
+}
+
+/**
+ * A minimal event emitter
+ *
+ * @constructor
+ */
+function EventEmitter() {
+    this.listeners = {};
+}
+
+/**
+ * Register an event listener
+ *
+ * @param {String}      eventName   The event name
+ * @param {Function}    listenerFn  The listener function
+ * @param {*}           [context]   The listener function context
+ */
+EventEmitter.prototype.on = function( eventName, listenerFn, context ) {
+    if( this.listeners[ eventName ] == null )
+        this.listeners[ eventName ] = [];
+
+    this.listeners[ eventName ].push({ fn: listenerFn, context: context });
+};
+
+/**
+ * Remove an event listener
+ *
+ * @param {String}      eventName   The event name
+ * @param {Function}    listenerFn  The listener function
+ */
+EventEmitter.prototype.off = function( eventName, listenerFn ) {
+    var listeners = this.listeners[ eventName ];
+    if( listeners == null )
+        return;
+
+    this.listeners[ eventName ] = listeners.filter( function( listener ) {
+        return listener.fn !== listenerFn;
+    } );
+};
+
+/**
+ * Call the listeners of an event
+ *
+ * @param {String}      eventName   The event name
+ * @param {...}         [var_args]  The event arguments
+ */
+EventEmitter.prototype.emit = function( eventName, var_args ) {
+    var listeners = this.listeners[ eventName ];
+    if( listeners == null )
+        return;
+
+    var fnArgs = Array.prototype.slice.call( arguments, 1 );
+    listeners.slice().forEach( function( listener ) {
+        listener.fn.apply( listener.context, fnArgs );
+    } );
+};
\ No newline at end of file